@@ -10,6 +10,7 @@ const isDevServer = process.env.NODE_ENV !== "production";
 const config = {
   enableHealthCheck: process.env.ENABLE_HEALTH_CHECK === "true",
   enableVisualEdits: isDevServer, // Only enable during dev server
+  enableAppsScriptEmulator: isDevServer && process.env.ENABLE_APPS_SCRIPT_EMULATOR === "true",
 };
 
 // Conditionally load visual edits modules only in dev mode
@@ -21,6 +22,13 @@ if (config.enableVisualEdits) {
   babelMetadataPlugin = require("./plugins/visual-edits/babel-metadata-plugin");
 }
 
+// Conditionally load the Apps Script emulator only if enabled
+let setupEmulatorEndpoints;
+
+if (config.enableAppsScriptEmulator) {
+  ({ setupEmulatorEndpoints } = require("./plugins/apps-script-emulator/emulator"));
+}
+
 // Conditionally load health check modules only if enabled
 let WebpackHealthPlugin;
 let setupHealthEndpoints;
@@ -42,6 +50,18 @@ const webpackConfig = {
       },
     },
   },
+  jest: {
+    configure: (jestConfig) => ({
+      ...jestConfig,
+      // The Apps Script emulator's tests sit next to it, outside src/
+      roots: [...jestConfig.roots, "<rootDir>/plugins"],
+      testMatch: [...jestConfig.testMatch, "<rootDir>/plugins/**/*.test.js"],
+      moduleNameMapper: {
+        ...jestConfig.moduleNameMapper,
+        "^@/(.*)$": "<rootDir>/src/$1",
+      },
+    }),
+  },
   webpack: {
     alias: {
       '@': path.resolve(__dirname, 'src'),
@@ -100,6 +120,21 @@ webpackConfig.devServer = (devServerConfig) => {
     };
   }
 
+  // Serve the Apps Script emulator if enabled
+  if (config.enableAppsScriptEmulator && setupEmulatorEndpoints) {
+    const originalSetupMiddlewares = devServerConfig.setupMiddlewares;
+
+    devServerConfig.setupMiddlewares = (middlewares, devServer) => {
+      if (originalSetupMiddlewares) {
+        middlewares = originalSetupMiddlewares(middlewares, devServer);
+      }
+
+      setupEmulatorEndpoints(devServer);
+
+      return middlewares;
+    };
+  }
+
   return devServerConfig;
 };
 
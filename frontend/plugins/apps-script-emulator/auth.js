@@ -0,0 +1,104 @@
+// auth.js
+// Password hashing and signed session tokens for the Apps Script emulator
+
+const crypto = require("crypto");
+
+const DEFAULT_TOKEN_TTL = 8 * 60 * 60; // seconds
+
+// ====================================================================
+// Passwords
+// ====================================================================
+
+/**
+ * Hash a password as "<salt>:<scrypt hash>", both hex
+ * @param {string} password
+ * @returns {string}
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(String(password), salt, 32).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+/**
+ * @param {string} password
+ * @param {string} stored - Output of hashPassword
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored || "").split(":");
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// ====================================================================
+// Tokens - <base64url JSON payload>.<base64url HMAC-SHA256>
+// ====================================================================
+
+/**
+ * A signing key for one purpose, so a token signed for one can't pass as another
+ * @param {string} secret
+ * @param {string} purpose - e.g. "session", "challenge"
+ * @returns {Buffer}
+ */
+function deriveKey(secret, purpose) {
+  return crypto.createHmac("sha256", secret).update(purpose).digest();
+}
+
+/**
+ * Create a signer bound to one secret
+ * @param {Object} [options]
+ * @param {string} [options.secret] - HMAC key; random per process when omitted
+ * @param {number} [options.ttl] - Token lifetime in seconds
+ */
+function createTokenSigner(options = {}) {
+  const key = deriveKey(options.secret || crypto.randomBytes(32).toString("hex"), "session");
+  const ttl = Number(options.ttl) || DEFAULT_TOKEN_TTL;
+
+  function signature(body) {
+    return crypto.createHmac("sha256", key).update(body).digest("base64url");
+  }
+
+  /**
+   * @param {Object} claims - sub, name, username, role
+   * @returns {{token: string, expiresAt: string}}
+   */
+  function sign(claims) {
+    const exp = Math.floor(Date.now() / 1000) + ttl;
+    const body = Buffer.from(JSON.stringify({ ...claims, typ: "session", exp })).toString("base64url");
+    return { token: `${body}.${signature(body)}`, expiresAt: new Date(exp * 1000).toISOString() };
+  }
+
+  /**
+   * @param {string} token
+   * @returns {Object|null} The claims, or null when the token is forged, malformed, expired or not a session
+   */
+  function verify(token) {
+    const [body, sig] = String(token || "").split(".");
+    if (!body || !sig) return null;
+
+    const expected = Buffer.from(signature(body));
+    const actual = Buffer.from(sig);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+      const claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+      if (!claims || claims.typ !== "session" || !Number.isFinite(claims.exp)) return null;
+      return claims.exp * 1000 > Date.now() ? claims : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return { sign, verify };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createTokenSigner,
+  deriveKey,
+};
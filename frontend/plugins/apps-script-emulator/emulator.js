@@ -0,0 +1,1290 @@
+// emulator.js
+// Local stand-in for the Google Apps Script web app that googleSheetsApi.js talks to
+
+const crypto = require("crypto");
+const path = require("path");
+const createSheetStore = require("./sheet-store");
+const { hashPassword, verifyPassword, createTokenSigner } = require("./auth");
+const { createChallengeIssuer, createRateLimiter } = require("./spam-guard");
+const { createRevisionedStore } = require("./revisions");
+
+const DEFAULT_FILE = path.resolve(__dirname, "../../emulator-data/leads.json");
+const EMULATOR_PATH = "/apps-script/exec";
+
+// ====================================================================
+// Quirks - reproduce what a real Apps Script deployment sends back
+// ====================================================================
+
+/**
+ * Turn HH:MM(:SS) into the 1899-12-30 epoch ISO string Sheets uses for time cells
+ * @param {string} time
+ * @returns {string}
+ */
+function toSheetsTime(time) {
+  const match = String(time).match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (!match) return time;
+  const [, hours, minutes, seconds = "00"] = match;
+  return `1899-12-30T${hours.padStart(2, "0")}:${minutes}:${seconds}.000Z`;
+}
+
+/**
+ * Turn DD/MM/YYYY into the ISO midnight string Sheets uses for date cells
+ * @param {string} date
+ * @returns {string}
+ */
+function toSheetsDate(date) {
+  const match = String(date).match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!match) return date;
+  const [, day, month, year] = match;
+  return new Date(Number(year), Number(month) - 1, Number(day)).toISOString();
+}
+
+/**
+ * Apply the configured output quirks to a stored row
+ * @param {Object} row
+ * @param {Object} quirks
+ * @returns {Object}
+ */
+function applyQuirks(row, quirks) {
+  const output = { ...row };
+  if (quirks.isoTimes && output.time) output.time = toSheetsTime(output.time);
+  if (quirks.isoDates && output.date) output.date = toSheetsDate(output.date);
+  return output;
+}
+
+/**
+ * Wrap a list of rows the way the configured deployment does
+ * @param {Object[]} rows
+ * @param {string} envelope - "none", "data" or "leads"
+ * @returns {Object|Object[]}
+ */
+function wrapRows(rows, envelope) {
+  if (envelope === "data") return { data: rows };
+  if (envelope === "leads") return { leads: rows };
+  return rows;
+}
+
+// ====================================================================
+// Rows
+// ====================================================================
+
+// Query param -> sheet column, as the deployed script maps them
+const FIELD_PARAMS = {
+  name: "name",
+  project: "projectName",
+  phone: "phoneNumber",
+  date: "date",
+  time: "time",
+  status: "status",
+  followUpDate: "followUpDate",
+  followUpTime: "followUpTime",
+  assignedTo: "assignedTo",
+  preferredTime: "preferredTime",
+  projectInterests: "projectInterests",
+};
+
+/**
+ * Pick the sheet columns present in the request params
+ * @param {Object} params
+ * @returns {Object}
+ */
+function toRowFields(params) {
+  const fields = {};
+  for (const [param, column] of Object.entries(FIELD_PARAMS)) {
+    if (params[param] !== undefined) fields[column] = params[param];
+  }
+  return fields;
+}
+
+/**
+ * Append a lead row with a fresh id, resolving assignedTo=auto by round-robin
+ * @param {Object} store - Leads sheet store
+ * @param {Object} users - Users sheet store
+ * @param {Object} fields - Sheet columns to set
+ * @returns {Object} The stored row
+ */
+function appendLead(store, users, fields) {
+  const rows = store.read();
+  const row = {
+    id: crypto.randomUUID(),
+    name: "",
+    projectName: "",
+    phoneNumber: "",
+    date: "",
+    time: "",
+    status: "",
+    assignedTo: "",
+    ...fields,
+  };
+  if (row.assignedTo === "auto") {
+    row.assignedTo = nextRoundRobinAgent(rows, users.read());
+  }
+  rows.push(row);
+  store.write(rows);
+  return row;
+}
+
+/**
+ * Append a lead from addLead params and log its "created" activity
+ * A clientId makes the call idempotent: the app may resend a create that already landed
+ * @param {Object} params
+ * @param {Object} context - The action context (store, activities, users, session)
+ * @returns {Object}
+ */
+function createLead(params, { store, activities, users, session }) {
+  if (params.clientId) {
+    const existing = store.read().find((row) => row.clientId === params.clientId);
+    if (existing) {
+      return { success: true, id: existing.id, assignedTo: existing.assignedTo };
+    }
+  }
+  const fields = toRowFields(params);
+  if (params.clientId) fields.clientId = params.clientId;
+  const row = appendLead(store, users, fields);
+  logActivity(activities, { leadId: row.id, type: "created", author: session.name });
+  return { success: true, id: row.id, assignedTo: row.assignedTo };
+}
+
+/**
+ * Find a row by its id column or throw the error the script would report
+ * @param {Object[]} rows
+ * @param {string} id
+ * @returns {number}
+ */
+function findRowIndex(rows, id) {
+  const index = id ? rows.findIndex((row) => String(row.id) === String(id)) : -1;
+  if (index === -1) {
+    throw new Error(`Lead not found: ${id}`);
+  }
+  return index;
+}
+
+/**
+ * Whether the session may see and work on a lead: admins and managers every lead,
+ * agents only the ones assigned to them
+ * @param {Object} session - Verified token claims
+ * @param {Object} row
+ * @returns {boolean}
+ */
+function canSeeLead(session, row) {
+  return ["admin", "manager"].includes(session.role) || String(row.assignedTo) === String(session.sub);
+}
+
+/**
+ * Find a row the session may work on, or throw: agents can't touch other agents' leads
+ * @param {Object[]} rows
+ * @param {string} id
+ * @param {Object} session - Verified token claims
+ * @returns {number}
+ */
+function findOwnRowIndex(rows, id, session) {
+  const index = findRowIndex(rows, id);
+  if (!canSeeLead(session, rows[index])) {
+    throw new Error(`Lead not assigned to you: ${id}`);
+  }
+  return index;
+}
+
+// ====================================================================
+// Activities - the second sheet tab, linked to leads by leadId
+// ====================================================================
+
+// Columns whose changes are logged as "edit" activities
+const EDIT_TRACKED_COLUMNS = [
+  "name",
+  "projectName",
+  "phoneNumber",
+  "date",
+  "time",
+  "followUpDate",
+  "followUpTime",
+  "assignedTo",
+];
+
+// Activity types agents can add by hand; the rest are logged by the script itself
+const MANUAL_ACTIVITY_TYPES = ["note", "call"];
+
+// Query params copied onto a manual activity row
+const ACTIVITY_PARAMS = ["text", "outcome", "duration", "followUp"];
+
+/**
+ * Append a row to the Activities tab
+ * @param {Object} activities - Activities sheet store
+ * @param {Object} activity - At least leadId and type
+ * @returns {Object} The stored row
+ */
+function logActivity(activities, activity) {
+  const rows = activities.read();
+  const row = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    author: "",
+    ...activity,
+  };
+  rows.push(row);
+  activities.write(rows);
+  return row;
+}
+
+/**
+ * Log what an update changed: a "status" entry for stage moves, an "edit" entry for the rest
+ * @param {Object} activities - Activities sheet store
+ * @param {Object} before - Row before the update
+ * @param {Object} after - Row after the update
+ * @param {string} author
+ */
+function logChanges(activities, before, after, author) {
+  if (String(before.status || "") !== String(after.status || "")) {
+    logActivity(activities, {
+      leadId: after.id,
+      type: "status",
+      from: before.status || "",
+      to: after.status || "",
+      author,
+    });
+  }
+
+  const changed = EDIT_TRACKED_COLUMNS.filter(
+    (column) => String(before[column] ?? "") !== String(after[column] ?? "")
+  );
+  if (changed.length > 0) {
+    logActivity(activities, {
+      leadId: after.id,
+      type: "edit",
+      fields: changed.join(","),
+      author,
+    });
+  }
+}
+
+// ====================================================================
+// Merging - fold duplicate leads for the same buyer into one row
+// ====================================================================
+
+// Filled in on the kept lead from a duplicate when the kept lead has them blank
+const MERGE_FILL_COLUMNS = [...EDIT_TRACKED_COLUMNS, "status", "source", "preferredTime", "consentAt"];
+
+/**
+ * Every project the leads were for, first spelling wins: "Skyline,Harbour View"
+ * @param {Object[]} rows - Kept lead first
+ * @returns {string}
+ */
+function mergeProjectInterests(rows) {
+  const interests = new Map();
+  for (const row of rows) {
+    for (const project of [row.projectName, ...String(row.projectInterests || "").split(",")]) {
+      const name = String(project || "").trim();
+      if (name && !interests.has(name.toLowerCase())) interests.set(name.toLowerCase(), name);
+    }
+  }
+  return [...interests.values()].join(",");
+}
+
+// ====================================================================
+// Users - the Users tab; passwords are kept as scrypt hashes and never sent back
+// ====================================================================
+
+const USER_ROLES = ["admin", "manager", "agent"];
+const MIN_PASSWORD_LENGTH = 8;
+
+// Seeded into an empty Users tab so there is always someone who can sign in
+const DEFAULT_ADMIN = { name: "Admin", username: "admin", role: "admin", active: "true" };
+
+/**
+ * Seed the default admin into an empty Users tab
+ * Without a configured password a random one is generated and logged once
+ * @param {Object} users - Users sheet store
+ * @param {string} [adminPassword]
+ */
+function seedUsers(users, adminPassword) {
+  if (users.read().length > 0) return;
+
+  const password = adminPassword || crypto.randomBytes(9).toString("base64url");
+  users.write([{ id: crypto.randomUUID(), ...DEFAULT_ADMIN, passwordHash: hashPassword(password) }]);
+  if (!adminPassword) {
+    console.log(`[Apps Script Emulator] Seeded user "admin" with password: ${password}`);
+  }
+}
+
+/**
+ * A user row without its password hash
+ * @param {Object} row
+ * @returns {Object}
+ */
+function publicUser(row) {
+  const { passwordHash, ...user } = row;
+  return user;
+}
+
+/**
+ * Validate user params shared by addUser and updateUser
+ * @param {Object} params
+ */
+function validateUserParams(params) {
+  if (params.role !== undefined && !USER_ROLES.includes(params.role)) {
+    throw new Error(`Unsupported role: ${params.role}`);
+  }
+  if (params.username !== undefined && !/^[a-z0-9._-]+$/i.test(params.username)) {
+    throw new Error("Username may only contain letters, numbers, dots, dashes and underscores");
+  }
+  if (params.password !== undefined && String(params.password).length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+/**
+ * Round-robin: the active agent after whoever got the most recent auto-assignable lead
+ * @param {Object[]} leadRows
+ * @param {Object[]} userRows
+ * @returns {string} User id, or "" when there are no active agents
+ */
+function nextRoundRobinAgent(leadRows, userRows) {
+  const agents = userRows.filter((user) => user.role === "agent" && String(user.active) !== "false");
+  if (agents.length === 0) return "";
+
+  for (let i = leadRows.length - 1; i >= 0; i--) {
+    const index = agents.findIndex((agent) => String(agent.id) === String(leadRows[i].assignedTo));
+    if (index !== -1) return agents[(index + 1) % agents.length].id;
+  }
+  return agents[0].id;
+}
+
+// ====================================================================
+// Settings - key/value rows on the Settings tab, values JSON encoded
+// ====================================================================
+
+const PUBLIC_SETTINGS_KEY = "publicDirectory";
+const PUBLIC_COLUMNS = ["name", "projectName", "phoneNumber", "date", "time"];
+
+const DEFAULT_PUBLIC_SETTINGS = {
+  enabled: true,
+  columns: PUBLIC_COLUMNS,
+  projects: [],
+  windowDays: 0,
+  headline: "Lead Directory",
+  description: "View all registered leads in chronological order",
+  hiddenPhoneProjects: [],
+};
+
+/**
+ * Read the public directory policy, falling back to the defaults
+ * @param {Object} settings - Settings sheet store
+ * @returns {Object}
+ */
+function readPublicSettings(settings) {
+  const row = settings.read().find((setting) => setting.key === PUBLIC_SETTINGS_KEY);
+  if (!row) return { ...DEFAULT_PUBLIC_SETTINGS };
+
+  try {
+    return { ...DEFAULT_PUBLIC_SETTINGS, ...JSON.parse(row.value) };
+  } catch (error) {
+    console.warn("[Apps Script Emulator] Ignoring unreadable public directory settings");
+    return { ...DEFAULT_PUBLIC_SETTINGS };
+  }
+}
+
+/**
+ * Validate a partial public directory policy and keep only known keys
+ * @param {Object} changes
+ * @returns {Object}
+ */
+function validatePublicSettings(changes) {
+  const valid = {};
+  for (const key of Object.keys(DEFAULT_PUBLIC_SETTINGS)) {
+    if (changes[key] !== undefined) valid[key] = changes[key];
+  }
+
+  if (valid.enabled !== undefined && typeof valid.enabled !== "boolean") {
+    throw new Error("enabled must be true or false");
+  }
+  for (const key of ["columns", "projects", "hiddenPhoneProjects"]) {
+    if (valid[key] !== undefined && !(Array.isArray(valid[key]) && valid[key].every((item) => typeof item === "string"))) {
+      throw new Error(`${key} must be a list of names`);
+    }
+  }
+  if (valid.columns && valid.columns.some((column) => !PUBLIC_COLUMNS.includes(column))) {
+    throw new Error(`columns may only include ${PUBLIC_COLUMNS.join(", ")}`);
+  }
+  if (valid.windowDays !== undefined && !(Number.isInteger(valid.windowDays) && valid.windowDays >= 0)) {
+    throw new Error("windowDays must be a whole number of days (0 for all time)");
+  }
+  return valid;
+}
+
+/**
+ * @param {Object} settings - Settings sheet store
+ * @param {Object} value - Full public directory policy
+ */
+function writePublicSettings(settings, value) {
+  const rows = settings.read().filter((setting) => setting.key !== PUBLIC_SETTINGS_KEY);
+  rows.push({ key: PUBLIC_SETTINGS_KEY, value: JSON.stringify(value) });
+  settings.write(rows);
+}
+
+// ====================================================================
+// Public directory - redacted rows for the unauthenticated lead list
+// ====================================================================
+
+// The app saves numbers as E.164 and masks them without their country code
+// Calling codes it knows (PHONE_COUNTRIES in src/lib/phone.js, checked by emulator.test.js),
+// longest first so +971 isn't read as +9...
+const CALLING_CODES = ["971", "91", "65", "61", "44", "1"];
+
+/**
+ * Keep the first and last two digits of the national number: +919876543221 -> 98XXXXXX21,
+ * +971501234567 -> 50XXXXX67; numbers not in E.164 are masked as they are
+ * @param {string} phone
+ * @returns {string}
+ */
+function maskPhone(phone) {
+  const text = String(phone || "").trim();
+  const callingCode = text.startsWith("+") && CALLING_CODES.find((code) => text.startsWith(`+${code}`));
+  const national = callingCode ? text.slice(callingCode.length + 1) : text;
+  const digits = national.replace(/\D/g, "");
+  if (digits.length <= 4) return "X".repeat(digits.length);
+  return `${digits.slice(0, 2)}${"X".repeat(digits.length - 4)}${digits.slice(-2)}`;
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function sameProject(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+/**
+ * Whether a row falls inside the directory's project list and date window
+ * @param {Object} row
+ * @param {Object} policy - Public directory settings
+ * @returns {boolean}
+ */
+function isPubliclyListed(row, policy) {
+  if (policy.projects.length > 0 && !policy.projects.some((project) => sameProject(project, row.projectName))) {
+    return false;
+  }
+
+  if (policy.windowDays > 0) {
+    const match = String(row.date || "").match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (!match) return false;
+    const now = new Date();
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - policy.windowDays);
+    if (new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1])) < start) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Only the columns the directory shows, with the phone masked or withheld
+ * @param {Object} row
+ * @param {Object} policy - Public directory settings
+ * @returns {Object}
+ */
+function toPublicRow(row, policy) {
+  const phoneHidden = policy.hiddenPhoneProjects.some((project) => sameProject(project, row.projectName));
+  const redacted = {
+    name: row.name,
+    projectName: row.projectName,
+    phoneNumber: phoneHidden ? "" : maskPhone(row.phoneNumber),
+    date: row.date,
+    time: row.time,
+  };
+
+  const output = {};
+  for (const column of policy.columns) output[column] = redacted[column];
+  if (policy.columns.includes("phoneNumber")) output.phoneHidden = phoneHidden;
+  return output;
+}
+
+// ====================================================================
+// Enquiry screening - blocked submissions wait on the Quarantine tab for an admin
+// ====================================================================
+
+// Hidden input real visitors never see; bots that fill every field fill this too
+const HONEYPOT_PARAM = "website";
+
+// Faster than this between loading the form and submitting it is a bot
+const MIN_FILL_MS = 3000;
+
+const ENQUIRY_LIMITS = {
+  perIp: { limit: 5, windowMs: 60 * 60 * 1000 },
+  perPhone: { limit: 3, windowMs: 24 * 60 * 60 * 1000 },
+};
+
+// The Quarantine tab stops growing here; later blocked enquiries are dropped until an admin clears it
+const MAX_QUARANTINE = 500;
+
+// Reasons kept only while the tab is under half full: a flood from one source is almost never a real enquiry
+const FLOOD_REASONS = ["honeypot", "ip-rate-limit", "phone-rate-limit"];
+
+/**
+ * Why an enquiry should be quarantined, or null when it looks genuine
+ * Every submission counts towards its IP's limit; only those that pass the honeypot and
+ * challenge count towards the phone number's, so nobody can lock a number out by posting junk
+ * @param {Object} params
+ * @param {Object} guard - Challenge issuer and rate limiters
+ * @param {string} clientIp
+ * @returns {string|null} One of honeypot, challenge, too-fast, ip-rate-limit, phone-rate-limit
+ */
+function screenEnquiry(params, guard, clientIp) {
+  const ipAllowed = !clientIp || guard.ipLimiter.hit(clientIp);
+
+  if (params[HONEYPOT_PARAM]) return "honeypot";
+
+  const claims = guard.challenges.redeem(params.challenge, params.solution);
+  if (!claims) return "challenge";
+  if (Date.now() - claims.iat < MIN_FILL_MS) return "too-fast";
+
+  if (!ipAllowed) return "ip-rate-limit";
+  if (!guard.phoneLimiter.hit(String(params.phone).replace(/\D/g, ""))) return "phone-rate-limit";
+  return null;
+}
+
+/**
+ * Whether a blocked enquiry still has room on the Quarantine tab
+ * @param {number} size - Rows already quarantined
+ * @param {string} reason
+ * @returns {boolean}
+ */
+function hasQuarantineRoom(size, reason) {
+  if (size >= MAX_QUARANTINE) return false;
+  return !FLOOD_REASONS.includes(reason) || size < MAX_QUARANTINE / 2;
+}
+
+/**
+ * Find a quarantined submission by id or throw
+ * @param {Object[]} rows
+ * @param {string} id
+ * @returns {number}
+ */
+function findQuarantinedIndex(rows, id) {
+  const index = id ? rows.findIndex((row) => String(row.id) === String(id)) : -1;
+  if (index === -1) {
+    throw new Error(`Quarantined enquiry not found: ${id}`);
+  }
+  return index;
+}
+
+// ====================================================================
+// Paging - getLeadsPage filters, sorts and pages on the server for large sheets
+// ====================================================================
+
+// Same buckets as the app's time-of-day filter (24h clock, `to` exclusive, night wraps)
+const TIME_OF_DAY_BUCKETS = {
+  morning: [5, 12],
+  afternoon: [12, 17],
+  evening: [17, 21],
+  night: [21, 5],
+};
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * A date cell as yyyy-MM-dd, from DD/MM/YYYY, yyyy-MM-dd or an ISO datetime
+ * @param {string} value
+ * @returns {string} "" when unreadable
+ */
+function toDayKey(value) {
+  const text = String(value || "");
+  let match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) return `${match[3]}-${match[2].padStart(2, "0")}-${match[1].padStart(2, "0")}`;
+  match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) return text;
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) return "";
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * A time cell as HH:MM:SS, from HH:MM(:SS) or a 1899-12-30 ISO datetime
+ * @param {string} value
+ * @returns {string} "" when unreadable
+ */
+function toTimeKey(value) {
+  const match = String(value || "").match(/(?:^|T)(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  if (!match) return "";
+  return `${match[1].padStart(2, "0")}:${match[2]}:${match[3] || "00"}`;
+}
+
+/**
+ * Whether a row matches every filter in the getLeadsPage params
+ * @param {Object} row
+ * @param {Object} params - q, phone, projects, from, to, timeOfDay
+ * @returns {boolean}
+ */
+function matchesPageFilters(row, params) {
+  if (params.q && !String(row.name || "").toLowerCase().includes(String(params.q).toLowerCase())) {
+    return false;
+  }
+
+  const phoneDigits = String(params.phone || "").replace(/\D/g, "").replace(/^0+/, "");
+  if (phoneDigits && !String(row.phoneNumber || "").replace(/\D/g, "").includes(phoneDigits)) {
+    return false;
+  }
+
+  const projects = [].concat(params.projects || []).map(String);
+  if (projects.length > 0) {
+    const interests = [row.projectName, ...String(row.projectInterests || "").split(",")];
+    if (!interests.some((project) => projects.includes(String(project || "").trim()))) return false;
+  }
+
+  if (params.from || params.to) {
+    const day = toDayKey(row.date);
+    if (!day || (params.from && day < params.from) || (params.to && day > params.to)) return false;
+  }
+
+  const bucket = TIME_OF_DAY_BUCKETS[params.timeOfDay];
+  if (bucket) {
+    const time = toTimeKey(row.time);
+    if (!time) return false;
+    const hours = Number(time.slice(0, 2));
+    const [from, to] = bucket;
+    if (from < to ? hours < from || hours >= to : hours < from && hours >= to) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Every project the rows were for, sorted, for getLeadsPage's project filter
+ * @param {Object[]} rows
+ * @returns {string[]}
+ */
+function pageProjects(rows) {
+  const projects = new Set();
+  for (const row of rows) {
+    for (const project of [row.projectName, ...String(row.projectInterests || "").split(",")]) {
+      const name = String(project || "").trim();
+      if (name) projects.add(name);
+    }
+  }
+  return [...projects].sort();
+}
+
+/**
+ * Order rows by the getLeadsPage sort: date (then time), name or project; ties go by date
+ * @param {Object[]} rows
+ * @param {string} sort
+ * @param {string} order - "asc" or "desc"
+ * @returns {Object[]}
+ */
+function sortPageRows(rows, sort, order) {
+  const dateKey = (row) => `${toDayKey(row.date) || "0000-00-00"} ${toTimeKey(row.time) || "00:00:00"}`;
+  const textKey = sort === "name" ? "name" : sort === "project" ? "projectName" : null;
+  const sorted = [...rows].sort((a, b) => {
+    if (textKey) {
+      const byText = String(a[textKey] || "").localeCompare(String(b[textKey] || ""), undefined, { sensitivity: "base" });
+      if (byText !== 0) return byText;
+    }
+    return dateKey(a).localeCompare(dateKey(b));
+  });
+  return order === "desc" ? sorted.reverse() : sorted;
+}
+
+// ====================================================================
+// Actions - same names and params as the deployed script
+// ====================================================================
+
+const ACTIONS = {
+  getLeads(params, { store, session, quirks }) {
+    const rows = store
+      .read()
+      .filter((row) => canSeeLead(session, row))
+      .map((row) => applyQuirks(row, quirks));
+    return wrapRows(rows, quirks.envelope);
+  },
+
+  // Rows changed and ids deleted since the client's { since, lineage }, or every row when it
+  // has to start over (see revisions.js); never wrapped, the envelope quirk is getLeads-only
+  // A changed row the session can no longer see (reassigned away from an agent) is sent as deleted
+  getLeadsSince(params, { store, session, quirks }) {
+    const changes = store.changesSince(params.since, params.lineage);
+    const hidden = changes.leads.filter((row) => !canSeeLead(session, row));
+    return {
+      ...changes,
+      leads: changes.leads.filter((row) => canSeeLead(session, row)).map((row) => applyQuirks(row, quirks)),
+      deleted: changes.full ? [] : [...changes.deleted, ...hidden.map((row) => String(row.id))],
+    };
+  },
+
+  // One page of the rows the session may see (agents: their own), filtered and sorted, with
+  // every project across those rows for the filter bar (the app doesn't hold them all)
+  // Sent as a JSON POST by the app, so projects arrive as an array and searches stay out of URLs
+  getLeadsPage(params, { store, session, quirks }) {
+    const pageSize = Math.min(Math.max(Number(params.pageSize) || 50, 1), MAX_PAGE_SIZE);
+    const page = Math.max(Math.floor(Number(params.page)) || 1, 1);
+    const visible = store.read().filter((row) => canSeeLead(session, row));
+    const matching = sortPageRows(
+      visible.filter((row) => matchesPageFilters(row, params)),
+      params.sort,
+      params.order
+    );
+    const start = (page - 1) * pageSize;
+    return {
+      leads: matching.slice(start, start + pageSize).map((row) => applyQuirks(row, quirks)),
+      total: matching.length,
+      page,
+      pageSize,
+      projects: pageProjects(visible),
+    };
+  },
+
+  // Public: what the lead directory may show, filtered and redacted before it leaves the server
+  getPublicLeads(params, { store, settings, quirks }) {
+    const policy = readPublicSettings(settings);
+    if (!policy.enabled) return wrapRows([], quirks.envelope);
+
+    const rows = store
+      .read()
+      .filter((row) => isPubliclyListed(row, policy))
+      .map((row) => applyQuirks(toPublicRow(row, policy), quirks));
+    return wrapRows(rows, quirks.envelope);
+  },
+
+  // Public: just what the directory page needs to lay itself out
+  getPublicSettings(params, { settings }) {
+    const { enabled, columns, headline, description } = readPublicSettings(settings);
+    return { settings: { enabled, columns, headline, description } };
+  },
+
+  getSettings(params, { settings }) {
+    return { settings: readPublicSettings(settings) };
+  },
+
+  // settings: JSON object with the keys to change
+  updateSettings(params, { settings }) {
+    let changes;
+    try {
+      changes = JSON.parse(params.settings || "{}");
+    } catch (error) {
+      throw new Error("settings must be a JSON object");
+    }
+
+    const value = { ...readPublicSettings(settings), ...validatePublicSettings(changes) };
+    writePublicSettings(settings, value);
+    return { success: true, settings: value };
+  },
+
+  addLead(params, context) {
+    return createLead(params, context);
+  },
+
+  // Many leads in one round trip (JSON POST only); every lead gets its own result, in order
+  addLeads(params, context) {
+    if (!Array.isArray(params.leads)) {
+      throw new Error("leads must be an array");
+    }
+    const results = params.leads.map((lead) => {
+      try {
+        return createLead(lead, context);
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+    return { success: true, results };
+  },
+
+  // Public: a proof-of-work challenge for the enquiry form to solve before submitting
+  getEnquiryChallenge(params, { guard }) {
+    return guard.challenges.issue();
+  },
+
+  // Public: a lead from the /enquire capture form, round-robined to an agent
+  // Blocked submissions are quarantined but still answered with success, so bots learn nothing
+  submitEnquiry(params, { store, activities, users, quarantine, guard, clientIp }) {
+    if (!params.name || !params.phone || !params.project) {
+      throw new Error("Name, phone and project are required");
+    }
+    if (params.consent !== "true") {
+      throw new Error("Consent is required");
+    }
+
+    const { name, projectName, phoneNumber, date, time, preferredTime } = toRowFields(params);
+    const enquiry = {
+      name,
+      projectName,
+      phoneNumber,
+      date,
+      time,
+      preferredTime: preferredTime || "",
+      consentAt: new Date().toISOString(),
+    };
+
+    const reason = screenEnquiry(params, guard, clientIp);
+    if (reason) {
+      const rows = quarantine.read();
+      if (hasQuarantineRoom(rows.length, reason)) {
+        rows.push({ id: crypto.randomUUID(), receivedAt: enquiry.consentAt, reason, ip: clientIp, ...enquiry });
+        quarantine.write(rows);
+      }
+      return { success: true };
+    }
+
+    const row = appendLead(store, users, { ...enquiry, source: "enquiry", assignedTo: "auto" });
+    logActivity(activities, { leadId: row.id, type: "created", author: "Website enquiry" });
+    return { success: true };
+  },
+
+  getQuarantine(params, { quarantine }) {
+    const rows = quarantine
+      .read()
+      .sort((a, b) => String(b.receivedAt).localeCompare(String(a.receivedAt)));
+    return { quarantine: rows };
+  },
+
+  // Move a quarantined enquiry onto the Leads tab as if it had passed screening
+  releaseQuarantined(params, { store, activities, users, quarantine, session }) {
+    const rows = quarantine.read();
+    const [entry] = rows.splice(findQuarantinedIndex(rows, params.id), 1);
+    const { id, receivedAt, reason, ip, ...enquiry } = entry;
+
+    const row = appendLead(store, users, { ...enquiry, source: "enquiry", assignedTo: "auto" });
+    logActivity(activities, { leadId: row.id, type: "created", author: session.name });
+    quarantine.write(rows);
+    return { success: true, id: row.id, assignedTo: row.assignedTo };
+  },
+
+  deleteQuarantined(params, { quarantine }) {
+    const rows = quarantine.read();
+    rows.splice(findQuarantinedIndex(rows, params.id), 1);
+    quarantine.write(rows);
+    return { success: true };
+  },
+
+  updateLead(params, { store, activities, session }) {
+    const rows = store.read();
+    const index = findOwnRowIndex(rows, params.id, session);
+    const before = rows[index];
+    rows[index] = { ...before, ...toRowFields(params) };
+    store.write(rows);
+    logChanges(activities, before, rows[index], session.name);
+    return { success: true };
+  },
+
+  addActivity(params, { store, activities, session }) {
+    if (!MANUAL_ACTIVITY_TYPES.includes(params.type)) {
+      throw new Error(`Unsupported activity type: ${params.type}`);
+    }
+    findOwnRowIndex(store.read(), params.leadId, session);
+
+    const activity = { leadId: params.leadId, type: params.type, author: session.name };
+    for (const param of ACTIVITY_PARAMS) {
+      if (params[param] !== undefined) activity[param] = params[param];
+    }
+    return { success: true, activity: logActivity(activities, activity) };
+  },
+
+  getActivities(params, { store, activities, session }) {
+    findOwnRowIndex(store.read(), params.leadId, session);
+    const rows = activities
+      .read()
+      .filter((row) => String(row.leadId) === String(params.leadId))
+      .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+    return { activities: rows };
+  },
+
+  // One-time repair: give every row without a unique id a fresh UUID
+  backfillIds(params, { store }) {
+    const rows = store.read();
+    const seen = new Set();
+    let updated = 0;
+
+    for (const row of rows) {
+      if (!row.id || seen.has(String(row.id))) {
+        row.id = crypto.randomUUID();
+        updated++;
+      }
+      seen.add(String(row.id));
+    }
+
+    if (updated > 0) store.write(rows);
+    return { success: true, updated };
+  },
+
+  // Keep one lead, move the duplicates' activities onto it and delete the duplicates
+  // duplicateIds: comma-separated lead ids
+  mergeLeads(params, { store, activities, session }) {
+    const rows = store.read();
+    const kept = rows[findRowIndex(rows, params.id)];
+    const duplicateIds = String(params.duplicateIds || "")
+      .split(",")
+      .filter((id) => id && id !== String(kept.id));
+    if (duplicateIds.length === 0) {
+      throw new Error("Choose at least one duplicate to merge");
+    }
+    const duplicates = duplicateIds.map((id) => rows[findRowIndex(rows, id)]);
+
+    for (const column of MERGE_FILL_COLUMNS) {
+      if (String(kept[column] ?? "") !== "") continue;
+      const donor = duplicates.find((row) => String(row[column] ?? "") !== "");
+      if (donor) kept[column] = donor[column];
+    }
+    kept.projectInterests = mergeProjectInterests([kept, ...duplicates]);
+    store.write(rows.filter((row) => !duplicateIds.includes(String(row.id))));
+
+    activities.write(
+      activities
+        .read()
+        .map((row) => (duplicateIds.includes(String(row.leadId)) ? { ...row, leadId: kept.id } : row))
+    );
+    logActivity(activities, {
+      leadId: kept.id,
+      type: "merged",
+      text: `Merged ${duplicates.map((row) => `${row.name || "Unnamed"} (${row.projectName || "no project"})`).join(", ")}`,
+      mergedIds: duplicateIds.join(","),
+      author: session.name,
+    });
+    return { success: true, id: kept.id, projectInterests: kept.projectInterests };
+  },
+
+  deleteLead(params, { store, session }) {
+    const rows = store.read();
+    rows.splice(findOwnRowIndex(rows, params.id, session), 1);
+    store.write(rows);
+    return { success: true };
+  },
+
+  // Public: trade a username + password for a signed, expiring token
+  login(params, { users, signer }) {
+    const user = users
+      .read()
+      .find((row) => String(row.username).toLowerCase() === String(params.username || "").toLowerCase());
+
+    if (!user || String(user.active) === "false" || !verifyPassword(params.password || "", user.passwordHash)) {
+      throw new Error("Invalid username or password");
+    }
+
+    const { token, expiresAt } = signer.sign({
+      sub: user.id,
+      name: user.name,
+      username: user.username,
+      role: user.role,
+    });
+    return { success: true, token, expiresAt, user: publicUser(user) };
+  },
+
+  getUsers(params, { users }) {
+    return { users: users.read().map(publicUser) };
+  },
+
+  addUser(params, { users }) {
+    validateUserParams(params);
+    if (!params.name || !params.username || !params.password) {
+      throw new Error("Name, username and password are required");
+    }
+
+    const rows = users.read();
+    if (rows.some((user) => user.username.toLowerCase() === params.username.toLowerCase())) {
+      throw new Error(`Username already taken: ${params.username}`);
+    }
+
+    const user = {
+      id: crypto.randomUUID(),
+      name: params.name,
+      username: params.username,
+      role: params.role || "agent",
+      active: "true",
+      passwordHash: hashPassword(params.password),
+    };
+    rows.push(user);
+    users.write(rows);
+    return { success: true, user: publicUser(user) };
+  },
+
+  updateUser(params, { users }) {
+    validateUserParams(params);
+    const rows = users.read();
+    const index = rows.findIndex((user) => String(user.id) === String(params.id));
+    if (index === -1) {
+      throw new Error(`User not found: ${params.id}`);
+    }
+
+    for (const field of ["name", "role", "active"]) {
+      if (params[field] !== undefined) rows[index][field] = params[field];
+    }
+    if (params.password !== undefined) rows[index].passwordHash = hashPassword(params.password);
+    users.write(rows);
+    return { success: true, user: publicUser(rows[index]) };
+  },
+};
+
+// ====================================================================
+// Request handling
+// ====================================================================
+
+// Answered without a token
+const PUBLIC_ACTIONS = ["login", "getPublicLeads", "getPublicSettings", "getEnquiryChallenge", "submitEnquiry"];
+
+// Need a token whose role is admin
+const ADMIN_ACTIONS = [
+  "addUser",
+  "updateUser",
+  "getSettings",
+  "updateSettings",
+  "getQuarantine",
+  "releaseQuarantined",
+  "deleteQuarantined",
+  "mergeLeads",
+  "backfillIds",
+];
+
+/**
+ * Drop sessions of users deactivated or removed since the token was issued
+ * @param {Object} users - Users sheet store
+ * @param {Object|null} claims - Verified token claims
+ * @returns {Object|null}
+ */
+function activeSession(users, claims) {
+  if (!claims) return null;
+  const user = users.read().find((row) => String(row.id) === String(claims.sub));
+  return user && String(user.active) !== "false" ? claims : null;
+}
+
+/**
+ * Check the request's token against the action's access rules
+ * @param {string} action
+ * @param {Object|null} session - Verified token claims
+ * @returns {Object|null} Error body to send back, or null when allowed
+ */
+function authorize(action, session) {
+  if (PUBLIC_ACTIONS.includes(action)) return null;
+  if (!session) return { error: "Not signed in or session expired", unauthorized: true };
+  if (ADMIN_ACTIONS.includes(action) && session.role !== "admin") {
+    return { error: "Only admins can do that", forbidden: true };
+  }
+  return null;
+}
+
+/**
+ * Other sheet tabs live next to the leads file: leads.json -> leads-<tab>.json
+ * @param {string} file
+ * @param {string} tab
+ * @returns {string}
+ */
+function tabFileFor(file, tab) {
+  const ext = path.extname(file);
+  return path.join(path.dirname(file), `${path.basename(file, ext)}-${tab}${ext}`);
+}
+
+/**
+ * Proxy addresses from a list or a comma-separated string, IPv4-mapped IPv6 unwrapped
+ * @param {string[]|string} [value]
+ * @returns {Set<string>}
+ */
+function parseTrustedProxies(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return new Set(list.map(normalizeIp).filter(Boolean));
+}
+
+/**
+ * @param {string} ip
+ * @returns {string}
+ */
+function normalizeIp(ip) {
+  return String(ip || "").trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, "");
+}
+
+/**
+ * The caller's address. X-Forwarded-For is anyone's to set, so its first hop is only
+ * believed when the connection comes from one of the trusted proxies
+ * The deployed script never sees this: Apps Script doesn't expose client IPs
+ * @param {http.IncomingMessage} req
+ * @param {Set<string>} trustedProxies
+ * @returns {string}
+ */
+function clientIpFor(req, trustedProxies) {
+  const remote = normalizeIp(req.socket && req.socket.remoteAddress);
+  if (!trustedProxies.has(remote)) return remote;
+
+  const forwarded = String(req.headers["x-forwarded-for"] || "").split(",")[0];
+  return normalizeIp(forwarded) || remote;
+}
+
+/**
+ * A POST body as params: JSON objects keep their arrays and nesting, anything else is form-encoded
+ * @param {string} body
+ * @returns {Object}
+ * @throws {Error} When a body that starts like a JSON object isn't valid JSON
+ */
+function parseBody(body) {
+  if (body.trimStart().startsWith("{")) {
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      throw new Error(`Malformed JSON body: ${error.message}`);
+    }
+  }
+  return Object.fromEntries(new URLSearchParams(body));
+}
+
+/**
+ * Query params merged with the POST body, like the script's doPost: a JSON body
+ * (e.postData.contents, sent as text/plain) or a form-encoded one (e.parameter)
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>}
+ */
+function readParams(req) {
+  const url = new URL(req.url, "http://localhost");
+  const params = Object.fromEntries(url.searchParams);
+  if (req.method !== "POST") return Promise.resolve(params);
+
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve({ ...params, ...parseBody(body) });
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Create a Node/Express compatible request handler for the emulator
+ * @param {Object} [options]
+ * @param {string} [options.file] - JSON or CSV file holding the rows
+ * @param {string} [options.activitiesFile] - Defaults to <file>-activities.<ext>
+ * @param {string} [options.usersFile] - Defaults to <file>-users.<ext>
+ * @param {string} [options.settingsFile] - Defaults to <file>-settings.<ext>
+ * @param {string} [options.quarantineFile] - Defaults to <file>-quarantine.<ext>
+ * @param {string} [options.syncFile] - Revision counter for getLeadsSince; defaults to <file>-sync.<ext>
+ * @param {string} [options.deletionsFile] - Deleted lead ids for getLeadsSince; defaults to <file>-deletions.<ext>
+ * @param {string} [options.envelope] - "none" (bare array), "data" or "leads"
+ * @param {boolean} [options.isoTimes] - Send time cells as 1899-12-30T..Z strings
+ * @param {boolean} [options.isoDates] - Send date cells as ISO datetimes
+ * @param {number} [options.latency] - Artificial delay per request in ms
+ * @param {string} [options.adminPassword] - Password for the seeded admin; random and logged when omitted
+ * @param {string} [options.authSecret] - Token signing key; random per process when omitted
+ * @param {number} [options.tokenTtl] - Token lifetime in seconds (default 8 hours)
+ * @param {number} [options.enquiryDifficulty] - Proof-of-work zero bits for enquiries (default 16)
+ * @param {string[]|string} [options.trustedProxies] - Proxy addresses whose X-Forwarded-For is believed
+ * @returns {function(http.IncomingMessage, http.ServerResponse): void}
+ */
+function createEmulator(options = {}) {
+  const file = options.file || DEFAULT_FILE;
+  const store = createRevisionedStore(
+    createSheetStore(file),
+    createSheetStore(options.syncFile || tabFileFor(file, "sync")),
+    createSheetStore(options.deletionsFile || tabFileFor(file, "deletions"))
+  );
+  const activities = createSheetStore(options.activitiesFile || tabFileFor(file, "activities"));
+  const users = createSheetStore(options.usersFile || tabFileFor(file, "users"));
+  const settings = createSheetStore(options.settingsFile || tabFileFor(file, "settings"));
+  const quarantine = createSheetStore(options.quarantineFile || tabFileFor(file, "quarantine"));
+  const quirks = {
+    envelope: options.envelope || "none",
+    isoTimes: Boolean(options.isoTimes),
+    isoDates: Boolean(options.isoDates),
+  };
+  const latency = Number(options.latency) || 0;
+  const trustedProxies = parseTrustedProxies(options.trustedProxies);
+  const signer = createTokenSigner({ secret: options.authSecret, ttl: options.tokenTtl });
+  const guard = {
+    challenges: createChallengeIssuer({ secret: options.authSecret, difficulty: options.enquiryDifficulty }),
+    ipLimiter: createRateLimiter(ENQUIRY_LIMITS.perIp),
+    phoneLimiter: createRateLimiter(ENQUIRY_LIMITS.perPhone),
+  };
+  seedUsers(users, options.adminPassword);
+
+  function send(res, status, body) {
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Headers": "Content-Type",
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  return function handleRequest(req, res) {
+    if (req.method === "OPTIONS") {
+      send(res, 204, {});
+      return;
+    }
+
+    readParams(req).then((params) => {
+      const action = ACTIONS[params.action];
+
+      setTimeout(() => {
+        // Apps Script reports failures as a 200 with an error body
+        if (!action) {
+          send(res, 200, { error: `Unknown action: ${params.action}` });
+          return;
+        }
+
+        // Like the deployed script, tokens travel as a param: Apps Script can't read headers
+        const session = activeSession(users, signer.verify(params.token));
+        const denied = authorize(params.action, session);
+        if (denied) {
+          send(res, 200, denied);
+          return;
+        }
+
+        try {
+          const clientIp = clientIpFor(req, trustedProxies);
+          send(
+            res,
+            200,
+            action(params, { store, activities, users, settings, quarantine, quirks, signer, guard, session, clientIp })
+          );
+        } catch (error) {
+          console.error("[Apps Script Emulator] Action failed:", error);
+          send(res, 200, { error: error.message });
+        }
+      }, latency);
+    }).catch((error) => {
+      // A body the emulator can't read at all is the caller's bug, not an action failure
+      console.error("[Apps Script Emulator] Bad request:", error);
+      send(res, 400, { success: false, error: error.message });
+    });
+  };
+}
+
+/**
+ * Read emulator options from environment variables
+ * @returns {Object}
+ */
+function optionsFromEnv() {
+  return {
+    file: process.env.APPS_SCRIPT_EMULATOR_FILE,
+    envelope: process.env.APPS_SCRIPT_EMULATOR_ENVELOPE,
+    isoTimes: process.env.APPS_SCRIPT_EMULATOR_ISO_TIMES === "true",
+    isoDates: process.env.APPS_SCRIPT_EMULATOR_ISO_DATES === "true",
+    latency: process.env.APPS_SCRIPT_EMULATOR_LATENCY,
+    adminPassword: process.env.APPS_SCRIPT_EMULATOR_ADMIN_PASSWORD,
+    authSecret: process.env.APPS_SCRIPT_EMULATOR_AUTH_SECRET,
+    tokenTtl: process.env.APPS_SCRIPT_EMULATOR_TOKEN_TTL,
+    enquiryDifficulty: process.env.APPS_SCRIPT_EMULATOR_ENQUIRY_DIFFICULTY,
+    trustedProxies: process.env.APPS_SCRIPT_EMULATOR_TRUSTED_PROXIES,
+  };
+}
+
+/**
+ * Mount the emulator on the craco dev server
+ * Point REACT_APP_GOOGLE_SCRIPT_URL at /apps-script/exec to use it
+ * @param {Object} devServer - Webpack dev server instance
+ * @param {Object} [options] - See createEmulator
+ */
+function setupEmulatorEndpoints(devServer, options = optionsFromEnv()) {
+  if (!devServer || !devServer.app) {
+    console.warn("[Apps Script Emulator] Dev server not available, skipping emulator");
+    return;
+  }
+
+  devServer.app.use(EMULATOR_PATH, createEmulator(options));
+  console.log(`[Apps Script Emulator] ✓ Serving ${EMULATOR_PATH}`);
+}
+
+module.exports = {
+  createEmulator,
+  optionsFromEnv,
+  setupEmulatorEndpoints,
+  EMULATOR_PATH,
+  CALLING_CODES,
+};
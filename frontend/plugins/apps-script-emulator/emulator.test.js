@@ -0,0 +1,346 @@
+/**
+ * @jest-environment node
+ */
+// emulator.test.js
+// Action dispatch and access rules, driven through the request handler like the app drives it
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { createEmulator, EMULATOR_PATH, CALLING_CODES } = require("./emulator");
+const { leadingZeroBits } = require("./spam-guard");
+const { PHONE_COUNTRIES } = require("../../src/lib/phone");
+
+const ADMIN_PASSWORD = "admin-password";
+
+let dir;
+let handle;
+
+/**
+ * Send a request body to the handler and resolve with { status, body }
+ * @param {string} body
+ * @param {string} [method]
+ * @param {Object} [from] - headers and remoteAddress of the connection
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+function send(body, method = "POST", { headers = {}, remoteAddress = "127.0.0.1" } = {}) {
+  const req = Readable.from(body ? [body] : []);
+  Object.assign(req, { method, url: EMULATOR_PATH, headers, socket: { remoteAddress } });
+
+  return new Promise((resolve) => {
+    let status;
+    const res = {
+      writeHead(code) {
+        status = code;
+      },
+      end(text) {
+        resolve({ status, body: JSON.parse(text) });
+      },
+    };
+    handle(req, res);
+  });
+}
+
+/**
+ * Call an action with a JSON POST body, as the app sends writes
+ * @param {Object} params
+ * @returns {Promise<Object>}
+ */
+async function call(params, from) {
+  return (await send(JSON.stringify(params), "POST", from)).body;
+}
+
+async function login(username, password) {
+  return (await call({ action: "login", username, password })).token;
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "apps-script-emulator-"));
+  handle = createEmulator({ file: path.join(dir, "leads.json"), adminPassword: ADMIN_PASSWORD });
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("dispatch", () => {
+  it("answers unknown actions with an error", async () => {
+    expect(await call({ action: "dropTable" })).toEqual({ error: "Unknown action: dropTable" });
+  });
+
+  it("reads form-encoded bodies", async () => {
+    const { body } = await send(`action=login&username=admin&password=${ADMIN_PASSWORD}`);
+    expect(body).toMatchObject({ success: true, user: { username: "admin", role: "admin" } });
+  });
+
+  it("answers a malformed JSON body with a 400", async () => {
+    const { status, body } = await send('{"action": "login",');
+    expect(status).toBe(400);
+    expect(body).toMatchObject({ success: false });
+  });
+
+  it("adds a lead once per clientId", async () => {
+    const token = await login("admin", ADMIN_PASSWORD);
+    const first = await call({ action: "addLead", token, name: "Priya", clientId: "c-1" });
+    const second = await call({ action: "addLead", token, name: "Priya", clientId: "c-1" });
+
+    expect(second.id).toBe(first.id);
+    expect(await call({ action: "getLeads", token })).toHaveLength(1);
+  });
+
+  it("gives every lead of addLeads its own result", async () => {
+    const token = await login("admin", ADMIN_PASSWORD);
+    const { results } = await call({ action: "addLeads", token, leads: [{ name: "A" }, { name: "B" }] });
+
+    expect(results).toEqual([
+      expect.objectContaining({ success: true }),
+      expect.objectContaining({ success: true }),
+    ]);
+  });
+});
+
+describe("getLeadsPage", () => {
+  it("answers one sorted page and every project", async () => {
+    const token = await login("admin", ADMIN_PASSWORD);
+    await call({
+      action: "addLeads",
+      token,
+      leads: [
+        { name: "Cara", project: "Skyline" },
+        { name: "Anil", project: "Harbour" },
+        { name: "Bela", project: "Skyline" },
+      ],
+    });
+
+    const page = await call({ action: "getLeadsPage", token, sort: "name", pageSize: 2, page: 2 });
+    expect(page).toMatchObject({ total: 3, page: 2, pageSize: 2, projects: ["Harbour", "Skyline"] });
+    expect(page.leads.map((row) => row.name)).toEqual(["Cara"]);
+  });
+});
+
+describe("public phone masking", () => {
+  it("knows the app's calling codes, longest first", () => {
+    const appCodes = Object.values(PHONE_COUNTRIES).map((country) => country.callingCode);
+
+    expect([...CALLING_CODES].sort()).toEqual([...appCodes].sort());
+    expect(CALLING_CODES.map((code) => code.length)).toEqual(
+      [...CALLING_CODES].map((code) => code.length).sort((a, b) => b - a)
+    );
+  });
+});
+
+describe("authentication", () => {
+  it("refuses private actions without a token", async () => {
+    expect(await call({ action: "getLeads" })).toMatchObject({ unauthorized: true });
+  });
+
+  it("refuses forged tokens", async () => {
+    const token = await login("admin", ADMIN_PASSWORD);
+    const [body] = token.split(".");
+    expect(await call({ action: "getLeads", token: `${body}.forged` })).toMatchObject({ unauthorized: true });
+  });
+
+  it("refuses an enquiry challenge as a session token", async () => {
+    const { challenge } = await call({ action: "getEnquiryChallenge" });
+    expect(await call({ action: "getLeads", token: challenge })).toMatchObject({ unauthorized: true });
+  });
+
+  it("refuses a wrong password", async () => {
+    expect(await call({ action: "login", username: "admin", password: "wrong" })).toEqual({
+      error: "Invalid username or password",
+    });
+  });
+
+  it("answers public actions without a token", async () => {
+    expect(await call({ action: "getPublicSettings" })).toHaveProperty("settings");
+  });
+});
+
+describe("roles", () => {
+  let adminToken;
+  let agentToken;
+  let ownLead;
+  let otherLead;
+
+  beforeEach(async () => {
+    adminToken = await login("admin", ADMIN_PASSWORD);
+    const { user: agent } = await call({
+      action: "addUser",
+      token: adminToken,
+      name: "Asha",
+      username: "asha",
+      password: "agent-password",
+      role: "agent",
+    });
+    agentToken = await login("asha", "agent-password");
+    ownLead = await call({ action: "addLead", token: adminToken, name: "Own", assignedTo: agent.id });
+    otherLead = await call({ action: "addLead", token: adminToken, name: "Other", assignedTo: "" });
+  });
+
+  it("keeps admin actions to admins", async () => {
+    for (const action of ["addUser", "updateUser", "mergeLeads", "backfillIds", "getSettings", "getQuarantine"]) {
+      expect(await call({ action, token: agentToken })).toMatchObject({ forbidden: true });
+    }
+  });
+
+  it("only lists an agent's own leads", async () => {
+    const names = (rows) => rows.map((row) => row.name);
+
+    expect(names(await call({ action: "getLeads", token: agentToken }))).toEqual(["Own"]);
+    expect(names((await call({ action: "getLeadsSince", token: agentToken })).leads)).toEqual(["Own"]);
+    expect(names((await call({ action: "getLeadsPage", token: agentToken })).leads)).toEqual(["Own"]);
+    expect(names(await call({ action: "getLeads", token: adminToken }))).toEqual(["Own", "Other"]);
+  });
+
+  it("refuses agents' writes and activity calls on other agents' leads", async () => {
+    const refused = { error: `Lead not assigned to you: ${otherLead.id}` };
+
+    expect(await call({ action: "updateLead", token: agentToken, id: otherLead.id, name: "X" })).toEqual(refused);
+    expect(await call({ action: "deleteLead", token: agentToken, id: otherLead.id })).toEqual(refused);
+    expect(await call({ action: "getActivities", token: agentToken, leadId: otherLead.id })).toEqual(refused);
+    expect(
+      await call({ action: "addActivity", token: agentToken, leadId: otherLead.id, type: "note", text: "Hi" })
+    ).toEqual(refused);
+    expect(await call({ action: "getLeads", token: adminToken })).toHaveLength(2);
+  });
+
+  it("lets agents work on their own leads", async () => {
+    expect(await call({ action: "updateLead", token: agentToken, id: ownLead.id, status: "contacted" })).toEqual({
+      success: true,
+    });
+    expect(await call({ action: "deleteLead", token: agentToken, id: ownLead.id })).toEqual({ success: true });
+  });
+
+  it("sends a lead reassigned away from an agent as deleted", async () => {
+    const { lineage, revision } = await call({ action: "getLeadsSince", token: agentToken });
+    await call({ action: "updateLead", token: adminToken, id: ownLead.id, assignedTo: "" });
+
+    const changes = await call({ action: "getLeadsSince", token: agentToken, since: revision, lineage });
+    expect(changes).toMatchObject({ full: false, leads: [], deleted: [ownLead.id] });
+  });
+});
+
+describe("enquiry screening", () => {
+  const PROXY = "10.0.0.1";
+  let now;
+  let adminToken;
+
+  beforeEach(async () => {
+    handle = createEmulator({
+      file: path.join(dir, "leads.json"),
+      adminPassword: ADMIN_PASSWORD,
+      enquiryDifficulty: 4,
+      trustedProxies: PROXY,
+    });
+    now = Date.now();
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+    adminToken = await login("admin", ADMIN_PASSWORD);
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  /**
+   * Fetch a challenge and solve it like the enquiry form does
+   * @param {Object} [from] - See send
+   * @returns {Promise<{challenge: string, solution: string}>}
+   */
+  async function solvedChallenge(from) {
+    const { challenge, difficulty } = await call({ action: "getEnquiryChallenge" }, from);
+    let solution = 0;
+    while (leadingZeroBits(crypto.createHash("sha256").update(`${challenge}:${solution}`).digest()) < difficulty) {
+      solution++;
+    }
+    return { challenge, solution: String(solution) };
+  }
+
+  /**
+   * Submit an enquiry a few seconds after loading the form, like a visitor would
+   * @param {Object} [changes] - Params to send instead of the genuine ones
+   * @param {Object} [from] - See send
+   */
+  async function submit(changes = {}, from) {
+    const solved = await solvedChallenge(from);
+    now += 5000;
+    const enquiry = { name: "Priya", phone: "9876543210", project: "Skyline", consent: "true" };
+    return call({ action: "submitEnquiry", ...enquiry, ...solved, ...changes }, from);
+  }
+
+  const reasons = async () =>
+    (await call({ action: "getQuarantine", token: adminToken })).quarantine.map((row) => row.reason).sort();
+  const leadCount = async () => (await call({ action: "getLeads", token: adminToken })).length;
+
+  it("turns a genuine enquiry into a lead", async () => {
+    expect(await submit()).toEqual({ success: true });
+    expect(await leadCount()).toBe(1);
+    expect(await reasons()).toEqual([]);
+  });
+
+  it("quarantines honeypots, bad or replayed challenges and fast submissions", async () => {
+    await submit({ website: "http://spam.test" });
+    await submit({ solution: undefined });
+    await submit({ challenge: "forged.challenge" });
+
+    const replayed = await solvedChallenge();
+    await submit(replayed);
+    await submit({ ...replayed, phone: "9000000000" });
+
+    const fast = await solvedChallenge();
+    await call({
+      action: "submitEnquiry",
+      name: "Bot",
+      phone: "9000000001",
+      project: "Skyline",
+      consent: "true",
+      ...fast,
+    });
+
+    expect(await reasons()).toEqual(["challenge", "challenge", "challenge", "honeypot", "too-fast"]);
+    expect(await leadCount()).toBe(1);
+  });
+
+  it("limits enquiries per phone number, counting only those that pass the challenge", async () => {
+    for (let i = 0; i < 5; i++) await submit({ solution: undefined }, { remoteAddress: `192.0.2.${i}` });
+    for (let i = 0; i < 4; i++) await submit({}, { remoteAddress: `198.51.100.${i}` });
+
+    expect(await leadCount()).toBe(3);
+    expect((await reasons()).filter((reason) => reason !== "challenge")).toEqual(["phone-rate-limit"]);
+  });
+
+  it("limits enquiries per IP", async () => {
+    for (let i = 0; i < 6; i++) await submit({ phone: `98765432${10 + i}` });
+
+    expect(await leadCount()).toBe(5);
+    expect(await reasons()).toEqual(["ip-rate-limit"]);
+  });
+
+  it("only believes X-Forwarded-For from a trusted proxy", async () => {
+    const spoofed = (i) => ({ headers: { "x-forwarded-for": `203.0.113.${i}` }, remoteAddress: "192.0.2.1" });
+    for (let i = 0; i < 6; i++) await submit({ phone: `98765432${10 + i}` }, spoofed(i));
+    expect(await reasons()).toEqual(["ip-rate-limit"]);
+
+    const proxied = (i) => ({ headers: { "x-forwarded-for": `203.0.113.${i}, ${PROXY}` }, remoteAddress: PROXY });
+    for (let i = 0; i < 6; i++) await submit({ phone: `98765433${10 + i}` }, proxied(i));
+    expect(await reasons()).toEqual(["ip-rate-limit"]);
+  });
+
+  it("stops keeping flood hits once the quarantine is half full, and everything once it's full", async () => {
+    const quarantineFile = path.join(dir, "leads-quarantine.json");
+    const fill = (count) =>
+      fs.writeFileSync(quarantineFile, JSON.stringify(Array.from({ length: count }, (_, i) => ({ id: `q-${i}` }))));
+
+    fill(250);
+    await submit({ website: "http://spam.test" });
+    await submit({ solution: undefined });
+    expect(await reasons()).toHaveLength(251);
+
+    fill(500);
+    await submit({ solution: undefined });
+    expect(await reasons()).toHaveLength(500);
+  });
+});
@@ -0,0 +1,130 @@
+// revisions.js
+// Revision stamps and deletion tombstones behind the getLeadsSince delta contract
+
+const crypto = require("crypto");
+
+// Deletions remembered for clients catching up; anyone further behind gets a full resync
+const MAX_TOMBSTONES = 1000;
+
+/**
+ * Compare two rows ignoring their revision stamp (CSV tabs read every cell back as text)
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function sameContent(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  keys.delete("revision");
+  for (const key of keys) {
+    if (String(a[key] ?? "") !== String(b[key] ?? "")) return false;
+  }
+  return true;
+}
+
+/**
+ * Wrap the leads sheet store so every write stamps the rows it changed with the next
+ * revision and leaves a tombstone for every row it removed
+ * The sync tab holds one row, { lineage, revision, prunedThrough }. A missing or replaced
+ * sync tab starts a new lineage, telling clients their revisions mean nothing here anymore.
+ * @param {Object} store - Leads sheet store
+ * @param {Object} syncStore - One-row sync tab
+ * @param {Object} deletionsStore - Tombstones: { id, revision }
+ * @returns {{read: function(): Object[], write: function(Object[]): void, changesSince: function(*, *): Object}}
+ */
+function createRevisionedStore(store, syncStore, deletionsStore) {
+  function readMeta() {
+    const [meta] = syncStore.read();
+    if (meta && meta.lineage) {
+      return {
+        lineage: String(meta.lineage),
+        revision: Number(meta.revision) || 0,
+        prunedThrough: Number(meta.prunedThrough) || 0,
+      };
+    }
+    const fresh = { lineage: crypto.randomUUID(), revision: 0, prunedThrough: 0 };
+    syncStore.write([fresh]);
+    deletionsStore.write([]);
+    return fresh;
+  }
+
+  function read() {
+    return store.read();
+  }
+
+  function write(rows) {
+    const meta = readMeta();
+    const before = new Map(store.read().filter((row) => row.id).map((row) => [String(row.id), row]));
+    let revision = meta.revision;
+
+    const stamped = rows.map((row) => {
+      const previous = row.id ? before.get(String(row.id)) : undefined;
+      if (row.id) before.delete(String(row.id));
+      if (previous && row.revision && sameContent(previous, row)) return row;
+      revision += 1;
+      return { ...row, revision };
+    });
+
+    // Whatever had an id and is gone now was deleted
+    let tombstones = deletionsStore.read();
+    for (const id of before.keys()) {
+      revision += 1;
+      tombstones.push({ id, revision });
+    }
+    let prunedThrough = meta.prunedThrough;
+    if (tombstones.length > MAX_TOMBSTONES) {
+      const pruned = tombstones.slice(0, tombstones.length - MAX_TOMBSTONES);
+      prunedThrough = Number(pruned[pruned.length - 1].revision);
+      tombstones = tombstones.slice(-MAX_TOMBSTONES);
+    }
+
+    store.write(stamped);
+    if (before.size > 0) deletionsStore.write(tombstones);
+    syncStore.write([{ lineage: meta.lineage, revision, prunedThrough }]);
+  }
+
+  /**
+   * Rows changed and ids deleted after revision `since` of `lineage`
+   * Answers with every row ({ full: true }) when the client can't catch up from where it is:
+   * another lineage, a revision from before the oldest tombstone or after the newest
+   * revision, or rows without an id that a delta couldn't address
+   * @param {*} since - The revision the client last saw
+   * @param {*} lineage - The lineage that revision belongs to
+   * @returns {{full: boolean, lineage: string, revision: number, leads: Object[], deleted: string[]}}
+   */
+  function changesSince(since, lineage) {
+    // Rows added by hand (or from before revisions) get stamped on first sight
+    if (store.read().some((row) => !row.revision)) write(store.read());
+
+    const meta = readMeta();
+    const rows = store.read();
+    const after = Number(since);
+    const full =
+      lineage !== meta.lineage ||
+      since === undefined ||
+      since === "" ||
+      !Number.isFinite(after) ||
+      after < meta.prunedThrough ||
+      after > meta.revision ||
+      rows.some((row) => !row.id);
+
+    if (full) {
+      return { full: true, lineage: meta.lineage, revision: meta.revision, leads: rows, deleted: [] };
+    }
+
+    const present = new Set(rows.map((row) => String(row.id)));
+    return {
+      full: false,
+      lineage: meta.lineage,
+      revision: meta.revision,
+      leads: rows.filter((row) => Number(row.revision) > after),
+      deleted: deletionsStore
+        .read()
+        .filter((tombstone) => Number(tombstone.revision) > after && !present.has(String(tombstone.id)))
+        .map((tombstone) => String(tombstone.id)),
+    };
+  }
+
+  return { read, write, changesSince };
+}
+
+module.exports = { createRevisionedStore };
@@ -0,0 +1,154 @@
+/**
+ * @jest-environment node
+ */
+// revisions.test.js
+// The getLeadsSince contract: revision stamps, tombstones, lineages and when to start over
+
+const { createRevisionedStore } = require("./revisions");
+
+/**
+ * A sheet store kept in memory; reads hand out copies like the file-backed one
+ * @param {Object[]} [initial]
+ * @returns {{read: function(): Object[], write: function(Object[]): void}}
+ */
+function memoryStore(initial = []) {
+  let rows = initial.map((row) => ({ ...row }));
+  return {
+    read: () => rows.map((row) => ({ ...row })),
+    write: (next) => {
+      rows = next.map((row) => ({ ...row }));
+    },
+  };
+}
+
+function setup(initialLeads = []) {
+  const leads = memoryStore(initialLeads);
+  const sync = memoryStore();
+  const deletions = memoryStore();
+  return { leads, sync, deletions, store: createRevisionedStore(leads, sync, deletions) };
+}
+
+describe("createRevisionedStore", () => {
+  it("stamps every changed row with the next revision", () => {
+    const { store } = setup();
+    store.write([{ id: "a", name: "A" }]);
+    store.write([...store.read(), { id: "b", name: "B" }]);
+
+    expect(store.read().map((row) => [row.id, row.revision])).toEqual([
+      ["a", 1],
+      ["b", 2],
+    ]);
+  });
+
+  it("answers only the rows changed after the cursor", () => {
+    const { store } = setup();
+    store.write([{ id: "a", name: "A" }, { id: "b", name: "B" }]);
+    const { lineage, revision } = store.changesSince();
+
+    store.write(store.read().map((row) => (row.id === "b" ? { ...row, name: "Bee" } : row)));
+
+    expect(store.changesSince(revision, lineage)).toMatchObject({
+      full: false,
+      lineage,
+      revision: revision + 1,
+      leads: [{ id: "b", name: "Bee" }],
+      deleted: [],
+    });
+  });
+
+  it("keeps the revision of rows written back unchanged", () => {
+    const { store } = setup();
+    store.write([{ id: "a", name: "A" }]);
+    store.write(store.read());
+
+    expect(store.read()[0].revision).toBe(1);
+  });
+
+  it("leaves a tombstone for every deleted row", () => {
+    const { store } = setup();
+    store.write([{ id: "a" }, { id: "b" }]);
+    const { lineage, revision } = store.changesSince();
+
+    store.write(store.read().filter((row) => row.id !== "a"));
+
+    expect(store.changesSince(revision, lineage)).toMatchObject({ full: false, leads: [], deleted: ["a"] });
+  });
+
+  it("doesn't report a deleted id that has come back", () => {
+    const { store } = setup();
+    store.write([{ id: "a" }]);
+    const { lineage, revision } = store.changesSince();
+
+    store.write([]);
+    store.write([{ id: "a", name: "Back" }]);
+
+    const changes = store.changesSince(revision, lineage);
+    expect(changes.deleted).toEqual([]);
+    expect(changes.leads).toEqual([expect.objectContaining({ id: "a", name: "Back" })]);
+  });
+
+  it("answers in full without a cursor", () => {
+    const { store } = setup([{ id: "a" }]);
+
+    expect(store.changesSince()).toMatchObject({ full: true, leads: [expect.objectContaining({ id: "a" })] });
+  });
+
+  it("answers in full for a cursor from another lineage", () => {
+    const { store } = setup([{ id: "a" }]);
+    const { revision } = store.changesSince();
+
+    expect(store.changesSince(revision, "some-other-sheet").full).toBe(true);
+  });
+
+  it("starts a new lineage when the sync tab is replaced", () => {
+    const { store, sync } = setup([{ id: "a" }]);
+    const before = store.changesSince();
+
+    sync.write([]);
+    const after = store.changesSince(before.revision, before.lineage);
+
+    expect(after.full).toBe(true);
+    expect(after.lineage).not.toBe(before.lineage);
+  });
+
+  it("answers in full for a cursor ahead of the sheet", () => {
+    const { store } = setup([{ id: "a" }]);
+    const { lineage, revision } = store.changesSince();
+
+    expect(store.changesSince(revision + 1, lineage).full).toBe(true);
+    expect(store.changesSince("not-a-revision", lineage).full).toBe(true);
+  });
+
+  it("answers in full for a cursor from before the pruned tombstones", () => {
+    const { store } = setup();
+    store.write(Array.from({ length: 1005 }, (_, i) => ({ id: `lead-${i}` })));
+    const { lineage, revision } = store.changesSince();
+
+    store.write([]);
+
+    expect(store.changesSince(revision, lineage).full).toBe(true);
+  });
+
+  it("stamps rows added straight to the sheet on first sight", () => {
+    const { store, leads } = setup();
+    store.write([{ id: "a" }]);
+    const { lineage, revision } = store.changesSince();
+
+    leads.write([...leads.read(), { id: "b" }]);
+
+    expect(store.changesSince(revision, lineage)).toMatchObject({
+      full: false,
+      leads: [{ id: "b", revision: revision + 1 }],
+    });
+  });
+
+  it("answers in full while a row has no id", () => {
+    const { store, leads } = setup();
+    store.write([{ id: "a" }]);
+    const { lineage, revision } = store.changesSince();
+
+    leads.write([...leads.read(), { name: "No id" }]);
+
+    expect(store.changesSince(revision, lineage).full).toBe(true);
+  });
+});
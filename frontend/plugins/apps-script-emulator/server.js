@@ -0,0 +1,52 @@
+// server.js
+// Run the Apps Script emulator on its own:
+//   node plugins/apps-script-emulator/server.js --port 4000 --file data/leads.csv --envelope data --iso-times
+
+const http = require("http");
+const { createEmulator, optionsFromEnv, EMULATOR_PATH } = require("./emulator");
+
+/**
+ * Parse --flag value / --flag pairs into an options object
+ * @param {string[]} argv
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) continue;
+    const key = argv[i].slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Start a standalone emulator server
+ * @param {Object} [options] - createEmulator options plus port
+ * @returns {http.Server}
+ */
+function startServer(options = {}) {
+  const port = Number(options.port) || 4000;
+  const server = http.createServer(createEmulator(options));
+
+  server.listen(port, () => {
+    console.log(`[Apps Script Emulator] ✓ Listening on http://localhost:${port}${EMULATOR_PATH}`);
+  });
+
+  return server;
+}
+
+if (require.main === module) {
+  const fromEnv = Object.fromEntries(
+    Object.entries(optionsFromEnv()).filter(([, value]) => value !== undefined && value !== false)
+  );
+  startServer({ ...fromEnv, ...parseArgs(process.argv.slice(2)) });
+}
+
+module.exports = startServer;
@@ -0,0 +1,121 @@
+// sheet-store.js
+// File-backed stand-in for the Google Sheet (JSON or CSV, picked by extension)
+
+const fs = require("fs");
+const path = require("path");
+
+// ====================================================================
+// CSV helpers
+// ====================================================================
+
+/**
+ * Parse CSV text into an array of row arrays (RFC 4180 quoting)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell !== ""));
+}
+
+/**
+ * Serialize a single CSV cell, quoting when needed
+ * @param {*} value
+ * @returns {string}
+ */
+function toCsvCell(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ====================================================================
+// Store
+// ====================================================================
+
+/**
+ * Create a store that keeps sheet rows (plain objects) in a file
+ * @param {string} file - Path to a .json or .csv file (created if missing)
+ * @returns {{read: function(): Object[], write: function(Object[]): void}}
+ */
+function createSheetStore(file) {
+  const isCsv = path.extname(file).toLowerCase() === ".csv";
+
+  function read() {
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+
+    const text = fs.readFileSync(file, "utf8");
+    if (!text.trim()) {
+      return [];
+    }
+
+    if (!isCsv) {
+      const data = JSON.parse(text);
+      return Array.isArray(data) ? data : [];
+    }
+
+    const [header, ...rows] = parseCsv(text);
+    return rows.map((cells) =>
+      Object.fromEntries(header.map((column, i) => [column, cells[i] ?? ""]))
+    );
+  }
+
+  function write(rows) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    if (!isCsv) {
+      fs.writeFileSync(file, JSON.stringify(rows, null, 2) + "\n");
+      return;
+    }
+
+    // Header is the union of every row's keys, in first-seen order
+    const header = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    const lines = [
+      header.map(toCsvCell).join(","),
+      ...rows.map((row) => header.map((column) => toCsvCell(row[column])).join(",")),
+    ];
+    fs.writeFileSync(file, lines.join("\n") + "\n");
+  }
+
+  return { read, write };
+}
+
+module.exports = createSheetStore;
@@ -0,0 +1,141 @@
+// spam-guard.js
+// Proof-of-work challenges and rate limits for the public enquiry form
+
+const crypto = require("crypto");
+const { deriveKey } = require("./auth");
+
+const DEFAULT_DIFFICULTY = 16; // leading zero bits, ~65k hashes to solve
+const CHALLENGE_TTL = 60 * 60 * 1000; // ms a challenge stays solvable
+
+// ====================================================================
+// Proof of work - <base64url JSON {typ, nonce, iat, difficulty}>.<base64url HMAC-SHA256>
+// Solved by finding a solution where SHA-256("<challenge>:<solution>") starts
+// with `difficulty` zero bits
+// ====================================================================
+
+/**
+ * Count the zero bits a digest starts with
+ * @param {Buffer} digest
+ * @returns {number}
+ */
+function leadingZeroBits(digest) {
+  let bits = 0;
+  for (const byte of digest) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+/**
+ * Create an issuer whose challenges only it can verify
+ * @param {Object} [options]
+ * @param {string} [options.secret] - HMAC key; random per process when omitted
+ * @param {number} [options.difficulty] - Leading zero bits a solution needs
+ */
+function createChallengeIssuer(options = {}) {
+  const key = deriveKey(options.secret || crypto.randomBytes(32).toString("hex"), "challenge");
+  const difficulty = Number(options.difficulty) || DEFAULT_DIFFICULTY;
+  // Nonces already redeemed, so one solution can't be replayed; pruned as they expire
+  const redeemed = new Map();
+
+  function signature(body) {
+    return crypto.createHmac("sha256", key).update(body).digest("base64url");
+  }
+
+  function pruneRedeemed(now) {
+    for (const [nonce, iat] of redeemed) {
+      if (now - iat > CHALLENGE_TTL) redeemed.delete(nonce);
+    }
+  }
+
+  /**
+   * @returns {{challenge: string, difficulty: number}}
+   */
+  function issue() {
+    const claims = { typ: "challenge", nonce: crypto.randomBytes(12).toString("base64url"), iat: Date.now(), difficulty };
+    const body = Buffer.from(JSON.stringify(claims)).toString("base64url");
+    return { challenge: `${body}.${signature(body)}`, difficulty };
+  }
+
+  /**
+   * Check and redeem a solved challenge
+   * @param {string} challenge
+   * @param {string} solution
+   * @returns {Object|null} The challenge claims (iat is when the form was loaded), or null when invalid
+   */
+  function redeem(challenge, solution) {
+    const [body, sig] = String(challenge || "").split(".");
+    if (!body || !sig || solution === undefined) return null;
+
+    const expected = Buffer.from(signature(body));
+    const actual = Buffer.from(sig);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    } catch (error) {
+      return null;
+    }
+    if (
+      !claims ||
+      claims.typ !== "challenge" ||
+      typeof claims.nonce !== "string" ||
+      !Number.isFinite(claims.iat) ||
+      !Number.isFinite(claims.difficulty)
+    ) {
+      return null;
+    }
+
+    const now = Date.now();
+    pruneRedeemed(now);
+    if (now - claims.iat > CHALLENGE_TTL || redeemed.has(claims.nonce)) return null;
+
+    const digest = crypto.createHash("sha256").update(`${challenge}:${solution}`).digest();
+    if (leadingZeroBits(digest) < claims.difficulty) return null;
+
+    redeemed.set(claims.nonce, claims.iat);
+    return claims;
+  }
+
+  return { issue, redeem };
+}
+
+// ====================================================================
+// Rate limits - sliding windows kept in memory, reset when the process restarts
+// ====================================================================
+
+/**
+ * @param {Object} options
+ * @param {number} options.limit - Hits allowed per key within the window
+ * @param {number} options.windowMs
+ */
+function createRateLimiter({ limit, windowMs }) {
+  const hits = new Map();
+
+  /**
+   * Record a hit for the key
+   * @param {string} key
+   * @returns {boolean} false once the key is over its limit
+   */
+  function hit(key) {
+    const now = Date.now();
+    const recent = (hits.get(key) || []).filter((time) => now - time < windowMs);
+    recent.push(now);
+    // The newest limit + 1 hits are enough to tell, so a flood can't grow the list
+    hits.set(key, recent.slice(-(limit + 1)));
+    return recent.length <= limit;
+  }
+
+  return { hit };
+}
+
+module.exports = {
+  createChallengeIssuer,
+  createRateLimiter,
+  leadingZeroBits,
+};
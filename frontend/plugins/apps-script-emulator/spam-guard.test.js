@@ -0,0 +1,118 @@
+/**
+ * @jest-environment node
+ */
+// spam-guard.test.js
+// Enquiry challenges (solving, replay, expiry, forgery) and the sliding-window rate limits
+
+const crypto = require("crypto");
+const { createChallengeIssuer, createRateLimiter, leadingZeroBits } = require("./spam-guard");
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Find a solution the way the enquiry form does
+ * @param {string} challenge
+ * @param {number} difficulty
+ * @returns {string}
+ */
+function solve(challenge, difficulty) {
+  for (let solution = 0; ; solution++) {
+    const digest = crypto.createHash("sha256").update(`${challenge}:${solution}`).digest();
+    if (leadingZeroBits(digest) >= difficulty) return String(solution);
+  }
+}
+
+let now;
+
+beforeEach(() => {
+  now = Date.parse("2025-01-05T09:00:00Z");
+  jest.spyOn(Date, "now").mockImplementation(() => now);
+});
+
+afterEach(() => {
+  Date.now.mockRestore();
+});
+
+describe("leadingZeroBits", () => {
+  it("counts whole zero bytes and the zero bits of the first set byte", () => {
+    expect(leadingZeroBits(Buffer.from([0, 0, 0x10, 0xff]))).toBe(19);
+    expect(leadingZeroBits(Buffer.from([0x80]))).toBe(0);
+    expect(leadingZeroBits(Buffer.from([0, 0]))).toBe(16);
+  });
+});
+
+describe("createChallengeIssuer", () => {
+  const issuer = () => createChallengeIssuer({ secret: "secret", difficulty: 4 });
+
+  it("redeems a solved challenge with its claims", () => {
+    const challenges = issuer();
+    const { challenge, difficulty } = challenges.issue();
+
+    expect(difficulty).toBe(4);
+    expect(challenges.redeem(challenge, solve(challenge, difficulty))).toMatchObject({
+      typ: "challenge",
+      iat: now,
+      difficulty: 4,
+    });
+  });
+
+  it("refuses a solution that is replayed", () => {
+    const challenges = issuer();
+    const { challenge, difficulty } = challenges.issue();
+    const solution = solve(challenge, difficulty);
+
+    expect(challenges.redeem(challenge, solution)).not.toBeNull();
+    expect(challenges.redeem(challenge, solution)).toBeNull();
+  });
+
+  it("refuses a challenge solved after it expired", () => {
+    const challenges = issuer();
+    const { challenge, difficulty } = challenges.issue();
+
+    now += HOUR + 1;
+    expect(challenges.redeem(challenge, solve(challenge, difficulty))).toBeNull();
+  });
+
+  it("refuses a missing or unsolved solution", () => {
+    const challenges = createChallengeIssuer({ secret: "secret", difficulty: 30 });
+    const { challenge } = challenges.issue();
+
+    expect(challenges.redeem(challenge, undefined)).toBeNull();
+    expect(challenges.redeem(challenge, "0")).toBeNull();
+  });
+
+  it("refuses challenges it didn't issue or that were edited", () => {
+    const { challenge, difficulty } = createChallengeIssuer({ secret: "other", difficulty: 4 }).issue();
+    expect(issuer().redeem(challenge, solve(challenge, difficulty))).toBeNull();
+
+    const challenges = issuer();
+    const [, sig] = challenges.issue().challenge.split(".");
+    const easier = Buffer.from(JSON.stringify({ typ: "challenge", nonce: "n", iat: now, difficulty: 0 })).toString(
+      "base64url"
+    );
+    expect(challenges.redeem(`${easier}.${sig}`, "0")).toBeNull();
+  });
+});
+
+describe("createRateLimiter", () => {
+  it("allows the limit within the window and refuses the rest", () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: HOUR });
+
+    expect([limiter.hit("a"), limiter.hit("a"), limiter.hit("a")]).toEqual([true, true, false]);
+    expect(limiter.hit("b")).toBe(true);
+  });
+
+  it("lets hits through again as older ones slide out of the window", () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: HOUR });
+    limiter.hit("a");
+    now += HOUR / 2;
+    limiter.hit("a");
+    expect(limiter.hit("a")).toBe(false);
+
+    now += HOUR / 2;
+    expect(limiter.hit("a")).toBe(false);
+
+    now += HOUR;
+    expect(limiter.hit("a")).toBe(true);
+  });
+});
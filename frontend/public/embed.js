@@ -0,0 +1,33 @@
+/*
+ * Propz enquiry form embed
+ *
+ *   <script src="https://<crm-host>/embed.js" data-project="Skyline Towers" async></script>
+ *
+ * Inserts the project's enquiry form as an iframe right after this script tag
+ * and resizes it to fit whenever the form reports a new height.
+ */
+(function () {
+  var script = document.currentScript;
+  if (!script) return;
+
+  var project = (script.getAttribute('data-project') || '').trim();
+  if (!project) {
+    console.error('Propz embed: data-project is required');
+    return;
+  }
+
+  var origin = new URL(script.src).origin;
+  var iframe = document.createElement('iframe');
+  iframe.src = origin + '/enquire/' + encodeURIComponent(project) + '?embed=1';
+  iframe.title = 'Enquire about ' + project;
+  iframe.loading = 'lazy';
+  iframe.style.cssText = 'display:block;width:100%;max-width:480px;height:640px;border:0';
+  script.parentNode.insertBefore(iframe, script.nextSibling);
+
+  window.addEventListener('message', function (event) {
+    var data = event.data;
+    if (event.origin !== origin || event.source !== iframe.contentWindow) return;
+    if (!data || data.type !== 'propz-enquiry-height' || !data.height) return;
+    iframe.style.height = data.height + 'px';
+  });
+})();
@@ -4,15 +4,27 @@ import { Toaster } from "@/components/ui/sonner";
 import PublicLeadsPage from "@/pages/PublicLeadsPage";
 import AdminLoginPage from "@/pages/AdminLoginPage";
 import AdminDashboard from "@/pages/AdminDashboard";
+import PipelinePage from "@/pages/PipelinePage";
+import TeamPage from "@/pages/TeamPage";
+import SettingsPage from "@/pages/SettingsPage";
+import QuarantinePage from "@/pages/QuarantinePage";
+import DuplicatesPage from "@/pages/DuplicatesPage";
+import EnquiryPage from "@/pages/EnquiryPage";
 import { AuthProvider, useAuth } from "@/context/AuthContext";
+import { isAuthTokenValid } from "@/services/authToken";
 
 // Protected Route Component
-const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated } = useAuth();
+// Needs an unexpired session token; allowedRoles limits the route to some roles
+const ProtectedRoute = ({ children, allowedRoles }) => {
+  const { token, user } = useAuth();
   
-  if (!isAuthenticated) {
+  if (!isAuthTokenValid(token)) {
     return <Navigate to="/admin/login" replace />;
   }
+
+  if (allowedRoles && !allowedRoles.includes(user.role)) {
+    return <Navigate to="/admin/dashboard" replace />;
+  }
   
   return children;
 };
@@ -25,6 +37,7 @@ function App() {
         <BrowserRouter>
           <Routes>
             <Route path="/" element={<PublicLeadsPage />} />
+            <Route path="/enquire/:project" element={<EnquiryPage />} />
             <Route path="/admin/login" element={<AdminLoginPage />} />
             <Route
               path="/admin/dashboard"
@@ -34,6 +47,46 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/admin/pipeline"
+              element={
+                <ProtectedRoute>
+                  <PipelinePage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/team"
+              element={
+                <ProtectedRoute allowedRoles={["admin"]}>
+                  <TeamPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/duplicates"
+              element={
+                <ProtectedRoute allowedRoles={["admin"]}>
+                  <DuplicatesPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/quarantine"
+              element={
+                <ProtectedRoute allowedRoles={["admin"]}>
+                  <QuarantinePage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/settings"
+              element={
+                <ProtectedRoute allowedRoles={["admin"]}>
+                  <SettingsPage />
+                </ProtectedRoute>
+              }
+            />
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
         </BrowserRouter>
@@ -0,0 +1,134 @@
+import { useState } from 'react';
+import { NavLink, useNavigate } from 'react-router-dom';
+import { LogOut, LayoutDashboard, KanbanSquare, Users, Copy, ShieldAlert, Settings } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { toast } from 'sonner';
+import { useAuth } from '@/context/AuthContext';
+import { countUnsentLeads } from '@/services/leadOutbox';
+import SignOutDialog from '@/components/admin/SignOutDialog';
+import { canManageUsers, canManageSettings, canReviewQuarantine, canMergeLeads, getRoleLabel } from '@/lib/roles';
+
+const NAV_ITEMS = [
+  { to: '/admin/dashboard', label: 'Dashboard', icon: LayoutDashboard, testId: 'nav-dashboard' },
+  { to: '/admin/pipeline', label: 'Pipeline', icon: KanbanSquare, testId: 'nav-pipeline' },
+  { to: '/admin/team', label: 'Team', icon: Users, testId: 'nav-team', isVisible: canManageUsers },
+  { to: '/admin/duplicates', label: 'Duplicates', icon: Copy, testId: 'nav-duplicates', isVisible: canMergeLeads },
+  { to: '/admin/quarantine', label: 'Quarantine', icon: ShieldAlert, testId: 'nav-quarantine', isVisible: canReviewQuarantine },
+  { to: '/admin/settings', label: 'Settings', icon: Settings, testId: 'nav-settings', isVisible: canManageSettings },
+];
+
+/**
+ * Shared admin chrome: sidebar navigation, mobile header and sign out
+ */
+const AdminLayout = ({ children, testId }) => {
+  const navigate = useNavigate();
+  const { user, logout } = useAuth();
+  const navItems = NAV_ITEMS.filter(item => !item.isVisible || item.isVisible(user));
+  const [unsentCount, setUnsentCount] = useState(0);
+
+  const signOut = () => {
+    setUnsentCount(0);
+    logout();
+    toast.success('Logged out successfully');
+    navigate('/admin/login');
+  };
+
+  // Signing out discards leads still queued on this device, so ask first when there are any
+  const handleLogout = async () => {
+    const unsent = user ? await countUnsentLeads(user.id) : 0;
+    if (unsent > 0) {
+      setUnsentCount(unsent);
+      return;
+    }
+    signOut();
+  };
+
+  return (
+    <div className="min-h-screen flex" data-testid={testId}>
+      {/* Sidebar */}
+      <aside className="hidden md:flex md:w-72 flex-col admin-sidebar text-primary-foreground">
+        <div className="p-6 border-b border-white/10">
+          <h1 className="font-heading text-2xl font-bold">Propz CRM</h1>
+          <p className="text-sm text-primary-foreground/70 font-body mt-1">Admin Dashboard</p>
+        </div>
+
+        <nav className="flex-1 p-4">
+          <div className="space-y-1">
+            {navItems.map(({ to, label, icon: Icon, testId: navTestId }) => (
+              <NavLink
+                key={to}
+                to={to}
+                className={({ isActive }) =>
+                  `w-full flex items-center gap-3 px-4 py-3 text-primary-foreground font-body text-sm ${isActive ? 'bg-white/10' : ''}`
+                }
+                data-testid={navTestId}
+              >
+                <Icon className="w-5 h-5" strokeWidth={1.5} />
+                {label}
+              </NavLink>
+            ))}
+          </div>
+        </nav>
+
+        <div className="p-4 border-t border-white/10">
+          {user && (
+            <div className="px-4 pb-3" data-testid="current-user">
+              <p className="font-body text-sm font-semibold truncate">{user.name}</p>
+              <p className="font-body text-xs uppercase tracking-widest text-primary-foreground/60">
+                {getRoleLabel(user.role)}
+              </p>
+            </div>
+          )}
+          <Button
+            variant="ghost"
+            onClick={handleLogout}
+            className="w-full justify-start text-primary-foreground hover:bg-white/10 hover:text-primary-foreground font-body"
+            data-testid="logout-btn"
+          >
+            <LogOut className="w-5 h-5 mr-3" strokeWidth={1.5} />
+            Sign Out
+          </Button>
+        </div>
+      </aside>
+
+      {/* Main Content */}
+      <main className="flex-1 bg-background overflow-auto">
+        {/* Mobile Header */}
+        <div className="md:hidden p-4 bg-primary text-primary-foreground flex items-center justify-between">
+          <h1 className="font-heading text-xl font-bold">Propz CRM</h1>
+          <div className="flex items-center gap-1">
+            {navItems.map(({ to, label, icon: Icon }) => (
+              <NavLink
+                key={to}
+                to={to}
+                aria-label={label}
+                className={({ isActive }) => `p-2 ${isActive ? 'bg-white/10' : ''}`}
+              >
+                <Icon className="w-5 h-5" strokeWidth={1.5} />
+              </NavLink>
+            ))}
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={handleLogout}
+              className="text-primary-foreground hover:bg-white/10"
+              data-testid="mobile-logout-btn"
+            >
+              <LogOut className="w-5 h-5" />
+            </Button>
+          </div>
+        </div>
+
+        {children}
+      </main>
+
+      <SignOutDialog
+        unsentCount={unsentCount}
+        onOpenChange={(open) => !open && setUnsentCount(0)}
+        onConfirm={signOut}
+      />
+    </div>
+  );
+};
+
+export default AdminLayout;
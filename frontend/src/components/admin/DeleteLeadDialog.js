@@ -0,0 +1,46 @@
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+
+/**
+ * Confirm before a lead is removed from the sheet
+ * Open whenever `lead` is set; closing clears it via onOpenChange
+ */
+const DeleteLeadDialog = ({ lead, onOpenChange, onConfirm }) => {
+  return (
+    <AlertDialog open={Boolean(lead)} onOpenChange={onOpenChange}>
+      <AlertDialogContent className="bg-card border-primary/20 rounded-none sm:rounded-none" data-testid="delete-lead-dialog">
+        <AlertDialogHeader>
+          <AlertDialogTitle className="font-heading text-xl text-foreground">
+            Delete this lead?
+          </AlertDialogTitle>
+          <AlertDialogDescription className="font-body">
+            {lead ? `${lead.name || 'This lead'}${lead.projectName ? ` (${lead.projectName})` : ''}` : ''} will be
+            permanently removed from the sheet. This cannot be undone.
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+        <AlertDialogFooter>
+          <AlertDialogCancel className="rounded-none border-primary/30 font-body" data-testid="cancel-delete-btn">
+            Cancel
+          </AlertDialogCancel>
+          <AlertDialogAction
+            onClick={() => onConfirm(lead)}
+            className="rounded-none bg-destructive text-destructive-foreground hover:bg-destructive/90 font-body"
+            data-testid="confirm-delete-btn"
+          >
+            Delete
+          </AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+};
+
+export default DeleteLeadDialog;
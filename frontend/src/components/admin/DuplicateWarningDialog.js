@@ -0,0 +1,64 @@
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import { formatDate } from '@/services/googleSheetsApi';
+import { formatPhone } from '@/lib/phone';
+import { DUPLICATE_REASON_LABELS } from '@/lib/duplicates';
+
+/**
+ * Warn that a lead about to be added looks like one already in the sheet
+ * Open whenever `pending` ({ lead, matches }) is set; closing clears it via onOpenChange
+ */
+const DuplicateWarningDialog = ({ pending, onOpenChange, onConfirm }) => {
+  const matches = pending ? pending.matches : [];
+
+  return (
+    <AlertDialog open={Boolean(pending)} onOpenChange={onOpenChange}>
+      <AlertDialogContent className="bg-card border-primary/20 rounded-none sm:rounded-none" data-testid="duplicate-warning-dialog">
+        <AlertDialogHeader>
+          <AlertDialogTitle className="font-heading text-xl text-foreground">
+            Possible duplicate
+          </AlertDialogTitle>
+          <AlertDialogDescription className="font-body">
+            {pending ? pending.lead.name : ''} looks like {matches.length === 1 ? 'a lead' : `${matches.length} leads`} you
+            already have. Admins can merge duplicates later from the Duplicates screen.
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+
+        <ul className="space-y-2 max-h-60 overflow-y-auto">
+          {matches.map(({ lead, reason }) => (
+            <li key={lead.id} className="border border-primary/10 p-3 font-body text-sm">
+              <p className="font-medium text-foreground">{lead.name || '-'}</p>
+              <p className="text-muted-foreground">
+                {[lead.projectName, formatPhone(lead.phoneNumber), formatDate(lead.date)].filter(Boolean).join(' · ')}
+              </p>
+              <p className="mt-1 text-xs uppercase tracking-widest text-primary/70">{DUPLICATE_REASON_LABELS[reason]}</p>
+            </li>
+          ))}
+        </ul>
+
+        <AlertDialogFooter>
+          <AlertDialogCancel className="rounded-none border-primary/30 font-body" data-testid="cancel-duplicate-btn">
+            Don't Add
+          </AlertDialogCancel>
+          <AlertDialogAction
+            onClick={() => onConfirm(pending.lead)}
+            className="rounded-none bg-primary text-primary-foreground hover:bg-primary/90 font-body"
+            data-testid="confirm-duplicate-btn"
+          >
+            Add Anyway
+          </AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+};
+
+export default DuplicateWarningDialog;
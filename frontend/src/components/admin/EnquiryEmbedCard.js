@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import { Code2, Copy, ExternalLink } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { toast } from 'sonner';
+import { getEnquiryUrl, getEmbedSnippets } from '@/lib/enquiry';
+
+const labelClassName = 'font-body uppercase tracking-widest text-xs font-semibold text-primary/70';
+
+const SNIPPETS = [
+  { id: 'script', label: 'Script (resizes itself)' },
+  { id: 'iframe', label: 'Iframe' },
+];
+
+/**
+ * Links and embed snippets for each project's public enquiry form
+ */
+const EnquiryEmbedCard = ({ projects }) => {
+  const [selected, setSelected] = useState('');
+  const projectName = selected || projects[0] || '';
+  const origin = window.location.origin;
+  const snippets = projectName ? getEmbedSnippets(origin, projectName) : null;
+
+  const handleCopy = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Copied to clipboard');
+    } catch (err) {
+      toast.error('Unable to copy', { description: 'Select the text and copy it manually.' });
+      console.error(err);
+    }
+  };
+
+  return (
+    <div
+      className="bg-card border border-primary/10 p-6 sm:p-8 shadow-card mt-8 animate-fade-in-up"
+      style={{ animationDelay: '0.2s' }}
+      data-testid="enquiry-embed-settings"
+    >
+      <div className="flex items-center gap-3 mb-6">
+        <Code2 className="w-6 h-6 text-primary" strokeWidth={1.5} />
+        <h3 className="font-heading text-xl font-bold text-foreground">Enquiry Forms</h3>
+      </div>
+
+      {!projectName ? (
+        <p className="font-body text-sm text-muted-foreground">
+          Add a lead for a project to get its enquiry form.
+        </p>
+      ) : (
+        <div className="space-y-6">
+          <div className="space-y-2">
+            <Label className={labelClassName}>Project</Label>
+            <Select value={projectName} onValueChange={setSelected}>
+              <SelectTrigger className="rounded-none border-primary/20 font-body sm:w-64" data-testid="enquiry-embed-project-select">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="bg-card border-primary/20">
+                {projects.map(project => (
+                  <SelectItem key={project} value={project} className="font-body">
+                    {project}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <a
+              href={getEnquiryUrl(origin, projectName)}
+              target="_blank"
+              rel="noreferrer"
+              className="inline-flex items-center gap-1 font-body text-sm text-primary hover:underline break-all"
+            >
+              {getEnquiryUrl(origin, projectName)}
+              <ExternalLink className="w-3 h-3 shrink-0" />
+            </a>
+          </div>
+
+          {SNIPPETS.map(({ id, label }) => (
+            <div key={id} className="space-y-2">
+              <div className="flex items-center justify-between gap-3">
+                <Label className={labelClassName}>{label}</Label>
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleCopy(snippets[id])}
+                  className="border-primary/30 text-primary hover:bg-primary/5 rounded-none uppercase tracking-wider text-xs"
+                  data-testid={`copy-${id}-snippet-btn`}
+                >
+                  <Copy className="w-4 h-4 mr-2" />
+                  Copy
+                </Button>
+              </div>
+              <Textarea
+                readOnly
+                value={snippets[id]}
+                rows={3}
+                onFocus={(e) => e.target.select()}
+                className="rounded-none border-primary/20 font-mono text-xs"
+              />
+            </div>
+          ))}
+
+          <p className="font-body text-xs text-muted-foreground">
+            Paste either snippet into a project microsite. Enquiries arrive as new leads, assigned round-robin.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EnquiryEmbedCard;
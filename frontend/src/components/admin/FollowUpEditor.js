@@ -0,0 +1,153 @@
+import { useState } from 'react';
+import { format } from 'date-fns';
+import { Calendar as CalendarIcon, BellRing } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Calendar } from '@/components/ui/calendar';
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from '@/components/ui/popover';
+import { toast } from 'sonner';
+import { setLeadFollowUp, formatDate, formatTime } from '@/services/googleSheetsApi';
+
+/**
+ * DD/MM/YYYY -> Date for the calendar
+ */
+const toCalendarDate = (dateStr) => {
+  const match = String(dateStr).match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  return match ? new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1])) : undefined;
+};
+
+/**
+ * Shows and edits a lead's next follow-up date/time in the detail drawer
+ */
+const FollowUpEditor = ({ lead, onChange }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [date, setDate] = useState(null);
+  const [time, setTime] = useState('');
+  const [dateOpen, setDateOpen] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const startEditing = () => {
+    setDate(lead.followUpDate ? toCalendarDate(formatDate(lead.followUpDate)) : null);
+    setTime(lead.followUpTime ? formatTime(lead.followUpTime) : '');
+    setIsEditing(true);
+  };
+
+  const save = async (changes) => {
+    setIsSaving(true);
+    try {
+      await setLeadFollowUp(lead.id, changes);
+      onChange({ followUpDate: changes.date || '', followUpTime: changes.date ? changes.time || '' : '' });
+      setIsEditing(false);
+      toast.success(changes.date ? 'Follow-up scheduled' : 'Follow-up cleared');
+    } catch (err) {
+      toast.error('Failed to save follow-up', {
+        description: 'Please try again.'
+      });
+      console.error(err);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!isEditing) {
+    return (
+      <div className="flex items-center justify-between gap-3" data-testid="follow-up-editor">
+        <div className="flex items-center gap-2 font-body text-sm">
+          <BellRing className="w-4 h-4 text-primary" strokeWidth={1.5} />
+          {lead.followUpDate ? (
+            <span className="text-foreground">
+              {formatDate(lead.followUpDate)}
+              {lead.followUpTime && ` at ${formatTime(lead.followUpTime)}`}
+            </span>
+          ) : (
+            <span className="text-muted-foreground">No follow-up scheduled</span>
+          )}
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={startEditing}
+          className="border-primary/30 text-primary hover:bg-primary/5 rounded-none uppercase tracking-wider text-xs"
+          data-testid="edit-follow-up-btn"
+        >
+          {lead.followUpDate ? 'Change' : 'Schedule'}
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3" data-testid="follow-up-editor">
+      <div className="grid grid-cols-2 gap-3">
+        <Popover open={dateOpen} onOpenChange={setDateOpen}>
+          <PopoverTrigger asChild>
+            <Button
+              variant="outline"
+              className="w-full justify-start text-left font-normal rounded-none border-primary/20 hover:bg-primary/5 font-body"
+              data-testid="follow-up-date-trigger"
+            >
+              <CalendarIcon className="mr-2 h-4 w-4 text-primary/70" />
+              {date ? format(date, 'dd/MM/yyyy') : <span className="text-muted-foreground">Date</span>}
+            </Button>
+          </PopoverTrigger>
+          <PopoverContent className="w-auto p-0 bg-card border-primary/20" align="start">
+            <Calendar
+              mode="single"
+              selected={date}
+              onSelect={(selected) => {
+                setDate(selected);
+                setDateOpen(false);
+              }}
+              initialFocus
+            />
+          </PopoverContent>
+        </Popover>
+        <Input
+          type="time"
+          value={time}
+          onChange={(e) => setTime(e.target.value)}
+          className="rounded-none border-primary/20 focus:border-primary font-body"
+          data-testid="follow-up-time-input"
+        />
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <Button
+          size="sm"
+          disabled={isSaving || !date}
+          onClick={() => save({ date: format(date, 'dd/MM/yyyy'), time })}
+          className="bg-primary text-primary-foreground hover:bg-primary/90 btn-primary-sharp"
+          data-testid="save-follow-up-btn"
+        >
+          Save
+        </Button>
+        {lead.followUpDate && (
+          <Button
+            size="sm"
+            variant="outline"
+            disabled={isSaving}
+            onClick={() => save({ date: '', time: '' })}
+            className="border-primary/30 text-primary hover:bg-primary/5 rounded-none"
+            data-testid="clear-follow-up-btn"
+          >
+            Clear
+          </Button>
+        )}
+        <Button
+          size="sm"
+          variant="ghost"
+          disabled={isSaving}
+          onClick={() => setIsEditing(false)}
+          className="rounded-none"
+        >
+          Cancel
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default FollowUpEditor;
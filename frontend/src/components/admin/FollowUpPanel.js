@@ -0,0 +1,138 @@
+import { useState, useMemo } from 'react';
+import { format } from 'date-fns';
+import { BellRing, CalendarDays, List } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Calendar } from '@/components/ui/calendar';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { groupFollowUps, getFollowUpTimestamp, formatDate, formatTime } from '@/services/googleSheetsApi';
+
+const isSameDay = (a, b) => (
+  a.getFullYear() === b.getFullYear() &&
+  a.getMonth() === b.getMonth() &&
+  a.getDate() === b.getDate()
+);
+
+const FollowUpItem = ({ lead, isOverdue, onOpen }) => (
+  <li>
+    <button
+      type="button"
+      onClick={() => onOpen(lead)}
+      className="w-full flex items-center justify-between gap-3 px-3 py-2 text-left hover:bg-primary/5 transition-colors"
+      data-testid={`follow-up-item-${lead.id}`}
+    >
+      <span className="min-w-0">
+        <span className="block font-body text-sm font-medium text-foreground truncate">{lead.name || '-'}</span>
+        <span className="block font-body text-xs text-muted-foreground truncate">{lead.projectName || '-'}</span>
+      </span>
+      <span className={`flex-shrink-0 font-body text-xs ${isOverdue ? 'text-destructive font-semibold' : 'text-muted-foreground'}`}>
+        {isOverdue ? formatDate(lead.followUpDate) : lead.followUpTime ? formatTime(lead.followUpTime) : 'Any time'}
+      </span>
+    </button>
+  </li>
+);
+
+/**
+ * "Due today / Overdue" follow-up queue with a calendar view of every scheduled follow-up
+ */
+const FollowUpPanel = ({ leads, isLoading, onOpenLead }) => {
+  const [view, setView] = useState('queue');
+  const [selectedDay, setSelectedDay] = useState(() => new Date());
+
+  const { overdue, dueToday } = useMemo(() => groupFollowUps(leads), [leads]);
+
+  const scheduledDays = useMemo(() => (
+    leads
+      .filter(lead => getFollowUpTimestamp(lead) > 0)
+      .map(lead => new Date(getFollowUpTimestamp(lead)))
+  ), [leads]);
+
+  const selectedDayLeads = useMemo(() => (
+    leads
+      .filter(lead => getFollowUpTimestamp(lead) > 0 && isSameDay(new Date(getFollowUpTimestamp(lead)), selectedDay))
+      .sort((a, b) => getFollowUpTimestamp(a) - getFollowUpTimestamp(b))
+  ), [leads, selectedDay]);
+
+  return (
+    <div
+      className="bg-card border border-primary/10 p-6 shadow-card animate-fade-in-up sm:col-span-2 lg:col-span-1 flex flex-col"
+      style={{ animationDelay: '0.2s' }}
+      data-testid="follow-up-panel"
+    >
+      <div className="flex items-start justify-between">
+        <div>
+          <p className="text-sm font-body uppercase tracking-widest text-muted-foreground">Follow-ups</p>
+          <p className="mt-2 font-body text-sm text-foreground">
+            <span className="text-2xl font-heading font-bold" data-testid="due-today-count">{dueToday.length}</span> due today
+            <span className="mx-2 text-muted-foreground">·</span>
+            <span
+              className={`text-2xl font-heading font-bold ${overdue.length > 0 ? 'text-destructive' : ''}`}
+              data-testid="overdue-count"
+            >
+              {overdue.length}
+            </span> overdue
+          </p>
+        </div>
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={() => setView(view === 'queue' ? 'calendar' : 'queue')}
+          className="text-primary hover:bg-primary/10 rounded-none"
+          aria-label={view === 'queue' ? 'Show calendar' : 'Show queue'}
+          data-testid="follow-up-view-toggle"
+        >
+          {view === 'queue' ? <CalendarDays className="w-5 h-5" strokeWidth={1.5} /> : <List className="w-5 h-5" strokeWidth={1.5} />}
+        </Button>
+      </div>
+
+      {isLoading ? (
+        <div className="mt-4 space-y-2">
+          <div className="h-8 skeleton-beige"></div>
+          <div className="h-8 skeleton-beige"></div>
+        </div>
+      ) : view === 'queue' ? (
+        overdue.length === 0 && dueToday.length === 0 ? (
+          <div className="mt-4 flex items-center gap-2 text-sm text-muted-foreground font-body">
+            <BellRing className="w-4 h-4" strokeWidth={1.5} />
+            Nothing due. You're all caught up.
+          </div>
+        ) : (
+          <ScrollArea className="mt-4 -mx-3 max-h-48">
+            <ul className="divide-y divide-primary/5" data-testid="follow-up-queue">
+              {overdue.map(lead => (
+                <FollowUpItem key={lead.id} lead={lead} isOverdue onOpen={onOpenLead} />
+              ))}
+              {dueToday.map(lead => (
+                <FollowUpItem key={lead.id} lead={lead} onOpen={onOpenLead} />
+              ))}
+            </ul>
+          </ScrollArea>
+        )
+      ) : (
+        <div className="mt-2" data-testid="follow-up-calendar">
+          <Calendar
+            mode="single"
+            selected={selectedDay}
+            onSelect={(day) => day && setSelectedDay(day)}
+            modifiers={{ scheduled: scheduledDays }}
+            modifiersClassNames={{ scheduled: 'font-bold underline decoration-primary underline-offset-4' }}
+            className="p-0"
+          />
+          <p className="mt-3 mb-1 font-body uppercase tracking-widest text-xs font-semibold text-primary/70">
+            {format(selectedDay, 'dd/MM/yyyy')}
+          </p>
+          {selectedDayLeads.length === 0 ? (
+            <p className="text-sm text-muted-foreground font-body">No follow-ups on this day.</p>
+          ) : (
+            <ul className="-mx-3 divide-y divide-primary/5">
+              {selectedDayLeads.map(lead => (
+                <FollowUpItem key={lead.id} lead={lead} onOpen={onOpenLead} />
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FollowUpPanel;
@@ -0,0 +1,397 @@
+import { useState, useMemo } from 'react';
+import { Upload, FileSpreadsheet, AlertTriangle, Copy, CheckCircle2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Progress } from '@/components/ui/progress';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { importLeads, formatDate, formatTime } from '@/services/googleSheetsApi';
+import { formatPhone } from '@/lib/phone';
+import { DUPLICATE_REASON_LABELS } from '@/lib/duplicates';
+import {
+  IMPORT_FIELDS,
+  IMPORT_ACCEPT,
+  readSpreadsheet,
+  guessColumnMapping,
+  buildImportRows,
+  getMappingErrors,
+} from '@/lib/leadImport';
+
+const labelClassName = 'font-body uppercase tracking-widest text-xs font-semibold text-primary/70';
+const outlineButtonClassName = 'rounded-none border-primary/30 font-body';
+const primaryButtonClassName = 'rounded-none bg-primary text-primary-foreground hover:bg-primary/90 font-body';
+
+// Select value for a field left unmapped
+const NOT_MAPPED = 'none';
+
+const STEP_DESCRIPTIONS = {
+  upload: 'Upload a CSV or Excel (.xlsx) file with one lead per row and a header row on top.',
+  map: 'Match the columns in your file to lead fields.',
+  preview: 'Check the rows before they are added. Rows with problems are skipped.',
+  importing: 'Adding leads. Keep this window open until it finishes.',
+  done: 'Import finished.',
+};
+
+const describeDuplicate = (match) => {
+  const where = match.rowNumber ? `row ${match.rowNumber} of this file` : match.lead.name || 'an existing lead';
+  return `${DUPLICATE_REASON_LABELS[match.reason]} as ${where}`;
+};
+
+/**
+ * Wizard for bulk-adding leads from a spreadsheet: upload, map columns, preview, import
+ * Agents can't map Assigned To; their imported leads are always their own
+ */
+const ImportLeadsDialog = ({ open, onOpenChange, existingLeads, users, canAssign, currentUserId, onImported }) => {
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [sheet, setSheet] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [readError, setReadError] = useState(null);
+  const [isReading, setIsReading] = useState(false);
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [result, setResult] = useState(null);
+
+  const fields = canAssign ? IMPORT_FIELDS : IMPORT_FIELDS.filter(field => field.id !== 'assignedTo');
+  const mappingErrors = getMappingErrors(mapping);
+
+  const previewRows = useMemo(() => {
+    if (!sheet || step === 'upload' || step === 'map') return [];
+    return buildImportRows(sheet.rows, mapping, {
+      existingLeads,
+      users,
+      defaultAssignee: canAssign ? 'auto' : currentUserId
+    });
+  }, [sheet, mapping, step, existingLeads, users, canAssign, currentUserId]);
+
+  const invalidCount = previewRows.filter(row => row.errors.length > 0).length;
+  const duplicateCount = previewRows.filter(row => row.errors.length === 0 && row.duplicates.length > 0).length;
+  const rowsToImport = previewRows.filter(row =>
+    row.errors.length === 0 && !(skipDuplicates && row.duplicates.length > 0)
+  );
+
+  const reset = () => {
+    setStep('upload');
+    setFileName('');
+    setSheet(null);
+    setMapping({});
+    setReadError(null);
+    setSkipDuplicates(true);
+    setProgress({ done: 0, total: 0 });
+    setResult(null);
+  };
+
+  const handleOpenChange = (nextOpen) => {
+    // An import in flight keeps going, so don't let the dialog close under it
+    if (step === 'importing') return;
+    if (!nextOpen) reset();
+    onOpenChange(nextOpen);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsReading(true);
+    setReadError(null);
+    try {
+      const data = await readSpreadsheet(file);
+      const guessed = guessColumnMapping(data.headers);
+      if (!canAssign) guessed.assignedTo = null;
+      setFileName(file.name);
+      setSheet(data);
+      setMapping(guessed);
+      setStep('map');
+    } catch (err) {
+      setReadError(err.message || 'The file could not be read.');
+      console.error(err);
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const handleMappingChange = (fieldId, value) => {
+    setMapping(prev => ({ ...prev, [fieldId]: value === NOT_MAPPED ? null : Number(value) }));
+  };
+
+  const handleImport = async () => {
+    const leads = rowsToImport.map(row => row.lead);
+    setProgress({ done: 0, total: leads.length });
+    setStep('importing');
+
+    const outcome = await importLeads(leads, (done, total) => setProgress({ done, total }));
+    setResult(outcome);
+    setStep('done');
+    if (outcome.created.length > 0) {
+      onImported(outcome);
+    }
+  };
+
+  const sampleValue = (columnIndex) => {
+    const firstRow = sheet && sheet.rows[0];
+    if (!firstRow || columnIndex === null || columnIndex === undefined) return '';
+    const cell = firstRow.cells[columnIndex];
+    return cell instanceof Date ? cell.toISOString() : String(cell ?? '');
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent
+        className="bg-card border-primary/20 rounded-none sm:rounded-none max-w-3xl max-h-[90vh] overflow-y-auto"
+        data-testid="import-leads-dialog"
+      >
+        <DialogHeader>
+          <DialogTitle className="font-heading text-xl text-foreground">
+            Import leads
+          </DialogTitle>
+          <DialogDescription className="font-body">
+            {fileName && step !== 'upload' ? `${fileName}. ` : ''}{STEP_DESCRIPTIONS[step]}
+          </DialogDescription>
+        </DialogHeader>
+
+        {step === 'upload' && (
+          <div className="space-y-4">
+            <label
+              className="flex flex-col items-center justify-center gap-3 border border-dashed border-primary/30 p-10 cursor-pointer hover:bg-primary/5"
+              data-testid="import-file-dropzone"
+            >
+              <FileSpreadsheet className="w-8 h-8 text-primary/60" strokeWidth={1.5} />
+              <span className="font-body text-sm text-foreground">
+                {isReading ? 'Reading file...' : 'Choose a .csv or .xlsx file'}
+              </span>
+              <input
+                type="file"
+                accept={IMPORT_ACCEPT}
+                onChange={handleFileChange}
+                disabled={isReading}
+                className="sr-only"
+                data-testid="import-file-input"
+              />
+            </label>
+            {readError && (
+              <p className="text-destructive font-body text-sm" data-testid="import-read-error">{readError}</p>
+            )}
+          </div>
+        )}
+
+        {step === 'map' && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {fields.map(field => (
+                <div key={field.id} className="space-y-2">
+                  <Label className={labelClassName}>
+                    {field.label}{field.required ? ' *' : ''}
+                  </Label>
+                  <Select
+                    value={mapping[field.id] === null || mapping[field.id] === undefined ? NOT_MAPPED : String(mapping[field.id])}
+                    onValueChange={(value) => handleMappingChange(field.id, value)}
+                  >
+                    <SelectTrigger className="rounded-none border-primary/20 font-body" data-testid={`import-map-${field.id}`}>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent className="bg-card border-primary/20">
+                      <SelectItem value={NOT_MAPPED} className="font-body">
+                        {field.required ? 'Choose a column' : "Don't import"}
+                      </SelectItem>
+                      {sheet.headers.map((header, index) => (
+                        <SelectItem key={index} value={String(index)} className="font-body">
+                          {header}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  {sampleValue(mapping[field.id]) && (
+                    <p className="font-body text-xs text-muted-foreground truncate">
+                      e.g. {sampleValue(mapping[field.id])}
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+            {mappingErrors.length > 0 && (
+              <ul className="font-body text-sm text-destructive space-y-1" data-testid="import-mapping-errors">
+                {mappingErrors.map(error => <li key={error}>{error}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {step === 'preview' && (
+          <div className="space-y-4">
+            <div className="flex flex-wrap gap-4 font-body text-sm">
+              <span className="flex items-center gap-2 text-foreground">
+                <CheckCircle2 className="w-4 h-4 text-primary" />
+                {previewRows.length - invalidCount} valid
+              </span>
+              <span className="flex items-center gap-2 text-destructive">
+                <AlertTriangle className="w-4 h-4" />
+                {invalidCount} with problems
+              </span>
+              <span className="flex items-center gap-2 text-muted-foreground">
+                <Copy className="w-4 h-4" />
+                {duplicateCount} possible duplicate{duplicateCount === 1 ? '' : 's'}
+              </span>
+            </div>
+
+            <label className="flex items-center gap-2 font-body text-sm text-foreground">
+              <Checkbox
+                checked={skipDuplicates}
+                onCheckedChange={(checked) => setSkipDuplicates(checked === true)}
+                className="rounded-none"
+                data-testid="import-skip-duplicates"
+              />
+              Skip possible duplicates
+            </label>
+
+            <div className="max-h-80 overflow-auto border border-primary/10">
+              <Table data-testid="import-preview-table">
+                <TableHeader>
+                  <TableRow className="border-b-2 border-primary/20 hover:bg-transparent">
+                    <TableHead className={labelClassName}>Row</TableHead>
+                    <TableHead className={labelClassName}>Name</TableHead>
+                    <TableHead className={labelClassName}>Project</TableHead>
+                    <TableHead className={labelClassName}>Phone</TableHead>
+                    <TableHead className={labelClassName}>Date</TableHead>
+                    <TableHead className={labelClassName}>Time</TableHead>
+                    <TableHead className={labelClassName}>Issues</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {previewRows.map(row => {
+                    const isSkipped = !rowsToImport.includes(row);
+                    return (
+                      <TableRow
+                        key={row.rowNumber}
+                        className={`border-b border-primary/5 font-body text-sm ${isSkipped ? 'text-muted-foreground bg-muted/30' : ''}`}
+                        data-testid={`import-row-${row.rowNumber}`}
+                      >
+                        <TableCell className="py-2">{row.rowNumber}</TableCell>
+                        <TableCell className="py-2 font-medium">{row.lead.name || '-'}</TableCell>
+                        <TableCell className="py-2">{row.lead.projectName || '-'}</TableCell>
+                        <TableCell className="py-2 whitespace-nowrap">{formatPhone(row.lead.phoneNumber) || '-'}</TableCell>
+                        <TableCell className="py-2 whitespace-nowrap">{formatDate(row.lead.date)}</TableCell>
+                        <TableCell className="py-2">{formatTime(row.lead.time)}</TableCell>
+                        <TableCell className="py-2 text-xs">
+                          {row.errors.map(error => (
+                            <p key={error} className="text-destructive">{error}</p>
+                          ))}
+                          {row.duplicates.map((match, index) => (
+                            <p key={index} className="text-primary/70">{describeDuplicate(match)}</p>
+                          ))}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </div>
+          </div>
+        )}
+
+        {step === 'importing' && (
+          <div className="space-y-3 py-4">
+            <Progress
+              value={progress.total ? (progress.done / progress.total) * 100 : 0}
+              className="rounded-none"
+              data-testid="import-progress"
+            />
+            <p className="font-body text-sm text-muted-foreground text-center">
+              {progress.done} of {progress.total} leads
+            </p>
+          </div>
+        )}
+
+        {step === 'done' && result && (
+          <div className="space-y-3 font-body text-sm" data-testid="import-result">
+            <p className="text-foreground">
+              {result.created.length} lead{result.created.length === 1 ? '' : 's'} added.
+            </p>
+            {result.failed.length > 0 && (
+              <div className="space-y-1">
+                <p className="text-destructive">
+                  {result.failed.length} couldn't be saved:
+                </p>
+                <ul className="max-h-40 overflow-y-auto text-muted-foreground">
+                  {result.failed.map(({ lead, error }, index) => (
+                    <li key={index}>{lead.name}: {error.message || 'Unknown error'}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        <DialogFooter>
+          {step === 'map' && (
+            <>
+              <Button type="button" variant="outline" onClick={reset} className={outlineButtonClassName}>
+                Choose Another File
+              </Button>
+              <Button
+                type="button"
+                onClick={() => setStep('preview')}
+                disabled={mappingErrors.length > 0}
+                className={primaryButtonClassName}
+                data-testid="import-preview-btn"
+              >
+                Preview
+              </Button>
+            </>
+          )}
+          {step === 'preview' && (
+            <>
+              <Button type="button" variant="outline" onClick={() => setStep('map')} className={outlineButtonClassName}>
+                Back
+              </Button>
+              <Button
+                type="button"
+                onClick={handleImport}
+                disabled={rowsToImport.length === 0}
+                className={primaryButtonClassName}
+                data-testid="import-confirm-btn"
+              >
+                <Upload className="w-4 h-4 mr-2" />
+                Import {rowsToImport.length} Lead{rowsToImport.length === 1 ? '' : 's'}
+              </Button>
+            </>
+          )}
+          {step === 'done' && (
+            <Button
+              type="button"
+              onClick={() => handleOpenChange(false)}
+              className={primaryButtonClassName}
+              data-testid="import-close-btn"
+            >
+              Close
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ImportLeadsDialog;
@@ -0,0 +1,226 @@
+import { useState } from 'react';
+import { format } from 'date-fns';
+import { Calendar as CalendarIcon, MessageSquare, PhoneCall } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Calendar } from '@/components/ui/calendar';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from '@/components/ui/popover';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { toast } from 'sonner';
+import { addLeadNote, logLeadCall } from '@/services/googleSheetsApi';
+import { CALL_OUTCOMES } from '@/lib/callOutcomes';
+import { useAuth } from '@/context/AuthContext';
+
+const labelClassName = 'font-body uppercase tracking-widest text-xs font-semibold text-primary/70';
+const fieldClassName = 'rounded-none border-primary/20 focus:border-primary font-body';
+
+const emptyCall = {
+  outcome: '',
+  duration: '',
+  followUp: null,
+  text: ''
+};
+
+/**
+ * Note and call logging for the lead detail drawer
+ * Activities are credited to the signed-in user
+ */
+const LeadActivityForm = ({ leadId, onLogged }) => {
+  const { user } = useAuth();
+  const author = user.name;
+  const [note, setNote] = useState('');
+  const [call, setCall] = useState(emptyCall);
+  const [followUpOpen, setFollowUpOpen] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleCallChange = (field, value) => {
+    setCall(prev => ({ ...prev, [field]: value }));
+  };
+
+  // leadChanges: fields the save also wrote onto the lead itself (e.g. the next follow-up)
+  const submit = async (save, successMessage, reset, leadChanges = null) => {
+    setIsSubmitting(true);
+    try {
+      await save();
+      toast.success(successMessage);
+      reset();
+      onLogged(leadChanges);
+    } catch (err) {
+      toast.error('Failed to save activity', {
+        description: 'Please try again.'
+      });
+      console.error(err);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleNoteSubmit = (e) => {
+    e.preventDefault();
+    if (!note.trim()) {
+      toast.error('Please write a note');
+      return;
+    }
+
+    submit(
+      () => addLeadNote(leadId, { text: note.trim(), author }),
+      'Note added',
+      () => setNote('')
+    );
+  };
+
+  const handleCallSubmit = (e) => {
+    e.preventDefault();
+    if (!call.outcome) {
+      toast.error('Please select a call outcome');
+      return;
+    }
+
+    submit(
+      () => logLeadCall(leadId, {
+        outcome: call.outcome,
+        duration: call.duration || undefined,
+        followUp: call.followUp ? format(call.followUp, 'dd/MM/yyyy') : undefined,
+        text: call.text.trim() || undefined,
+        author
+      }),
+      'Call logged',
+      () => setCall(emptyCall),
+      call.followUp ? { followUpDate: format(call.followUp, 'dd/MM/yyyy'), followUpTime: '' } : null
+    );
+  };
+
+  return (
+    <div className="space-y-4" data-testid="lead-activity-form">
+      <Tabs defaultValue="note">
+        <TabsList className="w-full rounded-none bg-primary/5">
+          <TabsTrigger value="note" className="flex-1 rounded-none font-body">
+            <MessageSquare className="w-4 h-4 mr-2" />
+            Note
+          </TabsTrigger>
+          <TabsTrigger value="call" className="flex-1 rounded-none font-body">
+            <PhoneCall className="w-4 h-4 mr-2" />
+            Log Call
+          </TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="note">
+          <form onSubmit={handleNoteSubmit} className="space-y-3">
+            <Textarea
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="What happened?"
+              className={fieldClassName}
+              data-testid="note-input"
+            />
+            <Button
+              type="submit"
+              disabled={isSubmitting}
+              className="bg-primary text-primary-foreground hover:bg-primary/90 btn-primary-sharp"
+              data-testid="add-note-btn"
+            >
+              {isSubmitting ? 'Saving...' : 'Add Note'}
+            </Button>
+          </form>
+        </TabsContent>
+
+        <TabsContent value="call">
+          <form onSubmit={handleCallSubmit} className="space-y-3">
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-2">
+                <Label className={labelClassName}>Outcome</Label>
+                <Select value={call.outcome} onValueChange={(value) => handleCallChange('outcome', value)}>
+                  <SelectTrigger className={fieldClassName} data-testid="call-outcome-select">
+                    <SelectValue placeholder="Select" />
+                  </SelectTrigger>
+                  <SelectContent className="bg-card border-primary/20">
+                    {CALL_OUTCOMES.map(outcome => (
+                      <SelectItem key={outcome.id} value={outcome.id} className="font-body">
+                        {outcome.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label className={labelClassName}>Minutes</Label>
+                <Input
+                  type="number"
+                  min="0"
+                  value={call.duration}
+                  onChange={(e) => handleCallChange('duration', e.target.value)}
+                  placeholder="0"
+                  className={fieldClassName}
+                  data-testid="call-duration-input"
+                />
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label className={labelClassName}>Next Follow-up</Label>
+              <Popover open={followUpOpen} onOpenChange={setFollowUpOpen}>
+                <PopoverTrigger asChild>
+                  <Button
+                    type="button"
+                    variant="outline"
+                    className="w-full justify-start text-left font-normal rounded-none border-primary/20 hover:bg-primary/5 font-body"
+                    data-testid="call-follow-up-trigger"
+                  >
+                    <CalendarIcon className="mr-2 h-4 w-4 text-primary/70" />
+                    {call.followUp ? (
+                      format(call.followUp, 'dd/MM/yyyy')
+                    ) : (
+                      <span className="text-muted-foreground">No follow-up</span>
+                    )}
+                  </Button>
+                </PopoverTrigger>
+                <PopoverContent className="w-auto p-0 bg-card border-primary/20" align="start">
+                  <Calendar
+                    mode="single"
+                    selected={call.followUp}
+                    onSelect={(date) => {
+                      handleCallChange('followUp', date);
+                      setFollowUpOpen(false);
+                    }}
+                    initialFocus
+                  />
+                </PopoverContent>
+              </Popover>
+            </div>
+
+            <Textarea
+              value={call.text}
+              onChange={(e) => handleCallChange('text', e.target.value)}
+              placeholder="Call notes (optional)"
+              className={fieldClassName}
+              data-testid="call-notes-input"
+            />
+            <Button
+              type="submit"
+              disabled={isSubmitting}
+              className="bg-primary text-primary-foreground hover:bg-primary/90 btn-primary-sharp"
+              data-testid="log-call-btn"
+            >
+              {isSubmitting ? 'Saving...' : 'Log Call'}
+            </Button>
+          </form>
+        </TabsContent>
+      </Tabs>
+    </div>
+  );
+};
+
+export default LeadActivityForm;
@@ -0,0 +1,333 @@
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { UserPlus, ArrowRightLeft, Pencil, MessageSquare, PhoneCall, Phone, GitMerge } from 'lucide-react';
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle,
+} from '@/components/ui/sheet';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { toast } from 'sonner';
+import {
+  assignLead,
+  fetchLeadActivities,
+  formatDate,
+  formatTime,
+  createSortableTimestamp
+} from '@/services/googleSheetsApi';
+import { getStage } from '@/lib/leadStages';
+import { getCallOutcomeLabel } from '@/lib/callOutcomes';
+import { getPreferredTimeLabel } from '@/lib/enquiry';
+import { formatPhone } from '@/lib/phone';
+import LeadActivityForm from '@/components/admin/LeadActivityForm';
+import FollowUpEditor from '@/components/admin/FollowUpEditor';
+import { useAuth } from '@/context/AuthContext';
+import { canViewAllLeads } from '@/lib/roles';
+import { getUserName } from '@/services/usersApi';
+
+// Select value for "nobody"; Radix selects can't use an empty string
+const UNASSIGNED = 'none';
+
+const FIELD_LABELS = {
+  name: 'name',
+  projectName: 'project',
+  phoneNumber: 'phone number',
+  date: 'date',
+  time: 'time',
+  followUpDate: 'follow-up date',
+  followUpTime: 'follow-up time',
+  assignedTo: 'assignee'
+};
+
+const ACTIVITY_ICONS = {
+  created: UserPlus,
+  status: ArrowRightLeft,
+  edit: Pencil,
+  note: MessageSquare,
+  call: PhoneCall,
+  merged: GitMerge
+};
+
+/**
+ * One-line summary of an activity for the timeline
+ */
+const describeActivity = (activity) => {
+  switch (activity.type) {
+    case 'created':
+      return 'Lead created';
+    case 'status':
+      return `Moved from ${getStage(activity.from).label} to ${getStage(activity.to).label}`;
+    case 'edit':
+      return `Edited ${activity.fields.map(field => FIELD_LABELS[field] || field).join(', ')}`;
+    case 'call':
+      return [
+        'Call',
+        getCallOutcomeLabel(activity.outcome),
+        activity.duration ? `${activity.duration} min` : null
+      ].filter(Boolean).join(' · ');
+    default:
+      return activity.text;
+  }
+};
+
+/**
+ * Leads created before activities were logged have no "created" entry,
+ * so one is derived from the lead's own Date + Time
+ */
+const withCreatedEntry = (lead, activities) => {
+  if (activities.some(activity => activity.type === 'created')) {
+    return activities;
+  }
+
+  const createdAt = createSortableTimestamp(lead.date, lead.time);
+  if (!createdAt) {
+    return activities;
+  }
+
+  return [
+    { id: 'created', type: 'created', timestamp: new Date(createdAt).toISOString(), author: '' },
+    ...activities
+  ];
+};
+
+const DetailField = ({ label, children }) => (
+  <div>
+    <dt className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70">{label}</dt>
+    <dd className="mt-1 font-body text-foreground break-words">{children || '-'}</dd>
+  </div>
+);
+
+/**
+ * Side drawer with every field of a lead and its activity timeline
+ * onLeadChange(id, changes) lets the owning page merge writes made from the drawer
+ * users are the active accounts admins and managers can reassign the lead to
+ */
+const LeadDetailSheet = ({ lead, open, onOpenChange, onLeadChange, users = [] }) => {
+  const { user } = useAuth();
+  const canAssign = canViewAllLeads(user);
+  const [activities, setActivities] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const leadId = lead ? lead.id : null;
+  const leadStatus = lead ? lead.status : null;
+
+  // Reload whenever the drawer opens, the lead's stage changes underneath it or an activity is logged
+  useEffect(() => {
+    if (!open || !leadId) {
+      setActivities([]);
+      return;
+    }
+
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+
+    fetchLeadActivities(leadId)
+      .then(data => {
+        if (!cancelled) setActivities(data);
+      })
+      .catch(err => {
+        if (!cancelled) setError('Unable to load activity.');
+        console.error(err);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, leadId, leadStatus, reloadKey]);
+
+  const timeline = lead ? withCreatedEntry(lead, activities) : [];
+
+  const handleLeadChange = (changes) => {
+    onLeadChange(lead.id, changes);
+    setReloadKey(key => key + 1);
+  };
+
+  const handleAssign = async (value) => {
+    const assignedTo = value === UNASSIGNED ? '' : value;
+    const previous = lead.assignedTo;
+    onLeadChange(lead.id, { assignedTo });
+
+    try {
+      await assignLead(lead.id, assignedTo);
+      toast.success(assignedTo ? `Assigned to ${getUserName(users, assignedTo)}` : 'Lead unassigned');
+      setReloadKey(key => key + 1);
+    } catch (err) {
+      onLeadChange(lead.id, { assignedTo: previous });
+      toast.error('Failed to reassign lead', {
+        description: 'Please try again.'
+      });
+      console.error(err);
+    }
+  };
+
+  const handleActivityLogged = (leadChanges) => {
+    if (leadChanges) {
+      onLeadChange(lead.id, leadChanges);
+    }
+    setReloadKey(key => key + 1);
+  };
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent
+        side="right"
+        className="w-full sm:max-w-md bg-card border-primary/20 p-0 flex flex-col"
+        data-testid="lead-detail-sheet"
+      >
+        {lead && (
+          <>
+            <SheetHeader className="p-6 border-b border-primary/10 text-left">
+              <SheetTitle className="font-heading text-2xl font-bold text-foreground pr-6">
+                {lead.name || 'Unnamed lead'}
+              </SheetTitle>
+              <SheetDescription className="font-body flex items-center gap-2">
+                <span className={`w-2 h-2 ${getStage(lead.status).color}`}></span>
+                {getStage(lead.status).label}
+                {lead.projectName && <span>· {lead.projectName}</span>}
+              </SheetDescription>
+            </SheetHeader>
+
+            <ScrollArea className="flex-1">
+              <div className="p-6 space-y-8">
+                <dl className="grid grid-cols-2 gap-4">
+                  <DetailField label="Name">{lead.name}</DetailField>
+                  <DetailField label="Project">{lead.projectName}</DetailField>
+                  <DetailField label="Phone">
+                    {lead.phoneNumber && (
+                      <a href={`tel:${lead.phoneNumber}`} className="inline-flex items-center gap-1 text-primary hover:underline">
+                        <Phone className="w-3 h-3" />
+                        {formatPhone(lead.phoneNumber)}
+                      </a>
+                    )}
+                  </DetailField>
+                  <DetailField label="Stage">{getStage(lead.status).label}</DetailField>
+                  {lead.projectInterests.length > 1 && (
+                    <div className="col-span-2">
+                      <DetailField label="Interested In">{lead.projectInterests.join(', ')}</DetailField>
+                    </div>
+                  )}
+                  <DetailField label="Date">{formatDate(lead.date)}</DetailField>
+                  <DetailField label="Time">{formatTime(lead.time)}</DetailField>
+                  {lead.source === 'enquiry' && (
+                    <>
+                      <DetailField label="Source">Website enquiry</DetailField>
+                      <DetailField label="Call Back">{getPreferredTimeLabel(lead.preferredTime)}</DetailField>
+                    </>
+                  )}
+                  <div className="col-span-2">
+                    {canAssign ? (
+                      <div>
+                        <p className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70">Assigned To</p>
+                        <Select value={lead.assignedTo || UNASSIGNED} onValueChange={handleAssign}>
+                          <SelectTrigger
+                            className="mt-1 rounded-none border-primary/20 font-body"
+                            data-testid="lead-assignee-select"
+                          >
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent className="bg-card border-primary/20">
+                            <SelectItem value={UNASSIGNED} className="font-body">Unassigned</SelectItem>
+                            {users.map(u => (
+                              <SelectItem key={u.id} value={u.id} className="font-body">
+                                {u.name}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                    ) : (
+                      <DetailField label="Assigned To">
+                        {lead.assignedTo === user.id ? user.name : getUserName(users, lead.assignedTo)}
+                      </DetailField>
+                    )}
+                  </div>
+                  <div className="col-span-2">
+                    <DetailField label="Lead ID">
+                      <span className="font-mono text-xs text-muted-foreground">{lead.id}</span>
+                    </DetailField>
+                  </div>
+                </dl>
+
+                <section>
+                  <h3 className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70 mb-3">
+                    Next Follow-up
+                  </h3>
+                  <FollowUpEditor key={lead.id} lead={lead} onChange={handleLeadChange} />
+                </section>
+
+                <section className="border border-primary/10 p-4">
+                  <LeadActivityForm key={lead.id} leadId={lead.id} onLogged={handleActivityLogged} />
+                </section>
+
+                <section>
+                  <h3 className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70 mb-4">
+                    Activity
+                  </h3>
+
+                  {isLoading ? (
+                    <div className="space-y-3">
+                      {[...Array(3)].map((_, i) => (
+                        <div key={i} className="h-10 skeleton-beige"></div>
+                      ))}
+                    </div>
+                  ) : error ? (
+                    <p className="text-destructive font-body text-sm" data-testid="activity-error-message">{error}</p>
+                  ) : timeline.length === 0 ? (
+                    <p className="text-muted-foreground font-body text-sm">No activity yet.</p>
+                  ) : (
+                    <ol className="relative border-l border-primary/20 ml-2 space-y-6" data-testid="activity-timeline">
+                      {timeline.map(activity => {
+                        const Icon = ACTIVITY_ICONS[activity.type] || MessageSquare;
+                        return (
+                          <li key={activity.id} className="ml-6">
+                            <span className="absolute -left-3 flex items-center justify-center w-6 h-6 bg-card border border-primary/20">
+                              <Icon className="w-3 h-3 text-primary" />
+                            </span>
+                            <p className="font-body text-sm text-foreground whitespace-pre-line">
+                              {describeActivity(activity)}
+                            </p>
+                            {activity.type === 'call' && activity.text && (
+                              <p className="mt-1 font-body text-sm text-muted-foreground whitespace-pre-line">
+                                {activity.text}
+                              </p>
+                            )}
+                            {activity.followUp && (
+                              <p className="mt-1 font-body text-xs text-primary">
+                                Next follow-up {formatDate(activity.followUp)}
+                              </p>
+                            )}
+                            <p className="mt-1 font-body text-xs text-muted-foreground">
+                              {activity.timestamp ? format(new Date(activity.timestamp), 'dd/MM/yyyy HH:mm') : '-'}
+                              {activity.author && ` · ${activity.author}`}
+                            </p>
+                          </li>
+                        );
+                      })}
+                    </ol>
+                  )}
+                </section>
+              </div>
+            </ScrollArea>
+          </>
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+};
+
+export default LeadDetailSheet;
@@ -0,0 +1,193 @@
+import { useState } from 'react';
+import { Pencil, Trash2, Check, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { TableCell, TableRow } from '@/components/ui/table';
+import { formatDate, formatTime } from '@/services/googleSheetsApi';
+import { formatPhone } from '@/lib/phone';
+
+/**
+ * Draft values for inline editing, in the same formats the add form sends
+ */
+const toDraft = (lead) => ({
+  name: lead.name,
+  projectName: lead.projectName,
+  phoneNumber: formatPhone(lead.phoneNumber),
+  date: lead.date ? formatDate(lead.date) : '',
+  time: lead.time ? formatTime(lead.time) : ''
+});
+
+/**
+ * Admin table row with inline edit and delete actions
+ * Clicking the row opens the lead detail drawer
+ * Actions are disabled for rows without a unique id (see findIdProblems)
+ * showAssignee adds an Assigned To column (read-only while editing)
+ */
+const LeadTableRow = ({ lead, index, canModify = true, showAssignee = false, assigneeName = '', isEditing, onOpen, onEdit, onCancelEdit, onSave, onDelete }) => {
+  const [draft, setDraft] = useState(() => toDraft(lead));
+
+  const handleDraftChange = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  const startEditing = (e) => {
+    e.stopPropagation();
+    setDraft(toDraft(lead));
+    onEdit(lead);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      onSave(lead, draft);
+    } else if (e.key === 'Escape') {
+      onCancelEdit();
+    }
+  };
+
+  const inputClassName = 'h-8 rounded-none border-primary/20 focus:border-primary font-body';
+
+  if (isEditing) {
+    return (
+      <TableRow
+        className="border-b border-primary/5 bg-primary/5"
+        data-testid={`admin-lead-row-${index}`}
+      >
+        <TableCell className="py-2">
+          <Input
+            value={draft.name}
+            onChange={(e) => handleDraftChange('name', e.target.value)}
+            onKeyDown={handleKeyDown}
+            className={inputClassName}
+            autoFocus
+            data-testid="edit-name-input"
+          />
+        </TableCell>
+        <TableCell className="py-2">
+          <Input
+            value={draft.projectName}
+            onChange={(e) => handleDraftChange('projectName', e.target.value)}
+            onKeyDown={handleKeyDown}
+            className={inputClassName}
+            data-testid="edit-project-name-input"
+          />
+        </TableCell>
+        <TableCell className="py-2">
+          <Input
+            value={draft.phoneNumber}
+            onChange={(e) => handleDraftChange('phoneNumber', e.target.value)}
+            onKeyDown={handleKeyDown}
+            className={inputClassName}
+            data-testid="edit-phone-input"
+          />
+        </TableCell>
+        <TableCell className="py-2">
+          <Input
+            value={draft.date}
+            onChange={(e) => handleDraftChange('date', e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="DD/MM/YYYY"
+            className={inputClassName}
+            data-testid="edit-date-input"
+          />
+        </TableCell>
+        <TableCell className="py-2">
+          <Input
+            type="time"
+            value={draft.time}
+            onChange={(e) => handleDraftChange('time', e.target.value)}
+            onKeyDown={handleKeyDown}
+            className={inputClassName}
+            data-testid="edit-time-input"
+          />
+        </TableCell>
+        {showAssignee && (
+          <TableCell className="font-body py-2 text-muted-foreground">
+            {assigneeName || 'Unassigned'}
+          </TableCell>
+        )}
+        <TableCell className="py-2 text-right whitespace-nowrap">
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => onSave(lead, draft)}
+            className="text-primary hover:bg-primary/10 rounded-none"
+            aria-label="Save changes"
+            data-testid="save-lead-btn"
+          >
+            <Check className="w-4 h-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={onCancelEdit}
+            className="text-muted-foreground hover:bg-primary/10 rounded-none"
+            aria-label="Cancel editing"
+            data-testid="cancel-edit-btn"
+          >
+            <X className="w-4 h-4" />
+          </Button>
+        </TableCell>
+      </TableRow>
+    );
+  }
+
+  return (
+    <TableRow
+      onClick={() => onOpen(lead)}
+      onKeyDown={(e) => e.key === 'Enter' && e.target === e.currentTarget && onOpen(lead)}
+      tabIndex={0}
+      className="border-b border-primary/5 hover:bg-primary/5 transition-colors duration-200 cursor-pointer"
+      data-testid={`admin-lead-row-${index}`}
+    >
+      <TableCell className="font-body py-4 font-medium text-foreground">
+        {lead.name || '-'}
+      </TableCell>
+      <TableCell className="font-body py-4 text-foreground">
+        {lead.projectName || '-'}
+      </TableCell>
+      <TableCell className="font-body py-4 text-muted-foreground">
+        {formatPhone(lead.phoneNumber) || '-'}
+      </TableCell>
+      <TableCell className="font-body py-4 text-muted-foreground">
+        {formatDate(lead.date)}
+      </TableCell>
+      <TableCell className="font-body py-4 text-muted-foreground">
+        {formatTime(lead.time)}
+      </TableCell>
+      {showAssignee && (
+        <TableCell className="font-body py-4 text-muted-foreground" data-testid={`lead-assignee-${index}`}>
+          {assigneeName || 'Unassigned'}
+        </TableCell>
+      )}
+      <TableCell className="py-4 text-right whitespace-nowrap">
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={startEditing}
+          disabled={!canModify}
+          className="text-primary/70 hover:text-primary hover:bg-primary/10 rounded-none"
+          aria-label="Edit lead"
+          data-testid={`edit-lead-btn-${index}`}
+        >
+          <Pencil className="w-4 h-4" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={(e) => {
+            e.stopPropagation();
+            onDelete(lead);
+          }}
+          disabled={!canModify}
+          className="text-destructive/70 hover:text-destructive hover:bg-destructive/10 rounded-none"
+          aria-label="Delete lead"
+          data-testid={`delete-lead-btn-${index}`}
+        >
+          <Trash2 className="w-4 h-4" />
+        </Button>
+      </TableCell>
+    </TableRow>
+  );
+};
+
+export default LeadTableRow;
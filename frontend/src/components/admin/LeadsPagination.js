@@ -0,0 +1,94 @@
+import {
+  Pagination,
+  PaginationContent,
+  PaginationEllipsis,
+  PaginationItem,
+  PaginationLink,
+  PaginationNext,
+  PaginationPrevious,
+} from '@/components/ui/pagination';
+
+/**
+ * Page numbers to show: the first, the last, and the current page's neighbours,
+ * with null where a run of pages is skipped
+ */
+const visiblePages = (page, pageCount) => {
+  const pages = [];
+  for (let p = 1; p <= pageCount; p++) {
+    if (p === 1 || p === pageCount || Math.abs(p - page) <= 1) {
+      pages.push(p);
+    } else if (pages[pages.length - 1] !== null) {
+      pages.push(null);
+    }
+  }
+  return pages;
+};
+
+/**
+ * "Showing 51-100 of 1,234" and page links under the lead table
+ */
+const LeadsPagination = ({ page, pageCount, pageSize, total, onPageChange }) => {
+  if (total === 0) return null;
+
+  const first = (page - 1) * pageSize + 1;
+  const last = Math.min(page * pageSize, total);
+
+  const goTo = (target) => (e) => {
+    e.preventDefault();
+    if (target >= 1 && target <= pageCount && target !== page) {
+      onPageChange(target);
+    }
+  };
+
+  const linkClassName = 'rounded-none font-body cursor-pointer';
+  const disabledClassName = 'pointer-events-none opacity-50';
+
+  return (
+    <div className="flex flex-col sm:flex-row items-center justify-between gap-3 p-4 border-t border-primary/10">
+      <p className="font-body text-xs text-muted-foreground whitespace-nowrap" data-testid="leads-pagination-summary">
+        Showing {first.toLocaleString()}-{last.toLocaleString()} of {total.toLocaleString()}
+      </p>
+      {pageCount > 1 && (
+        <Pagination className="mx-0 w-auto" data-testid="leads-pagination">
+          <PaginationContent>
+            <PaginationItem>
+              <PaginationPrevious
+                href="#"
+                onClick={goTo(page - 1)}
+                aria-disabled={page === 1}
+                className={`${linkClassName} ${page === 1 ? disabledClassName : ''}`}
+              />
+            </PaginationItem>
+            {visiblePages(page, pageCount).map((p, index) => (
+              <PaginationItem key={p ?? `gap-${index}`}>
+                {p === null ? (
+                  <PaginationEllipsis />
+                ) : (
+                  <PaginationLink
+                    href="#"
+                    onClick={goTo(p)}
+                    isActive={p === page}
+                    className={`${linkClassName} ${p === page ? 'border-primary/30 text-primary' : ''}`}
+                    data-testid={`leads-page-${p}`}
+                  >
+                    {p}
+                  </PaginationLink>
+                )}
+              </PaginationItem>
+            ))}
+            <PaginationItem>
+              <PaginationNext
+                href="#"
+                onClick={goTo(page + 1)}
+                aria-disabled={page === pageCount}
+                className={`${linkClassName} ${page === pageCount ? disabledClassName : ''}`}
+              />
+            </PaginationItem>
+          </PaginationContent>
+        </Pagination>
+      )}
+    </div>
+  );
+};
+
+export default LeadsPagination;
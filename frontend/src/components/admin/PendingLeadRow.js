@@ -0,0 +1,89 @@
+import { CloudUpload, AlertTriangle, RefreshCw, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { TableCell, TableRow } from '@/components/ui/table';
+import { formatDate, formatTime } from '@/services/googleSheetsApi';
+import { formatPhone } from '@/lib/phone';
+
+/**
+ * Admin table row for a lead still in the offline outbox
+ * Read-only until the backend confirms it; a refused one can be retried or discarded
+ */
+const PendingLeadRow = ({ entry, index, showAssignee = false, assigneeName = '', onRetry, onDiscard }) => {
+  const { lead, failed, lastError } = entry;
+
+  return (
+    <TableRow
+      className="border-b border-primary/5 bg-primary/[0.02]"
+      data-testid={`pending-lead-row-${index}`}
+    >
+      <TableCell className="font-body py-4 font-medium text-foreground">
+        <div className="flex flex-wrap items-center gap-2">
+          {lead.name || '-'}
+          {failed ? (
+            <Badge
+              variant="outline"
+              title={lastError || undefined}
+              className="rounded-none border-destructive/40 text-destructive font-body uppercase tracking-wider text-[10px] gap-1"
+              data-testid={`pending-lead-badge-${index}`}
+            >
+              <AlertTriangle className="w-3 h-3" />
+              Sync failed
+            </Badge>
+          ) : (
+            <Badge
+              variant="outline"
+              title={lastError ? `Last attempt: ${lastError}` : undefined}
+              className="rounded-none border-primary/30 text-primary/80 font-body uppercase tracking-wider text-[10px] gap-1"
+              data-testid={`pending-lead-badge-${index}`}
+            >
+              <CloudUpload className="w-3 h-3" />
+              Pending sync
+            </Badge>
+          )}
+        </div>
+      </TableCell>
+      <TableCell className="font-body py-4 text-foreground">
+        {lead.projectName || '-'}
+      </TableCell>
+      <TableCell className="font-body py-4 text-muted-foreground">
+        {formatPhone(lead.phoneNumber) || '-'}
+      </TableCell>
+      <TableCell className="font-body py-4 text-muted-foreground">
+        {formatDate(lead.date)}
+      </TableCell>
+      <TableCell className="font-body py-4 text-muted-foreground">
+        {formatTime(lead.time)}
+      </TableCell>
+      {showAssignee && (
+        <TableCell className="font-body py-4 text-muted-foreground">
+          {assigneeName || (lead.assignedTo === 'auto' ? 'Auto-assign' : 'Unassigned')}
+        </TableCell>
+      )}
+      <TableCell className="py-4 text-right whitespace-nowrap">
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={() => onRetry(entry)}
+          className="text-primary/70 hover:text-primary hover:bg-primary/10 rounded-none"
+          aria-label="Retry now"
+          data-testid={`retry-pending-lead-btn-${index}`}
+        >
+          <RefreshCw className="w-4 h-4" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={() => onDiscard(entry)}
+          className="text-destructive/70 hover:text-destructive hover:bg-destructive/10 rounded-none"
+          aria-label="Discard unsynced lead"
+          data-testid={`discard-pending-lead-btn-${index}`}
+        >
+          <Trash2 className="w-4 h-4" />
+        </Button>
+      </TableCell>
+    </TableRow>
+  );
+};
+
+export default PendingLeadRow;
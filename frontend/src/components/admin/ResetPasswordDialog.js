@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { MIN_PASSWORD_LENGTH } from '@/services/usersApi';
+
+/**
+ * Set a new password for a team member
+ * Open whenever `user` is set; closing clears it via onOpenChange
+ */
+const ResetPasswordDialog = ({ user, onOpenChange, onConfirm }) => {
+  const [password, setPassword] = useState('');
+
+  const handleOpenChange = (open) => {
+    if (!open) setPassword('');
+    onOpenChange(open);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onConfirm(user, password);
+    setPassword('');
+  };
+
+  return (
+    <Dialog open={Boolean(user)} onOpenChange={handleOpenChange}>
+      <DialogContent className="bg-card border-primary/20 rounded-none sm:rounded-none" data-testid="reset-password-dialog">
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <DialogHeader>
+            <DialogTitle className="font-heading text-xl text-foreground">
+              Reset password
+            </DialogTitle>
+            <DialogDescription className="font-body">
+              {user ? user.name : ''} will need the new password the next time they sign in.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-2">
+            <Label className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70">
+              New Password
+            </Label>
+            <Input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+              className="rounded-none border-primary/20 focus:border-primary font-body"
+              autoComplete="new-password"
+              data-testid="reset-password-input"
+            />
+          </div>
+
+          <DialogFooter>
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => handleOpenChange(false)}
+              className="rounded-none border-primary/30 font-body"
+            >
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={password.length < MIN_PASSWORD_LENGTH}
+              className="rounded-none bg-primary text-primary-foreground hover:bg-primary/90 font-body"
+              data-testid="confirm-reset-password-btn"
+            >
+              Reset Password
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ResetPasswordDialog;
@@ -0,0 +1,48 @@
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+
+/**
+ * Confirm signing out while leads added offline are still waiting to be sent
+ * Open whenever `unsentCount` is above zero; closing resets it via onOpenChange
+ */
+const SignOutDialog = ({ unsentCount, onOpenChange, onConfirm }) => {
+  const leads = unsentCount === 1 ? '1 lead' : `${unsentCount} leads`;
+
+  return (
+    <AlertDialog open={unsentCount > 0} onOpenChange={onOpenChange}>
+      <AlertDialogContent className="bg-card border-primary/20 rounded-none sm:rounded-none" data-testid="sign-out-dialog">
+        <AlertDialogHeader>
+          <AlertDialogTitle className="font-heading text-xl text-foreground">
+            Sign out and lose unsent leads?
+          </AlertDialogTitle>
+          <AlertDialogDescription className="font-body">
+            {leads} you added haven't reached the sheet yet. Signing out removes them from this
+            device and they will not be sent. Stay signed in to keep trying.
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+        <AlertDialogFooter>
+          <AlertDialogCancel className="rounded-none border-primary/30 font-body" data-testid="cancel-sign-out-btn">
+            Stay signed in
+          </AlertDialogCancel>
+          <AlertDialogAction
+            onClick={onConfirm}
+            className="rounded-none bg-destructive text-destructive-foreground hover:bg-destructive/90 font-body"
+            data-testid="confirm-sign-out-btn"
+          >
+            Sign out anyway
+          </AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+};
+
+export default SignOutDialog;
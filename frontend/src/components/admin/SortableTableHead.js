@@ -0,0 +1,36 @@
+import { ArrowUp, ArrowDown, ArrowUpDown } from 'lucide-react';
+import { TableHead } from '@/components/ui/table';
+
+/**
+ * Lead table header that sorts by `field`; clicking the sorted column flips its direction
+ */
+const SortableTableHead = ({ field, sort, onSortChange, children }) => {
+  const isSorted = sort.field === field;
+  const Icon = !isSorted ? ArrowUpDown : sort.direction === 'asc' ? ArrowUp : ArrowDown;
+
+  const toggle = () => {
+    onSortChange({
+      field,
+      direction: isSorted && sort.direction === 'asc' ? 'desc' : 'asc'
+    });
+  };
+
+  return (
+    <TableHead
+      className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70 py-4"
+      aria-sort={isSorted ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+    >
+      <button
+        type="button"
+        onClick={toggle}
+        className="inline-flex items-center gap-1 uppercase tracking-widest hover:text-primary"
+        data-testid={`sort-by-${field}`}
+      >
+        {children}
+        <Icon className={`w-3 h-3 ${isSorted ? '' : 'opacity-40'}`} />
+      </button>
+    </TableHead>
+  );
+};
+
+export default SortableTableHead;
@@ -0,0 +1,22 @@
+import { LEAD_STAGES, countByStage } from '@/lib/leadStages';
+
+/**
+ * Compact per-stage counts shown under a stats card total
+ */
+const StageBreakdown = ({ leads, testId }) => {
+  const counts = countByStage(leads);
+
+  return (
+    <div className="mt-4 pt-4 border-t border-primary/10 flex flex-wrap gap-x-4 gap-y-2" data-testid={testId}>
+      {LEAD_STAGES.map(stage => (
+        <span key={stage.id} className="inline-flex items-center gap-1.5 text-xs font-body text-muted-foreground">
+          <span className={`w-2 h-2 ${stage.color}`}></span>
+          {stage.label}
+          <span className="font-semibold text-foreground">{counts[stage.id]}</span>
+        </span>
+      ))}
+    </div>
+  );
+};
+
+export default StageBreakdown;
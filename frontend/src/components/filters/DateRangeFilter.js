@@ -0,0 +1,65 @@
+import { useState } from 'react';
+import { Calendar as CalendarIcon } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Calendar } from '@/components/ui/calendar';
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from '@/components/ui/popover';
+import { DATE_PRESETS, getDateFilterLabel } from '@/lib/leadFilters';
+
+/**
+ * Date filter: preset buttons beside a range calendar
+ * Picking days on the calendar switches to the 'custom' preset
+ */
+const DateRangeFilter = ({ datePreset, customRange, onChange, testId }) => {
+  const [open, setOpen] = useState(false);
+  const label = getDateFilterLabel(datePreset, customRange);
+
+  const choosePreset = (presetId) => {
+    onChange({ datePreset: presetId, customRange: presetId === 'custom' ? customRange : null });
+    if (presetId !== 'custom') setOpen(false);
+  };
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button
+          variant="outline"
+          className="w-full justify-start text-left font-normal rounded-none border-primary/20 hover:bg-primary/5 font-body"
+          data-testid={testId}
+        >
+          <CalendarIcon className="mr-2 h-4 w-4 text-primary/70" />
+          {label || <span className="text-muted-foreground">Filter by date</span>}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-auto p-0 bg-card border-primary/20 rounded-none" align="start">
+        <div className="flex flex-col sm:flex-row">
+          <div className="flex sm:flex-col flex-wrap gap-1 p-3 border-b sm:border-b-0 sm:border-r border-primary/10">
+            {DATE_PRESETS.map(preset => (
+              <Button
+                key={preset.id}
+                variant="ghost"
+                size="sm"
+                onClick={() => choosePreset(preset.id)}
+                className={`justify-start rounded-none font-body ${preset.id === datePreset ? 'bg-primary/10 text-primary' : ''}`}
+                data-testid={`date-preset-${preset.id}`}
+              >
+                {preset.label}
+              </Button>
+            ))}
+          </div>
+          <Calendar
+            mode="range"
+            selected={datePreset === 'custom' ? customRange || undefined : undefined}
+            onSelect={(range) => onChange({ datePreset: 'custom', customRange: range || null })}
+            initialFocus
+          />
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default DateRangeFilter;
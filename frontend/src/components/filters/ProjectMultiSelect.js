@@ -0,0 +1,75 @@
+import { ChevronDown } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from '@/components/ui/popover';
+
+const describeSelection = (selected) => {
+  if (selected.length === 0) return 'All Projects';
+  if (selected.length === 1) return selected[0];
+  return `${selected.length} projects`;
+};
+
+/**
+ * Project filter that allows several projects at once; none selected means all
+ */
+const ProjectMultiSelect = ({ projects, selected, onChange, testId }) => {
+  const toggle = (project, checked) => {
+    onChange(checked ? [...selected, project] : selected.filter(p => p !== project));
+  };
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button
+          variant="outline"
+          className="w-full justify-between font-normal rounded-none border-primary/20 hover:bg-primary/5 font-body"
+          data-testid={testId}
+        >
+          <span className={`truncate ${selected.length === 0 ? 'text-muted-foreground' : ''}`}>
+            {describeSelection(selected)}
+          </span>
+          <ChevronDown className="ml-2 h-4 w-4 opacity-50" />
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-64 p-0 bg-card border-primary/20 rounded-none" align="start">
+        {projects.length === 0 ? (
+          <p className="p-4 font-body text-sm text-muted-foreground">No projects yet.</p>
+        ) : (
+          <div className="max-h-64 overflow-y-auto p-2">
+            {projects.map(project => (
+              <label
+                key={project}
+                className="flex items-center gap-2 px-2 py-1.5 font-body text-sm text-foreground cursor-pointer hover:bg-primary/5"
+              >
+                <Checkbox
+                  checked={selected.includes(project)}
+                  onCheckedChange={(checked) => toggle(project, checked === true)}
+                  className="rounded-none"
+                />
+                <span className="truncate">{project}</span>
+              </label>
+            ))}
+          </div>
+        )}
+        {selected.length > 0 && (
+          <div className="border-t border-primary/10 p-2">
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => onChange([])}
+              className="w-full rounded-none font-body text-primary hover:bg-primary/5"
+            >
+              Show All Projects
+            </Button>
+          </div>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default ProjectMultiSelect;
@@ -0,0 +1,31 @@
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { TIME_OF_DAY_BUCKETS } from '@/lib/leadFilters';
+
+/**
+ * Filter by the part of the day a lead came in
+ */
+const TimeOfDayFilter = ({ value, onChange, testId }) => {
+  return (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger className="rounded-none border-primary/20 font-body" data-testid={testId}>
+        <SelectValue placeholder="Any time" />
+      </SelectTrigger>
+      <SelectContent className="bg-card border-primary/20">
+        <SelectItem value="all" className="font-body">Any time</SelectItem>
+        {TIME_OF_DAY_BUCKETS.map(bucket => (
+          <SelectItem key={bucket.id} value={bucket.id} className="font-body">
+            {bucket.label}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+};
+
+export default TimeOfDayFilter;
@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+import { format, formatDistanceToNow } from 'date-fns';
+import { RefreshCw, CloudOff } from 'lucide-react';
+
+// How often the "x minutes ago" text is refreshed
+const TICK_MS = 30 * 1000;
+
+/**
+ * When the data on screen last came from the backend, and whether a refresh is under way
+ * A failed refresh with data still showing reads as "offline" rather than an error page
+ */
+const SyncStatus = ({ syncedAt, isValidating, error, testId = 'sync-status' }) => {
+  const [, setTick] = useState(0);
+
+  useEffect(() => {
+    const timer = setInterval(() => setTick(tick => tick + 1), TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (!syncedAt && !isValidating) return null;
+
+  const syncedText = syncedAt ? formatDistanceToNow(syncedAt, { addSuffix: true }) : null;
+
+  return (
+    <span
+      className="inline-flex items-center gap-1.5 font-body text-xs text-muted-foreground"
+      title={syncedAt ? `Last synced ${format(syncedAt, 'dd/MM/yyyy HH:mm:ss')}` : undefined}
+      data-testid={testId}
+    >
+      {isValidating ? (
+        <>
+          <RefreshCw className="w-3 h-3 animate-spin" />
+          {syncedText ? `Syncing… last synced ${syncedText}` : 'Syncing…'}
+        </>
+      ) : error ? (
+        <>
+          <CloudOff className="w-3 h-3 text-destructive" />
+          Offline, showing data from {syncedText}
+        </>
+      ) : (
+        <>Last synced {syncedText}</>
+      )}
+    </span>
+  );
+};
+
+export default SyncStatus;
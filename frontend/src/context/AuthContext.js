@@ -1,36 +1,96 @@
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import { toast } from 'sonner';
+import { signIn } from '@/services/usersApi';
+import { clearLeadsCache } from '@/services/leadsStore';
+import { discardOutboxOf } from '@/services/leadOutbox';
+import {
+  getAuthToken,
+  setAuthToken,
+  clearAuthToken,
+  decodeAuthToken,
+  isAuthTokenValid,
+  onUnauthorized
+} from '@/services/authToken';
 
 const AuthContext = createContext(null);
 
-const ADMIN_PASSWORD = 'Propz@2026';
-const AUTH_KEY = 'propz_admin_auth';
+// setTimeout can't wait longer than this without firing straight away
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * The signed-in user, as carried in the token's claims
+ */
+const userFromToken = (token) => {
+  const claims = token ? decodeAuthToken(token) : null;
+  if (!claims) {
+    return null;
+  }
+  return { id: claims.sub, name: claims.name, username: claims.username, role: claims.role };
+};
 
 export const AuthProvider = ({ children }) => {
-  const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [token, setToken] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
 
   useEffect(() => {
-    // Check if user was previously authenticated
-    const authStatus = sessionStorage.getItem(AUTH_KEY);
-    if (authStatus === 'true') {
-      setIsAuthenticated(true);
+    // Pick up a session from earlier in this tab, if it hasn't expired
+    const storedToken = getAuthToken();
+    if (isAuthTokenValid(storedToken)) {
+      setToken(storedToken);
+    } else {
+      clearAuthToken();
     }
     setIsLoading(false);
   }, []);
 
-  const login = (password) => {
-    if (password === ADMIN_PASSWORD) {
-      setIsAuthenticated(true);
-      sessionStorage.setItem(AUTH_KEY, 'true');
-      return true;
-    }
-    return false;
+  // The backend verifies the password and returns a signed, expiring token
+  const login = async (username, password) => {
+    const result = await signIn(username, password);
+    // Cached leads belong to whoever signed in before
+    await clearLeadsCache();
+    setAuthToken(result.token);
+    setToken(result.token);
+    return true;
   };
 
-  const logout = () => {
-    setIsAuthenticated(false);
-    sessionStorage.removeItem(AUTH_KEY);
-  };
+  // Leads the user queued offline stay on the device, to be sent once they sign back in
+  const endSession = useCallback(() => {
+    setToken(null);
+    clearAuthToken();
+    clearLeadsCache();
+  }, []);
+
+  // Signing out on purpose also drops them (AdminLayout warns first when any are unsent)
+  const logout = useCallback(() => {
+    const signedOut = userFromToken(getAuthToken());
+    endSession();
+    if (signedOut) {
+      discardOutboxOf(signedOut.id).catch(err => console.error('Error discarding lead outbox:', err));
+    }
+  }, [endSession]);
+
+  // Sign out when the token runs out...
+  useEffect(() => {
+    if (!token) return undefined;
+
+    const claims = decodeAuthToken(token);
+    const timer = setTimeout(() => {
+      endSession();
+      toast.info('Your session has expired', { description: 'Please sign in again.' });
+    }, Math.min(Math.max(claims.exp * 1000 - Date.now(), 0), MAX_TIMEOUT_MS));
+    return () => clearTimeout(timer);
+  }, [token, endSession]);
+
+  // ...or when the backend rejects it (revoked, deactivated, signed with an old secret)
+  useEffect(() => {
+    return onUnauthorized(() => {
+      if (!getAuthToken()) return;
+      endSession();
+      toast.error('Your session is no longer valid', { description: 'Please sign in again.' });
+    });
+  }, [endSession]);
+
+  const user = useMemo(() => userFromToken(token), [token]);
 
   if (isLoading) {
     return (
@@ -41,7 +101,7 @@ export const AuthProvider = ({ children }) => {
   }
 
   return (
-    <AuthContext.Provider value={{ isAuthenticated, login, logout }}>
+    <AuthContext.Provider value={{ isAuthenticated: isAuthTokenValid(token), token, user, login, logout }}>
       {children}
     </AuthContext.Provider>
   );
@@ -0,0 +1,21 @@
+import { useEffect, useSyncExternalStore } from 'react';
+
+/**
+ * Read a cached store (see services/leadsStore) and revalidate it on mount
+ * isLoading is only true while there is nothing at all to show yet
+ */
+export const useCachedStore = (store) => {
+  const state = useSyncExternalStore(store.subscribe, store.getState);
+
+  useEffect(() => {
+    // Failures are kept in state.error for the page to show
+    store.revalidate().catch(err => console.error(err));
+  }, [store]);
+
+  return {
+    ...state,
+    isLoading: state.data === null && (state.isHydrating || state.isValidating),
+    revalidate: store.revalidate,
+    mutate: store.mutate
+  };
+};
@@ -0,0 +1,51 @@
+import { useEffect, useRef } from 'react';
+import { toast } from 'sonner';
+import { getFollowUpTimestamp, formatTime } from '@/services/googleSheetsApi';
+import { formatPhone } from '@/lib/phone';
+
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Toast when a lead's follow-up comes due while the page is open
+ * Follow-ups already due when the page loaded are left to the follow-up panel
+ */
+export const useFollowUpReminders = (leads, onOpenLead) => {
+  const lastCheckRef = useRef(Date.now());
+  const notifiedRef = useRef(new Set());
+  const leadsRef = useRef(leads);
+  const onOpenLeadRef = useRef(onOpenLead);
+
+  leadsRef.current = leads;
+  onOpenLeadRef.current = onOpenLead;
+
+  useEffect(() => {
+    const check = () => {
+      const now = Date.now();
+      const since = lastCheckRef.current;
+      lastCheckRef.current = now;
+
+      leadsRef.current.forEach(lead => {
+        const dueAt = getFollowUpTimestamp(lead);
+        const key = `${lead.id}:${dueAt}`;
+        if (!lead.id || dueAt <= since || dueAt > now || notifiedRef.current.has(key)) {
+          return;
+        }
+
+        notifiedRef.current.add(key);
+        toast(`Follow-up due: ${lead.name || 'Lead'}`, {
+          description: [lead.projectName, formatPhone(lead.phoneNumber), lead.followUpTime && formatTime(lead.followUpTime)]
+            .filter(Boolean)
+            .join(' · '),
+          duration: Infinity,
+          action: {
+            label: 'View',
+            onClick: () => onOpenLeadRef.current(lead)
+          }
+        });
+      });
+    };
+
+    const interval = setInterval(check, CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+};
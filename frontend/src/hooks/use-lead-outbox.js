@@ -0,0 +1,28 @@
+import { useEffect, useSyncExternalStore } from 'react';
+import {
+  startOutbox,
+  flushOutbox,
+  subscribeOutbox,
+  getOutboxState,
+  retryQueuedLead,
+  discardQueuedLead
+} from '@/services/leadOutbox';
+
+/**
+ * Lead creations still waiting for the backend (see services/leadOutbox)
+ * Mounting starts the outbox and sends whatever the signed-in user left queued
+ */
+export const useLeadOutbox = () => {
+  const state = useSyncExternalStore(subscribeOutbox, getOutboxState);
+
+  useEffect(() => {
+    startOutbox();
+    flushOutbox().catch(err => console.error(err));
+  }, []);
+
+  return {
+    ...state,
+    retry: retryQueuedLead,
+    discard: discardQueuedLead
+  };
+};
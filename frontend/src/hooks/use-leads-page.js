@@ -0,0 +1,134 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  canPageLeads,
+  fetchLeadsPage,
+  fetchAllLeadsPages,
+  queryLeadsPage,
+  filterLeads,
+  sortLeads
+} from '@/services/googleSheetsApi';
+
+// Up to this many leads, filtering and paging the cached copy beats a round trip
+export const CLIENT_PAGING_MAX_LEADS = 2000;
+
+// Picked at build time: REACT_APP_LEAD_PAGING=auto | server | client
+// auto asks the backend how many leads there are and pages there past CLIENT_PAGING_MAX_LEADS
+const LEAD_PAGING = process.env.REACT_APP_LEAD_PAGING || 'auto';
+
+const ALL_LEADS = {};
+
+/**
+ * How many leads the backend holds, asked once with a one-row page; null until it answers
+ * or when it can't page
+ */
+const useBackendLeadCount = (enabled) => {
+  const [count, setCount] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    let cancelled = false;
+    fetchLeadsPage(ALL_LEADS, { page: 1, pageSize: 1 })
+      .then(result => {
+        if (!cancelled && result) setCount(result.total);
+      })
+      .catch(err => console.error(err));
+    return () => { cancelled = true; };
+  }, [enabled]);
+
+  return count;
+};
+
+/**
+ * One page of the lead table: from the backend for large sheets (or when REACT_APP_LEAD_PAGING
+ * says so), from the cached leads for small ones, for backends that can't page, or while a
+ * server page can't be fetched
+ *
+ * leads is the cached list. In server mode the table doesn't read it: rows are shown as the
+ * backend returned them, with the cached copy of each laid over it only so optimistic edits
+ * appear straight away. Bump version after a write or sync to fetch the page again.
+ * Keep query and sort referentially stable (useMemo).
+ * Returns { leads, total, page, pageSize, pageCount, projects, mode: 'server' | 'client',
+ * isLoading, isFetching, fetchAllMatching }
+ *   projects         - every project from the backend in server mode, null otherwise
+ *   isLoading        - the first server page is on its way and there is nothing to show yet
+ *   fetchAllMatching - resolves with every lead matching query, in sort order, for exports
+ */
+export const useLeadsPage = (leads, { query, page, pageSize, sort, version }) => {
+  const [serverPage, setServerPage] = useState(null);
+  const [isFetching, setIsFetching] = useState(false);
+  const [failedKey, setFailedKey] = useState(null);
+  const [isUnsupported, setIsUnsupported] = useState(false);
+
+  const canPage = canPageLeads() && !isUnsupported;
+  const backendCount = useBackendLeadCount(canPage && LEAD_PAGING === 'auto');
+  const wantsServer = canPage && (
+    LEAD_PAGING === 'server' ||
+    (LEAD_PAGING === 'auto' && backendCount !== null && backendCount > CLIENT_PAGING_MAX_LEADS)
+  );
+
+  const requestKey = JSON.stringify({ query, page, pageSize, sort });
+  const useServer = wantsServer && failedKey !== requestKey;
+
+  useEffect(() => {
+    if (!useServer) return undefined;
+
+    let cancelled = false;
+    setIsFetching(true);
+    fetchLeadsPage(query, { page, pageSize, sort })
+      .then(result => {
+        if (cancelled) return;
+        if (result) {
+          setServerPage(result);
+        } else {
+          setIsUnsupported(true);
+        }
+      })
+      .catch(err => {
+        console.error(err);
+        if (!cancelled) setFailedKey(requestKey);
+      })
+      .finally(() => {
+        if (!cancelled) setIsFetching(false);
+      });
+    return () => { cancelled = true; };
+  }, [useServer, requestKey, query, page, pageSize, sort, version]);
+
+  const clientPage = useMemo(
+    () => (useServer ? null : queryLeadsPage(leads, query, { page, pageSize, sort })),
+    [useServer, leads, query, page, pageSize, sort]
+  );
+
+  const serverRows = useMemo(() => {
+    if (!serverPage) return [];
+    const byId = new Map(leads.filter(lead => lead.id).map(lead => [lead.id, lead]));
+    return serverPage.leads.map(lead => (lead.id && byId.get(lead.id)) || lead);
+  }, [serverPage, leads]);
+
+  let result;
+  if (!useServer) {
+    result = clientPage;
+  } else if (serverPage) {
+    result = { leads: serverRows, total: serverPage.total, page: serverPage.page, pageSize: serverPage.pageSize };
+  } else {
+    result = { leads: [], total: 0, page, pageSize };
+  }
+
+  const fetchAllMatching = useCallback(async () => {
+    if (useServer) {
+      const all = await fetchAllLeadsPages(query, sort);
+      if (all) return all;
+    }
+    return sortLeads(filterLeads(leads, query), sort);
+  }, [useServer, leads, query, sort]);
+
+  return {
+    ...result,
+    pageCount: Math.max(Math.ceil(result.total / result.pageSize), 1),
+    projects: useServer && serverPage ? serverPage.projects : null,
+    mode: useServer ? 'server' : 'client',
+    isLoading: useServer && !serverPage,
+    isFetching: useServer && isFetching,
+    fetchAllMatching
+  };
+};
@@ -0,0 +1,69 @@
+import { useMemo, useCallback } from 'react';
+import { useSearchParams, useLocation } from 'react-router-dom';
+import {
+  EMPTY_FILTERS,
+  filtersFromSearchParams,
+  filtersToSearchParams,
+  sortFromSearchParams,
+  sortToSearchParams,
+  pageFromSearchParams,
+  pageToSearchParams
+} from '@/lib/leadFilters';
+
+// Typing in these shouldn't leave one history entry per keystroke
+const TEXT_FILTERS = ['searchName', 'searchPhone'];
+
+/**
+ * Lead filter bar state kept in the query string, so filtered views survive a refresh,
+ * can be bookmarked or shared, and back/forward step through filter changes
+ * The phone search is kept in the history entry's state instead: it survives a refresh and
+ * back/forward too, but never appears in a URL that gets shared or logged
+ * The table's sort and page live there too; changing the filters or the sort goes back to page 1
+ */
+export const useUrlFilters = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const location = useLocation();
+  const paramsKey = searchParams.toString();
+  const searchPhone = location.state?.searchPhone || '';
+
+  const filters = useMemo(
+    () => ({ ...filtersFromSearchParams(new URLSearchParams(paramsKey)), searchPhone }),
+    [paramsKey, searchPhone]
+  );
+  const sort = useMemo(() => sortFromSearchParams(new URLSearchParams(paramsKey)), [paramsKey]);
+  const page = pageFromSearchParams(searchParams);
+
+  // Every navigation carries the phone search over, or it would be lost on the next sort or page
+  const withState = useCallback((options, phone = searchPhone) => ({
+    ...options,
+    state: { ...location.state, searchPhone: phone }
+  }), [location.state, searchPhone]);
+
+  const updateFilters = useCallback((changes) => {
+    // Starting a search adds a history entry; refining it replaces that entry
+    const replace = Object.keys(changes).every(key => TEXT_FILTERS.includes(key) && filters[key]);
+    const phone = 'searchPhone' in changes ? changes.searchPhone : searchPhone;
+    setSearchParams(prev => {
+      const next = filtersToSearchParams({ ...filtersFromSearchParams(prev), ...changes }, prev);
+      return pageToSearchParams(1, next);
+    }, withState({ replace }, phone));
+  }, [filters, searchPhone, withState, setSearchParams]);
+
+  const clearFilters = useCallback(() => {
+    setSearchParams(
+      prev => pageToSearchParams(1, filtersToSearchParams(EMPTY_FILTERS, prev)),
+      withState({}, '')
+    );
+  }, [withState, setSearchParams]);
+
+  const updateSort = useCallback((nextSort) => {
+    setSearchParams(prev => pageToSearchParams(1, sortToSearchParams(nextSort, prev)), withState({}));
+  }, [withState, setSearchParams]);
+
+  // replace: correct the page without a history entry, e.g. off one that no longer exists
+  const updatePage = useCallback((nextPage, { replace = false } = {}) => {
+    setSearchParams(prev => pageToSearchParams(nextPage, prev), withState({ replace }));
+  }, [withState, setSearchParams]);
+
+  return { filters, updateFilters, clearFilters, sort, updateSort, page, updatePage };
+};
@@ -0,0 +1,19 @@
+/**
+ * Outcomes an agent can pick when logging a call
+ */
+export const CALL_OUTCOMES = [
+  { id: 'connected', label: 'Connected' },
+  { id: 'no-answer', label: 'No answer' },
+  { id: 'busy', label: 'Busy' },
+  { id: 'callback', label: 'Asked to call back' },
+  { id: 'not-interested', label: 'Not interested' },
+  { id: 'wrong-number', label: 'Wrong number' },
+];
+
+/**
+ * Display label for a stored outcome id (unknown ids are shown as-is)
+ */
+export const getCallOutcomeLabel = (outcomeId) => {
+  const outcome = CALL_OUTCOMES.find(o => o.id === outcomeId);
+  return outcome ? outcome.label : outcomeId;
+};
@@ -0,0 +1,197 @@
+import { parsePhone } from '@/lib/phone';
+
+// Names at least this similar (0-1) count as the same person
+const NAME_MATCH_THRESHOLD = 0.85;
+
+const HONORIFICS = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'shri', 'smt', 'sri']);
+
+/**
+ * Lowercased name words without punctuation or honorifics: "Dr. Priya  Sharma" -> ['priya', 'sharma']
+ */
+const nameTokens = (name) => {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(token => token && !HONORIFICS.has(token));
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * How alike two names are, from 0 to 1
+ * Word order is ignored, and "Priya S" scores as "Priya Sharma" since an initial matches its word
+ */
+export const nameSimilarity = (a, b) => {
+  const tokensA = nameTokens(a).sort();
+  const tokensB = nameTokens(b).sort();
+  if (tokensA.length === 0 || tokensB.length === 0) {
+    return 0;
+  }
+
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  const initialsMatch = shorter.every(token =>
+    longer.some(other => other === token || (token.length === 1 && other.startsWith(token)))
+  );
+  if (initialsMatch) {
+    return 1;
+  }
+
+  const joinedA = tokensA.join(' ');
+  const joinedB = tokensB.join(' ');
+  return 1 - levenshtein(joinedA, joinedB) / Math.max(joinedA.length, joinedB.length);
+};
+
+export const isNameMatch = (a, b) => nameSimilarity(a, b) >= NAME_MATCH_THRESHOLD;
+
+/**
+ * Comparable form of a phone number: E.164 when it parses, bare digits otherwise
+ */
+export const phoneKey = (phone) => {
+  const parsed = parsePhone(phone);
+  return parsed ? parsed.e164 : String(phone || '').replace(/\D/g, '');
+};
+
+const projectKey = (project) => String(project || '').trim().toLowerCase();
+
+const sameProject = (a, b) => projectKey(a) === projectKey(b);
+
+/**
+ * Why two leads look like the same buyer, or null
+ *   phone - same number, however it was typed
+ *   name  - near-identical name on the same project (a repeat enquiry with a mistyped number)
+ */
+export const getDuplicateReason = (a, b) => {
+  const phoneA = phoneKey(a.phoneNumber);
+  if (phoneA && phoneA === phoneKey(b.phoneNumber)) {
+    return 'phone';
+  }
+  if (sameProject(a.projectName, b.projectName) && isNameMatch(a.name, b.name)) {
+    return 'name';
+  }
+  return null;
+};
+
+export const DUPLICATE_REASON_LABELS = {
+  phone: 'Same phone number',
+  name: 'Similar name, same project',
+};
+
+/**
+ * Leads set up for many duplicate checks, as an import needs: each lead's phone key is worked
+ * out once, and names are only compared with leads on the same project
+ * A lead already in the index can be checked against the rest without parsing its phone again
+ * Returns { add(lead), findDuplicatesOf(candidate) }; matches come back in the order leads were added
+ */
+export const createDuplicateIndex = (leads = []) => {
+  const byPhone = new Map();
+  const byProject = new Map();
+  const positions = new Map();
+  const phoneKeys = new Map();
+
+  const addTo = (map, key, lead) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(lead);
+  };
+
+  const add = (lead) => {
+    positions.set(lead, positions.size);
+    const phone = phoneKey(lead.phoneNumber);
+    phoneKeys.set(lead, phone);
+    if (phone) addTo(byPhone, phone, lead);
+    addTo(byProject, projectKey(lead.projectName), lead);
+  };
+
+  const findDuplicatesOf = (candidate) => {
+    const reasons = new Map();
+    const phone = phoneKeys.has(candidate) ? phoneKeys.get(candidate) : phoneKey(candidate.phoneNumber);
+    (phone ? byPhone.get(phone) || [] : []).forEach(lead => reasons.set(lead, 'phone'));
+    (byProject.get(projectKey(candidate.projectName)) || []).forEach(lead => {
+      if (!reasons.has(lead) && isNameMatch(candidate.name, lead.name)) {
+        reasons.set(lead, 'name');
+      }
+    });
+
+    return [...reasons.entries()]
+      .filter(([lead]) => lead !== candidate && !(candidate.id && lead.id === candidate.id))
+      .sort(([a], [b]) => positions.get(a) - positions.get(b))
+      .map(([lead, reason]) => ({ lead, reason }));
+  };
+
+  leads.forEach(add);
+  return { add, findDuplicatesOf };
+};
+
+/**
+ * Existing leads that look like the same buyer as a lead about to be saved
+ * Returns [{ lead, reason }]
+ */
+export const findDuplicatesOf = (candidate, leads) => createDuplicateIndex(leads).findDuplicatesOf(candidate);
+
+/**
+ * Group leads that look like the same buyer; matches chain, so A~B and B~C form one group
+ * Each lead is only compared with those sharing its phone key or its project (see createDuplicateIndex)
+ * Returns [{ leads, reasons }] for groups of two or more, largest first
+ */
+export const groupDuplicates = (leads) => {
+  const parent = leads.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const reasons = new Map();
+  const indexOf = new Map(leads.map((lead, i) => [lead, i]));
+  const index = createDuplicateIndex(leads);
+
+  leads.forEach((lead, i) => {
+    index.findDuplicatesOf(lead).forEach(({ lead: match, reason }) => {
+      const rootI = find(i);
+      const rootJ = find(indexOf.get(match));
+      const merged = new Set([...(reasons.get(rootI) || []), ...(reasons.get(rootJ) || []), reason]);
+      parent[rootJ] = rootI;
+      reasons.set(rootI, merged);
+    });
+  });
+
+  const groups = new Map();
+  leads.forEach((lead, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(lead);
+  });
+
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => ({ leads: members, reasons: [...(reasons.get(root) || [])] }))
+    .sort((a, b) => b.leads.length - a.leads.length);
+};
+
+/**
+ * Every project a set of leads was for, kept lead first; the first spelling of each wins
+ */
+export const mergeProjectInterests = (leads) => {
+  const interests = new Map();
+  leads.forEach(lead => {
+    const projects = Array.isArray(lead.projectInterests)
+      ? lead.projectInterests
+      : String(lead.projectInterests || '').split(',');
+    [lead.projectName, ...projects].forEach(project => {
+      const name = String(project || '').trim();
+      if (name && !interests.has(name.toLowerCase())) {
+        interests.set(name.toLowerCase(), name);
+      }
+    });
+  });
+  return [...interests.values()];
+};
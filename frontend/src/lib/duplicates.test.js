@@ -0,0 +1,78 @@
+import { nameSimilarity, isNameMatch, groupDuplicates, findDuplicatesOf } from '@/lib/duplicates';
+
+const lead = (id, name, phoneNumber, projectName = 'Skyline') => ({ id, name, phoneNumber, projectName });
+
+describe('nameSimilarity', () => {
+  it('ignores case, punctuation, honorifics and word order', () => {
+    expect(nameSimilarity('Dr. Priya  Sharma', 'sharma priya')).toBe(1);
+  });
+
+  it('matches an initial to its word', () => {
+    expect(nameSimilarity('Priya S', 'Priya Sharma')).toBe(1);
+    expect(nameSimilarity('P Sharma', 'Rahul Sharma')).toBeLessThan(1);
+  });
+
+  it('scores a typo as close but different names as far', () => {
+    expect(isNameMatch('Priya Sharma', 'Priya Sharme')).toBe(true);
+    expect(isNameMatch('Priya Sharma', 'Rahul Verma')).toBe(false);
+  });
+
+  it('scores an empty name as 0', () => {
+    expect(nameSimilarity('', 'Priya')).toBe(0);
+    expect(nameSimilarity('Mr.', 'Priya')).toBe(0);
+  });
+});
+
+describe('findDuplicatesOf', () => {
+  it('matches a number however it was typed', () => {
+    const existing = [lead('a', 'Anil', '+91 98765 43210', 'Harbour')];
+
+    expect(findDuplicatesOf(lead(undefined, 'Someone', '098765-43210'), existing)).toEqual([
+      { lead: existing[0], reason: 'phone' }
+    ]);
+  });
+
+  it('leaves out the lead being checked', () => {
+    const existing = [lead('a', 'Anil', '9876543210')];
+    expect(findDuplicatesOf({ ...existing[0], name: 'Anil K' }, existing)).toEqual([]);
+  });
+});
+
+describe('groupDuplicates', () => {
+  it('groups by phone, and by name only within a project', () => {
+    const leads = [
+      lead('a', 'Priya Sharma', '9876543210'),
+      lead('b', 'Someone Else', '+919876543210', 'Harbour'),
+      lead('c', 'Priya Sharme', '9000000001'),
+      lead('d', 'Priya Sharma', '9000000002', 'Harbour'),
+      lead('e', 'Rahul Verma', '9000000003')
+    ];
+
+    expect(groupDuplicates(leads)).toEqual([
+      { leads: [leads[0], leads[1], leads[2]], reasons: ['phone', 'name'] }
+    ]);
+  });
+
+  it('chains matches into one group and puts the largest first', () => {
+    const leads = [
+      lead('a', 'Anil', '9000000001'),
+      lead('b', 'Bela', '9000000002'),
+      lead('c', 'Cara', '9000000002'),
+      lead('d', 'Dev', '9000000003'),
+      lead('e', 'Dev', '9000000004'),
+      lead('f', 'Cara', '9000000005')
+    ];
+    const ids = groupDuplicates(leads).map(group => group.leads.map(item => item.id));
+
+    expect(ids).toEqual([['b', 'c', 'f'], ['d', 'e']]);
+  });
+
+  it('groups leads that have no id yet', () => {
+    const leads = [lead(undefined, 'Anil', '9876543210'), lead(undefined, 'Bela', '9876543210')];
+    expect(groupDuplicates(leads)).toHaveLength(1);
+  });
+
+  it('answers no groups when nothing matches', () => {
+    expect(groupDuplicates([lead('a', 'Anil', '9000000001'), lead('b', 'Bela', '9000000002')])).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * When an enquirer would like to be called back
+ */
+export const PREFERRED_TIMES = [
+  { id: 'morning', label: 'Morning (9am - 12pm)' },
+  { id: 'afternoon', label: 'Afternoon (12pm - 4pm)' },
+  { id: 'evening', label: 'Evening (4pm - 8pm)' },
+  { id: 'anytime', label: 'Anytime' },
+];
+
+export const getPreferredTimeLabel = (id) => {
+  const option = PREFERRED_TIMES.find(o => o.id === id);
+  return option ? option.label : id;
+};
+
+// Message the embedded form posts to its parent page so the iframe can fit its content
+export const ENQUIRY_HEIGHT_MESSAGE = 'propz-enquiry-height';
+
+/**
+ * Public URL of a project's enquiry form; embed=true drops the page chrome for iframes
+ */
+export const getEnquiryUrl = (origin, projectName, embed = false) => {
+  return `${origin}/enquire/${encodeURIComponent(projectName)}${embed ? '?embed=1' : ''}`;
+};
+
+/**
+ * Snippets for project microsites: a plain iframe, or the script that sizes it automatically
+ */
+export const getEmbedSnippets = (origin, projectName) => ({
+  iframe: `<iframe src="${getEnquiryUrl(origin, projectName, true)}" title="Enquire about ${projectName}" style="width:100%;max-width:480px;height:640px;border:0" loading="lazy"></iframe>`,
+  script: `<script src="${origin}/embed.js" data-project="${projectName.replace(/"/g, '&quot;')}" async></script>`
+});
+
+// Hidden form field real visitors never see; bots that fill every input fill it too
+export const HONEYPOT_FIELD = 'website';
+
+/**
+ * Why a public enquiry was held back for review
+ */
+export const QUARANTINE_REASONS = [
+  { id: 'honeypot', label: 'Hidden field filled in' },
+  { id: 'challenge', label: 'Failed the challenge' },
+  { id: 'too-fast', label: 'Submitted too quickly' },
+  { id: 'ip-rate-limit', label: 'Too many from one address' },
+  { id: 'phone-rate-limit', label: 'Too many for one phone' },
+];
+
+export const getQuarantineReasonLabel = (id) => {
+  const reason = QUARANTINE_REASONS.find(r => r.id === id);
+  return reason ? reason.label : id;
+};
+
+/**
+ * Count the zero bits a digest starts with
+ */
+export const leadingZeroBits = (digest) => {
+  let bits = 0;
+  for (const byte of digest) {
+    if (byte !== 0) {
+      return bits + Math.clz32(byte) - 24;
+    }
+    bits += 8;
+  }
+  return bits;
+};
+
+/**
+ * SHA-256 of "<challenge>:<solution>", the hash the proof of work is checked against
+ */
+export const hashChallenge = async (challenge, solution) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${challenge}:${solution}`));
+  return new Uint8Array(digest);
+};
+
+/**
+ * Find a solution whose hash starts with `difficulty` zero bits
+ * Each digest resolves asynchronously, so the page stays responsive while this runs
+ */
+export const solveChallenge = async (challenge, difficulty) => {
+  for (let solution = 0; ; solution++) {
+    if (leadingZeroBits(await hashChallenge(challenge, solution)) >= difficulty) {
+      return String(solution);
+    }
+  }
+};
@@ -0,0 +1,146 @@
+import { format } from 'date-fns';
+import { formatDate, formatTime } from '@/services/googleSheetsApi';
+import { getUserName } from '@/services/usersApi';
+import { getStage } from '@/lib/leadStages';
+import { formatPhone } from '@/lib/phone';
+import { describeFilters } from '@/lib/leadFilters';
+
+/**
+ * Columns written by every export format, as display text
+ * Dates and times stay text (DD/MM/YYYY, HH:MM) so spreadsheet apps don't reinterpret them by locale
+ *   formatted - the app formats the value itself, so it can't carry a formula (see escapeCsvCell)
+ */
+const EXPORT_COLUMNS = [
+  { title: 'Name', width: 24, value: (lead) => lead.name },
+  { title: 'Project', width: 24, value: (lead) => (lead.projectInterests || [lead.projectName]).join(', ') },
+  { title: 'Phone', width: 18, formatted: true, value: (lead) => formatPhone(lead.phoneNumber) },
+  { title: 'Date', width: 12, formatted: true, value: (lead) => formatDate(lead.date) },
+  { title: 'Time', width: 8, formatted: true, value: (lead) => formatTime(lead.time) },
+  { title: 'Stage', width: 14, value: (lead) => getStage(lead.status).label },
+  { title: 'Assigned To', width: 20, value: (lead, users) => getUserName(users, lead.assignedTo) },
+];
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'xlsx', label: 'Excel (XLSX)' },
+  { id: 'pdf', label: 'PDF Report' },
+];
+
+const toRows = (leads, users) => {
+  return leads.map(lead => EXPORT_COLUMNS.map(column => column.value(lead, users) || ''));
+};
+
+const exportFileName = (extension, exportedAt) => `leads-${format(exportedAt, 'yyyy-MM-dd-HHmm')}.${extension}`;
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * One CSV cell, quoted when it needs to be
+ * Names come from the public enquiry form, so free text that spreadsheet apps would run as a
+ * formula (=, +, -, @, tab or CR first) gets a leading apostrophe; formatted columns such as
+ * +971 phone numbers are only quoted
+ */
+const escapeCsvCell = (value, { formatted = false } = {}) => {
+  const raw = String(value);
+  const isFormulaLike = /^[=+\-@\t\r]/.test(raw);
+  const text = isFormulaLike && !formatted ? `'${raw}` : raw;
+  return isFormulaLike || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The CSV export's text, header row first
+ */
+export const toCsv = (leads, users = []) => {
+  const header = EXPORT_COLUMNS.map(column => escapeCsvCell(column.title));
+  const rows = toRows(leads, users).map(row => row.map((value, i) => escapeCsvCell(value, EXPORT_COLUMNS[i])));
+  return [header, ...rows].map(row => row.join(',')).join('\r\n');
+};
+
+const exportCsv = (leads, { users, exportedAt }) => {
+  // The byte order mark makes Excel read the file as UTF-8
+  const blob = new Blob(['\uFEFF' + toCsv(leads, users)], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, exportFileName('csv', exportedAt));
+};
+
+/**
+ * write-excel-file schema for the XLSX export
+ * Every cell is a String cell, which spreadsheet apps never evaluate, so values go in as they are
+ */
+export const toXlsxSchema = (users = []) => EXPORT_COLUMNS.map(column => ({
+  column: column.title,
+  type: String,
+  width: column.width,
+  value: (lead) => column.value(lead, users) || ''
+}));
+
+const exportXlsx = async (leads, { users, exportedAt }) => {
+  const { default: writeXlsxFile } = await import('write-excel-file');
+  const schema = toXlsxSchema(users);
+  await writeXlsxFile(leads, {
+    schema,
+    sheet: 'Leads',
+    stickyRowsCount: 1,
+    fileName: exportFileName('xlsx', exportedAt)
+  });
+};
+
+const exportPdf = async (leads, { users, filters, exportedAt }) => {
+  const [{ jsPDF }, { default: autoTable }] = await Promise.all([
+    import('jspdf'),
+    import('jspdf-autotable')
+  ]);
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'a4' });
+  const filterText = describeFilters(filters, exportedAt);
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(18);
+  doc.text('Leads Report', 40, 48);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  doc.text(`Exported ${format(exportedAt, 'dd/MM/yyyy HH:mm')}`, 40, 68);
+  doc.text(`Filters: ${filterText.length > 0 ? filterText.join(' · ') : 'None'}`, 40, 84);
+  doc.text(`${leads.length} lead${leads.length === 1 ? '' : 's'}`, 40, 100);
+
+  autoTable(doc, {
+    startY: 116,
+    head: [EXPORT_COLUMNS.map(column => column.title)],
+    body: toRows(leads, users),
+    styles: { font: 'helvetica', fontSize: 9, cellPadding: 4 },
+    // The app's primary maroon
+    headStyles: { fillColor: [111, 7, 1] },
+    didDrawPage: ({ pageNumber }) => {
+      doc.setFontSize(8);
+      doc.text(`Page ${pageNumber}`, doc.internal.pageSize.getWidth() - 80, doc.internal.pageSize.getHeight() - 20);
+    }
+  });
+
+  doc.save(exportFileName('pdf', exportedAt));
+};
+
+const EXPORTERS = {
+  csv: exportCsv,
+  xlsx: exportXlsx,
+  pdf: exportPdf,
+};
+
+/**
+ * Download leads as CSV, XLSX or a PDF report, in the order given
+ * `filters` is the filter bar state (see lib/leadFilters), described in the PDF header
+ * The XLSX and PDF libraries are only loaded when those formats are used
+ */
+export const exportLeads = async (formatId, leads, { users = [], filters = {} } = {}) => {
+  const exporter = EXPORTERS[formatId];
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${formatId}`);
+  }
+  await exporter(leads, { users, filters, exportedAt: new Date() });
+};
@@ -0,0 +1,54 @@
+import { toCsv, toXlsxSchema } from '@/lib/leadExport';
+
+const lead = (changes = {}) => ({
+  id: '1',
+  name: 'Priya Sharma',
+  projectName: 'Alpha',
+  phoneNumber: '+919876543210',
+  date: '05/01/2025',
+  time: '09:30:00',
+  status: 'new',
+  assignedTo: '',
+  ...changes
+});
+
+const csvRow = (leadChanges) => toCsv([lead(leadChanges)]).split('\r\n')[1];
+
+describe('toCsv', () => {
+  it('writes a header row and one row per lead', () => {
+    const lines = toCsv([lead(), lead({ id: '2' })]).split('\r\n');
+    expect(lines[0]).toBe('Name,Project,Phone,Date,Time,Stage,Assigned To');
+    expect(lines).toHaveLength(3);
+  });
+
+  it('keeps a name that starts with = as text', () => {
+    expect(csvRow({ name: '=HYPERLINK("http://x.test","Click")' })).toMatch(
+      /^"'=HYPERLINK\(""http:\/\/x\.test"",""Click""\)",/
+    );
+  });
+
+  it.each(['+cmd|calc', '-2+3', '@SUM(A1)'])('keeps a name starting %s as text', (name) => {
+    expect(csvRow({ name })).toMatch(new RegExp(`^"'\\${name[0]}`));
+  });
+
+  it('writes a foreign phone number as it is formatted', () => {
+    expect(csvRow({ phoneNumber: '+971501234567' })).toContain(',"+971 50 123 4567",');
+  });
+
+  it('quotes cells with commas', () => {
+    expect(csvRow({ projectInterests: ['Alpha', 'Beta'] })).toContain(',"Alpha, Beta",');
+  });
+});
+
+describe('toXlsxSchema', () => {
+  const cells = (leadChanges) => toXlsxSchema().map(column => column.value(lead(leadChanges)));
+
+  it('writes values unchanged, as text cells', () => {
+    expect(toXlsxSchema().every(column => column.type === String)).toBe(true);
+    expect(cells({ name: '=1+1', phoneNumber: '+971501234567' }).slice(0, 3)).toEqual([
+      '=1+1',
+      'Alpha',
+      '+971 50 123 4567'
+    ]);
+  });
+});
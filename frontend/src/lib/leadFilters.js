@@ -0,0 +1,233 @@
+import { format, parse, isValid, startOfDay, endOfDay, subDays, startOfMonth } from 'date-fns';
+
+/**
+ * Quick picks for the date filter; 'custom' uses the range picked on the calendar
+ */
+export const DATE_PRESETS = [
+  { id: 'all', label: 'Any date' },
+  { id: 'today', label: 'Today' },
+  { id: 'yesterday', label: 'Yesterday' },
+  { id: 'last7', label: 'Last 7 days' },
+  { id: 'thisMonth', label: 'This month' },
+  { id: 'custom', label: 'Custom range' },
+];
+
+/**
+ * Parts of the day a lead can come in, by hour (24h clock, `to` exclusive)
+ * Night wraps past midnight
+ */
+export const TIME_OF_DAY_BUCKETS = [
+  { id: 'morning', label: 'Morning (5am - 12pm)', from: 5, to: 12 },
+  { id: 'afternoon', label: 'Afternoon (12pm - 5pm)', from: 12, to: 17 },
+  { id: 'evening', label: 'Evening (5pm - 9pm)', from: 17, to: 21 },
+  { id: 'night', label: 'Night (9pm - 5am)', from: 21, to: 5 },
+];
+
+/**
+ * Columns the lead table can be sorted by; date sorts by date then time
+ */
+export const LEAD_SORT_FIELDS = ['date', 'name', 'project'];
+
+// Oldest first, the order the table has always used
+export const DEFAULT_SORT = { field: 'date', direction: 'asc' };
+
+/**
+ * Filter state as the filter bars hold it
+ *   customRange - { from, to } picked on the calendar; used when datePreset is 'custom'
+ */
+export const EMPTY_FILTERS = {
+  searchName: '',
+  searchPhone: '',
+  projects: [],
+  datePreset: 'all',
+  customRange: null,
+  timeOfDay: 'all',
+};
+
+export const isHourInBucket = (hours, bucketId) => {
+  const bucket = TIME_OF_DAY_BUCKETS.find(b => b.id === bucketId);
+  if (!bucket) return true;
+  return bucket.from < bucket.to
+    ? hours >= bucket.from && hours < bucket.to
+    : hours >= bucket.from || hours < bucket.to;
+};
+
+/**
+ * The days a date preset covers, as { from, to } at start and end of day, or null for any date
+ */
+export const getDateRange = (datePreset, customRange, now = new Date()) => {
+  switch (datePreset) {
+    case 'today':
+      return { from: startOfDay(now), to: endOfDay(now) };
+    case 'yesterday':
+      return { from: startOfDay(subDays(now, 1)), to: endOfDay(subDays(now, 1)) };
+    case 'last7':
+      return { from: startOfDay(subDays(now, 6)), to: endOfDay(now) };
+    case 'thisMonth':
+      return { from: startOfMonth(now), to: endOfDay(now) };
+    case 'custom':
+      if (!customRange || !customRange.from) return null;
+      // A single click on the calendar picks one day
+      return { from: startOfDay(customRange.from), to: endOfDay(customRange.to || customRange.from) };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Filter bar state -> the criteria filterLeads takes
+ */
+export const toLeadQuery = (filters, now = new Date()) => ({
+  searchName: filters.searchName,
+  searchPhone: filters.searchPhone,
+  projects: filters.projects,
+  dateRange: getDateRange(filters.datePreset, filters.customRange, now),
+  timeOfDay: filters.timeOfDay,
+});
+
+export const hasActiveFilters = (filters) => {
+  return Boolean(
+    filters.searchName ||
+    filters.searchPhone ||
+    filters.projects.length > 0 ||
+    getDateRange(filters.datePreset, filters.customRange) ||
+    filters.timeOfDay !== 'all'
+  );
+};
+
+const formatRange = ({ from, to }) => {
+  const start = format(from, 'dd/MM/yyyy');
+  const end = format(to, 'dd/MM/yyyy');
+  return start === end ? start : `${start} - ${end}`;
+};
+
+/**
+ * Label for the date filter button: the preset's name, or the custom days
+ */
+export const getDateFilterLabel = (datePreset, customRange) => {
+  if (datePreset === 'custom') {
+    const range = getDateRange(datePreset, customRange);
+    return range ? formatRange(range) : null;
+  }
+  return datePreset === 'all' ? null : DATE_PRESETS.find(preset => preset.id === datePreset)?.label || null;
+};
+
+/**
+ * The active filters as readable phrases, for report headers
+ */
+export const describeFilters = (filters, now = new Date()) => {
+  const parts = [];
+  if (filters.searchName) parts.push(`Name contains "${filters.searchName}"`);
+  if (filters.searchPhone) parts.push(`Phone contains "${filters.searchPhone}"`);
+  if (filters.projects.length > 0) parts.push(`Projects: ${filters.projects.join(', ')}`);
+
+  // Presets are relative, so spell out the days they meant at the time
+  const range = getDateRange(filters.datePreset, filters.customRange, now);
+  if (range) {
+    parts.push(filters.datePreset === 'custom'
+      ? `Date: ${formatRange(range)}`
+      : `Date: ${getDateFilterLabel(filters.datePreset)} (${formatRange(range)})`);
+  }
+
+  const bucket = TIME_OF_DAY_BUCKETS.find(b => b.id === filters.timeOfDay);
+  if (bucket) parts.push(`Time: ${bucket.label}`);
+  return parts;
+};
+
+// Query string keys for each filter, e.g. ?q=priya&project=Alpha&project=Beta&date=custom&from=2025-01-01
+// The phone search is never written: a shared or logged URL would carry the number. Links from
+// before that still get their phone= dropped on the next filter change
+const FILTER_PARAMS = ['q', 'phone', 'project', 'date', 'from', 'to', 'time'];
+const PARAM_DATE_FORMAT = 'yyyy-MM-dd';
+
+const parseParamDate = (value) => {
+  if (!value) return null;
+  const date = parse(value, PARAM_DATE_FORMAT, new Date());
+  return isValid(date) ? date : null;
+};
+
+/**
+ * Read filter bar state from a URLSearchParams; unknown or malformed values fall back to no filter
+ * searchPhone always comes back empty, see FILTER_PARAMS
+ */
+export const filtersFromSearchParams = (params) => {
+  const datePreset = params.get('date');
+  const from = parseParamDate(params.get('from'));
+  const timeOfDay = params.get('time');
+
+  return {
+    searchName: params.get('q') || '',
+    searchPhone: '',
+    projects: params.getAll('project').filter(Boolean),
+    datePreset: DATE_PRESETS.some(preset => preset.id === datePreset) ? datePreset : 'all',
+    customRange: from ? { from, to: parseParamDate(params.get('to')) || undefined } : null,
+    timeOfDay: TIME_OF_DAY_BUCKETS.some(bucket => bucket.id === timeOfDay) ? timeOfDay : 'all',
+  };
+};
+
+/**
+ * Write filter bar state into a copy of `params`, leaving unrelated keys alone
+ * Filters at their defaults are left out so an unfiltered view has a clean URL, and so is searchPhone
+ */
+export const filtersToSearchParams = (filters, params = new URLSearchParams()) => {
+  const next = new URLSearchParams(params);
+  FILTER_PARAMS.forEach(key => next.delete(key));
+
+  if (filters.searchName) next.set('q', filters.searchName);
+  filters.projects.forEach(project => next.append('project', project));
+  if (filters.datePreset !== 'all') next.set('date', filters.datePreset);
+  if (filters.datePreset === 'custom' && filters.customRange?.from) {
+    next.set('from', format(filters.customRange.from, PARAM_DATE_FORMAT));
+    if (filters.customRange.to) next.set('to', format(filters.customRange.to, PARAM_DATE_FORMAT));
+  }
+  if (filters.timeOfDay !== 'all') next.set('time', filters.timeOfDay);
+  return next;
+};
+
+// Query string keys for the lead table's order and page, e.g. ?sort=name&order=desc&page=3
+// Left out at their defaults, like the filters
+const SORT_PARAM = 'sort';
+const ORDER_PARAM = 'order';
+const PAGE_PARAM = 'page';
+
+/**
+ * Read the table's sort from a URLSearchParams; anything unknown means DEFAULT_SORT
+ */
+export const sortFromSearchParams = (params) => {
+  const field = params.get(SORT_PARAM);
+  const direction = params.get(ORDER_PARAM);
+  return {
+    field: LEAD_SORT_FIELDS.includes(field) ? field : DEFAULT_SORT.field,
+    direction: direction === 'asc' || direction === 'desc' ? direction : DEFAULT_SORT.direction,
+  };
+};
+
+/**
+ * Write the table's sort into a copy of `params`, leaving unrelated keys alone
+ */
+export const sortToSearchParams = (sort, params = new URLSearchParams()) => {
+  const next = new URLSearchParams(params);
+  next.delete(SORT_PARAM);
+  next.delete(ORDER_PARAM);
+  if (sort.field !== DEFAULT_SORT.field) next.set(SORT_PARAM, sort.field);
+  if (sort.direction !== DEFAULT_SORT.direction) next.set(ORDER_PARAM, sort.direction);
+  return next;
+};
+
+/**
+ * Read the table's page (1-based) from a URLSearchParams; anything malformed means the first
+ */
+export const pageFromSearchParams = (params) => {
+  const page = Number(params.get(PAGE_PARAM));
+  return Number.isInteger(page) && page > 1 ? page : 1;
+};
+
+/**
+ * Write the table's page into a copy of `params`; the first page leaves the key out
+ */
+export const pageToSearchParams = (page, params = new URLSearchParams()) => {
+  const next = new URLSearchParams(params);
+  next.delete(PAGE_PARAM);
+  if (page > 1) next.set(PAGE_PARAM, String(page));
+  return next;
+};
@@ -0,0 +1,145 @@
+import {
+  EMPTY_FILTERS,
+  DEFAULT_SORT,
+  getDateRange,
+  isHourInBucket,
+  hasActiveFilters,
+  describeFilters,
+  filtersFromSearchParams,
+  filtersToSearchParams,
+  sortFromSearchParams,
+  sortToSearchParams,
+  pageFromSearchParams,
+  pageToSearchParams
+} from '@/lib/leadFilters';
+
+describe('getDateRange', () => {
+  // A Wednesday afternoon
+  const now = new Date(2025, 0, 15, 14, 30);
+  const range = (preset, customRange) => {
+    const { from, to } = getDateRange(preset, customRange, now);
+    return [from.toString(), to.toString()];
+  };
+  const day = (date, hours = 0, minutes = 0, seconds = 0, ms = 0) =>
+    new Date(2025, 0, date, hours, minutes, seconds, ms).toString();
+
+  it('covers whole days for each preset', () => {
+    expect(range('today')).toEqual([day(15), day(15, 23, 59, 59, 999)]);
+    expect(range('yesterday')).toEqual([day(14), day(14, 23, 59, 59, 999)]);
+    expect(range('last7')).toEqual([day(9), day(15, 23, 59, 59, 999)]);
+    expect(range('thisMonth')).toEqual([day(1), day(15, 23, 59, 59, 999)]);
+  });
+
+  it('reads a custom range, or a single picked day', () => {
+    expect(range('custom', { from: new Date(2025, 0, 3, 10), to: new Date(2025, 0, 5) })).toEqual([
+      day(3),
+      day(5, 23, 59, 59, 999)
+    ]);
+    expect(range('custom', { from: new Date(2025, 0, 3) })).toEqual([day(3), day(3, 23, 59, 59, 999)]);
+  });
+
+  it('answers null for any date or a custom range with nothing picked', () => {
+    expect(getDateRange('all', null, now)).toBeNull();
+    expect(getDateRange('custom', null, now)).toBeNull();
+  });
+});
+
+describe('isHourInBucket', () => {
+  it('includes the start hour and excludes the end hour', () => {
+    expect([4, 5, 11, 12].filter(hour => isHourInBucket(hour, 'morning'))).toEqual([5, 11]);
+    expect([16, 17, 20, 21].filter(hour => isHourInBucket(hour, 'evening'))).toEqual([17, 20]);
+  });
+
+  it('wraps night past midnight', () => {
+    expect([20, 21, 23, 0, 4, 5].filter(hour => isHourInBucket(hour, 'night'))).toEqual([21, 23, 0, 4]);
+  });
+
+  it('puts every hour in exactly one bucket', () => {
+    const buckets = ['morning', 'afternoon', 'evening', 'night'];
+    for (let hour = 0; hour < 24; hour++) {
+      expect(buckets.filter(bucket => isHourInBucket(hour, bucket))).toHaveLength(1);
+    }
+  });
+
+  it('lets every hour through without a bucket', () => {
+    expect(isHourInBucket(3, 'all')).toBe(true);
+  });
+});
+
+describe('hasActiveFilters and describeFilters', () => {
+  it('treats the empty filters as inactive', () => {
+    expect(hasActiveFilters(EMPTY_FILTERS)).toBe(false);
+    expect(hasActiveFilters({ ...EMPTY_FILTERS, datePreset: 'custom' })).toBe(false);
+    expect(hasActiveFilters({ ...EMPTY_FILTERS, timeOfDay: 'night' })).toBe(true);
+  });
+
+  it('spells out the days a preset meant', () => {
+    const filters = { ...EMPTY_FILTERS, projects: ['Alpha', 'Beta'], datePreset: 'yesterday', timeOfDay: 'morning' };
+
+    expect(describeFilters(filters, new Date(2025, 0, 15))).toEqual([
+      'Projects: Alpha, Beta',
+      'Date: Yesterday (14/01/2025)',
+      'Time: Morning (5am - 12pm)'
+    ]);
+  });
+});
+
+describe('filters in the query string', () => {
+  const roundTrip = (filters) => filtersFromSearchParams(filtersToSearchParams(filters));
+
+  it('leaves an unfiltered view with a clean URL', () => {
+    expect(filtersToSearchParams(EMPTY_FILTERS).toString()).toBe('');
+    expect(filtersFromSearchParams(new URLSearchParams())).toEqual(EMPTY_FILTERS);
+  });
+
+  it('round-trips every filter but the phone search', () => {
+    const filters = {
+      searchName: 'priya',
+      searchPhone: '98765',
+      projects: ['Alpha', 'Beta'],
+      datePreset: 'custom',
+      customRange: { from: new Date(2025, 0, 1), to: new Date(2025, 0, 31) },
+      timeOfDay: 'evening'
+    };
+
+    expect(filtersToSearchParams(filters).toString()).toBe(
+      'q=priya&project=Alpha&project=Beta&date=custom&from=2025-01-01&to=2025-01-31&time=evening'
+    );
+    expect(roundTrip(filters)).toEqual({ ...filters, searchPhone: '' });
+  });
+
+  it('keeps phone numbers out of the URL, and drops one from an old link', () => {
+    const params = filtersToSearchParams({ ...EMPTY_FILTERS, searchPhone: '98765' }, new URLSearchParams('phone=12345'));
+
+    expect(params.has('phone')).toBe(false);
+    expect(filtersFromSearchParams(new URLSearchParams('phone=12345')).searchPhone).toBe('');
+  });
+
+  it('leaves unrelated keys alone', () => {
+    const params = filtersToSearchParams({ ...EMPTY_FILTERS, searchName: 'a' }, new URLSearchParams('sort=name&q=b'));
+    expect(params.toString()).toBe('sort=name&q=a');
+  });
+
+  it('falls back to no filter for unknown or malformed values', () => {
+    const filters = filtersFromSearchParams(new URLSearchParams('date=someday&time=brunch&from=not-a-date'));
+    expect(filters).toEqual(EMPTY_FILTERS);
+  });
+});
+
+describe('sort and page in the query string', () => {
+  it('round-trips the sort, leaving the default out', () => {
+    const sort = { field: 'name', direction: 'desc' };
+
+    expect(sortFromSearchParams(sortToSearchParams(sort))).toEqual(sort);
+    expect(sortToSearchParams(DEFAULT_SORT).toString()).toBe('');
+    expect(sortFromSearchParams(new URLSearchParams('sort=phone&order=up'))).toEqual(DEFAULT_SORT);
+  });
+
+  it('round-trips the page, leaving the first out', () => {
+    expect(pageFromSearchParams(pageToSearchParams(3))).toBe(3);
+    expect(pageToSearchParams(1, new URLSearchParams('page=4')).toString()).toBe('');
+    ['0', '-2', '1.5', 'two'].forEach(page => {
+      expect(pageFromSearchParams(new URLSearchParams({ page }))).toBe(1);
+    });
+  });
+});
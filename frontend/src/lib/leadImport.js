@@ -0,0 +1,239 @@
+import { parseDate, parseTime } from '@/services/googleSheetsApi';
+import { isKnownStage, resolveStageId } from '@/lib/leadStages';
+import { isValidPhone, toE164 } from '@/lib/phone';
+import { createDuplicateIndex } from '@/lib/duplicates';
+
+/**
+ * Lead fields a spreadsheet column can be mapped to
+ * Headers matching one of the aliases (case and punctuation ignored) are mapped automatically
+ */
+export const IMPORT_FIELDS = [
+  { id: 'name', label: 'Name', required: true, aliases: ['name', 'full name', 'customer name', 'client name', 'lead name', 'customer'] },
+  { id: 'projectName', label: 'Project', required: true, aliases: ['project', 'project name', 'property', 'interested in'] },
+  { id: 'phoneNumber', label: 'Phone', required: true, aliases: ['phone', 'phone number', 'mobile', 'mobile number', 'contact', 'contact number'] },
+  { id: 'date', label: 'Date', required: true, aliases: ['date', 'enquiry date', 'lead date', 'created', 'created on'] },
+  { id: 'time', label: 'Time', required: false, aliases: ['time', 'enquiry time', 'lead time'] },
+  { id: 'status', label: 'Stage', required: false, aliases: ['status', 'stage'] },
+  { id: 'assignedTo', label: 'Assigned To', required: false, aliases: ['assigned to', 'assignee', 'agent', 'owner'] },
+];
+
+export const IMPORT_ACCEPT = '.csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const isBlankRow = (cells) => cells.every(cell => cell === null || cell === undefined || String(cell).trim() === '');
+
+/**
+ * Split CSV text into rows of cells
+ * Handles quoted cells with embedded commas, quotes ("") and line breaks
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Read an uploaded CSV or XLSX file (first sheet)
+ * Returns { headers, rows: [{ rowNumber, cells }] }; rowNumber is the line in the file, blank rows are dropped
+ */
+export const readSpreadsheet = async (file) => {
+  const name = file.name.toLowerCase();
+  let table;
+  if (name.endsWith('.xlsx')) {
+    // Only fetched when someone actually imports a workbook
+    const { default: readXlsxFile } = await import('read-excel-file');
+    table = await readXlsxFile(file);
+  } else if (name.endsWith('.csv')) {
+    table = parseCsv(await file.text());
+  } else {
+    throw new Error('Upload a .csv or .xlsx file.');
+  }
+
+  const numbered = table
+    .map((cells, index) => ({ rowNumber: index + 1, cells }))
+    .filter(row => !isBlankRow(row.cells));
+  if (numbered.length < 2) {
+    throw new Error('The file needs a header row and at least one lead.');
+  }
+
+  const [headerRow, ...rows] = numbered;
+  return {
+    headers: headerRow.cells.map((header, index) => String(header ?? '').trim() || `Column ${index + 1}`),
+    rows
+  };
+};
+
+/**
+ * Best-guess column for each field from the header names
+ * Returns { [fieldId]: columnIndex | null }
+ */
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  return IMPORT_FIELDS.reduce((mapping, field) => {
+    const index = normalized.findIndex(header => field.aliases.includes(header));
+    mapping[field.id] = index === -1 ? null : index;
+    return mapping;
+  }, {});
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Cell -> DD/MM/YYYY, or null when it isn't a date
+ * Workbook date cells arrive as Date objects at UTC midnight
+ */
+const toDateString = (cell) => {
+  const date = cell instanceof Date
+    ? parseDate(`${cell.getUTCFullYear()}-${pad(cell.getUTCMonth() + 1)}-${pad(cell.getUTCDate())}`)
+    : parseDate(String(cell).trim());
+  return date ? `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}` : null;
+};
+
+/**
+ * Cell -> HH:MM:SS, or null when it isn't a time
+ * Workbook time cells arrive as Date objects on 1899-12-30, the same shape Sheets sends
+ */
+const toTimeString = (cell) => {
+  const time = parseTime(cell instanceof Date ? cell.toISOString() : String(cell).trim());
+  if (!time || time.hours > 23 || time.minutes > 59 || time.seconds > 59) return null;
+  return `${pad(time.hours)}:${pad(time.minutes)}:${pad(time.seconds)}`;
+};
+
+const cellText = (cells, index) => {
+  if (index === null || index === undefined) return '';
+  const cell = cells[index];
+  return cell === null || cell === undefined ? '' : cell;
+};
+
+/**
+ * Turn spreadsheet rows into leads ready for addLead, checking each one
+ * Returns [{ rowNumber, lead, errors, duplicates }]; duplicates are [{ lead, reason, rowNumber }]
+ * where rowNumber is set when the match is an earlier row of the same file
+ *
+ * Options:
+ *   existingLeads   - leads already saved, for duplicate checks
+ *   users           - team members, to resolve Assigned To by name or username
+ *   defaultAssignee - assignedTo for rows without one ('auto' for round-robin)
+ */
+export const buildImportRows = (rows, mapping, { existingLeads = [], users = [], defaultAssignee = 'auto' } = {}) => {
+  // Indexed once up front: checking every row against every lead one by one freezes large imports
+  const existing = createDuplicateIndex(existingLeads);
+  const accepted = createDuplicateIndex();
+
+  return rows.map(({ rowNumber, cells }) => {
+    const errors = [];
+    const raw = IMPORT_FIELDS.reduce((values, field) => {
+      values[field.id] = cellText(cells, mapping[field.id]);
+      return values;
+    }, {});
+
+    IMPORT_FIELDS
+      .filter(field => field.required && String(raw[field.id]).trim() === '')
+      .forEach(field => errors.push(`${field.label} is missing`));
+
+    const phone = String(raw.phoneNumber).trim();
+    if (phone && !isValidPhone(phone)) {
+      errors.push('Phone number is not valid');
+    }
+
+    const date = String(raw.date).trim() === '' ? '' : toDateString(raw.date);
+    if (date === null) {
+      errors.push('Date is not recognised');
+    }
+
+    const time = String(raw.time).trim() === '' ? '' : toTimeString(raw.time);
+    if (time === null) {
+      errors.push('Time is not recognised');
+    }
+
+    const statusText = String(raw.status).trim();
+    if (statusText && !isKnownStage(statusText)) {
+      errors.push(`Stage "${statusText}" doesn't exist`);
+    }
+
+    const assigneeText = String(raw.assignedTo).trim().toLowerCase();
+    const assignee = assigneeText
+      ? users.find(u => u.name.toLowerCase() === assigneeText || u.username.toLowerCase() === assigneeText)
+      : null;
+    if (assigneeText && !assignee) {
+      errors.push(`No team member called "${raw.assignedTo}"`);
+    }
+
+    const lead = {
+      name: String(raw.name).trim(),
+      projectName: String(raw.projectName).trim(),
+      phoneNumber: phone && isValidPhone(phone) ? toE164(phone) : phone,
+      date: date || '',
+      time: time || '',
+      status: resolveStageId(statusText),
+      assignedTo: assignee ? assignee.id : defaultAssignee
+    };
+
+    // Earlier rows of the file count too, so a sheet listing someone twice is caught
+    const key = `import-row-${rowNumber}`;
+    const duplicates = [
+      ...existing.findDuplicatesOf({ ...lead, id: key }),
+      ...accepted.findDuplicatesOf({ ...lead, id: key }).map(match => ({
+        lead: match.lead,
+        reason: match.reason,
+        rowNumber: match.lead.rowNumber
+      }))
+    ];
+
+    if (errors.length === 0) {
+      accepted.add({ ...lead, id: key, rowNumber });
+    }
+    return { rowNumber, lead, errors, duplicates };
+  });
+};
+
+/**
+ * Mapping problems that stop the preview: required fields without a column, or a column used twice
+ */
+export const getMappingErrors = (mapping) => {
+  const errors = IMPORT_FIELDS
+    .filter(field => field.required && (mapping[field.id] === null || mapping[field.id] === undefined))
+    .map(field => `Choose a column for ${field.label}`);
+
+  const used = Object.values(mapping).filter(index => index !== null && index !== undefined);
+  if (new Set(used).size !== used.length) {
+    errors.push('Each column can only be mapped to one field');
+  }
+  return errors;
+};
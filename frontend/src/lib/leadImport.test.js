@@ -0,0 +1,105 @@
+import { parseCsv, buildImportRows, guessColumnMapping } from '@/lib/leadImport';
+
+describe('parseCsv', () => {
+  it('splits rows and cells', () => {
+    expect(parseCsv('Name,Phone\nPriya,98765 43210\n')).toEqual([
+      ['Name', 'Phone'],
+      ['Priya', '98765 43210']
+    ]);
+  });
+
+  it('keeps commas, doubled quotes and line breaks inside quoted cells', () => {
+    expect(parseCsv('"Sharma, Priya","She said ""call me""","Line one\nLine two"')).toEqual([
+      ['Sharma, Priya', 'She said "call me"', 'Line one\nLine two']
+    ]);
+  });
+
+  it('reads CRLF line endings and a last row without one', () => {
+    expect(parseCsv('a,b\r\nc,d\r\ne,f')).toEqual([['a', 'b'], ['c', 'd'], ['e', 'f']]);
+  });
+
+  it('drops a leading byte order mark', () => {
+    expect(parseCsv('\uFEFFName\nPriya')[0]).toEqual(['Name']);
+  });
+
+  it('keeps empty cells', () => {
+    expect(parseCsv('a,,c\n')).toEqual([['a', '', 'c']]);
+  });
+});
+
+describe('buildImportRows', () => {
+  const headers = ['Name', 'Project', 'Phone', 'Date', 'Time', 'Stage', 'Agent'];
+  const mapping = guessColumnMapping(headers);
+  const users = [{ id: 'u-1', name: 'Asha Rao', username: 'asha' }];
+  const row = (rowNumber, cells) => ({ rowNumber, cells });
+  const build = (rows, options) => buildImportRows(rows, mapping, { users, ...options });
+
+  it('maps the usual headers', () => {
+    expect(mapping).toEqual({ name: 0, projectName: 1, phoneNumber: 2, date: 3, time: 4, status: 5, assignedTo: 6 });
+  });
+
+  it('turns a valid row into a lead', () => {
+    const [result] = build([row(2, ['Priya', 'Skyline', '98765 43210', '2025-01-05', '9:30', 'Contacted', 'asha'])]);
+
+    expect(result).toEqual({
+      rowNumber: 2,
+      errors: [],
+      duplicates: [],
+      lead: {
+        name: 'Priya',
+        projectName: 'Skyline',
+        phoneNumber: '+919876543210',
+        date: '05/01/2025',
+        time: '09:30:00',
+        status: 'contacted',
+        assignedTo: 'u-1'
+      }
+    });
+  });
+
+  it('leaves unassigned rows to the default assignee', () => {
+    const [result] = build([row(2, ['Priya', 'Skyline', '9876543210', '05/01/2025', '', '', ''])]);
+    expect(result.lead).toMatchObject({ assignedTo: 'auto', status: 'new', time: '' });
+  });
+
+  it('reports every problem with a row', () => {
+    const [result] = build([row(2, ['', 'Skyline', '12345', 'someday', '25:00', 'Sold', 'Nobody'])]);
+
+    expect(result.errors).toEqual([
+      'Name is missing',
+      'Phone number is not valid',
+      'Date is not recognised',
+      'Time is not recognised',
+      'Stage "Sold" doesn\'t exist',
+      'No team member called "Nobody"'
+    ]);
+  });
+
+  it('flags leads that are already saved', () => {
+    const saved = { id: 'lead-1', name: 'Someone', projectName: 'Harbour', phoneNumber: '+919876543210' };
+    const [result] = build([row(2, ['Priya', 'Skyline', '98765 43210', '05/01/2025'])], { existingLeads: [saved] });
+
+    expect(result.duplicates).toEqual([{ lead: saved, reason: 'phone' }]);
+  });
+
+  it('flags earlier rows of the same file by their row number', () => {
+    const results = build([
+      row(2, ['Priya Sharma', 'Skyline', '9876543210', '05/01/2025']),
+      row(3, ['Priya Sharma', 'Skyline', '9000000001', '06/01/2025']),
+      row(4, ['Someone', 'Harbour', '098765 43210', '07/01/2025'])
+    ]);
+
+    expect(results[0].duplicates).toEqual([]);
+    expect(results[1].duplicates).toEqual([expect.objectContaining({ reason: 'name', rowNumber: 2 })]);
+    expect(results[2].duplicates).toEqual([expect.objectContaining({ reason: 'phone', rowNumber: 2 })]);
+  });
+
+  it("doesn't match rows against earlier rows that had errors", () => {
+    const results = build([
+      row(2, ['Priya', 'Skyline', '9876543210', 'someday']),
+      row(3, ['Priya', 'Skyline', '9876543210', '05/01/2025'])
+    ]);
+
+    expect(results[1].duplicates).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Sales pipeline stages, in board order
+ * Override with REACT_APP_LEAD_STAGES as comma-separated labels, e.g.
+ *   REACT_APP_LEAD_STAGES="New,Contacted,Site Visit,Negotiation,Booked,Lost"
+ */
+const DEFAULT_STAGE_LABELS = ['New', 'Contacted', 'Site Visit', 'Negotiation', 'Booked', 'Lost'];
+
+// Dot colours, cycled when there are more stages than colours
+const STAGE_COLORS = [
+  'bg-primary/40',
+  'bg-accent',
+  'bg-sky-700',
+  'bg-amber-600',
+  'bg-emerald-700',
+  'bg-muted-foreground',
+];
+
+const toStageId = (label) => label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const stageLabels = (process.env.REACT_APP_LEAD_STAGES || '')
+  .split(',')
+  .map(label => label.trim())
+  .filter(Boolean);
+
+export const LEAD_STAGES = (stageLabels.length > 0 ? stageLabels : DEFAULT_STAGE_LABELS).map((label, index) => ({
+  id: toStageId(label),
+  label,
+  color: STAGE_COLORS[index % STAGE_COLORS.length]
+}));
+
+export const DEFAULT_STAGE_ID = LEAD_STAGES[0].id;
+
+/**
+ * Map a stored status (id or label, any case) to a configured stage id
+ * Unknown or empty statuses fall back to the first stage
+ */
+export const resolveStageId = (status) => {
+  if (!status) return DEFAULT_STAGE_ID;
+  const id = toStageId(String(status));
+  return LEAD_STAGES.some(stage => stage.id === id) ? id : DEFAULT_STAGE_ID;
+};
+
+/**
+ * Whether a status (id or label) names one of the configured stages
+ */
+export const isKnownStage = (status) => {
+  return LEAD_STAGES.some(stage => stage.id === toStageId(String(status || '')));
+};
+
+/**
+ * Get the stage definition for a stage id
+ */
+export const getStage = (stageId) => {
+  return LEAD_STAGES.find(stage => stage.id === stageId) || LEAD_STAGES[0];
+};
+
+/**
+ * Count leads per stage, including empty stages
+ */
+export const countByStage = (leads) => {
+  const counts = Object.fromEntries(LEAD_STAGES.map(stage => [stage.id, 0]));
+  leads.forEach(lead => {
+    counts[resolveStageId(lead.status)]++;
+  });
+  return counts;
+};
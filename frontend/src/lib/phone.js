@@ -0,0 +1,135 @@
+/**
+ * Countries the CRM understands phone numbers for
+ *   callingCode  - E.164 country code
+ *   trunkPrefix  - dialled before national numbers inside the country, dropped in E.164
+ *   pattern      - valid national significant numbers (no trunk prefix)
+ *   groups       - digit grouping for the national display format
+ */
+export const PHONE_COUNTRIES = {
+  IN: { name: 'India', callingCode: '91', trunkPrefix: '0', pattern: /^[1-9]\d{9}$/, groups: [5, 5] },
+  AE: { name: 'United Arab Emirates', callingCode: '971', trunkPrefix: '0', pattern: /^(?:5\d{8}|[2-4679]\d{7})$/, groups: [2, 3, 4] },
+  US: { name: 'United States', callingCode: '1', trunkPrefix: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, groups: [3, 3, 4] },
+  GB: { name: 'United Kingdom', callingCode: '44', trunkPrefix: '0', pattern: /^[1-9]\d{9}$/, groups: [4, 6] },
+  SG: { name: 'Singapore', callingCode: '65', trunkPrefix: '', pattern: /^[689]\d{7}$/, groups: [4, 4] },
+  AU: { name: 'Australia', callingCode: '61', trunkPrefix: '0', pattern: /^[2-478]\d{8}$/, groups: [3, 3, 3] },
+};
+
+// Numbers typed without a country code are read as this country's: REACT_APP_DEFAULT_PHONE_COUNTRY=IN | AE | ...
+export const DEFAULT_PHONE_COUNTRY = PHONE_COUNTRIES[process.env.REACT_APP_DEFAULT_PHONE_COUNTRY]
+  ? process.env.REACT_APP_DEFAULT_PHONE_COUNTRY
+  : 'IN';
+
+// Shown when a number doesn't parse
+export const PHONE_FORMAT_HINT = `Enter a ${PHONE_COUNTRIES[DEFAULT_PHONE_COUNTRY].name} number, or start with + and the country code.`;
+
+// Longest calling codes first, so +971 isn't read as +97...
+const BY_CALLING_CODE = Object.entries(PHONE_COUNTRIES)
+  .sort(([, a], [, b]) => b.callingCode.length - a.callingCode.length);
+
+const toNational = (digits, countryCode) => {
+  const { trunkPrefix, pattern } = PHONE_COUNTRIES[countryCode];
+  if (pattern.test(digits)) {
+    return digits;
+  }
+  if (trunkPrefix && digits.startsWith(trunkPrefix) && pattern.test(digits.slice(trunkPrefix.length))) {
+    return digits.slice(trunkPrefix.length);
+  }
+  return null;
+};
+
+const parseInternational = (digits) => {
+  for (const [countryCode, { callingCode }] of BY_CALLING_CODE) {
+    if (digits.startsWith(callingCode)) {
+      const national = toNational(digits.slice(callingCode.length), countryCode);
+      if (national) {
+        return { country: countryCode, national };
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Read a phone number however it was typed: "9876543210", "+91 98765 43210",
+ * "098765-43210", "0091 9876543210" or "919876543210"
+ * Returns { country, national, e164 }, or null when it isn't a valid number
+ */
+export const parsePhone = (input, defaultCountry = DEFAULT_PHONE_COUNTRY) => {
+  const text = String(input || '').trim();
+  if (!text || /[a-z]/i.test(text)) {
+    return null;
+  }
+
+  const digits = text.replace(/\D/g, '');
+  let parsed = null;
+  if (text.startsWith('+')) {
+    parsed = parseInternational(digits);
+  } else if (digits.startsWith('00')) {
+    parsed = parseInternational(digits.slice(2));
+  } else {
+    const national = toNational(digits, defaultCountry);
+    parsed = national
+      ? { country: defaultCountry, national }
+      // Country code typed without the "+", e.g. 919876543210
+      : parseInternational(digits);
+  }
+
+  if (!parsed) {
+    return null;
+  }
+  return { ...parsed, e164: `+${PHONE_COUNTRIES[parsed.country].callingCode}${parsed.national}` };
+};
+
+export const isValidPhone = (input, defaultCountry = DEFAULT_PHONE_COUNTRY) => {
+  return parsePhone(input, defaultCountry) !== null;
+};
+
+/**
+ * E.164 form of a phone number, e.g. +919876543210
+ * Numbers that can't be parsed are returned trimmed but otherwise untouched,
+ * so older rows with odd values still show up as entered
+ */
+export const toE164 = (input, defaultCountry = DEFAULT_PHONE_COUNTRY) => {
+  const parsed = parsePhone(input, defaultCountry);
+  return parsed ? parsed.e164 : String(input || '').trim();
+};
+
+const groupDigits = (digits, groups) => {
+  const parts = [];
+  let start = 0;
+  groups.forEach((size, index) => {
+    const end = index === groups.length - 1 ? digits.length : start + size;
+    parts.push(digits.slice(start, end));
+    start = end;
+  });
+  return parts.filter(Boolean).join(' ');
+};
+
+/**
+ * Display format: national grouping for the default country (98765 43210),
+ * international for the rest (+971 50 123 4567)
+ */
+export const formatPhone = (input, defaultCountry = DEFAULT_PHONE_COUNTRY) => {
+  const parsed = parsePhone(input, defaultCountry);
+  if (!parsed) {
+    return String(input || '');
+  }
+
+  const { callingCode, groups } = PHONE_COUNTRIES[parsed.country];
+  const national = groupDigits(parsed.national, groups);
+  return parsed.country === defaultCountry ? national : `+${callingCode} ${national}`;
+};
+
+/**
+ * Mask a phone number for public display, keeping the first and last two digits
+ * of the national number, whatever its country: +919876543221 -> 98XXXXXX21;
+ * very short numbers are masked entirely
+ */
+export const maskPhone = (phone) => {
+  const parsed = parsePhone(phone);
+  const digits = parsed ? parsed.national : String(phone || '').replace(/\D/g, '');
+  if (digits.length <= 4) {
+    return 'X'.repeat(digits.length);
+  }
+  return `${digits.slice(0, 2)}${'X'.repeat(digits.length - 4)}${digits.slice(-2)}`;
+};
@@ -0,0 +1,50 @@
+import { parsePhone, isValidPhone, toE164, formatPhone, maskPhone } from '@/lib/phone';
+
+describe('parsePhone', () => {
+  it.each([
+    '9876543210',
+    '+91 98765 43210',
+    '098765-43210',
+    '0091 9876543210',
+    '919876543210',
+  ])('reads %s as an Indian mobile', (input) => {
+    expect(parsePhone(input, 'IN')).toEqual({ country: 'IN', national: '9876543210', e164: '+919876543210' });
+  });
+
+  it('picks the longest calling code that fits', () => {
+    expect(parsePhone('+971 50 123 4567', 'IN')).toEqual({ country: 'AE', national: '501234567', e164: '+971501234567' });
+  });
+
+  it('reads national numbers as the default country', () => {
+    expect(parsePhone('050 123 4567', 'AE')).toMatchObject({ country: 'AE', e164: '+971501234567' });
+  });
+
+  it.each(['', null, '12345', 'call me', '+999 1234567'])('rejects %p', (input) => {
+    expect(parsePhone(input, 'IN')).toBeNull();
+    expect(isValidPhone(input, 'IN')).toBe(false);
+  });
+});
+
+describe('toE164', () => {
+  it('leaves numbers it cannot parse as entered', () => {
+    expect(toE164(' 12345 ', 'IN')).toBe('12345');
+  });
+});
+
+describe('formatPhone', () => {
+  it('groups default-country numbers nationally and the rest internationally', () => {
+    expect(formatPhone('+919876543210', 'IN')).toBe('98765 43210');
+    expect(formatPhone('+971501234567', 'IN')).toBe('+971 50 123 4567');
+  });
+});
+
+describe('maskPhone', () => {
+  it('masks the national number of any country', () => {
+    expect(maskPhone('+919876543221')).toBe('98XXXXXX21');
+    expect(maskPhone('+971501234567')).toBe('50XXXXX67');
+  });
+
+  it('masks short numbers entirely', () => {
+    expect(maskPhone('1234')).toBe('XXXX');
+  });
+});
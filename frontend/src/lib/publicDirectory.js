@@ -0,0 +1,100 @@
+/**
+ * Columns the public directory can show, in table order
+ */
+export const PUBLIC_COLUMNS = [
+  { id: 'name', label: 'Name' },
+  { id: 'projectName', label: 'Project Name' },
+  { id: 'phoneNumber', label: 'Phone Number' },
+  { id: 'date', label: 'Date' },
+  { id: 'time', label: 'Time' },
+];
+
+/**
+ * Public directory policy, as stored by the backend
+ *   enabled             - false takes the directory offline
+ *   columns             - PUBLIC_COLUMNS ids to show
+ *   projects            - only these projects ([] = every project)
+ *   windowDays          - only leads dated within the last N days (0 = all time)
+ *   headline, description - page header copy
+ *   hiddenPhoneProjects - projects whose phone numbers are withheld, not just masked
+ */
+export const DEFAULT_PUBLIC_SETTINGS = {
+  enabled: true,
+  columns: PUBLIC_COLUMNS.map(column => column.id),
+  projects: [],
+  windowDays: 0,
+  headline: 'Lead Directory',
+  description: 'View all registered leads in chronological order',
+  hiddenPhoneProjects: [],
+};
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map(String);
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Fill in defaults and coerce values that may arrive as strings from Sheets
+ */
+export const normalizePublicSettings = (settings = {}) => {
+  const merged = { ...DEFAULT_PUBLIC_SETTINGS, ...settings };
+  const columns = toList(merged.columns).filter(id => PUBLIC_COLUMNS.some(column => column.id === id));
+
+  return {
+    enabled: String(merged.enabled) !== 'false',
+    columns: PUBLIC_COLUMNS.map(column => column.id).filter(id => columns.includes(id)),
+    projects: toList(merged.projects),
+    windowDays: Math.max(0, parseInt(merged.windowDays, 10) || 0),
+    headline: merged.headline || DEFAULT_PUBLIC_SETTINGS.headline,
+    description: merged.description ?? DEFAULT_PUBLIC_SETTINGS.description,
+    hiddenPhoneProjects: toList(merged.hiddenPhoneProjects),
+  };
+};
+
+const sameProject = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Day a lead was dated, from DD/MM/YYYY or an ISO string
+ */
+const leadDay = (date) => {
+  const match = String(date || '').match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  const day = match ? new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1])) : new Date(date);
+  return Number.isNaN(day.getTime()) ? null : day;
+};
+
+/**
+ * Whether a lead falls inside the directory's project list and date window
+ */
+export const isPubliclyListed = (lead, settings, now = new Date()) => {
+  if (settings.projects.length > 0 && !settings.projects.some(project => sameProject(project, lead.projectName))) {
+    return false;
+  }
+
+  if (settings.windowDays > 0) {
+    const day = leadDay(lead.date);
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - settings.windowDays);
+    if (!day || day < start) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Whether a project's phone numbers are withheld entirely
+ */
+export const isPhoneHidden = (projectName, settings) => {
+  return settings.hiddenPhoneProjects.some(project => sameProject(project, projectName));
+};
+
+/**
+ * Drop the fields of a public row that the directory doesn't show
+ */
+export const pickPublicColumns = (row, settings) => {
+  return Object.fromEntries(
+    Object.entries(row).filter(([field]) =>
+      settings.columns.includes(field) || (field === 'phoneHidden' && settings.columns.includes('phoneNumber'))
+    )
+  );
+};
@@ -0,0 +1,40 @@
+/**
+ * User roles, most to least privileged
+ *   admin   - everything, including managing the team
+ *   manager - sees and assigns every lead
+ *   agent   - sees only the leads assigned to them
+ */
+export const ROLES = [
+  { id: 'admin', label: 'Admin' },
+  { id: 'manager', label: 'Manager' },
+  { id: 'agent', label: 'Agent' },
+];
+
+export const getRoleLabel = (roleId) => {
+  const role = ROLES.find(r => r.id === roleId);
+  return role ? role.label : roleId;
+};
+
+export const canViewAllLeads = (user) => Boolean(user) && (user.role === 'admin' || user.role === 'manager');
+
+export const canManageUsers = (user) => Boolean(user) && user.role === 'admin';
+
+export const canManageSettings = (user) => Boolean(user) && user.role === 'admin';
+
+/**
+ * Leads the user may see: everything for admins/managers, own leads for agents
+ * Display only: the backend decides what reaches the browser and must refuse other agents'
+ * leads itself, since anyone can call it without this app
+ */
+export const getVisibleLeads = (leads, user) => {
+  if (canViewAllLeads(user)) {
+    return leads;
+  }
+  return leads.filter(lead => user && lead.assignedTo === user.id);
+};
+
+export const canReviewQuarantine = (user) => Boolean(user) && user.role === 'admin';
+
+export const canMergeLeads = (user) => Boolean(user) && user.role === 'admin';
+
+export const canBackfillIds = (user) => Boolean(user) && user.role === 'admin';
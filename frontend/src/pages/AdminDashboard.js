@@ -1,22 +1,24 @@
-import { useState, useEffect, useMemo } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect, useMemo, useCallback } from 'react';
 import { 
   Users, 
-  LogOut, 
   RefreshCw, 
   Plus, 
   Calendar as CalendarIcon,
   Clock,
-  LayoutDashboard,
   UserPlus,
   Search,
   Filter,
-  X
+  X,
+  AlertTriangle,
+  FileUp,
+  Download,
+  Phone
 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Calendar } from '@/components/ui/calendar';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
 import {
   Popover,
   PopoverContent,
@@ -37,16 +39,89 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
 import { toast } from 'sonner';
+import AdminLayout from '@/components/admin/AdminLayout';
+import LeadTableRow from '@/components/admin/LeadTableRow';
+import PendingLeadRow from '@/components/admin/PendingLeadRow';
+import SortableTableHead from '@/components/admin/SortableTableHead';
+import LeadsPagination from '@/components/admin/LeadsPagination';
+import DeleteLeadDialog from '@/components/admin/DeleteLeadDialog';
+import DuplicateWarningDialog from '@/components/admin/DuplicateWarningDialog';
+import ImportLeadsDialog from '@/components/admin/ImportLeadsDialog';
+import DateRangeFilter from '@/components/filters/DateRangeFilter';
+import ProjectMultiSelect from '@/components/filters/ProjectMultiSelect';
+import TimeOfDayFilter from '@/components/filters/TimeOfDayFilter';
+import SyncStatus from '@/components/sync/SyncStatus';
+import StageBreakdown from '@/components/admin/StageBreakdown';
+import LeadDetailSheet from '@/components/admin/LeadDetailSheet';
+import FollowUpPanel from '@/components/admin/FollowUpPanel';
+import { useFollowUpReminders } from '@/hooks/use-follow-up-reminders';
+import { useUrlFilters } from '@/hooks/use-url-filters';
+import { useCachedStore } from '@/hooks/use-cached-store';
+import { useLeadOutbox } from '@/hooks/use-lead-outbox';
+import { useLeadsPage } from '@/hooks/use-leads-page';
 import { useAuth } from '@/context/AuthContext';
-import { fetchLeads, addLead, formatDate, formatTime, filterLeads, getUniqueProjects } from '@/services/googleSheetsApi';
+import { canViewAllLeads, canBackfillIds, getVisibleLeads } from '@/lib/roles';
+import { isValidPhone, toE164, PHONE_FORMAT_HINT } from '@/lib/phone';
+import { findDuplicatesOf } from '@/lib/duplicates';
+import { exportLeads, EXPORT_FORMATS } from '@/lib/leadExport';
+import { toLeadQuery, hasActiveFilters } from '@/lib/leadFilters';
+import { fetchUsers, getUserName } from '@/services/usersApi';
+import { leadsStore } from '@/services/leadsStore';
+import { queueLead, isRetryableError, newClientId, onOutboxSynced } from '@/services/leadOutbox';
+import {
+  addLead,
+  updateLead,
+  deleteLead,
+  backfillLeadIds,
+  findIdProblems,
+  formatDate,
+  getUniqueProjects,
+  sortLeadsByDateTime
+} from '@/services/googleSheetsApi';
 import { format } from 'date-fns';
 
+// Assign To options besides a specific user
+const ASSIGN_AUTO = 'auto';
+const ASSIGN_NONE = 'none';
+
+// Rows per page of the leads table
+const PAGE_SIZE = 50;
+
 const AdminDashboard = () => {
-  const [leads, setLeads] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
+  const { user } = useAuth();
+  const canAssign = canViewAllLeads(user);
+  const [users, setUsers] = useState([]);
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [error, setError] = useState(null);
+
+  // Cached leads render straight away; a fresh copy is fetched in the background
+  const {
+    data: cachedLeads,
+    syncedAt,
+    isLoading,
+    isValidating,
+    error: syncError,
+    revalidate,
+    mutate: mutateLeads
+  } = useCachedStore(leadsStore);
+  const leads = useMemo(() => getVisibleLeads(cachedLeads || [], user), [cachedLeads, user]);
+  // Only worth an error state when there's nothing cached to fall back on
+  const error = !cachedLeads && syncError ? 'Unable to load leads. Please try again.' : null;
+
+  // Leads this user added that haven't reached the backend yet
+  const { entries: outboxEntries, retry: retryQueuedLead, discard: discardQueuedLead } = useLeadOutbox();
+  const pendingLeads = useMemo(() => {
+    const arrived = new Set((cachedLeads || []).map(lead => lead.clientId).filter(Boolean));
+    return outboxEntries.filter(entry => entry.ownerId === user.id && !arrived.has(entry.clientId));
+  }, [outboxEntries, cachedLeads, user.id]);
   
   // Form state
   const [formData, setFormData] = useState({
@@ -54,64 +129,117 @@ const AdminDashboard = () => {
     projectName: '',
     phoneNumber: '',
     date: null,
-    time: ''
+    time: '',
+    assignedTo: ASSIGN_AUTO
   });
   const [dateOpen, setDateOpen] = useState(false);
 
-  // Filter state
-  const [searchName, setSearchName] = useState('');
-  const [selectedProject, setSelectedProject] = useState('all');
-  const [filterDate, setFilterDate] = useState(null);
-  const [filterDateOpen, setFilterDateOpen] = useState(false);
-
-  const navigate = useNavigate();
-  const { logout } = useAuth();
-
-  const loadLeads = async () => {
-    setIsLoading(true);
-    setError(null);
+  // Filter, sort and page state
+  const { filters, updateFilters, clearFilters, sort, updateSort, page, updatePage } = useUrlFilters();
+
+  // Row action state
+  const [editingLeadId, setEditingLeadId] = useState(null);
+  const [leadToDelete, setLeadToDelete] = useState(null);
+  const [isBackfilling, setIsBackfilling] = useState(false);
+  const [selectedLeadId, setSelectedLeadId] = useState(null);
+  const [pendingDuplicate, setPendingDuplicate] = useState(null);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+
+  // Bumped after every write, so a page served by the backend is fetched again
+  const [pageVersion, setPageVersion] = useState(0);
+  const invalidateLeadsPage = () => setPageVersion(version => version + 1);
+
+  const loadLeads = useCallback(() => {
+    setPageVersion(version => version + 1);
+    return revalidate().catch(err => console.error(err));
+  }, [revalidate]);
+
+  // Team list for assignee names; the table still works without it
+  const loadUsers = async () => {
     try {
-      const data = await fetchLeads();
-      setLeads(data);
+      setUsers(await fetchUsers());
     } catch (err) {
-      setError('Unable to load leads. Please try again.');
       console.error(err);
-    } finally {
-      setIsLoading(false);
     }
   };
 
   useEffect(() => {
-    loadLeads();
+    loadUsers();
   }, []);
 
+  const activeUsers = useMemo(() => users.filter(u => u.active), [users]);
+
+  // One page of the leads matching the filters; the backend pages large sheets itself
+  // Only the table, its project list and exports come from the backend then: the stats,
+  // follow-ups and duplicate checks still read the cached copy of every lead
+  const leadQuery = useMemo(() => toLeadQuery(filters), [filters]);
+  const leadsPage = useLeadsPage(leads, {
+    query: leadQuery,
+    page,
+    pageSize: PAGE_SIZE,
+    sort,
+    version: `${syncedAt}:${pageVersion}`
+  });
+
   // Get unique projects for filter dropdown
-  const projects = useMemo(() => getUniqueProjects(leads), [leads]);
-
-  // Filter leads based on search criteria
-  const filteredLeads = useMemo(() => {
-    return filterLeads(leads, {
-      searchName,
-      project: selectedProject,
-      date: filterDate
-    });
-  }, [leads, searchName, selectedProject, filterDate]);
+  const projects = useMemo(() => leadsPage.projects || getUniqueProjects(leads), [leadsPage.projects, leads]);
 
-  // Clear all filters
-  const clearFilters = () => {
-    setSearchName('');
-    setSelectedProject('all');
-    setFilterDate(null);
+  // Off a page that no longer exists, e.g. after deleting its last lead; not while the
+  // page count is still being worked out, or a shared link to page 3 would land on page 1
+  const isPageSettled = !isLoading && !leadsPage.isLoading && !leadsPage.isFetching;
+  useEffect(() => {
+    if (isPageSettled && page > leadsPage.pageCount) updatePage(leadsPage.pageCount, { replace: true });
+  }, [isPageSettled, page, leadsPage.pageCount, updatePage]);
+
+  const handleExport = async (formatId) => {
+    setIsExporting(true);
+    try {
+      // Every matching lead in the table's order, not just the page on screen
+      await exportLeads(formatId, await leadsPage.fetchAllMatching(), { users, filters });
+    } catch (err) {
+      toast.error('Export failed', {
+        description: err.message || 'Please try again.'
+      });
+      console.error(err);
+    } finally {
+      setIsExporting(false);
+    }
   };
 
-  const hasActiveFilters = searchName || selectedProject !== 'all' || filterDate;
+  // Looked up from the list so the drawer reflects optimistic edits; a server page may hold
+  // a lead the cached copy hasn't caught up with yet
+  const selectedLead = useMemo(
+    () => leads.find(lead => lead.id === selectedLeadId) ||
+      leadsPage.leads.find(lead => lead.id === selectedLeadId) ||
+      null,
+    [leads, leadsPage.leads, selectedLeadId]
+  );
+
+  useFollowUpReminders(leads, (lead) => setSelectedLeadId(lead.id));
+
+  useEffect(() => {
+    return onOutboxSynced((synced) => {
+      toast.success(`${synced.length} offline lead${synced.length === 1 ? '' : 's'} synced`, {
+        description: synced.map(entry => entry.lead.name).join(', ')
+      });
+    });
+  }, []);
 
-  const handleLogout = () => {
-    logout();
-    toast.success('Logged out successfully');
-    navigate('/admin/login');
+  // Merge writes made from the detail drawer
+  const handleLeadChange = (id, changes) => {
+    mutateLeads(prev => prev.map(lead => (lead.id === id ? { ...lead, ...changes } : lead)));
+    invalidateLeadsPage();
   };
 
+  // Rows without a unique id can't be targeted by edit/delete
+  const idProblems = useMemo(() => findIdProblems(leads), [leads]);
+  const hasIdProblems = idProblems.missing > 0 || idProblems.duplicates.size > 0;
+
+  const canModifyLead = (lead) => Boolean(lead.id) && !idProblems.duplicates.has(lead.id);
+
+  const isFiltered = hasActiveFilters(filters);
+
   const handleInputChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
   };
@@ -124,31 +252,59 @@ const AdminDashboard = () => {
       return;
     }
 
+    if (!isValidPhone(formData.phoneNumber)) {
+      toast.error('Invalid phone number', { description: PHONE_FORMAT_HINT });
+      return;
+    }
+
+    const leadData = {
+      name: formData.name,
+      projectName: formData.projectName,
+      phoneNumber: formData.phoneNumber,
+      date: format(formData.date, 'dd/MM/yyyy'),
+      time: formData.time,
+      // Agents always own the leads they add
+      assignedTo: !canAssign ? user.id : formData.assignedTo === ASSIGN_NONE ? '' : formData.assignedTo
+    };
+
+    // Let the user look at likely duplicates before saving another copy of the buyer
+    const matches = findDuplicatesOf(leadData, leads);
+    if (matches.length > 0) {
+      setPendingDuplicate({ lead: leadData, matches });
+      return;
+    }
+
+    await saveNewLead(leadData);
+  };
+
+  const resetForm = () => {
+    setFormData({
+      name: '',
+      projectName: '',
+      phoneNumber: '',
+      date: null,
+      time: '',
+      assignedTo: ASSIGN_AUTO
+    });
+  };
+
+  const saveNewLead = async (leadData) => {
     setIsSubmitting(true);
+    // Sent with every attempt, so a retry from the outbox can't add the lead twice
+    const lead = { ...leadData, clientId: leadData.clientId || newClientId() };
 
     try {
-      const leadData = {
-        name: formData.name,
-        projectName: formData.projectName,
-        phoneNumber: formData.phoneNumber,
-        date: format(formData.date, 'dd/MM/yyyy'),
-        time: formData.time
-      };
-
-      await addLead(leadData);
+
+      const result = await addLead(lead);
+      const assigneeName = getUserName(users, result.assignedTo ?? lead.assignedTo);
       
       toast.success('Lead added successfully', {
-        description: 'The new lead has been saved to the sheet.'
+        description: assigneeName
+          ? `The new lead has been assigned to ${assigneeName}.`
+          : 'The new lead has been saved to the sheet.'
       });
 
-      // Reset form
-      setFormData({
-        name: '',
-        projectName: '',
-        phoneNumber: '',
-        date: null,
-        time: ''
-      });
+      resetForm();
 
       // Refresh leads
       setTimeout(() => {
@@ -156,413 +312,600 @@ const AdminDashboard = () => {
       }, 1500);
 
     } catch (err) {
-      toast.error('Failed to add lead', {
+      console.error(err);
+      if (!isRetryableError(err)) {
+        toast.error('Failed to add lead', {
+          description: err.message || 'Please try again.'
+        });
+        return;
+      }
+
+      // No connection (or no session): keep it on this device and send it later
+      queueLead(lead, { ownerId: user.id, lastError: err.message });
+      toast.info('Lead saved on this device', {
+        description: 'It will be added to the sheet automatically once the connection is back.'
+      });
+      resetForm();
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRetryPending = async (entry) => {
+    const synced = await retryQueuedLead(entry.clientId);
+    if (!synced.some(s => s.clientId === entry.clientId)) {
+      toast.error('Still unable to add lead', {
+        description: 'It stays queued on this device.'
+      });
+    }
+  };
+
+  const handleDiscardPending = (entry) => {
+    discardQueuedLead(entry.clientId);
+    toast.success('Unsynced lead discarded', { description: entry.lead.name });
+  };
+
+  const handleBackfillIds = async () => {
+    setIsBackfilling(true);
+    try {
+      const result = await backfillLeadIds();
+      toast.success('Lead ids assigned', {
+        description: `${result.updated ?? 0} lead${result.updated === 1 ? '' : 's'} updated.`
+      });
+      await loadLeads();
+    } catch (err) {
+      toast.error('Failed to assign lead ids', {
         description: 'Please try again.'
       });
       console.error(err);
     } finally {
-      setIsSubmitting(false);
+      setIsBackfilling(false);
+    }
+  };
+
+  // Optimistically apply an inline edit, restoring the original row if the write fails
+  const handleSaveLead = async (lead, draft) => {
+    if (!draft.name || !draft.projectName || !draft.phoneNumber || !draft.date || !draft.time) {
+      toast.error('Please fill in all fields');
+      return;
+    }
+
+    if (!isValidPhone(draft.phoneNumber)) {
+      toast.error('Invalid phone number', { description: PHONE_FORMAT_HINT });
+      return;
+    }
+
+    if (!/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(draft.date)) {
+      toast.error('Invalid date', {
+        description: 'Use the DD/MM/YYYY format.'
+      });
+      return;
+    }
+
+    const changes = {
+      name: draft.name,
+      projectName: draft.projectName,
+      phoneNumber: toE164(draft.phoneNumber),
+      date: draft.date,
+      time: draft.time
+    };
+
+    setEditingLeadId(null);
+    mutateLeads(prev => sortLeadsByDateTime(prev.map(l => (l.id === lead.id ? { ...l, ...changes } : l))));
+
+    try {
+      await updateLead(lead.id, changes);
+      invalidateLeadsPage();
+      toast.success('Lead updated');
+    } catch (err) {
+      mutateLeads(prev => sortLeadsByDateTime(prev.map(l => (l.id === lead.id ? lead : l))));
+      toast.error('Failed to update lead', {
+        description: 'Your changes have been reverted.'
+      });
+      console.error(err);
+    }
+  };
+
+  // Optimistically remove a lead, putting it back if the delete fails
+  const handleConfirmDelete = async (lead) => {
+    setLeadToDelete(null);
+    mutateLeads(prev => prev.filter(l => l.id !== lead.id));
+
+    try {
+      await deleteLead(lead.id);
+      invalidateLeadsPage();
+      toast.success('Lead deleted');
+    } catch (err) {
+      mutateLeads(prev => sortLeadsByDateTime([...prev, lead]));
+      toast.error('Failed to delete lead', {
+        description: 'The lead has been restored.'
+      });
+      console.error(err);
     }
   };
 
   // Stats
   const totalLeads = leads.length;
-  const todayLeads = leads.filter(lead => {
+  const todayLeadList = leads.filter(lead => {
     const today = new Date();
     const todayStr = `${today.getDate().toString().padStart(2, '0')}/${(today.getMonth() + 1).toString().padStart(2, '0')}/${today.getFullYear()}`;
     return formatDate(lead.date) === todayStr;
-  }).length;
+  });
+  const todayLeads = todayLeadList.length;
 
   return (
-    <div className="min-h-screen flex" data-testid="admin-dashboard">
-      {/* Sidebar */}
-      <aside className="hidden md:flex md:w-72 flex-col admin-sidebar text-primary-foreground">
-        <div className="p-6 border-b border-white/10">
-          <h1 className="font-heading text-2xl font-bold">Propz CRM</h1>
-          <p className="text-sm text-primary-foreground/70 font-body mt-1">Admin Dashboard</p>
+    <AdminLayout testId="admin-dashboard">
+      <div className="p-4 sm:p-8 max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8 animate-fade-in-up">
+          <h2 className="font-heading text-3xl sm:text-4xl font-bold text-foreground">
+            Welcome Back
+          </h2>
+          <p className="mt-2 text-muted-foreground font-body">
+            Manage your leads and track your progress
+          </p>
         </div>
 
-        <nav className="flex-1 p-4">
-          <div className="space-y-1">
-            <button
-              className="w-full flex items-center gap-3 px-4 py-3 bg-white/10 text-primary-foreground font-body text-sm"
-              data-testid="nav-dashboard"
-            >
-              <LayoutDashboard className="w-5 h-5" strokeWidth={1.5} />
-              Dashboard
-            </button>
-          </div>
-        </nav>
-
-        <div className="p-4 border-t border-white/10">
-          <Button
-            variant="ghost"
-            onClick={handleLogout}
-            className="w-full justify-start text-primary-foreground hover:bg-white/10 hover:text-primary-foreground font-body"
-            data-testid="logout-btn"
-          >
-            <LogOut className="w-5 h-5 mr-3" strokeWidth={1.5} />
-            Sign Out
-          </Button>
-        </div>
-      </aside>
-
-      {/* Main Content */}
-      <main className="flex-1 bg-background overflow-auto">
-        {/* Mobile Header */}
-        <div className="md:hidden p-4 bg-primary text-primary-foreground flex items-center justify-between">
-          <h1 className="font-heading text-xl font-bold">Propz CRM</h1>
-          <Button
-            variant="ghost"
-            size="icon"
-            onClick={handleLogout}
-            className="text-primary-foreground hover:bg-white/10"
-            data-testid="mobile-logout-btn"
+        {/* Stats Cards */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6 mb-8">
+          <div 
+            className="bg-card border border-primary/10 p-6 shadow-card animate-fade-in-up"
+            style={{ animationDelay: '0.1s' }}
+            data-testid="total-leads-card"
           >
-            <LogOut className="w-5 h-5" />
-          </Button>
-        </div>
-
-        <div className="p-4 sm:p-8 max-w-7xl mx-auto">
-          {/* Header */}
-          <div className="mb-8 animate-fade-in-up">
-            <h2 className="font-heading text-3xl sm:text-4xl font-bold text-foreground">
-              Welcome Back
-            </h2>
-            <p className="mt-2 text-muted-foreground font-body">
-              Manage your leads and track your progress
-            </p>
-          </div>
-
-          {/* Stats Cards */}
-          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 sm:gap-6 mb-8">
-            <div 
-              className="bg-card border border-primary/10 p-6 shadow-card animate-fade-in-up"
-              style={{ animationDelay: '0.1s' }}
-              data-testid="total-leads-card"
-            >
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="text-sm font-body uppercase tracking-widest text-muted-foreground">Total Leads</p>
-                  <p className="text-4xl font-heading font-bold text-foreground mt-2">{totalLeads}</p>
-                </div>
-                <div className="w-12 h-12 flex items-center justify-center bg-primary/10">
-                  <Users className="w-6 h-6 text-primary" strokeWidth={1.5} />
-                </div>
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-body uppercase tracking-widest text-muted-foreground">Total Leads</p>
+                <p className="text-4xl font-heading font-bold text-foreground mt-2">{totalLeads}</p>
               </div>
-            </div>
-            <div 
-              className="bg-card border border-primary/10 p-6 shadow-card animate-fade-in-up"
-              style={{ animationDelay: '0.15s' }}
-              data-testid="today-leads-card"
-            >
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="text-sm font-body uppercase tracking-widest text-muted-foreground">Today's Leads</p>
-                  <p className="text-4xl font-heading font-bold text-foreground mt-2">{todayLeads}</p>
-                </div>
-                <div className="w-12 h-12 flex items-center justify-center bg-accent/20">
-                  <CalendarIcon className="w-6 h-6 text-accent" strokeWidth={1.5} />
-                </div>
+              <div className="w-12 h-12 flex items-center justify-center bg-primary/10">
+                <Users className="w-6 h-6 text-primary" strokeWidth={1.5} />
               </div>
             </div>
+            <StageBreakdown leads={leads} testId="total-leads-stages" />
           </div>
-
-          {/* Add Lead Form */}
           <div 
-            className="bg-card border border-primary/10 p-6 sm:p-8 shadow-card mb-8 animate-fade-in-up"
-            style={{ animationDelay: '0.2s' }}
-            data-testid="add-lead-form-container"
+            className="bg-card border border-primary/10 p-6 shadow-card animate-fade-in-up"
+            style={{ animationDelay: '0.15s' }}
+            data-testid="today-leads-card"
           >
-            <div className="flex items-center gap-3 mb-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-body uppercase tracking-widest text-muted-foreground">Today's Leads</p>
+                <p className="text-4xl font-heading font-bold text-foreground mt-2">{todayLeads}</p>
+              </div>
+              <div className="w-12 h-12 flex items-center justify-center bg-accent/20">
+                <CalendarIcon className="w-6 h-6 text-accent" strokeWidth={1.5} />
+              </div>
+            </div>
+            <StageBreakdown leads={todayLeadList} testId="today-leads-stages" />
+          </div>
+          <FollowUpPanel
+            leads={leads}
+            isLoading={isLoading}
+            onOpenLead={(lead) => setSelectedLeadId(lead.id)}
+          />
+        </div>
+
+        {/* Add Lead Form */}
+        <div 
+          className="bg-card border border-primary/10 p-6 sm:p-8 shadow-card mb-8 animate-fade-in-up"
+          style={{ animationDelay: '0.2s' }}
+          data-testid="add-lead-form-container"
+        >
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+            <div className="flex items-center gap-3">
               <UserPlus className="w-6 h-6 text-primary" strokeWidth={1.5} />
               <h3 className="font-heading text-xl font-bold text-foreground">Add New Lead</h3>
             </div>
-            
-            <form onSubmit={handleSubmit} className="space-y-6">
-              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
-                {/* Name */}
-                <div className="space-y-2">
-                  <Label className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70">
-                    Name
-                  </Label>
-                  <Input
-                    value={formData.name}
-                    onChange={(e) => handleInputChange('name', e.target.value)}
-                    placeholder="Enter name"
-                    className="rounded-none border-primary/20 focus:border-primary font-body"
-                    data-testid="name-input"
-                  />
-                </div>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => setIsImportOpen(true)}
+              className="border-primary/30 text-primary hover:bg-primary/5 rounded-none uppercase tracking-wider text-xs"
+              data-testid="import-leads-btn"
+            >
+              <FileUp className="w-4 h-4 mr-2" />
+              Import File
+            </Button>
+          </div>
+          
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+              {/* Name */}
+              <div className="space-y-2">
+                <Label className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70">
+                  Name
+                </Label>
+                <Input
+                  value={formData.name}
+                  onChange={(e) => handleInputChange('name', e.target.value)}
+                  placeholder="Enter name"
+                  className="rounded-none border-primary/20 focus:border-primary font-body"
+                  data-testid="name-input"
+                />
+              </div>
 
-                {/* Project Name */}
-                <div className="space-y-2">
-                  <Label className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70">
-                    Project Name
-                  </Label>
-                  <Input
-                    value={formData.projectName}
-                    onChange={(e) => handleInputChange('projectName', e.target.value)}
-                    placeholder="Enter project name"
-                    className="rounded-none border-primary/20 focus:border-primary font-body"
-                    data-testid="project-name-input"
-                  />
-                </div>
+              {/* Project Name */}
+              <div className="space-y-2">
+                <Label className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70">
+                  Project Name
+                </Label>
+                <Input
+                  value={formData.projectName}
+                  onChange={(e) => handleInputChange('projectName', e.target.value)}
+                  placeholder="Enter project name"
+                  className="rounded-none border-primary/20 focus:border-primary font-body"
+                  data-testid="project-name-input"
+                />
+              </div>
 
-                {/* Phone Number */}
-                <div className="space-y-2">
-                  <Label className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70">
-                    Phone Number
-                  </Label>
+              {/* Phone Number */}
+              <div className="space-y-2">
+                <Label className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70">
+                  Phone Number
+                </Label>
+                <Input
+                  value={formData.phoneNumber}
+                  onChange={(e) => handleInputChange('phoneNumber', e.target.value)}
+                  type="tel"
+                  placeholder="e.g. 98765 43210"
+                  className="rounded-none border-primary/20 focus:border-primary font-body"
+                  data-testid="phone-input"
+                />
+              </div>
+
+              {/* Date Picker */}
+              <div className="space-y-2">
+                <Label className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70">
+                  Date
+                </Label>
+                <Popover open={dateOpen} onOpenChange={setDateOpen}>
+                  <PopoverTrigger asChild>
+                    <Button
+                      variant="outline"
+                      className="w-full justify-start text-left font-normal rounded-none border-primary/20 hover:bg-primary/5 font-body"
+                      data-testid="date-picker-trigger"
+                    >
+                      <CalendarIcon className="mr-2 h-4 w-4 text-primary/70" />
+                      {formData.date ? (
+                        format(formData.date, 'dd/MM/yyyy')
+                      ) : (
+                        <span className="text-muted-foreground">Select date</span>
+                      )}
+                    </Button>
+                  </PopoverTrigger>
+                  <PopoverContent className="w-auto p-0 bg-card border-primary/20" align="start">
+                    <Calendar
+                      mode="single"
+                      selected={formData.date}
+                      onSelect={(date) => {
+                        handleInputChange('date', date);
+                        setDateOpen(false);
+                      }}
+                      initialFocus
+                      data-testid="calendar"
+                    />
+                  </PopoverContent>
+                </Popover>
+              </div>
+
+              {/* Time Input */}
+              <div className="space-y-2">
+                <Label className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70">
+                  Time
+                </Label>
+                <div className="relative">
+                  <Clock className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-primary/70" />
                   <Input
-                    value={formData.phoneNumber}
-                    onChange={(e) => handleInputChange('phoneNumber', e.target.value)}
-                    placeholder="Enter phone number"
-                    className="rounded-none border-primary/20 focus:border-primary font-body"
-                    data-testid="phone-input"
+                    type="time"
+                    value={formData.time}
+                    onChange={(e) => handleInputChange('time', e.target.value)}
+                    className="pl-10 rounded-none border-primary/20 focus:border-primary font-body"
+                    data-testid="time-input"
                   />
                 </div>
+              </div>
 
-                {/* Date Picker */}
+              {/* Assignee */}
+              {canAssign && (
                 <div className="space-y-2">
                   <Label className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70">
-                    Date
+                    Assign To
                   </Label>
-                  <Popover open={dateOpen} onOpenChange={setDateOpen}>
-                    <PopoverTrigger asChild>
-                      <Button
-                        variant="outline"
-                        className="w-full justify-start text-left font-normal rounded-none border-primary/20 hover:bg-primary/5 font-body"
-                        data-testid="date-picker-trigger"
-                      >
-                        <CalendarIcon className="mr-2 h-4 w-4 text-primary/70" />
-                        {formData.date ? (
-                          format(formData.date, 'dd/MM/yyyy')
-                        ) : (
-                          <span className="text-muted-foreground">Select date</span>
-                        )}
-                      </Button>
-                    </PopoverTrigger>
-                    <PopoverContent className="w-auto p-0 bg-card border-primary/20" align="start">
-                      <Calendar
-                        mode="single"
-                        selected={formData.date}
-                        onSelect={(date) => {
-                          handleInputChange('date', date);
-                          setDateOpen(false);
-                        }}
-                        initialFocus
-                        data-testid="calendar"
-                      />
-                    </PopoverContent>
-                  </Popover>
+                  <Select
+                    value={formData.assignedTo}
+                    onValueChange={(value) => handleInputChange('assignedTo', value)}
+                  >
+                    <SelectTrigger
+                      className="rounded-none border-primary/20 font-body"
+                      data-testid="assign-to-select"
+                    >
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent className="bg-card border-primary/20">
+                      <SelectItem value={ASSIGN_AUTO} className="font-body">Auto (round robin)</SelectItem>
+                      <SelectItem value={ASSIGN_NONE} className="font-body">Unassigned</SelectItem>
+                      {activeUsers.map((u) => (
+                        <SelectItem key={u.id} value={u.id} className="font-body">
+                          {u.name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
                 </div>
+              )}
+            </div>
 
-                {/* Time Input */}
-                <div className="space-y-2">
-                  <Label className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70">
-                    Time
-                  </Label>
-                  <div className="relative">
-                    <Clock className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-primary/70" />
-                    <Input
-                      type="time"
-                      value={formData.time}
-                      onChange={(e) => handleInputChange('time', e.target.value)}
-                      className="pl-10 rounded-none border-primary/20 focus:border-primary font-body"
-                      data-testid="time-input"
-                    />
-                  </div>
-                </div>
-              </div>
+            <Button
+              type="submit"
+              disabled={isSubmitting}
+              className="bg-primary text-primary-foreground hover:bg-primary/90 btn-primary-sharp px-8"
+              data-testid="add-lead-submit-btn"
+            >
+              {isSubmitting ? (
+                <>
+                  <div className="w-4 h-4 border-2 border-primary-foreground border-t-transparent animate-spin rounded-full mr-2"></div>
+                  Adding...
+                </>
+              ) : (
+                <>
+                  <Plus className="w-4 h-4 mr-2" />
+                  Add Lead
+                </>
+              )}
+            </Button>
+          </form>
+        </div>
+
+        {/* Filters Section */}
+        <div 
+          className="bg-card border border-primary/10 p-4 sm:p-6 mb-6 shadow-card animate-fade-in-up"
+          style={{ animationDelay: '0.25s' }}
+        >
+          <div className="flex items-center gap-2 mb-4">
+            <Filter className="w-5 h-5 text-primary" strokeWidth={1.5} />
+            <h3 className="font-body font-semibold text-foreground">Search & Filters</h3>
+          </div>
+          
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            {/* Name Search */}
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground" />
+              <Input
+                placeholder="Search by name..."
+                value={filters.searchName}
+                onChange={(e) => updateFilters({ searchName: e.target.value })}
+                className="pl-10 rounded-none border-primary/20 font-body"
+                data-testid="admin-search-name-input"
+              />
+            </div>
+
+            {/* Phone Search */}
+            <div className="relative">
+              <Phone className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground" />
+              <Input
+                type="tel"
+                placeholder="Search by phone..."
+                value={filters.searchPhone}
+                onChange={(e) => updateFilters({ searchPhone: e.target.value })}
+                className="pl-10 rounded-none border-primary/20 font-body"
+                data-testid="admin-search-phone-input"
+              />
+            </div>
 
+            {/* Project Filter */}
+            <ProjectMultiSelect
+              projects={projects}
+              selected={filters.projects}
+              onChange={(selected) => updateFilters({ projects: selected })}
+              testId="admin-project-filter"
+            />
+
+            {/* Date Filter */}
+            <DateRangeFilter
+              datePreset={filters.datePreset}
+              customRange={filters.customRange}
+              onChange={updateFilters}
+              testId="admin-date-filter-trigger"
+            />
+
+            {/* Time of Day Filter */}
+            <TimeOfDayFilter
+              value={filters.timeOfDay}
+              onChange={(timeOfDay) => updateFilters({ timeOfDay })}
+              testId="admin-time-filter"
+            />
+
+            {/* Clear Filters */}
+            {isFiltered && (
               <Button
-                type="submit"
-                disabled={isSubmitting}
-                className="bg-primary text-primary-foreground hover:bg-primary/90 btn-primary-sharp px-8"
-                data-testid="add-lead-submit-btn"
+                variant="outline"
+                onClick={clearFilters}
+                className="border-primary/30 text-primary hover:bg-primary/5 rounded-none font-body"
+                data-testid="admin-clear-filters-btn"
               >
-                {isSubmitting ? (
-                  <>
-                    <div className="w-4 h-4 border-2 border-primary-foreground border-t-transparent animate-spin rounded-full mr-2"></div>
-                    Adding...
-                  </>
-                ) : (
-                  <>
-                    <Plus className="w-4 h-4 mr-2" />
-                    Add Lead
-                  </>
-                )}
+                <X className="w-4 h-4 mr-2" />
+                Clear Filters
               </Button>
-            </form>
+            )}
           </div>
+        </div>
 
-          {/* Filters Section */}
-          <div 
-            className="bg-card border border-primary/10 p-4 sm:p-6 mb-6 shadow-card animate-fade-in-up"
-            style={{ animationDelay: '0.25s' }}
+        {/* Lead id warning */}
+        {!isLoading && hasIdProblems && (
+          <Alert
+            className="mb-6 rounded-none border-accent bg-accent/10 animate-fade-in-up"
+            data-testid="lead-id-warning"
           >
-            <div className="flex items-center gap-2 mb-4">
-              <Filter className="w-5 h-5 text-primary" strokeWidth={1.5} />
-              <h3 className="font-body font-semibold text-foreground">Search & Filters</h3>
-            </div>
-            
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
-              {/* Name Search */}
-              <div className="relative">
-                <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground" />
-                <Input
-                  placeholder="Search by name..."
-                  value={searchName}
-                  onChange={(e) => setSearchName(e.target.value)}
-                  className="pl-10 rounded-none border-primary/20 font-body"
-                  data-testid="admin-search-name-input"
-                />
-              </div>
-
-              {/* Project Filter */}
-              <Select value={selectedProject} onValueChange={setSelectedProject}>
-                <SelectTrigger 
-                  className="rounded-none border-primary/20 font-body"
-                  data-testid="admin-project-filter"
-                >
-                  <SelectValue placeholder="All Projects" />
-                </SelectTrigger>
-                <SelectContent className="bg-card border-primary/20">
-                  <SelectItem value="all" className="font-body">All Projects</SelectItem>
-                  {projects.map((project) => (
-                    <SelectItem key={project} value={project} className="font-body">
-                      {project}
-                    </SelectItem>
-                  ))}
-                </SelectContent>
-              </Select>
-
-              {/* Date Filter */}
-              <Popover open={filterDateOpen} onOpenChange={setFilterDateOpen}>
-                <PopoverTrigger asChild>
-                  <Button
-                    variant="outline"
-                    className="w-full justify-start text-left font-normal rounded-none border-primary/20 hover:bg-primary/5 font-body"
-                    data-testid="admin-date-filter-trigger"
-                  >
-                    <CalendarIcon className="mr-2 h-4 w-4 text-primary/70" />
-                    {filterDate ? (
-                      format(filterDate, 'dd/MM/yyyy')
-                    ) : (
-                      <span className="text-muted-foreground">Filter by date</span>
-                    )}
-                  </Button>
-                </PopoverTrigger>
-                <PopoverContent className="w-auto p-0 bg-card border-primary/20" align="start">
-                  <Calendar
-                    mode="single"
-                    selected={filterDate}
-                    onSelect={(date) => {
-                      setFilterDate(date);
-                      setFilterDateOpen(false);
-                    }}
-                    initialFocus
-                  />
-                </PopoverContent>
-              </Popover>
-
-              {/* Clear Filters */}
-              {hasActiveFilters && (
+            <AlertTriangle className="h-4 w-4" />
+            <AlertTitle className="font-body font-semibold">Some leads can't be edited</AlertTitle>
+            <AlertDescription className="font-body text-muted-foreground">
+              <p>
+                {idProblems.missing > 0 && `${idProblems.missing} lead${idProblems.missing === 1 ? ' has' : 's have'} no id. `}
+                {idProblems.duplicates.size > 0 && `${idProblems.duplicates.size} id${idProblems.duplicates.size === 1 ? ' is' : 's are'} shared by more than one lead. `}
+                {canBackfillIds(user)
+                  ? 'Assign fresh ids in the sheet to enable editing and deleting them.'
+                  : 'Ask an admin to assign fresh ids to enable editing and deleting them.'}
+              </p>
+              {canBackfillIds(user) && (
                 <Button
                   variant="outline"
-                  onClick={clearFilters}
-                  className="border-primary/30 text-primary hover:bg-primary/5 rounded-none font-body"
-                  data-testid="admin-clear-filters-btn"
+                  size="sm"
+                  onClick={handleBackfillIds}
+                  disabled={isBackfilling}
+                  className="mt-3 border-primary/30 text-primary hover:bg-primary/5 rounded-none uppercase tracking-wider text-xs"
+                  data-testid="backfill-ids-btn"
                 >
-                  <X className="w-4 h-4 mr-2" />
-                  Clear Filters
+                  {isBackfilling ? 'Assigning...' : 'Assign IDs'}
                 </Button>
               )}
-            </div>
-          </div>
-
-          {/* Leads Table */}
-          <div 
-            className="bg-card border border-primary/10 shadow-card animate-fade-in-up"
-            style={{ animationDelay: '0.3s' }}
-            data-testid="admin-leads-table-container"
-          >
-            <div className="flex items-center justify-between p-6 border-b border-primary/10">
-              <div className="flex items-center gap-3">
-                <Users className="w-6 h-6 text-primary" strokeWidth={1.5} />
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {/* Leads Table */}
+        <div 
+          className="bg-card border border-primary/10 shadow-card animate-fade-in-up"
+          style={{ animationDelay: '0.3s' }}
+          data-testid="admin-leads-table-container"
+        >
+          <div className="flex items-center justify-between p-6 border-b border-primary/10">
+            <div className="flex items-center gap-3">
+              <Users className="w-6 h-6 text-primary" strokeWidth={1.5} />
+              <div>
                 <h3 className="font-heading text-xl font-bold text-foreground">
-                  All Leads ({filteredLeads.length} of {leads.length})
+                  {canAssign ? 'All Leads' : 'My Leads'} ({leadsPage.total} of {leads.length})
                 </h3>
+                {pendingLeads.length > 0 && (
+                  <p className="font-body text-xs text-primary/80" data-testid="admin-pending-count">
+                    {pendingLeads.length} lead{pendingLeads.length === 1 ? '' : 's'} waiting to sync
+                  </p>
+                )}
+                <SyncStatus syncedAt={syncedAt} isValidating={isValidating || leadsPage.isFetching} error={syncError} testId="admin-sync-status" />
               </div>
+            </div>
+            <div className="flex items-center gap-2">
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={isLoading || isExporting || leadsPage.total === 0}
+                    className="border-primary/30 text-primary hover:bg-primary/5 rounded-none uppercase tracking-wider text-xs"
+                    data-testid="admin-export-btn"
+                  >
+                    <Download className="w-4 h-4 mr-2" />
+                    {isExporting ? 'Exporting...' : 'Export'}
+                  </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="end" className="bg-card border-primary/20 rounded-none">
+                  <DropdownMenuLabel className="font-body text-xs uppercase tracking-widest text-primary/70">
+                    {leadsPage.total} lead{leadsPage.total === 1 ? '' : 's'}
+                  </DropdownMenuLabel>
+                  <DropdownMenuSeparator />
+                  {EXPORT_FORMATS.map(exportFormat => (
+                    <DropdownMenuItem
+                      key={exportFormat.id}
+                      onSelect={() => handleExport(exportFormat.id)}
+                      className="font-body"
+                      data-testid={`export-${exportFormat.id}`}
+                    >
+                      {exportFormat.label}
+                    </DropdownMenuItem>
+                  ))}
+                </DropdownMenuContent>
+              </DropdownMenu>
               <Button
                 variant="outline"
                 size="sm"
                 onClick={loadLeads}
-                disabled={isLoading}
+                disabled={isValidating}
                 className="border-primary/30 text-primary hover:bg-primary/5 rounded-none uppercase tracking-wider text-xs"
                 data-testid="admin-refresh-btn"
               >
-                <RefreshCw className={`w-4 h-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+                <RefreshCw className={`w-4 h-4 mr-2 ${isValidating ? 'animate-spin' : ''}`} />
                 Refresh
               </Button>
             </div>
+          </div>
 
-            {isLoading ? (
-              <div className="p-8">
-                <div className="space-y-4">
-                  {[...Array(5)].map((_, i) => (
-                    <div key={i} className="flex gap-4">
-                      <div className="h-6 skeleton-beige flex-1"></div>
-                      <div className="h-6 skeleton-beige flex-1"></div>
-                      <div className="h-6 skeleton-beige w-32"></div>
-                      <div className="h-6 skeleton-beige w-24"></div>
-                      <div className="h-6 skeleton-beige w-20"></div>
-                    </div>
-                  ))}
-                </div>
-              </div>
-            ) : error ? (
-              <div className="p-8 text-center">
-                <p className="text-destructive font-body" data-testid="admin-error-message">{error}</p>
-                <Button
-                  onClick={loadLeads}
-                  variant="outline"
-                  className="mt-4 border-primary/30 text-primary hover:bg-primary/5 rounded-none"
-                >
-                  Try Again
-                </Button>
+          {isLoading || leadsPage.isLoading ? (
+            <div className="p-8">
+              <div className="space-y-4">
+                {[...Array(5)].map((_, i) => (
+                  <div key={i} className="flex gap-4">
+                    <div className="h-6 skeleton-beige flex-1"></div>
+                    <div className="h-6 skeleton-beige flex-1"></div>
+                    <div className="h-6 skeleton-beige w-32"></div>
+                    <div className="h-6 skeleton-beige w-24"></div>
+                    <div className="h-6 skeleton-beige w-20"></div>
+                  </div>
+                ))}
               </div>
-            ) : (
+            </div>
+          ) : error && pendingLeads.length === 0 ? (
+            <div className="p-8 text-center">
+              <p className="text-destructive font-body" data-testid="admin-error-message">{error}</p>
+              <Button
+                onClick={loadLeads}
+                variant="outline"
+                className="mt-4 border-primary/30 text-primary hover:bg-primary/5 rounded-none"
+              >
+                Try Again
+              </Button>
+            </div>
+          ) : (
+            <>
               <Table className="leads-table" data-testid="admin-leads-table">
                 <TableHeader>
                   <TableRow className="border-b-2 border-primary/20 hover:bg-transparent">
-                    <TableHead className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70 py-4">
+                    <SortableTableHead field="name" sort={sort} onSortChange={updateSort}>
                       Name
-                    </TableHead>
-                    <TableHead className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70 py-4">
+                    </SortableTableHead>
+                    <SortableTableHead field="project" sort={sort} onSortChange={updateSort}>
                       Project Name
-                    </TableHead>
+                    </SortableTableHead>
                     <TableHead className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70 py-4">
                       Phone Number
                     </TableHead>
-                    <TableHead className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70 py-4">
+                    <SortableTableHead field="date" sort={sort} onSortChange={updateSort}>
                       Date
-                    </TableHead>
+                    </SortableTableHead>
                     <TableHead className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70 py-4">
                       Time
                     </TableHead>
+                    {canAssign && (
+                      <TableHead className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70 py-4">
+                        Assigned To
+                      </TableHead>
+                    )}
+                    <TableHead className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70 py-4 text-right">
+                      Actions
+                    </TableHead>
                   </TableRow>
                 </TableHeader>
                 <TableBody>
-                  {filteredLeads.length === 0 ? (
+                  {pendingLeads.map((entry, index) => (
+                    <PendingLeadRow
+                      key={entry.clientId}
+                      entry={entry}
+                      index={index}
+                      showAssignee={canAssign}
+                      assigneeName={getUserName(users, entry.lead.assignedTo)}
+                      onRetry={handleRetryPending}
+                      onDiscard={handleDiscardPending}
+                    />
+                  ))}
+                  {leadsPage.total === 0 && pendingLeads.length === 0 ? (
                     <TableRow>
-                      <TableCell colSpan={5} className="py-12 text-center">
+                      <TableCell colSpan={canAssign ? 7 : 6} className="py-12 text-center">
                         <Users className="w-12 h-12 text-muted-foreground mx-auto mb-4" strokeWidth={1} />
                         <p className="text-muted-foreground font-body" data-testid="admin-no-leads-message">
-                          {hasActiveFilters ? 'No leads match your filters.' : 'No leads found. Add your first lead above!'}
+                          {isFiltered ? 'No leads match your filters.' : 'No leads found. Add your first lead above!'}
                         </p>
-                        {hasActiveFilters && (
+                        {isFiltered && (
                           <Button
                             variant="outline"
                             onClick={clearFilters}
@@ -574,37 +917,75 @@ const AdminDashboard = () => {
                       </TableCell>
                     </TableRow>
                   ) : (
-                    filteredLeads.map((lead, index) => (
-                      <TableRow
-                        key={lead.id || index}
-                        className="border-b border-primary/5 hover:bg-primary/5 transition-colors duration-200"
-                        data-testid={`admin-lead-row-${index}`}
-                      >
-                        <TableCell className="font-body py-4 font-medium text-foreground">
-                          {lead.name || '-'}
-                        </TableCell>
-                        <TableCell className="font-body py-4 text-foreground">
-                          {lead.projectName || '-'}
-                        </TableCell>
-                        <TableCell className="font-body py-4 text-muted-foreground">
-                          {lead.phoneNumber || '-'}
-                        </TableCell>
-                        <TableCell className="font-body py-4 text-muted-foreground">
-                          {formatDate(lead.date)}
-                        </TableCell>
-                        <TableCell className="font-body py-4 text-muted-foreground">
-                          {formatTime(lead.time)}
-                        </TableCell>
-                      </TableRow>
+                    leadsPage.leads.map((lead, index) => (
+                      <LeadTableRow
+                        key={canModifyLead(lead) ? lead.id : `row-${index}`}
+                        lead={lead}
+                        index={index}
+                        canModify={canModifyLead(lead)}
+                        showAssignee={canAssign}
+                        assigneeName={getUserName(users, lead.assignedTo)}
+                        onOpen={(l) => canModifyLead(l) && setSelectedLeadId(l.id)}
+                        isEditing={editingLeadId === lead.id}
+                        onEdit={(l) => setEditingLeadId(l.id)}
+                        onCancelEdit={() => setEditingLeadId(null)}
+                        onSave={handleSaveLead}
+                        onDelete={setLeadToDelete}
+                      />
                     ))
                   )}
                 </TableBody>
               </Table>
-            )}
-          </div>
+              <LeadsPagination
+                page={leadsPage.page}
+                pageCount={leadsPage.pageCount}
+                pageSize={leadsPage.pageSize}
+                total={leadsPage.total}
+                onPageChange={updatePage}
+              />
+            </>
+          )}
         </div>
-      </main>
-    </div>
+      </div>
+
+      <LeadDetailSheet
+        lead={selectedLead}
+        open={Boolean(selectedLead)}
+        onOpenChange={(open) => !open && setSelectedLeadId(null)}
+        onLeadChange={handleLeadChange}
+        users={activeUsers}
+      />
+
+      <DeleteLeadDialog
+        lead={leadToDelete}
+        onOpenChange={(open) => !open && setLeadToDelete(null)}
+        onConfirm={handleConfirmDelete}
+      />
+
+      <DuplicateWarningDialog
+        pending={pendingDuplicate}
+        onOpenChange={(open) => !open && setPendingDuplicate(null)}
+        onConfirm={(lead) => {
+          setPendingDuplicate(null);
+          saveNewLead(lead);
+        }}
+      />
+
+      <ImportLeadsDialog
+        open={isImportOpen}
+        onOpenChange={setIsImportOpen}
+        existingLeads={leads}
+        users={activeUsers}
+        canAssign={canAssign}
+        currentUserId={user.id}
+        onImported={({ created }) => {
+          toast.success('Leads imported', {
+            description: `${created.length} lead${created.length === 1 ? '' : 's'} added from the file.`
+          });
+          loadLeads();
+        }}
+      />
+    </AdminLayout>
   );
 };
 
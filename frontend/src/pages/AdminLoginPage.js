@@ -8,6 +8,7 @@ import { toast } from 'sonner';
 import { useAuth } from '@/context/AuthContext';
 
 const AdminLoginPage = () => {
+  const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
@@ -25,20 +26,18 @@ const AdminLoginPage = () => {
     e.preventDefault();
     setIsLoading(true);
 
-    // Simulate slight delay for UX
-    await new Promise(resolve => setTimeout(resolve, 500));
-
-    const success = login(password);
-    
-    if (success) {
+    try {
+      await login(username, password);
       toast.success('Login successful', {
         description: 'Redirecting to dashboard...'
       });
       navigate('/admin/dashboard');
-    } else {
-      toast.error('Invalid password', {
-        description: 'Please check your password and try again.'
+    } catch (err) {
+      // The backend's message, e.g. "Invalid username or password"
+      toast.error('Unable to sign in', {
+        description: err.message || 'Please try again later.'
       });
+      console.error(err);
     }
     
     setIsLoading(false);
@@ -92,15 +91,34 @@ const AdminLoginPage = () => {
                 <Lock className="w-8 h-8 text-primary" strokeWidth={1.5} />
               </div>
               <h1 className="font-heading text-3xl sm:text-4xl font-bold text-foreground">
-                Admin Login
+                Team Login
               </h1>
               <p className="mt-3 text-muted-foreground font-body">
-                Enter your password to access the dashboard
+                Enter your username and password to access the dashboard
               </p>
             </div>
 
             {/* Form */}
             <form onSubmit={handleSubmit} className="space-y-8">
+              <div className="space-y-2">
+                <Label 
+                  htmlFor="username" 
+                  className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70"
+                >
+                  Username
+                </Label>
+                <Input
+                  id="username"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  placeholder="Enter your username"
+                  className="input-underline font-body"
+                  autoComplete="username"
+                  required
+                  data-testid="username-input"
+                />
+              </div>
+
               <div className="space-y-2">
                 <Label 
                   htmlFor="password" 
@@ -114,7 +132,7 @@ const AdminLoginPage = () => {
                     type={showPassword ? 'text' : 'password'}
                     value={password}
                     onChange={(e) => setPassword(e.target.value)}
-                    placeholder="Enter admin password"
+                    placeholder="Enter password"
                     className="input-underline pr-10 font-body"
                     required
                     data-testid="password-input"
@@ -136,7 +154,7 @@ const AdminLoginPage = () => {
 
               <Button
                 type="submit"
-                disabled={isLoading || !password}
+                disabled={isLoading || !username || !password}
                 className="w-full bg-primary text-primary-foreground hover:bg-primary/90 btn-primary-sharp py-6"
                 data-testid="login-submit-btn"
               >
@@ -159,7 +177,7 @@ const AdminLoginPage = () => {
         {/* Footer */}
         <div className="p-6 text-center">
           <p className="text-xs text-muted-foreground font-body">
-            Secure admin access only
+            Secure team access only
           </p>
         </div>
       </div>
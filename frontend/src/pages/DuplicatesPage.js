@@ -0,0 +1,250 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Copy, RefreshCw, GitMerge } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import { toast } from 'sonner';
+import AdminLayout from '@/components/admin/AdminLayout';
+import { mergeLeads, sortLeadsByDateTime, formatDate } from '@/services/googleSheetsApi';
+import { leadsStore } from '@/services/leadsStore';
+import { fetchUsers, getUserName } from '@/services/usersApi';
+import { useCachedStore } from '@/hooks/use-cached-store';
+import { getStage } from '@/lib/leadStages';
+import { formatPhone } from '@/lib/phone';
+import { groupDuplicates, DUPLICATE_REASON_LABELS } from '@/lib/duplicates';
+
+/**
+ * One group of likely duplicates: pick the lead to keep and which others fold into it
+ * The oldest lead is kept by default
+ */
+const DuplicateGroup = ({ group, users, index, isMerging, onMerge }) => {
+  const [keptId, setKeptId] = useState(group.leads[0].id);
+  const [excludedIds, setExcludedIds] = useState([]);
+
+  const duplicateIds = group.leads
+    .map(lead => lead.id)
+    .filter(id => id !== keptId && !excludedIds.includes(id));
+
+  const toggleIncluded = (id, included) => {
+    setExcludedIds(prev => (included ? prev.filter(i => i !== id) : [...prev, id]));
+  };
+
+  return (
+    <div
+      className="bg-card border border-primary/10 shadow-card animate-fade-in-up"
+      data-testid={`duplicate-group-${index}`}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-3 p-4 sm:p-6 border-b border-primary/10">
+        <div className="flex flex-wrap gap-2">
+          {group.reasons.map(reason => (
+            <span
+              key={reason}
+              className="px-2 py-1 border border-primary/20 font-body text-xs uppercase tracking-widest text-primary/70"
+            >
+              {DUPLICATE_REASON_LABELS[reason]}
+            </span>
+          ))}
+        </div>
+        <Button
+          size="sm"
+          onClick={() => onMerge(group.leads.find(lead => lead.id === keptId), duplicateIds)}
+          disabled={isMerging || duplicateIds.length === 0}
+          className="bg-primary text-primary-foreground hover:bg-primary/90 btn-primary-sharp"
+          data-testid={`merge-group-btn-${index}`}
+        >
+          <GitMerge className="w-4 h-4 mr-2" />
+          Merge {duplicateIds.length + 1} Leads
+        </Button>
+      </div>
+
+      <RadioGroup value={keptId} onValueChange={setKeptId} className="gap-0">
+        {group.leads.map(lead => {
+          const isKept = lead.id === keptId;
+          return (
+            <div
+              key={lead.id}
+              className={`flex items-start gap-4 p-4 sm:px-6 border-b border-primary/5 last:border-b-0 ${isKept ? 'bg-primary/5' : ''}`}
+            >
+              <div className="flex flex-col items-center gap-3 pt-1">
+                <RadioGroupItem value={lead.id} aria-label={`Keep ${lead.name}`} />
+                <Checkbox
+                  checked={isKept || !excludedIds.includes(lead.id)}
+                  disabled={isKept}
+                  onCheckedChange={(checked) => toggleIncluded(lead.id, checked === true)}
+                  aria-label={`Include ${lead.name} in the merge`}
+                  className="rounded-none"
+                />
+              </div>
+              <div className="flex-1 min-w-0 grid grid-cols-2 sm:grid-cols-4 gap-x-4 gap-y-1 font-body text-sm">
+                <p className="font-medium text-foreground truncate">
+                  {lead.name || '-'}
+                  {isKept && <span className="ml-2 text-xs text-primary">(kept)</span>}
+                </p>
+                <p className="text-foreground truncate">{lead.projectInterests.join(', ') || '-'}</p>
+                <p className="text-muted-foreground">{formatPhone(lead.phoneNumber) || '-'}</p>
+                <p className="text-muted-foreground">{formatDate(lead.date)}</p>
+                <p className="text-muted-foreground">{getStage(lead.status).label}</p>
+                <p className="text-muted-foreground truncate">{getUserName(users, lead.assignedTo) || 'Unassigned'}</p>
+              </div>
+            </div>
+          );
+        })}
+      </RadioGroup>
+    </div>
+  );
+};
+
+/**
+ * Admin-only list of leads that look like the same buyer, grouped, with a merge action
+ * Merging keeps one lead, adds the others' projects to its interests and moves their activity over
+ */
+const DuplicatesPage = () => {
+  const [users, setUsers] = useState([]);
+  const { data: cachedLeads, isLoading, isValidating, error: syncError, revalidate } = useCachedStore(leadsStore);
+  const leads = useMemo(() => (cachedLeads || []).filter(lead => lead.id), [cachedLeads]);
+  const error = !cachedLeads && syncError ? 'Unable to load leads. Please try again.' : null;
+  const [pendingMerge, setPendingMerge] = useState(null);
+  const [isMerging, setIsMerging] = useState(false);
+
+  const loadLeads = () => revalidate().catch(err => console.error(err));
+
+  useEffect(() => {
+    fetchUsers()
+      .then(setUsers)
+      .catch(err => console.error(err));
+  }, []);
+
+  const groups = useMemo(() => groupDuplicates(sortLeadsByDateTime(leads)), [leads]);
+
+  const handleConfirmMerge = async () => {
+    const { kept, duplicateIds } = pendingMerge;
+    setPendingMerge(null);
+    setIsMerging(true);
+    try {
+      await mergeLeads(kept.id, duplicateIds);
+      toast.success('Leads merged', {
+        description: `${duplicateIds.length} duplicate${duplicateIds.length === 1 ? '' : 's'} folded into ${kept.name || 'the kept lead'}.`
+      });
+      await loadLeads();
+    } catch (err) {
+      toast.error('Failed to merge leads', {
+        description: err.message || 'Please try again.'
+      });
+      console.error(err);
+    } finally {
+      setIsMerging(false);
+    }
+  };
+
+  return (
+    <AdminLayout testId="duplicates-page">
+      <div className="p-4 sm:p-8 max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="flex flex-wrap items-end justify-between gap-4 mb-8 animate-fade-in-up">
+          <div>
+            <h2 className="font-heading text-3xl sm:text-4xl font-bold text-foreground">
+              Possible Duplicates
+            </h2>
+            <p className="mt-2 text-muted-foreground font-body">
+              Leads that share a phone number, or a near-identical name on the same project
+            </p>
+          </div>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={loadLeads}
+            disabled={isValidating}
+            className="border-primary/30 text-primary hover:bg-primary/5 rounded-none uppercase tracking-wider text-xs"
+            data-testid="duplicates-refresh-btn"
+          >
+            <RefreshCw className={`w-4 h-4 mr-2 ${isValidating ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+        </div>
+
+        {isLoading ? (
+          <div className="space-y-4">
+            {[...Array(3)].map((_, i) => (
+              <div key={i} className="h-24 skeleton-beige"></div>
+            ))}
+          </div>
+        ) : error ? (
+          <div className="bg-card border border-primary/10 p-8 text-center">
+            <p className="text-destructive font-body" data-testid="duplicates-error-message">{error}</p>
+            <Button
+              onClick={loadLeads}
+              variant="outline"
+              className="mt-4 border-primary/30 text-primary hover:bg-primary/5 rounded-none"
+            >
+              Try Again
+            </Button>
+          </div>
+        ) : groups.length === 0 ? (
+          <div className="bg-card border border-primary/10 p-8 text-center">
+            <Copy className="w-8 h-8 text-primary/40 mx-auto mb-3" strokeWidth={1.5} />
+            <p className="text-muted-foreground font-body" data-testid="duplicates-empty">
+              No duplicates found.
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <p className="font-body text-sm text-muted-foreground">
+              {groups.length} group{groups.length === 1 ? '' : 's'}. Choose the lead to keep with the round button;
+              untick any lead that isn't really the same buyer.
+            </p>
+            {groups.map((group, index) => (
+              <DuplicateGroup
+                key={group.leads.map(lead => lead.id).join(':')}
+                group={group}
+                users={users}
+                index={index}
+                isMerging={isMerging}
+                onMerge={(kept, duplicateIds) => setPendingMerge({ kept, duplicateIds })}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+
+      <AlertDialog open={Boolean(pendingMerge)} onOpenChange={(open) => !open && setPendingMerge(null)}>
+        <AlertDialogContent className="bg-card border-primary/20 rounded-none sm:rounded-none" data-testid="merge-leads-dialog">
+          <AlertDialogHeader>
+            <AlertDialogTitle className="font-heading text-xl text-foreground">
+              Merge these leads?
+            </AlertDialogTitle>
+            <AlertDialogDescription className="font-body">
+              {pendingMerge
+                ? `${pendingMerge.kept.name || 'The kept lead'} will gain the other ${pendingMerge.duplicateIds.length === 1 ? 'lead\'s' : `${pendingMerge.duplicateIds.length} leads'`} projects and activity history, and ${pendingMerge.duplicateIds.length === 1 ? 'it' : 'they'} will be deleted.`
+                : ''}
+              {' '}This cannot be undone.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel className="rounded-none border-primary/30 font-body">
+              Cancel
+            </AlertDialogCancel>
+            <AlertDialogAction
+              onClick={handleConfirmMerge}
+              className="rounded-none bg-primary text-primary-foreground hover:bg-primary/90 font-body"
+              data-testid="confirm-merge-btn"
+            >
+              Merge
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </AdminLayout>
+  );
+};
+
+export default DuplicatesPage;
@@ -0,0 +1,257 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { Building2, CheckCircle2, Send } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { toast } from 'sonner';
+import { fetchEnquiryChallenge, submitEnquiry } from '@/services/googleSheetsApi';
+import { isValidPhone, PHONE_FORMAT_HINT } from '@/lib/phone';
+import { PREFERRED_TIMES, ENQUIRY_HEIGHT_MESSAGE, HONEYPOT_FIELD, solveChallenge } from '@/lib/enquiry';
+
+const emptyForm = {
+  name: '',
+  phoneNumber: '',
+  preferredTime: 'anytime',
+  consent: false,
+  [HONEYPOT_FIELD]: ''
+};
+
+const labelClassName = 'font-body uppercase tracking-widest text-xs font-semibold text-primary/70';
+
+/**
+ * Public lead capture form for one project, linked from or embedded in its microsite
+ * With ?embed=1 the page drops its header and reports its height to the parent frame
+ * A proof-of-work challenge is solved in the background while the visitor types
+ */
+const EnquiryPage = () => {
+  const { project } = useParams();
+  const [searchParams] = useSearchParams();
+  const isEmbedded = searchParams.get('embed') === '1';
+  const projectName = project.trim();
+
+  const [formData, setFormData] = useState(emptyForm);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isSubmitted, setIsSubmitted] = useState(false);
+  const containerRef = useRef(null);
+  const proofRef = useRef(null);
+
+  // Each challenge is good for one submission, so a fresh one starts after every attempt
+  const startChallenge = useCallback(() => {
+    const proof = fetchEnquiryChallenge().then(async ({ challenge, difficulty }) => ({
+      challenge,
+      solution: await solveChallenge(challenge, difficulty)
+    }));
+    proof.catch(() => {});  // Reported when the visitor submits
+    proofRef.current = proof;
+  }, []);
+
+  useEffect(() => {
+    startChallenge();
+  }, [startChallenge]);
+
+  // Let embed.js size the iframe to fit, including after the thank-you swap
+  useEffect(() => {
+    if (!isEmbedded || window.parent === window || !containerRef.current) {
+      return undefined;
+    }
+
+    const observer = new ResizeObserver(([entry]) => {
+      window.parent.postMessage({
+        type: ENQUIRY_HEIGHT_MESSAGE,
+        project: projectName,
+        height: Math.ceil(entry.target.getBoundingClientRect().height)
+      }, '*');
+    });
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, [isEmbedded, projectName]);
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim() || !formData.phoneNumber.trim()) {
+      toast.error('Please enter your name and phone number');
+      return;
+    }
+
+    if (!isValidPhone(formData.phoneNumber)) {
+      toast.error('Please check your phone number', { description: PHONE_FORMAT_HINT });
+      return;
+    }
+
+    if (!formData.consent) {
+      toast.error('Please agree to be contacted so we can call you back');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const { challenge, solution } = await proofRef.current;
+      await submitEnquiry({
+        projectName,
+        name: formData.name.trim(),
+        phoneNumber: formData.phoneNumber.trim(),
+        preferredTime: formData.preferredTime,
+        consent: formData.consent,
+        challenge,
+        solution,
+        [HONEYPOT_FIELD]: formData[HONEYPOT_FIELD]
+      });
+      setIsSubmitted(true);
+      setFormData(emptyForm);
+    } catch (err) {
+      toast.error('Unable to send your enquiry', {
+        description: err.message || 'Please try again.'
+      });
+      console.error(err);
+    } finally {
+      setIsSubmitting(false);
+      startChallenge();
+    }
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className={isEmbedded ? 'bg-background' : 'min-h-screen bg-background'}
+      data-testid="enquiry-page"
+    >
+      {!isEmbedded && (
+        <header className="py-8 sm:py-12 px-4 sm:px-8 text-center border-b border-primary/10">
+          <div className="max-w-md mx-auto animate-fade-in-up">
+            <div className="flex items-center justify-center gap-3 mb-4">
+              <Building2 className="w-10 h-10 text-primary" strokeWidth={1.5} />
+            </div>
+            <h1 className="font-heading text-3xl sm:text-4xl font-bold text-foreground tracking-tight" data-testid="enquiry-project-name">
+              {projectName}
+            </h1>
+            <p className="mt-3 text-muted-foreground font-body">
+              Leave your details and our team will call you back
+            </p>
+          </div>
+        </header>
+      )}
+
+      <main className={isEmbedded ? 'p-4' : 'px-4 py-8 sm:py-12'}>
+        <div className="max-w-md mx-auto bg-card border border-primary/10 p-6 sm:p-8 shadow-card animate-fade-in-up">
+          {isSubmitted ? (
+            <div className="text-center py-6" data-testid="enquiry-success">
+              <CheckCircle2 className="w-12 h-12 text-primary mx-auto mb-4" strokeWidth={1.5} />
+              <h2 className="font-heading text-2xl font-bold text-foreground">Thank you</h2>
+              <p className="mt-2 font-body text-muted-foreground">
+                We've received your enquiry about {projectName} and will be in touch soon.
+              </p>
+              <Button
+                variant="outline"
+                onClick={() => setIsSubmitted(false)}
+                className="mt-6 border-primary/30 text-primary hover:bg-primary/5 rounded-none uppercase tracking-wider text-xs"
+              >
+                Send another enquiry
+              </Button>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="relative space-y-5">
+              {isEmbedded && (
+                <h2 className="font-heading text-xl font-bold text-foreground">
+                  Enquire about {projectName}
+                </h2>
+              )}
+
+              {/* Honeypot: off-screen and skipped by keyboard and screen readers */}
+              <div className="absolute -left-[9999px] w-px h-px overflow-hidden" aria-hidden="true">
+                <label htmlFor="enquiry-website">Website</label>
+                <input
+                  id="enquiry-website"
+                  type="text"
+                  tabIndex={-1}
+                  autoComplete="off"
+                  value={formData[HONEYPOT_FIELD]}
+                  onChange={(e) => handleInputChange(HONEYPOT_FIELD, e.target.value)}
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="enquiry-name" className={labelClassName}>Name</Label>
+                <Input
+                  id="enquiry-name"
+                  value={formData.name}
+                  onChange={(e) => handleInputChange('name', e.target.value)}
+                  placeholder="Your full name"
+                  autoComplete="name"
+                  className="h-12 rounded-none border-primary/20 focus:border-primary font-body text-base"
+                  data-testid="enquiry-name-input"
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="enquiry-phone" className={labelClassName}>Phone Number</Label>
+                <Input
+                  id="enquiry-phone"
+                  type="tel"
+                  inputMode="tel"
+                  value={formData.phoneNumber}
+                  onChange={(e) => handleInputChange('phoneNumber', e.target.value)}
+                  placeholder="e.g. 98765 43210"
+                  autoComplete="tel"
+                  className="h-12 rounded-none border-primary/20 focus:border-primary font-body text-base"
+                  data-testid="enquiry-phone-input"
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label className={labelClassName}>Best Time To Call</Label>
+                <Select value={formData.preferredTime} onValueChange={(value) => handleInputChange('preferredTime', value)}>
+                  <SelectTrigger className="h-12 rounded-none border-primary/20 font-body text-base" data-testid="enquiry-time-select">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-card border-primary/20">
+                    {PREFERRED_TIMES.map(option => (
+                      <SelectItem key={option.id} value={option.id} className="font-body">
+                        {option.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <label className="flex items-start gap-3 font-body text-sm text-muted-foreground cursor-pointer">
+                <Checkbox
+                  checked={formData.consent}
+                  onCheckedChange={(checked) => handleInputChange('consent', checked === true)}
+                  className="mt-0.5 rounded-none"
+                  data-testid="enquiry-consent-checkbox"
+                />
+                I agree to be contacted about {projectName} by phone, SMS or WhatsApp.
+              </label>
+
+              <Button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full h-12 bg-primary text-primary-foreground hover:bg-primary/90 btn-primary-sharp"
+                data-testid="enquiry-submit-btn"
+              >
+                <Send className="w-4 h-4 mr-2" />
+                {isSubmitting ? 'Sending...' : 'Request a Call Back'}
+              </Button>
+            </form>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default EnquiryPage;
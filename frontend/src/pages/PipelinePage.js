@@ -0,0 +1,283 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { RefreshCw, KanbanSquare, Phone, MoreHorizontal } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { toast } from 'sonner';
+import AdminLayout from '@/components/admin/AdminLayout';
+import LeadDetailSheet from '@/components/admin/LeadDetailSheet';
+import SyncStatus from '@/components/sync/SyncStatus';
+import { updateLeadStatus, formatDate } from '@/services/googleSheetsApi';
+import { leadsStore } from '@/services/leadsStore';
+import { LEAD_STAGES, getStage } from '@/lib/leadStages';
+import { useAuth } from '@/context/AuthContext';
+import { getVisibleLeads } from '@/lib/roles';
+import { formatPhone } from '@/lib/phone';
+import { fetchUsers } from '@/services/usersApi';
+import { useCachedStore } from '@/hooks/use-cached-store';
+
+const PipelinePage = () => {
+  const { user } = useAuth();
+  const [users, setUsers] = useState([]);
+  const {
+    data: cachedLeads,
+    syncedAt,
+    isLoading,
+    isValidating,
+    error: syncError,
+    revalidate,
+    mutate: mutateLeads
+  } = useCachedStore(leadsStore);
+  const leads = useMemo(() => getVisibleLeads(cachedLeads || [], user), [cachedLeads, user]);
+  const error = !cachedLeads && syncError ? 'Unable to load leads. Please try again.' : null;
+
+  // Drag state
+  const [draggedLeadId, setDraggedLeadId] = useState(null);
+  const [dropStageId, setDropStageId] = useState(null);
+
+  const [selectedLeadId, setSelectedLeadId] = useState(null);
+
+  const loadLeads = useCallback(() => revalidate().catch(err => console.error(err)), [revalidate]);
+
+  useEffect(() => {
+    fetchUsers()
+      .then(data => setUsers(data.filter(u => u.active)))
+      .catch(err => console.error(err));
+  }, []);
+
+  const selectedLead = useMemo(
+    () => leads.find(lead => lead.id === selectedLeadId) || null,
+    [leads, selectedLeadId]
+  );
+
+  // Merge writes made from the detail drawer
+  const handleLeadChange = (id, changes) => {
+    mutateLeads(prev => prev.map(lead => (lead.id === id ? { ...lead, ...changes } : lead)));
+  };
+
+  // Newest leads at the top of each column
+  const columns = useMemo(() => {
+    const grouped = Object.fromEntries(LEAD_STAGES.map(stage => [stage.id, []]));
+    [...leads].reverse().forEach(lead => {
+      grouped[lead.status].push(lead);
+    });
+    return grouped;
+  }, [leads]);
+
+  // Optimistically move a card, putting it back if the write fails
+  const moveLead = async (leadId, stageId) => {
+    const lead = leads.find(l => l.id === leadId);
+    if (!lead || lead.status === stageId) return;
+
+    mutateLeads(prev => prev.map(l => (l.id === leadId ? { ...l, status: stageId } : l)));
+
+    try {
+      await updateLeadStatus(leadId, stageId);
+      toast.success(`${lead.name || 'Lead'} moved to ${getStage(stageId).label}`);
+    } catch (err) {
+      mutateLeads(prev => prev.map(l => (l.id === leadId ? { ...l, status: lead.status } : l)));
+      toast.error('Failed to move lead', {
+        description: 'The card has been moved back.'
+      });
+      console.error(err);
+    }
+  };
+
+  const handleDragStart = (e, lead) => {
+    e.dataTransfer.setData('text/plain', lead.id);
+    e.dataTransfer.effectAllowed = 'move';
+    setDraggedLeadId(lead.id);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedLeadId(null);
+    setDropStageId(null);
+  };
+
+  const handleDragOver = (e, stageId) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    if (dropStageId !== stageId) {
+      setDropStageId(stageId);
+    }
+  };
+
+  const handleDrop = (e, stageId) => {
+    e.preventDefault();
+    const leadId = e.dataTransfer.getData('text/plain');
+    handleDragEnd();
+    if (leadId) {
+      moveLead(leadId, stageId);
+    }
+  };
+
+  return (
+    <AdminLayout testId="pipeline-page">
+      <div className="p-4 sm:p-8">
+        {/* Header */}
+        <div className="mb-8 flex items-start justify-between gap-4 animate-fade-in-up">
+          <div>
+            <h2 className="font-heading text-3xl sm:text-4xl font-bold text-foreground">
+              Pipeline
+            </h2>
+            <p className="mt-2 text-muted-foreground font-body">
+              Drag leads between stages as deals progress
+            </p>
+            <SyncStatus syncedAt={syncedAt} isValidating={isValidating} error={syncError} testId="pipeline-sync-status" />
+          </div>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={loadLeads}
+            disabled={isValidating}
+            className="border-primary/30 text-primary hover:bg-primary/5 rounded-none uppercase tracking-wider text-xs"
+            data-testid="pipeline-refresh-btn"
+          >
+            <RefreshCw className={`w-4 h-4 mr-2 ${isValidating ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+        </div>
+
+        {error ? (
+          <div className="bg-card border border-primary/10 shadow-card p-8 text-center">
+            <p className="text-destructive font-body" data-testid="pipeline-error-message">{error}</p>
+            <Button
+              onClick={loadLeads}
+              variant="outline"
+              className="mt-4 border-primary/30 text-primary hover:bg-primary/5 rounded-none"
+            >
+              Try Again
+            </Button>
+          </div>
+        ) : (
+          <div className="flex gap-4 overflow-x-auto pb-4 animate-fade-in-up" data-testid="pipeline-board">
+            {LEAD_STAGES.map(stage => (
+              <section
+                key={stage.id}
+                onDragOver={(e) => handleDragOver(e, stage.id)}
+                onDragLeave={() => setDropStageId(null)}
+                onDrop={(e) => handleDrop(e, stage.id)}
+                className={`flex-shrink-0 w-72 flex flex-col bg-card border shadow-card transition-colors duration-200 ${
+                  dropStageId === stage.id ? 'border-primary bg-primary/5' : 'border-primary/10'
+                }`}
+                data-testid={`pipeline-column-${stage.id}`}
+              >
+                <header className="flex items-center justify-between px-4 py-3 border-b border-primary/10">
+                  <div className="flex items-center gap-2">
+                    <span className={`w-2.5 h-2.5 ${stage.color}`}></span>
+                    <h3 className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70">
+                      {stage.label}
+                    </h3>
+                  </div>
+                  <span
+                    className="font-body text-xs font-semibold text-foreground bg-primary/10 px-2 py-0.5"
+                    data-testid={`pipeline-count-${stage.id}`}
+                  >
+                    {isLoading ? '–' : columns[stage.id].length}
+                  </span>
+                </header>
+
+                <div className="flex-1 p-3 space-y-3 min-h-[12rem]">
+                  {isLoading ? (
+                    [...Array(2)].map((_, i) => (
+                      <div key={i} className="h-20 skeleton-beige"></div>
+                    ))
+                  ) : columns[stage.id].length === 0 ? (
+                    <p className="py-8 text-center text-xs text-muted-foreground font-body">
+                      No leads
+                    </p>
+                  ) : (
+                    columns[stage.id].map((lead, index) => (
+                      <article
+                        key={lead.id || `${stage.id}-${index}`}
+                        draggable={Boolean(lead.id)}
+                        onDragStart={(e) => handleDragStart(e, lead)}
+                        onDragEnd={handleDragEnd}
+                        onClick={() => lead.id && setSelectedLeadId(lead.id)}
+                        className={`bg-background border border-primary/10 p-3 cursor-grab active:cursor-grabbing transition-opacity ${
+                          draggedLeadId === lead.id ? 'opacity-50' : ''
+                        }`}
+                        data-testid={`pipeline-card-${lead.id}`}
+                      >
+                        <div className="flex items-start justify-between gap-2">
+                          <div className="min-w-0">
+                            <p className="font-body font-medium text-foreground truncate">{lead.name || '-'}</p>
+                            <p className="font-body text-sm text-muted-foreground truncate">{lead.projectName || '-'}</p>
+                          </div>
+                          <DropdownMenu>
+                            <DropdownMenuTrigger asChild>
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                className="h-7 w-7 flex-shrink-0 text-muted-foreground hover:bg-primary/10 rounded-none"
+                                aria-label="Move lead"
+                                disabled={!lead.id}
+                                onClick={(e) => e.stopPropagation()}
+                              >
+                                <MoreHorizontal className="w-4 h-4" />
+                              </Button>
+                            </DropdownMenuTrigger>
+                            <DropdownMenuContent
+                              align="end"
+                              className="bg-card border-primary/20 rounded-none"
+                              onClick={(e) => e.stopPropagation()}
+                            >
+                              <DropdownMenuLabel className="font-body text-xs uppercase tracking-widest text-primary/70">
+                                Move to
+                              </DropdownMenuLabel>
+                              <DropdownMenuSeparator />
+                              {LEAD_STAGES.filter(s => s.id !== lead.status).map(target => (
+                                <DropdownMenuItem
+                                  key={target.id}
+                                  onSelect={() => moveLead(lead.id, target.id)}
+                                  className="font-body"
+                                >
+                                  <span className={`w-2 h-2 mr-2 ${target.color}`}></span>
+                                  {target.label}
+                                </DropdownMenuItem>
+                              ))}
+                            </DropdownMenuContent>
+                          </DropdownMenu>
+                        </div>
+                        <div className="mt-3 flex items-center justify-between text-xs text-muted-foreground font-body">
+                          <span className="inline-flex items-center gap-1">
+                            <Phone className="w-3 h-3" />
+                            {formatPhone(lead.phoneNumber) || '-'}
+                          </span>
+                          <span>{formatDate(lead.date)}</span>
+                        </div>
+                      </article>
+                    ))
+                  )}
+                </div>
+              </section>
+            ))}
+          </div>
+        )}
+
+        {!isLoading && !error && leads.length === 0 && (
+          <div className="mt-8 text-center text-muted-foreground font-body">
+            <KanbanSquare className="w-12 h-12 mx-auto mb-4" strokeWidth={1} />
+            <p>No leads yet. Add leads from the dashboard to start your pipeline.</p>
+          </div>
+        )}
+      </div>
+
+      <LeadDetailSheet
+        lead={selectedLead}
+        open={Boolean(selectedLead)}
+        onOpenChange={(open) => !open && setSelectedLeadId(null)}
+        onLeadChange={handleLeadChange}
+        users={users}
+      />
+    </AdminLayout>
+  );
+};
+
+export default PipelinePage;
@@ -1,21 +1,8 @@
-import { useState, useEffect, useMemo } from 'react';
+import { useMemo } from 'react';
 import { Link } from 'react-router-dom';
-import { RefreshCw, Users, Lock, Search, X, Calendar as CalendarIcon, Filter } from 'lucide-react';
+import { RefreshCw, Users, Lock, Search, X, Phone, Filter } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
-import { Calendar } from '@/components/ui/calendar';
-import {
-  Popover,
-  PopoverContent,
-  PopoverTrigger,
-} from '@/components/ui/popover';
-import {
-  Select,
-  SelectContent,
-  SelectItem,
-  SelectTrigger,
-  SelectValue,
-} from '@/components/ui/select';
 import {
   Table,
   TableBody,
@@ -24,58 +11,64 @@ import {
   TableHeader,
   TableRow,
 } from '@/components/ui/table';
-import { fetchLeads, formatDate, formatTime, filterLeads, getUniqueProjects } from '@/services/googleSheetsApi';
-import { format } from 'date-fns';
+import { formatDate, formatTime, filterLeads, getUniqueProjects } from '@/services/googleSheetsApi';
+import { publicDirectoryStore } from '@/services/leadsStore';
+import DateRangeFilter from '@/components/filters/DateRangeFilter';
+import ProjectMultiSelect from '@/components/filters/ProjectMultiSelect';
+import TimeOfDayFilter from '@/components/filters/TimeOfDayFilter';
+import SyncStatus from '@/components/sync/SyncStatus';
+import { PUBLIC_COLUMNS, DEFAULT_PUBLIC_SETTINGS } from '@/lib/publicDirectory';
+import { toLeadQuery, hasActiveFilters } from '@/lib/leadFilters';
+import { useUrlFilters } from '@/hooks/use-url-filters';
+import { useCachedStore } from '@/hooks/use-cached-store';
+
+/**
+ * Cell content for one of the public columns
+ */
+const renderPublicCell = (lead, columnId) => {
+  switch (columnId) {
+    case 'phoneNumber':
+      return lead.phoneHidden ? <span className="italic">Hidden</span> : lead.phoneNumber || '-';
+    case 'date':
+      return formatDate(lead.date);
+    case 'time':
+      return formatTime(lead.time);
+    default:
+      return lead[columnId] || '-';
+  }
+};
+
+// Stable empty list so the memos below don't rerun while nothing has loaded
+const NO_LEADS = [];
+
+const CELL_CLASSNAMES = {
+  name: 'font-body py-4 font-medium text-foreground',
+  projectName: 'font-body py-4 text-foreground'
+};
 
 const PublicLeadsPage = () => {
-  const [leads, setLeads] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
+  // The last directory this browser saw shows straight away while a fresh copy loads
+  const { data, syncedAt, isLoading, isValidating, error: syncError, revalidate } = useCachedStore(publicDirectoryStore);
+  const leads = data ? data.leads : NO_LEADS;
+  const settings = data ? data.settings : DEFAULT_PUBLIC_SETTINGS;
+  const error = !data && syncError ? 'Unable to load leads. Please try again later.' : null;
   
   // Filter state
-  const [searchName, setSearchName] = useState('');
-  const [selectedProject, setSelectedProject] = useState('all');
-  const [selectedDate, setSelectedDate] = useState(null);
-  const [dateOpen, setDateOpen] = useState(false);
-
-  const loadLeads = async () => {
-    setIsLoading(true);
-    setError(null);
-    try {
-      const data = await fetchLeads();
-      setLeads(data);
-    } catch (err) {
-      setError('Unable to load leads. Please try again later.');
-      console.error(err);
-    } finally {
-      setIsLoading(false);
-    }
-  };
+  const { filters, updateFilters, clearFilters } = useUrlFilters();
 
-  useEffect(() => {
-    loadLeads();
-  }, []);
+  const loadLeads = () => revalidate().catch(err => console.error(err));
 
   // Get unique projects for filter dropdown
   const projects = useMemo(() => getUniqueProjects(leads), [leads]);
 
   // Filter leads based on search criteria
-  const filteredLeads = useMemo(() => {
-    return filterLeads(leads, {
-      searchName,
-      project: selectedProject,
-      date: selectedDate
-    });
-  }, [leads, searchName, selectedProject, selectedDate]);
+  const filteredLeads = useMemo(() => filterLeads(leads, toLeadQuery(filters)), [leads, filters]);
 
-  // Clear all filters
-  const clearFilters = () => {
-    setSearchName('');
-    setSelectedProject('all');
-    setSelectedDate(null);
-  };
+  const isFiltered = hasActiveFilters(filters);
 
-  const hasActiveFilters = searchName || selectedProject !== 'all' || selectedDate;
+  // Only the columns the admin made public, and only filters over those
+  const columns = PUBLIC_COLUMNS.filter(column => settings.columns.includes(column.id));
+  const showsColumn = (columnId) => settings.columns.includes(columnId);
 
   return (
     <div className="min-h-screen bg-background" data-testid="public-leads-page">
@@ -85,98 +78,101 @@ const PublicLeadsPage = () => {
           <div className="flex items-center justify-center gap-3 mb-4">
             <Users className="w-10 h-10 text-primary" strokeWidth={1.5} />
           </div>
-          <h1 className="font-heading text-4xl sm:text-5xl font-bold text-foreground tracking-tight">
-            Lead Directory
+          <h1 className="font-heading text-4xl sm:text-5xl font-bold text-foreground tracking-tight" data-testid="directory-headline">
+            {settings.headline}
           </h1>
-          <p className="mt-4 text-muted-foreground font-body text-base sm:text-lg max-w-xl mx-auto">
-            View all registered leads in chronological order
-          </p>
+          {settings.description && (
+            <p className="mt-4 text-muted-foreground font-body text-base sm:text-lg max-w-xl mx-auto whitespace-pre-line">
+              {settings.description}
+            </p>
+          )}
         </div>
       </header>
 
       {/* Main Content */}
       <main className="max-w-6xl mx-auto px-4 sm:px-8 py-8 sm:py-12">
         {/* Filters Section */}
-        <div className="bg-card border border-primary/10 p-4 sm:p-6 mb-6 shadow-card animate-fade-in-up">
-          <div className="flex items-center gap-2 mb-4">
-            <Filter className="w-5 h-5 text-primary" strokeWidth={1.5} />
-            <h3 className="font-body font-semibold text-foreground">Search & Filters</h3>
-          </div>
-          
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
-            {/* Name Search */}
-            <div className="relative">
-              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground" />
-              <Input
-                placeholder="Search by name..."
-                value={searchName}
-                onChange={(e) => setSearchName(e.target.value)}
-                className="pl-10 rounded-none border-primary/20 font-body"
-                data-testid="search-name-input"
-              />
+        {settings.enabled && (
+          <div className="bg-card border border-primary/10 p-4 sm:p-6 mb-6 shadow-card animate-fade-in-up">
+            <div className="flex items-center gap-2 mb-4">
+              <Filter className="w-5 h-5 text-primary" strokeWidth={1.5} />
+              <h3 className="font-body font-semibold text-foreground">Search & Filters</h3>
             </div>
+          
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+              {/* Name Search */}
+              {showsColumn('name') && (
+                <div className="relative">
+                  <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground" />
+                  <Input
+                    placeholder="Search by name..."
+                    value={filters.searchName}
+                    onChange={(e) => updateFilters({ searchName: e.target.value })}
+                    className="pl-10 rounded-none border-primary/20 font-body"
+                    data-testid="search-name-input"
+                  />
+                </div>
+              )}
 
-            {/* Project Filter */}
-            <Select value={selectedProject} onValueChange={setSelectedProject}>
-              <SelectTrigger 
-                className="rounded-none border-primary/20 font-body"
-                data-testid="project-filter"
-              >
-                <SelectValue placeholder="All Projects" />
-              </SelectTrigger>
-              <SelectContent className="bg-card border-primary/20">
-                <SelectItem value="all" className="font-body">All Projects</SelectItem>
-                {projects.map((project) => (
-                  <SelectItem key={project} value={project} className="font-body">
-                    {project}
-                  </SelectItem>
-                ))}
-              </SelectContent>
-            </Select>
+              {/* Phone Search */}
+              {showsColumn('phoneNumber') && (
+                <div className="relative">
+                  <Phone className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground" />
+                  <Input
+                    type="tel"
+                    placeholder="Search by phone..."
+                    value={filters.searchPhone}
+                    onChange={(e) => updateFilters({ searchPhone: e.target.value })}
+                    className="pl-10 rounded-none border-primary/20 font-body"
+                    data-testid="search-phone-input"
+                  />
+                </div>
+              )}
+
+              {/* Project Filter */}
+              {showsColumn('projectName') && (
+                <ProjectMultiSelect
+                  projects={projects}
+                  selected={filters.projects}
+                  onChange={(selected) => updateFilters({ projects: selected })}
+                  testId="project-filter"
+                />
+              )}
 
-            {/* Date Filter */}
-            <Popover open={dateOpen} onOpenChange={setDateOpen}>
-              <PopoverTrigger asChild>
+              {/* Date Filter */}
+              {showsColumn('date') && (
+                <DateRangeFilter
+                  datePreset={filters.datePreset}
+                  customRange={filters.customRange}
+                  onChange={updateFilters}
+                  testId="date-filter-trigger"
+                />
+              )}
+
+              {/* Time of Day Filter */}
+              {showsColumn('time') && (
+                <TimeOfDayFilter
+                  value={filters.timeOfDay}
+                  onChange={(timeOfDay) => updateFilters({ timeOfDay })}
+                  testId="time-filter"
+                />
+              )}
+
+              {/* Clear Filters */}
+              {isFiltered && (
                 <Button
                   variant="outline"
-                  className="w-full justify-start text-left font-normal rounded-none border-primary/20 hover:bg-primary/5 font-body"
-                  data-testid="date-filter-trigger"
+                  onClick={clearFilters}
+                  className="border-primary/30 text-primary hover:bg-primary/5 rounded-none font-body"
+                  data-testid="clear-filters-btn"
                 >
-                  <CalendarIcon className="mr-2 h-4 w-4 text-primary/70" />
-                  {selectedDate ? (
-                    format(selectedDate, 'dd/MM/yyyy')
-                  ) : (
-                    <span className="text-muted-foreground">Filter by date</span>
-                  )}
+                  <X className="w-4 h-4 mr-2" />
+                  Clear Filters
                 </Button>
-              </PopoverTrigger>
-              <PopoverContent className="w-auto p-0 bg-card border-primary/20" align="start">
-                <Calendar
-                  mode="single"
-                  selected={selectedDate}
-                  onSelect={(date) => {
-                    setSelectedDate(date);
-                    setDateOpen(false);
-                  }}
-                  initialFocus
-                />
-              </PopoverContent>
-            </Popover>
-
-            {/* Clear Filters */}
-            {hasActiveFilters && (
-              <Button
-                variant="outline"
-                onClick={clearFilters}
-                className="border-primary/30 text-primary hover:bg-primary/5 rounded-none font-body"
-                data-testid="clear-filters-btn"
-              >
-                <X className="w-4 h-4 mr-2" />
-                Clear Filters
-              </Button>
-            )}
+              )}
+            </div>
           </div>
-        </div>
+        )}
 
         {/* Controls */}
         <div className="flex items-center justify-between mb-6">
@@ -190,11 +186,11 @@ const PublicLeadsPage = () => {
               variant="outline"
               size="sm"
               onClick={loadLeads}
-              disabled={isLoading}
+              disabled={isValidating}
               className="border-primary/30 text-primary hover:bg-primary/5 rounded-none uppercase tracking-wider text-xs"
               data-testid="refresh-leads-btn"
             >
-              <RefreshCw className={`w-4 h-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+              <RefreshCw className={`w-4 h-4 mr-2 ${isValidating ? 'animate-spin' : ''}`} />
               Refresh
             </Button>
             <Link to="/admin/login">
@@ -239,36 +235,34 @@ const PublicLeadsPage = () => {
                 Try Again
               </Button>
             </div>
+          ) : !settings.enabled ? (
+            <div className="p-12 text-center" data-testid="directory-disabled-message">
+              <Lock className="w-12 h-12 text-muted-foreground mx-auto mb-4" strokeWidth={1} />
+              <p className="text-muted-foreground font-body">The lead directory isn't available right now.</p>
+            </div>
           ) : (
             <Table className="leads-table" data-testid="leads-table">
               <TableHeader>
                 <TableRow className="border-b-2 border-primary/20 hover:bg-transparent">
-                  <TableHead className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70 py-4">
-                    Name
-                  </TableHead>
-                  <TableHead className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70 py-4">
-                    Project Name
-                  </TableHead>
-                  <TableHead className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70 py-4">
-                    Phone Number
-                  </TableHead>
-                  <TableHead className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70 py-4">
-                    Date
-                  </TableHead>
-                  <TableHead className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70 py-4">
-                    Time
-                  </TableHead>
+                  {columns.map(column => (
+                    <TableHead
+                      key={column.id}
+                      className="font-body uppercase tracking-widest text-xs font-semibold text-primary/70 py-4"
+                    >
+                      {column.label}
+                    </TableHead>
+                  ))}
                 </TableRow>
               </TableHeader>
               <TableBody>
                 {filteredLeads.length === 0 ? (
                   <TableRow>
-                    <TableCell colSpan={5} className="py-12 text-center">
+                    <TableCell colSpan={Math.max(columns.length, 1)} className="py-12 text-center">
                       <Users className="w-12 h-12 text-muted-foreground mx-auto mb-4" strokeWidth={1} />
                       <p className="text-muted-foreground font-body" data-testid="no-leads-message">
-                        {hasActiveFilters ? 'No leads match your filters.' : 'No leads found yet.'}
+                        {isFiltered ? 'No leads match your filters.' : 'No leads found yet.'}
                       </p>
-                      {hasActiveFilters && (
+                      {isFiltered && (
                         <Button
                           variant="outline"
                           onClick={clearFilters}
@@ -282,25 +276,19 @@ const PublicLeadsPage = () => {
                 ) : (
                   filteredLeads.map((lead, index) => (
                     <TableRow
-                      key={lead.id || index}
+                      key={index}
                       className="border-b border-primary/5 hover:bg-primary/5 transition-colors duration-200"
                       data-testid={`lead-row-${index}`}
                     >
-                      <TableCell className="font-body py-4 font-medium text-foreground">
-                        {lead.name || '-'}
-                      </TableCell>
-                      <TableCell className="font-body py-4 text-foreground">
-                        {lead.projectName || '-'}
-                      </TableCell>
-                      <TableCell className="font-body py-4 text-muted-foreground">
-                        {lead.phoneNumber || '-'}
-                      </TableCell>
-                      <TableCell className="font-body py-4 text-muted-foreground">
-                        {formatDate(lead.date)}
-                      </TableCell>
-                      <TableCell className="font-body py-4 text-muted-foreground">
-                        {formatTime(lead.time)}
-                      </TableCell>
+                      {columns.map(column => (
+                        <TableCell
+                          key={column.id}
+                          className={CELL_CLASSNAMES[column.id] || 'font-body py-4 text-muted-foreground'}
+                          data-testid={column.id === 'phoneNumber' ? `lead-phone-${index}` : undefined}
+                        >
+                          {renderPublicCell(lead, column.id)}
+                        </TableCell>
+                      ))}
                     </TableRow>
                   ))
                 )}
@@ -311,7 +299,7 @@ const PublicLeadsPage = () => {
 
         {/* Footer */}
         <footer className="mt-12 text-center text-sm text-muted-foreground font-body">
-          <p>Last updated: {new Date().toLocaleString()}</p>
+          <SyncStatus syncedAt={syncedAt} isValidating={isValidating} error={syncError} />
         </footer>
       </main>
     </div>
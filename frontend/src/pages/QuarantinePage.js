@@ -0,0 +1,251 @@
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { ShieldAlert, RefreshCw, Check, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import { toast } from 'sonner';
+import AdminLayout from '@/components/admin/AdminLayout';
+import { getPreferredTimeLabel, getQuarantineReasonLabel } from '@/lib/enquiry';
+import { formatPhone } from '@/lib/phone';
+import { fetchQuarantine, releaseQuarantined, discardQuarantined } from '@/services/quarantineApi';
+
+const labelClassName = 'font-body uppercase tracking-widest text-xs font-semibold text-primary/70';
+
+const formatReceivedAt = (receivedAt) => {
+  const date = new Date(receivedAt);
+  return Number.isNaN(date.getTime()) ? '-' : format(date, 'dd/MM/yyyy HH:mm');
+};
+
+/**
+ * Admin-only review of public enquiries that spam screening held back
+ * Releasing one turns it into a lead, exactly as if it had passed
+ */
+const QuarantinePage = () => {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [entryToDiscard, setEntryToDiscard] = useState(null);
+
+  const loadEntries = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setEntries(await fetchQuarantine());
+    } catch (err) {
+      setError('Unable to load the quarantine. Please try again.');
+      console.error(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadEntries();
+  }, []);
+
+  const handleRelease = async (entry) => {
+    setBusyId(entry.id);
+    try {
+      await releaseQuarantined(entry.id);
+      setEntries(prev => prev.filter(e => e.id !== entry.id));
+      toast.success('Enquiry released', {
+        description: `${entry.name || 'The enquiry'} is now a lead.`
+      });
+    } catch (err) {
+      toast.error('Failed to release enquiry', {
+        description: err.message || 'Please try again.'
+      });
+      console.error(err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDiscard = async (entry) => {
+    setEntryToDiscard(null);
+    setBusyId(entry.id);
+    try {
+      await discardQuarantined(entry.id);
+      setEntries(prev => prev.filter(e => e.id !== entry.id));
+      toast.success('Enquiry discarded');
+    } catch (err) {
+      toast.error('Failed to discard enquiry', {
+        description: err.message || 'Please try again.'
+      });
+      console.error(err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <AdminLayout testId="quarantine-page">
+      <div className="p-4 sm:p-8 max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8 animate-fade-in-up">
+          <h2 className="font-heading text-3xl sm:text-4xl font-bold text-foreground">
+            Quarantine
+          </h2>
+          <p className="mt-2 text-muted-foreground font-body">
+            Website enquiries held back as likely spam
+          </p>
+        </div>
+
+        <div
+          className="bg-card border border-primary/10 shadow-card animate-fade-in-up"
+          style={{ animationDelay: '0.1s' }}
+          data-testid="quarantine-table-container"
+        >
+          <div className="flex items-center justify-between p-6 border-b border-primary/10">
+            <div className="flex items-center gap-3">
+              <ShieldAlert className="w-6 h-6 text-primary" strokeWidth={1.5} />
+              <h3 className="font-heading text-xl font-bold text-foreground">
+                Held Enquiries ({entries.length})
+              </h3>
+            </div>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={loadEntries}
+              disabled={isLoading}
+              className="border-primary/30 text-primary hover:bg-primary/5 rounded-none uppercase tracking-wider text-xs"
+              data-testid="quarantine-refresh-btn"
+            >
+              <RefreshCw className={`w-4 h-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+              Refresh
+            </Button>
+          </div>
+
+          {isLoading ? (
+            <div className="p-8 space-y-4">
+              {[...Array(3)].map((_, i) => (
+                <div key={i} className="h-6 skeleton-beige"></div>
+              ))}
+            </div>
+          ) : error ? (
+            <div className="p-8 text-center">
+              <p className="text-destructive font-body" data-testid="quarantine-error-message">{error}</p>
+              <Button
+                onClick={loadEntries}
+                variant="outline"
+                className="mt-4 border-primary/30 text-primary hover:bg-primary/5 rounded-none"
+              >
+                Try Again
+              </Button>
+            </div>
+          ) : entries.length === 0 ? (
+            <div className="p-8 text-center">
+              <p className="text-muted-foreground font-body" data-testid="quarantine-empty">
+                Nothing in quarantine.
+              </p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table data-testid="quarantine-table">
+                <TableHeader>
+                  <TableRow className="border-b-2 border-primary/20 hover:bg-transparent">
+                    <TableHead className={`${labelClassName} py-4`}>Received</TableHead>
+                    <TableHead className={`${labelClassName} py-4`}>Name</TableHead>
+                    <TableHead className={`${labelClassName} py-4`}>Project</TableHead>
+                    <TableHead className={`${labelClassName} py-4`}>Phone</TableHead>
+                    <TableHead className={`${labelClassName} py-4`}>Call Back</TableHead>
+                    <TableHead className={`${labelClassName} py-4`}>Reason</TableHead>
+                    <TableHead className={`${labelClassName} py-4 text-right`}>Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {entries.map((entry, index) => (
+                    <TableRow key={entry.id} className="border-b border-primary/5" data-testid={`quarantine-row-${index}`}>
+                      <TableCell className="font-body py-4 text-muted-foreground whitespace-nowrap">
+                        {formatReceivedAt(entry.receivedAt)}
+                      </TableCell>
+                      <TableCell className="font-body py-4 font-medium text-foreground">{entry.name || '-'}</TableCell>
+                      <TableCell className="font-body py-4 text-foreground">{entry.projectName || '-'}</TableCell>
+                      <TableCell className="font-body py-4 text-muted-foreground">{formatPhone(entry.phoneNumber) || '-'}</TableCell>
+                      <TableCell className="font-body py-4 text-muted-foreground">
+                        {entry.preferredTime ? getPreferredTimeLabel(entry.preferredTime) : '-'}
+                      </TableCell>
+                      <TableCell className="font-body py-4 text-muted-foreground">
+                        {getQuarantineReasonLabel(entry.reason)}
+                      </TableCell>
+                      <TableCell className="py-4 text-right whitespace-nowrap">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleRelease(entry)}
+                          disabled={busyId === entry.id}
+                          className="border-primary/30 text-primary hover:bg-primary/5 rounded-none uppercase tracking-wider text-xs"
+                          data-testid={`release-btn-${index}`}
+                        >
+                          <Check className="w-4 h-4 mr-2" />
+                          Release
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => setEntryToDiscard(entry)}
+                          disabled={busyId === entry.id}
+                          className="ml-2 text-destructive hover:text-destructive hover:bg-destructive/5 rounded-none uppercase tracking-wider text-xs"
+                          data-testid={`discard-btn-${index}`}
+                        >
+                          <Trash2 className="w-4 h-4 mr-2" />
+                          Discard
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <AlertDialog open={Boolean(entryToDiscard)} onOpenChange={(open) => !open && setEntryToDiscard(null)}>
+        <AlertDialogContent className="bg-card border-primary/20 rounded-none sm:rounded-none" data-testid="discard-enquiry-dialog">
+          <AlertDialogHeader>
+            <AlertDialogTitle className="font-heading text-xl text-foreground">
+              Discard this enquiry?
+            </AlertDialogTitle>
+            <AlertDialogDescription className="font-body">
+              {entryToDiscard ? entryToDiscard.name || 'This enquiry' : ''} will be removed without becoming a lead.
+              This cannot be undone.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel className="rounded-none border-primary/30 font-body">
+              Cancel
+            </AlertDialogCancel>
+            <AlertDialogAction
+              onClick={() => handleDiscard(entryToDiscard)}
+              className="rounded-none bg-destructive text-destructive-foreground hover:bg-destructive/90 font-body"
+              data-testid="confirm-discard-btn"
+            >
+              Discard
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </AdminLayout>
+  );
+};
+
+export default QuarantinePage;
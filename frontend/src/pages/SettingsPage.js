@@ -0,0 +1,300 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { Globe, Save, ExternalLink } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Switch } from '@/components/ui/switch';
+import { Checkbox } from '@/components/ui/checkbox';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { toast } from 'sonner';
+import AdminLayout from '@/components/admin/AdminLayout';
+import EnquiryEmbedCard from '@/components/admin/EnquiryEmbedCard';
+import { PUBLIC_COLUMNS, DEFAULT_PUBLIC_SETTINGS } from '@/lib/publicDirectory';
+import { fetchPublicDirectorySettings, savePublicDirectorySettings } from '@/services/settingsApi';
+import { fetchLeads, getUniqueProjects } from '@/services/googleSheetsApi';
+
+const WINDOW_OPTIONS = [
+  { days: 0, label: 'All time' },
+  { days: 7, label: 'Last 7 days' },
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: 365, label: 'Last 12 months' },
+];
+
+const labelClassName = 'font-body uppercase tracking-widest text-xs font-semibold text-primary/70';
+
+/**
+ * Toggle a value in a list, keeping the rest in place
+ */
+const toggleItem = (list, item, checked) => {
+  return checked ? [...list.filter(i => i !== item), item] : list.filter(i => i !== item);
+};
+
+/**
+ * A column of labelled checkboxes over a list of names
+ */
+const CheckboxList = ({ items, selected, onChange, testIdPrefix }) => (
+  <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+    {items.map(({ id, label }) => (
+      <label key={id} className="flex items-center gap-2 font-body text-sm text-foreground cursor-pointer">
+        <Checkbox
+          checked={selected.includes(id)}
+          onCheckedChange={(checked) => onChange(toggleItem(selected, id, checked === true))}
+          className="rounded-none"
+          data-testid={`${testIdPrefix}-${id}`}
+        />
+        {label}
+      </label>
+    ))}
+  </div>
+);
+
+/**
+ * Admin-only settings: what the public lead directory shows, and enquiry form embeds
+ * Saved on the backend, which enforces it when serving the public list
+ */
+const SettingsPage = () => {
+  const [settings, setSettings] = useState(DEFAULT_PUBLIC_SETTINGS);
+  const [knownProjects, setKnownProjects] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSettings = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const [saved, leads] = await Promise.all([fetchPublicDirectorySettings(), fetchLeads()]);
+      setSettings(saved);
+      setKnownProjects(getUniqueProjects(leads));
+    } catch (err) {
+      setError('Unable to load settings. Please try again.');
+      console.error(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  // Projects picked earlier may no longer have leads; keep them selectable
+  const projectOptions = useMemo(() => {
+    const names = [...new Set([...knownProjects, ...settings.projects, ...settings.hiddenPhoneProjects])];
+    return names.sort().map(name => ({ id: name, label: name }));
+  }, [knownProjects, settings.projects, settings.hiddenPhoneProjects]);
+
+  const windowOptions = WINDOW_OPTIONS.some(option => option.days === settings.windowDays)
+    ? WINDOW_OPTIONS
+    : [...WINDOW_OPTIONS, { days: settings.windowDays, label: `Last ${settings.windowDays} days` }];
+
+  const handleChange = (field, value) => {
+    setSettings(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (settings.enabled && settings.columns.length === 0) {
+      toast.error('Choose at least one column to show');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      setSettings(await savePublicDirectorySettings({
+        ...settings,
+        headline: settings.headline.trim() || DEFAULT_PUBLIC_SETTINGS.headline,
+        description: settings.description.trim()
+      }));
+      toast.success('Settings saved', {
+        description: 'The public directory now uses them.'
+      });
+    } catch (err) {
+      toast.error('Failed to save settings', {
+        description: err.message || 'Please try again.'
+      });
+      console.error(err);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <AdminLayout testId="settings-page">
+      <div className="p-4 sm:p-8 max-w-4xl mx-auto">
+        {/* Header */}
+        <div className="mb-8 animate-fade-in-up">
+          <h2 className="font-heading text-3xl sm:text-4xl font-bold text-foreground">
+            Settings
+          </h2>
+          <p className="mt-2 text-muted-foreground font-body">
+            Control the public lead directory and enquiry forms
+          </p>
+        </div>
+
+        <div
+          className="bg-card border border-primary/10 p-6 sm:p-8 shadow-card animate-fade-in-up"
+          style={{ animationDelay: '0.1s' }}
+          data-testid="public-directory-settings"
+        >
+          <div className="flex items-center justify-between gap-3 mb-6">
+            <div className="flex items-center gap-3">
+              <Globe className="w-6 h-6 text-primary" strokeWidth={1.5} />
+              <h3 className="font-heading text-xl font-bold text-foreground">Public Directory</h3>
+            </div>
+            <Link
+              to="/"
+              target="_blank"
+              className="inline-flex items-center gap-1 font-body text-sm text-primary hover:underline"
+            >
+              View page
+              <ExternalLink className="w-3 h-3" />
+            </Link>
+          </div>
+
+          {isLoading ? (
+            <div className="space-y-4">
+              {[...Array(4)].map((_, i) => (
+                <div key={i} className="h-10 skeleton-beige"></div>
+              ))}
+            </div>
+          ) : error ? (
+            <div className="text-center">
+              <p className="text-destructive font-body" data-testid="settings-error-message">{error}</p>
+              <Button
+                onClick={loadSettings}
+                variant="outline"
+                className="mt-4 border-primary/30 text-primary hover:bg-primary/5 rounded-none"
+              >
+                Try Again
+              </Button>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-8">
+              <div className="flex items-center justify-between gap-4 border border-primary/10 p-4">
+                <div>
+                  <p className="font-body font-semibold text-foreground">Show the directory publicly</p>
+                  <p className="font-body text-sm text-muted-foreground">
+                    When off, the public page shows that the directory is unavailable.
+                  </p>
+                </div>
+                <Switch
+                  checked={settings.enabled}
+                  onCheckedChange={(enabled) => handleChange('enabled', enabled)}
+                  data-testid="directory-enabled-switch"
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label className={labelClassName}>Headline</Label>
+                <Input
+                  value={settings.headline}
+                  onChange={(e) => handleChange('headline', e.target.value)}
+                  placeholder={DEFAULT_PUBLIC_SETTINGS.headline}
+                  className="rounded-none border-primary/20 focus:border-primary font-body"
+                  data-testid="directory-headline-input"
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label className={labelClassName}>Description</Label>
+                <Textarea
+                  value={settings.description}
+                  onChange={(e) => handleChange('description', e.target.value)}
+                  rows={3}
+                  className="rounded-none border-primary/20 focus:border-primary font-body"
+                  data-testid="directory-description-input"
+                />
+              </div>
+
+              <div className="space-y-3">
+                <Label className={labelClassName}>Columns</Label>
+                <CheckboxList
+                  items={PUBLIC_COLUMNS}
+                  selected={settings.columns}
+                  onChange={(columns) => handleChange('columns', PUBLIC_COLUMNS.map(c => c.id).filter(id => columns.includes(id)))}
+                  testIdPrefix="directory-column"
+                />
+                <p className="font-body text-xs text-muted-foreground">
+                  Phone numbers are always masked, e.g. 98XXXXXX21.
+                </p>
+              </div>
+
+              <div className="space-y-3">
+                <Label className={labelClassName}>Projects</Label>
+                {projectOptions.length === 0 ? (
+                  <p className="font-body text-sm text-muted-foreground">No projects yet.</p>
+                ) : (
+                  <CheckboxList
+                    items={projectOptions}
+                    selected={settings.projects}
+                    onChange={(projects) => handleChange('projects', projects)}
+                    testIdPrefix="directory-project"
+                  />
+                )}
+                <p className="font-body text-xs text-muted-foreground">
+                  Leave all unticked to list every project.
+                </p>
+              </div>
+
+              <div className="space-y-2">
+                <Label className={labelClassName}>Date Window</Label>
+                <Select
+                  value={String(settings.windowDays)}
+                  onValueChange={(value) => handleChange('windowDays', Number(value))}
+                >
+                  <SelectTrigger className="rounded-none border-primary/20 font-body sm:w-64" data-testid="directory-window-select">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-card border-primary/20">
+                    {windowOptions.map(option => (
+                      <SelectItem key={option.days} value={String(option.days)} className="font-body">
+                        {option.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {settings.columns.includes('phoneNumber') && projectOptions.length > 0 && (
+                <div className="space-y-3">
+                  <Label className={labelClassName}>Hide Phone Numbers For</Label>
+                  <CheckboxList
+                    items={projectOptions}
+                    selected={settings.hiddenPhoneProjects}
+                    onChange={(projects) => handleChange('hiddenPhoneProjects', projects)}
+                    testIdPrefix="directory-hidden-phone"
+                  />
+                </div>
+              )}
+
+              <Button
+                type="submit"
+                disabled={isSaving}
+                className="bg-primary text-primary-foreground hover:bg-primary/90 btn-primary-sharp px-8"
+                data-testid="save-settings-btn"
+              >
+                <Save className="w-4 h-4 mr-2" />
+                {isSaving ? 'Saving...' : 'Save Settings'}
+              </Button>
+            </form>
+          )}
+        </div>
+
+        {!isLoading && !error && <EnquiryEmbedCard projects={knownProjects} />}
+      </div>
+    </AdminLayout>
+  );
+};
+
+export default SettingsPage;
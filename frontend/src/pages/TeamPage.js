@@ -0,0 +1,355 @@
+import { useState, useEffect } from 'react';
+import { Users, UserPlus, Plus, RefreshCw, KeyRound } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { toast } from 'sonner';
+import AdminLayout from '@/components/admin/AdminLayout';
+import ResetPasswordDialog from '@/components/admin/ResetPasswordDialog';
+import { useAuth } from '@/context/AuthContext';
+import { ROLES } from '@/lib/roles';
+import { fetchUsers, createUser, updateUser, MIN_PASSWORD_LENGTH } from '@/services/usersApi';
+
+const emptyForm = {
+  name: '',
+  username: '',
+  password: '',
+  role: 'agent'
+};
+
+const labelClassName = 'font-body uppercase tracking-widest text-xs font-semibold text-primary/70';
+
+/**
+ * Admin-only team management: add accounts, change roles, reset passwords, deactivate
+ * Admins can't change their own role or deactivate themselves
+ */
+const TeamPage = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [userToReset, setUserToReset] = useState(null);
+
+  const loadUsers = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setUsers(await fetchUsers());
+    } catch (err) {
+      setError('Unable to load the team. Please try again.');
+      console.error(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadUsers();
+  }, []);
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim() || !formData.username.trim() || !formData.password) {
+      toast.error('Please fill in all fields');
+      return;
+    }
+
+    if (formData.password.length < MIN_PASSWORD_LENGTH) {
+      toast.error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await createUser({
+        name: formData.name.trim(),
+        username: formData.username.trim(),
+        password: formData.password,
+        role: formData.role
+      });
+      toast.success('Team member added', {
+        description: `${formData.name.trim()} can now sign in as "${formData.username.trim()}".`
+      });
+      setFormData(emptyForm);
+      await loadUsers();
+    } catch (err) {
+      toast.error('Failed to add team member', {
+        description: err.message || 'Please try again.'
+      });
+      console.error(err);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Optimistically apply a role/active change, restoring the row if the write fails
+  const handleUpdate = async (member, changes) => {
+    setUsers(prev => prev.map(u => (u.id === member.id ? { ...u, ...changes } : u)));
+
+    try {
+      await updateUser(member.id, changes);
+      toast.success('Team member updated');
+    } catch (err) {
+      setUsers(prev => prev.map(u => (u.id === member.id ? member : u)));
+      toast.error('Failed to update team member', {
+        description: 'Your changes have been reverted.'
+      });
+      console.error(err);
+    }
+  };
+
+  const handleResetPassword = async (member, password) => {
+    setUserToReset(null);
+
+    try {
+      await updateUser(member.id, { password });
+      toast.success('Password reset', {
+        description: `Share the new password with ${member.name}.`
+      });
+    } catch (err) {
+      toast.error('Failed to reset password', {
+        description: err.message || 'Please try again.'
+      });
+      console.error(err);
+    }
+  };
+
+  return (
+    <AdminLayout testId="team-page">
+      <div className="p-4 sm:p-8 max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8 animate-fade-in-up">
+          <h2 className="font-heading text-3xl sm:text-4xl font-bold text-foreground">
+            Team
+          </h2>
+          <p className="mt-2 text-muted-foreground font-body">
+            Manage who can sign in and what they can see
+          </p>
+        </div>
+
+        {/* Add User Form */}
+        <div
+          className="bg-card border border-primary/10 p-6 sm:p-8 shadow-card mb-8 animate-fade-in-up"
+          style={{ animationDelay: '0.1s' }}
+          data-testid="add-user-form-container"
+        >
+          <div className="flex items-center gap-3 mb-6">
+            <UserPlus className="w-6 h-6 text-primary" strokeWidth={1.5} />
+            <h3 className="font-heading text-xl font-bold text-foreground">Add Team Member</h3>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+              <div className="space-y-2">
+                <Label className={labelClassName}>Name</Label>
+                <Input
+                  value={formData.name}
+                  onChange={(e) => handleInputChange('name', e.target.value)}
+                  placeholder="Enter name"
+                  className="rounded-none border-primary/20 focus:border-primary font-body"
+                  data-testid="user-name-input"
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label className={labelClassName}>Username</Label>
+                <Input
+                  value={formData.username}
+                  onChange={(e) => handleInputChange('username', e.target.value)}
+                  placeholder="e.g. priya.s"
+                  className="rounded-none border-primary/20 focus:border-primary font-body"
+                  data-testid="user-username-input"
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label className={labelClassName}>Password</Label>
+                <Input
+                  type="password"
+                  value={formData.password}
+                  onChange={(e) => handleInputChange('password', e.target.value)}
+                  placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                  className="rounded-none border-primary/20 focus:border-primary font-body"
+                  autoComplete="new-password"
+                  data-testid="user-password-input"
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label className={labelClassName}>Role</Label>
+                <Select value={formData.role} onValueChange={(value) => handleInputChange('role', value)}>
+                  <SelectTrigger className="rounded-none border-primary/20 font-body" data-testid="user-role-select">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-card border-primary/20">
+                    {ROLES.map(role => (
+                      <SelectItem key={role.id} value={role.id} className="font-body">
+                        {role.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <Button
+              type="submit"
+              disabled={isSubmitting}
+              className="bg-primary text-primary-foreground hover:bg-primary/90 btn-primary-sharp px-8"
+              data-testid="add-user-submit-btn"
+            >
+              <Plus className="w-4 h-4 mr-2" />
+              {isSubmitting ? 'Adding...' : 'Add Member'}
+            </Button>
+          </form>
+        </div>
+
+        {/* Users Table */}
+        <div
+          className="bg-card border border-primary/10 shadow-card animate-fade-in-up"
+          style={{ animationDelay: '0.2s' }}
+          data-testid="users-table-container"
+        >
+          <div className="flex items-center justify-between p-6 border-b border-primary/10">
+            <div className="flex items-center gap-3">
+              <Users className="w-6 h-6 text-primary" strokeWidth={1.5} />
+              <h3 className="font-heading text-xl font-bold text-foreground">
+                Members ({users.length})
+              </h3>
+            </div>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={loadUsers}
+              disabled={isLoading}
+              className="border-primary/30 text-primary hover:bg-primary/5 rounded-none uppercase tracking-wider text-xs"
+              data-testid="users-refresh-btn"
+            >
+              <RefreshCw className={`w-4 h-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+              Refresh
+            </Button>
+          </div>
+
+          {isLoading ? (
+            <div className="p-8 space-y-4">
+              {[...Array(3)].map((_, i) => (
+                <div key={i} className="h-6 skeleton-beige"></div>
+              ))}
+            </div>
+          ) : error ? (
+            <div className="p-8 text-center">
+              <p className="text-destructive font-body" data-testid="users-error-message">{error}</p>
+              <Button
+                onClick={loadUsers}
+                variant="outline"
+                className="mt-4 border-primary/30 text-primary hover:bg-primary/5 rounded-none"
+              >
+                Try Again
+              </Button>
+            </div>
+          ) : (
+            <Table data-testid="users-table">
+              <TableHeader>
+                <TableRow className="border-b-2 border-primary/20 hover:bg-transparent">
+                  <TableHead className={`${labelClassName} py-4`}>Name</TableHead>
+                  <TableHead className={`${labelClassName} py-4`}>Username</TableHead>
+                  <TableHead className={`${labelClassName} py-4`}>Role</TableHead>
+                  <TableHead className={`${labelClassName} py-4`}>Active</TableHead>
+                  <TableHead className={`${labelClassName} py-4 text-right`}>Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {users.map((member, index) => {
+                  const isSelf = member.id === currentUser.id;
+                  return (
+                    <TableRow
+                      key={member.id}
+                      className={`border-b border-primary/5 ${member.active ? '' : 'opacity-60'}`}
+                      data-testid={`user-row-${index}`}
+                    >
+                      <TableCell className="font-body py-4 font-medium text-foreground">
+                        {member.name}
+                        {isSelf && <span className="ml-2 text-xs text-muted-foreground">(you)</span>}
+                      </TableCell>
+                      <TableCell className="font-body py-4 text-muted-foreground">{member.username}</TableCell>
+                      <TableCell className="py-4">
+                        <Select
+                          value={member.role}
+                          onValueChange={(role) => handleUpdate(member, { role })}
+                          disabled={isSelf}
+                        >
+                          <SelectTrigger className="w-36 h-8 rounded-none border-primary/20 font-body">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent className="bg-card border-primary/20">
+                            {ROLES.map(role => (
+                              <SelectItem key={role.id} value={role.id} className="font-body">
+                                {role.label}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </TableCell>
+                      <TableCell className="py-4">
+                        <Switch
+                          checked={member.active}
+                          onCheckedChange={(active) => handleUpdate(member, { active })}
+                          disabled={isSelf}
+                          aria-label={`${member.active ? 'Deactivate' : 'Activate'} ${member.name}`}
+                          data-testid={`user-active-switch-${index}`}
+                        />
+                      </TableCell>
+                      <TableCell className="py-4 text-right">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setUserToReset(member)}
+                          className="border-primary/30 text-primary hover:bg-primary/5 rounded-none uppercase tracking-wider text-xs"
+                          data-testid={`reset-password-btn-${index}`}
+                        >
+                          <KeyRound className="w-4 h-4 mr-2" />
+                          Reset Password
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          )}
+        </div>
+      </div>
+
+      <ResetPasswordDialog
+        user={userToReset}
+        onOpenChange={(open) => !open && setUserToReset(null)}
+        onConfirm={handleResetPassword}
+      />
+    </AdminLayout>
+  );
+};
+
+export default TeamPage;
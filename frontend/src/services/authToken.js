@@ -0,0 +1,61 @@
+const TOKEN_KEY = 'propz_auth_token';
+
+/**
+ * Thrown by storage adapters when the backend rejects the session token
+ */
+export class UnauthorizedError extends Error {
+  constructor(message = 'Not signed in or session expired') {
+    super(message);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+const unauthorizedListeners = new Set();
+
+export const getAuthToken = () => sessionStorage.getItem(TOKEN_KEY);
+
+export const setAuthToken = (token) => {
+  sessionStorage.setItem(TOKEN_KEY, token);
+};
+
+export const clearAuthToken = () => {
+  sessionStorage.removeItem(TOKEN_KEY);
+};
+
+/**
+ * Read the claims (sub, name, username, role, exp) from a token
+ * Only the backend can check the signature; this is for display and expiry
+ */
+export const decodeAuthToken = (token) => {
+  try {
+    const body = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(body), char => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * True while the token is well formed and not past its expiry
+ */
+export const isAuthTokenValid = (token) => {
+  const claims = token ? decodeAuthToken(token) : null;
+  return Boolean(claims && claims.exp * 1000 > Date.now());
+};
+
+/**
+ * Adapters call this when the backend rejects the token so the app can sign out
+ */
+export const reportUnauthorized = () => {
+  unauthorizedListeners.forEach(listener => listener());
+  return new UnauthorizedError();
+};
+
+/**
+ * Subscribe to rejected sessions, returns an unsubscribe function
+ */
+export const onUnauthorized = (listener) => {
+  unauthorizedListeners.add(listener);
+  return () => unauthorizedListeners.delete(listener);
+};
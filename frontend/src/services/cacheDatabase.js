@@ -0,0 +1,42 @@
+const CACHE_DB_NAME = 'propz-crm-cache';
+const CACHE_DB_VERSION = 2;
+
+// Last good payload per cached fetcher, keyed by name
+export const PAYLOADS_STORE = 'payloads';
+// Lead creations waiting to reach the backend, keyed by their clientId
+export const OUTBOX_STORE = 'outbox';
+
+export const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+let databasePromise = null;
+
+const openCacheDatabase = () => {
+  if (!databasePromise) {
+    const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(PAYLOADS_STORE)) {
+        db.createObjectStore(PAYLOADS_STORE, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        db.createObjectStore(OUTBOX_STORE, { keyPath: 'clientId' });
+      }
+    };
+    databasePromise = promisify(request);
+    // Let a later call try again rather than reusing the failure
+    databasePromise.catch(() => { databasePromise = null; });
+  }
+  return databasePromise;
+};
+
+/**
+ * Run one request against an object store of the browser-side cache database
+ * Rejects when IndexedDB is unavailable (e.g. some private modes); callers decide whether that matters
+ */
+export const withCacheStore = async (storeName, mode, run) => {
+  const db = await openCacheDatabase();
+  return promisify(run(db.transaction(storeName, mode).objectStore(storeName)));
+};
@@ -1,10 +1,17 @@
-const GOOGLE_SCRIPT_URL = process.env.REACT_APP_GOOGLE_SCRIPT_URL;
+import { getStorageAdapter } from './storage';
+import { DEFAULT_STAGE_ID, resolveStageId } from '@/lib/leadStages';
+import { normalizePublicSettings, pickPublicColumns } from '@/lib/publicDirectory';
+import { HONEYPOT_FIELD } from '@/lib/enquiry';
+import { toE164 } from '@/lib/phone';
+import { mergeProjectInterests } from '@/lib/duplicates';
+import { isHourInBucket, DEFAULT_SORT } from '@/lib/leadFilters';
+import { format } from 'date-fns';
 
 /**
  * Parse date from various formats (DD/MM/YYYY, ISO, etc.)
  * Returns Date object or null
  */
-const parseDate = (dateStr) => {
+export const parseDate = (dateStr) => {
   if (!dateStr) return null;
   
   try {
@@ -48,7 +55,7 @@ const parseDate = (dateStr) => {
  * Parse time from various formats (HH:MM:SS, HH:MM, ISO datetime)
  * Returns object with hours, minutes, seconds or null
  */
-const parseTime = (timeStr) => {
+export const parseTime = (timeStr) => {
   if (!timeStr) return null;
   
   try {
@@ -113,6 +120,29 @@ export const sortLeadsByDateTime = (leads) => {
   });
 };
 
+/**
+ * Fold changed and deleted leads into a list already sorted by sortLeadsByDateTime
+ * Only the changed leads are sorted; they are then merged into the rest in one pass
+ */
+export const applyLeadChanges = (leads, changed, deletedIds) => {
+  if (changed.length === 0 && deletedIds.length === 0) return leads;
+
+  const changedIds = new Set(changed.map(lead => lead.id));
+  const deleted = new Set(deletedIds);
+  const kept = leads.filter(lead => !changedIds.has(lead.id) && !deleted.has(lead.id));
+  const incoming = sortLeadsByDateTime(changed);
+
+  const merged = [];
+  let k = 0;
+  let i = 0;
+  while (k < kept.length || i < incoming.length) {
+    const takeKept = i >= incoming.length || (k < kept.length &&
+      createSortableTimestamp(kept[k].date, kept[k].time) <= createSortableTimestamp(incoming[i].date, incoming[i].time));
+    merged.push(takeKept ? kept[k++] : incoming[i++]);
+  }
+  return merged;
+};
+
 /**
  * Format date for display: DD/MM/YYYY
  * Date column contains ONLY date
@@ -148,151 +178,585 @@ export const formatTime = (timeStr) => {
 
 /**
  * Normalize lead data from API to consistent format
+ * The id is the UUID the backend writes into the sheet's id column;
+ * rows created before that column existed have none until backfilled
  */
-const normalizeLead = (lead, index) => {
+const normalizeLead = (lead) => {
+  const projectName = lead.projectName || lead.project_name || lead.project || '';
   return {
-    id: lead.id || `lead-${index}-${Date.now()}`,
+    id: lead.id ? String(lead.id) : null,
     name: lead.name || '',
-    projectName: lead.projectName || lead.project_name || lead.project || '',
-    phoneNumber: String(lead.phoneNumber || lead.phone_number || lead.phone || ''),
+    projectName,
+    // Every project this buyer asked about, projectName first; grows when duplicates are merged
+    projectInterests: mergeProjectInterests([{ projectName, projectInterests: lead.projectInterests }]),
+    // E.164; Sheets may hand back a bare number such as 919876543210, which parses the same
+    phoneNumber: toE164(lead.phoneNumber || lead.phone_number || lead.phone || ''),
     date: lead.date || '',  // Keep as separate date
-    time: lead.time || ''   // Keep as separate time
+    time: lead.time || '',  // Keep as separate time
+    status: resolveStageId(lead.status),
+    followUpDate: lead.followUpDate || '',  // Next follow-up, same split as date/time
+    followUpTime: lead.followUpTime || '',
+    assignedTo: lead.assignedTo ? String(lead.assignedTo) : '',  // User id, '' when unassigned
+    source: lead.source || '',  // 'enquiry' for leads from the public capture form
+    preferredTime: lead.preferredTime || '',  // Callback slot chosen on the enquiry form
+    clientId: lead.clientId ? String(lead.clientId) : ''  // Idempotency key from the app that added it
   };
 };
 
 /**
- * Fetch all leads from Google Apps Script
+ * Normalize a redacted public row; it never carries an id or unmasked phone
+ * phoneHidden may arrive as a string from Sheets
+ */
+const normalizePublicLead = (lead) => {
+  const { name, projectName, date, time } = normalizeLead(lead);
+  return {
+    name,
+    projectName,
+    phoneNumber: String(lead.phoneNumber || ''),  // Already masked by the backend
+    phoneHidden: String(lead.phoneHidden) === 'true',
+    date,
+    time
+  };
+};
+
+/**
+ * Find leads whose id is missing or shared with another row
+ * Either one breaks edit/delete targeting, so callers should warn about them
+ */
+export const findIdProblems = (leads) => {
+  const seen = new Set();
+  const duplicates = new Set();
+  let missing = 0;
+
+  leads.forEach(lead => {
+    if (!lead.id) {
+      missing++;
+    } else if (seen.has(lead.id)) {
+      duplicates.add(lead.id);
+    } else {
+      seen.add(lead.id);
+    }
+  });
+
+  return { missing, duplicates };
+};
+
+/**
+ * Normalize a full set of rows from the backend
+ */
+const prepareLeads = (leads) => {
+  const normalizedLeads = leads.map(normalizeLead);
+
+  const { missing, duplicates } = findIdProblems(normalizedLeads);
+  if (missing > 0 || duplicates.size > 0) {
+    console.warn(`Leads with unusable ids: ${missing} missing, ${duplicates.size} duplicated`, [...duplicates]);
+  }
+
+  // CRITICAL: Always sort by Date + Time ascending (oldest first, newest last)
+  // This ensures correct chronological order regardless of sheet row order
+  return sortLeadsByDateTime(normalizedLeads);
+};
+
+/**
+ * Fetch all leads from the configured storage backend
  * ALWAYS sorts by Date + Time ascending before returning
  */
 export const fetchLeads = async () => {
   try {
-    const response = await fetch(`${GOOGLE_SCRIPT_URL}?action=getLeads`, {
-      method: 'GET',
-      redirect: 'follow',
-    });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    const text = await response.text();
-    let data;
-    
-    try {
-      data = JSON.parse(text);
-    } catch (parseError) {
-      console.error('Failed to parse response:', text);
-      throw new Error('Invalid JSON response');
+    return prepareLeads(await getStorageAdapter().list());
+  } catch (error) {
+    console.error('Error fetching leads:', error);
+    throw error;
+  }
+};
+
+/**
+ * Bring a local copy of the leads up to date with what changed on the backend
+ * cursor is the { lineage, revision } the local copy was synced at (null for none);
+ * the backend answers with every lead when that cursor is no use to it anymore
+ * Falls back to fetchLeads when the backend has no getLeadsSince
+ * Returns { leads, cursor }
+ */
+export const syncLeads = async (leads, cursor) => {
+  try {
+    const adapter = getStorageAdapter();
+    const changes = adapter.listSince
+      ? await adapter.listSince(leads && cursor ? cursor : {})
+      : null;
+
+    if (!changes) {
+      return { leads: await fetchLeads(), cursor: null };
     }
-    
-    // Handle different response formats
-    let leads = [];
-    if (Array.isArray(data)) {
-      leads = data;
-    } else if (data.leads && Array.isArray(data.leads)) {
-      leads = data.leads;
-    } else if (data.data && Array.isArray(data.data)) {
-      leads = data.data;
-    } else if (data.error) {
-      throw new Error(data.error);
+
+    const nextCursor = { lineage: changes.lineage, revision: changes.revision };
+    if (changes.full || !leads) {
+      return { leads: prepareLeads(changes.leads), cursor: nextCursor };
     }
-    
-    // Normalize all leads
-    const normalizedLeads = leads.map((lead, index) => normalizeLead(lead, index));
-    
-    // CRITICAL: Always sort by Date + Time ascending (oldest first, newest last)
-    // This ensures correct chronological order regardless of sheet row order
-    return sortLeadsByDateTime(normalizedLeads);
+    return {
+      leads: applyLeadChanges(leads, changes.leads.map(normalizeLead), changes.deleted.map(String)),
+      cursor: nextCursor
+    };
   } catch (error) {
-    console.error('Error fetching leads:', error);
+    console.error('Error syncing leads:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the public lead directory and the settings it is laid out with
+ * The backend filters and redacts rows by the admin's policy; the columns
+ * and on/off switch are applied again here so a lagging backend can't leak them
+ * Leads are sorted the same way as fetchLeads
+ */
+export const fetchPublicDirectory = async () => {
+  try {
+    const adapter = getStorageAdapter();
+    const [rawSettings, rows] = await Promise.all([adapter.getPublicSettings(), adapter.listPublic()]);
+    const settings = normalizePublicSettings(rawSettings);
+
+    const leads = settings.enabled
+      ? rows.map(row => normalizePublicLead(pickPublicColumns(row, settings)))
+      : [];
+    return { settings, leads: sortLeadsByDateTime(leads) };
+  } catch (error) {
+    console.error('Error fetching public leads:', error);
     throw error;
   }
 };
 
 /**
- * Add a new lead via Google Apps Script
+ * A new lead as the storage adapters take it
+ * Date as DD/MM/YYYY, Time as HH:MM:SS - sent separately
+ */
+const toNewLead = (leadData) => ({
+  name: leadData.name,
+  projectName: leadData.projectName,
+  phoneNumber: toE164(leadData.phoneNumber),
+  date: leadData.date,  // Date only: DD/MM/YYYY
+  time: leadData.time,  // Time only: HH:MM:SS
+  status: leadData.status || DEFAULT_STAGE_ID,
+  assignedTo: leadData.assignedTo || '',  // User id, or 'auto' for round-robin
+  clientId: leadData.clientId  // Idempotency key, so a retried create isn't added twice
+});
+
+// Leads per addLeads round trip; keeps each call well inside the script's time limit
+const IMPORT_BATCH_SIZE = 50;
+
+/**
+ * Add a new lead via the configured storage backend
  * Date and Time are sent as separate values
  */
 export const addLead = async (leadData) => {
   try {
-    // Date as DD/MM/YYYY, Time as HH:MM:SS - sent separately
-    const params = new URLSearchParams({
-      action: 'addLead',
-      name: leadData.name,
-      project: leadData.projectName,
-      phone: leadData.phoneNumber,
-      date: leadData.date,  // Date only: DD/MM/YYYY
-      time: leadData.time   // Time only: HH:MM:SS
+    return await getStorageAdapter().create(toNewLead(leadData));
+  } catch (error) {
+    console.error('Error adding lead:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add many leads in batches, reporting progress as each batch finishes
+ * A failed row (or batch) doesn't stop the rest; returns { created, failed: [{ lead, error }] }
+ */
+export const importLeads = async (leads, onProgress = () => {}) => {
+  const created = [];
+  const failed = [];
+  for (let start = 0; start < leads.length; start += IMPORT_BATCH_SIZE) {
+    const batch = leads.slice(start, start + IMPORT_BATCH_SIZE);
+    try {
+      const results = await getStorageAdapter().createMany(batch.map(toNewLead));
+      batch.forEach((lead, i) => {
+        const result = results[i];
+        if (result && result.success) {
+          created.push(result);
+        } else {
+          failed.push({ lead, error: new Error((result && result.error) || 'No result for this row') });
+        }
+      });
+    } catch (error) {
+      console.error('Error importing leads:', error);
+      batch.forEach(lead => failed.push({ lead, error }));
+    }
+    onProgress(created.length + failed.length, leads.length);
+  }
+  return { created, failed };
+};
+
+/**
+ * Fetch a proof-of-work challenge for the enquiry form (see lib/enquiry solveChallenge)
+ */
+export const fetchEnquiryChallenge = async () => {
+  try {
+    const { challenge, difficulty } = await getStorageAdapter().getEnquiryChallenge();
+    return { challenge, difficulty: Number(difficulty) };
+  } catch (error) {
+    console.error('Error fetching enquiry challenge:', error);
+    throw error;
+  }
+};
+
+/**
+ * Submit the public enquiry form for a project
+ * Stamped with the current date and time like any other new lead
+ * Carries the solved challenge and the honeypot field for the backend's spam screening
+ */
+export const submitEnquiry = async (enquiry) => {
+  try {
+    return await getStorageAdapter().submitEnquiry({
+      name: enquiry.name,
+      projectName: enquiry.projectName,
+      phoneNumber: toE164(enquiry.phoneNumber),
+      date: getCurrentDate(),
+      time: getCurrentTime(),
+      preferredTime: enquiry.preferredTime || '',
+      consent: enquiry.consent === true,
+      challenge: enquiry.challenge,
+      solution: enquiry.solution,
+      [HONEYPOT_FIELD]: enquiry[HONEYPOT_FIELD] || ''
     });
+  } catch (error) {
+    console.error('Error submitting enquiry:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update an existing lead by its id
+ * Only the fields present in `changes` are written
+ */
+export const updateLead = async (id, changes) => {
+  try {
+    const normalized = changes.phoneNumber === undefined
+      ? changes
+      : { ...changes, phoneNumber: toE164(changes.phoneNumber) };
+    return await getStorageAdapter().update(id, normalized);
+  } catch (error) {
+    console.error('Error updating lead:', error);
+    throw error;
+  }
+};
+
+/**
+ * Move a lead to another pipeline stage
+ */
+export const updateLeadStatus = async (id, status) => {
+  return updateLead(id, { status });
+};
+
+/**
+ * Assign a lead to a user ('' to unassign)
+ */
+export const assignLead = async (id, userId) => {
+  return updateLead(id, { assignedTo: userId || '' });
+};
+
+/**
+ * Set or clear (empty date) a lead's next follow-up
+ * Date as DD/MM/YYYY, time as HH:MM (optional)
+ */
+export const setLeadFollowUp = async (id, { date, time }) => {
+  return updateLead(id, {
+    followUpDate: date || '',
+    followUpTime: date ? time || '' : ''
+  });
+};
 
-    const response = await fetch(`${GOOGLE_SCRIPT_URL}?${params.toString()}`, {
-      method: 'GET',
-      redirect: 'follow',
+/**
+ * Delete a lead by its id
+ */
+export const deleteLead = async (id) => {
+  try {
+    return await getStorageAdapter().remove(id);
+  } catch (error) {
+    console.error('Error deleting lead:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fold duplicate leads for the same buyer into the lead being kept
+ * The kept lead gains their project interests and activity history; the duplicates are deleted
+ */
+export const mergeLeads = async (keptId, duplicateIds) => {
+  try {
+    return await getStorageAdapter().merge(keptId, duplicateIds);
+  } catch (error) {
+    console.error('Error merging leads:', error);
+    throw error;
+  }
+};
+
+/**
+ * One-time repair that writes a fresh UUID into every row with a missing or duplicated id
+ */
+export const backfillLeadIds = async () => {
+  try {
+    return await getStorageAdapter().backfillIds();
+  } catch (error) {
+    console.error('Error backfilling lead ids:', error);
+    throw error;
+  }
+};
+
+/**
+ * Normalize an activity row from the Activities tab
+ * `fields` arrives as a comma-separated list of changed lead fields
+ */
+const normalizeActivity = (activity) => {
+  return {
+    id: String(activity.id || ''),
+    leadId: String(activity.leadId || ''),
+    type: activity.type || 'note',
+    timestamp: activity.timestamp || '',
+    author: activity.author || '',
+    text: activity.text || '',
+    from: activity.from || '',
+    to: activity.to || '',
+    fields: activity.fields ? String(activity.fields).split(',').filter(Boolean) : [],
+    outcome: activity.outcome || '',
+    duration: activity.duration ? Number(activity.duration) : null,  // Minutes
+    followUp: activity.followUp || ''  // Date only: DD/MM/YYYY
+  };
+};
+
+/**
+ * Fetch the activity timeline for one lead, oldest first
+ */
+export const fetchLeadActivities = async (leadId) => {
+  try {
+    const activities = await getStorageAdapter().listActivities(leadId);
+    return activities
+      .map(normalizeActivity)
+      .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+  } catch (error) {
+    console.error('Error fetching lead activities:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add a free-text note to a lead's timeline
+ */
+export const addLeadNote = async (leadId, { text, author }) => {
+  try {
+    return await getStorageAdapter().addActivity(leadId, { type: 'note', text, author });
+  } catch (error) {
+    console.error('Error adding note:', error);
+    throw error;
+  }
+};
+
+/**
+ * Log a phone call against a lead
+ * Duration is in minutes; followUp is the next follow-up date (DD/MM/YYYY),
+ * which also becomes the lead's own follow-up date
+ */
+export const logLeadCall = async (leadId, { outcome, duration, followUp, text, author }) => {
+  try {
+    const result = await getStorageAdapter().addActivity(leadId, {
+      type: 'call',
+      outcome,
+      duration,
+      followUp,
+      text,
+      author
     });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    const text = await response.text();
-    
-    try {
-      const data = JSON.parse(text);
-      if (data.error) {
-        throw new Error(data.error);
-      }
-      return data;
-    } catch (parseError) {
-      return { success: true };
+
+    if (followUp) {
+      await setLeadFollowUp(leadId, { date: followUp, time: '' });
     }
+    return result;
   } catch (error) {
-    console.error('Error adding lead:', error);
+    console.error('Error logging call:', error);
     throw error;
   }
 };
 
 /**
- * Filter leads by search criteria
+ * Listen for lead changes made through the storage backend
+ * Returns an unsubscribe function
+ */
+export const subscribeToLeads = (listener) => {
+  return getStorageAdapter().subscribe(listener);
+};
+
+/**
+ * Filter leads by the criteria from lib/leadFilters toLeadQuery; empty criteria match everything
  * Filtering happens AFTER sorting, so chronological order is preserved
+ *   searchName  - part of the name, any case
+ *   searchPhone - digits anywhere in the number, however either side was typed
+ *   projects    - any of these projects (empty for all)
+ *   dateRange   - { from, to } the lead's date falls within
+ *   timeOfDay   - a TIME_OF_DAY_BUCKETS id, or 'all'
  */
 export const filterLeads = (leads, filters) => {
+  const phoneDigits = String(filters.searchPhone || '').replace(/\D/g, '').replace(/^0+/, '');
+  const projects = filters.projects || [];
+
   return leads.filter(lead => {
     // Name search (case-insensitive)
     if (filters.searchName && !lead.name.toLowerCase().includes(filters.searchName.toLowerCase())) {
       return false;
     }
-    
-    // Project filter (exact match)
-    if (filters.project && filters.project !== 'all' && lead.projectName !== filters.project) {
+
+    // Phone search on digits only, so "98765 43210" finds +919876543210
+    if (phoneDigits && !String(lead.phoneNumber || '').replace(/\D/g, '').includes(phoneDigits)) {
       return false;
     }
-    
-    // Date filter (match specific date)
-    if (filters.date) {
+
+    // Project filter (any project the buyer asked about)
+    if (projects.length > 0 && !(lead.projectInterests || [lead.projectName]).some(project => projects.includes(project))) {
+      return false;
+    }
+
+    // Date range filter (leads without a date never match)
+    if (filters.dateRange) {
       const leadDate = parseDate(lead.date);
-      const filterDate = filters.date;
-      
-      if (leadDate && filterDate) {
-        // Compare date parts only
-        if (leadDate.getFullYear() !== filterDate.getFullYear() ||
-            leadDate.getMonth() !== filterDate.getMonth() ||
-            leadDate.getDate() !== filterDate.getDate()) {
-          return false;
-        }
-      } else if (!leadDate) {
-        return false; // No date on lead, filter requires date
+      if (!leadDate || leadDate < filters.dateRange.from || leadDate > filters.dateRange.to) {
+        return false;
       }
     }
-    
+
+    // Time-of-day filter (leads without a time never match)
+    if (filters.timeOfDay && filters.timeOfDay !== 'all') {
+      const leadTime = parseTime(lead.time);
+      if (!leadTime || !isHourInBucket(leadTime.hours, filters.timeOfDay)) {
+        return false;
+      }
+    }
+
     return true;
   });
 };
 
+const compareText = (a, b) => String(a || '').localeCompare(String(b || ''), undefined, { sensitivity: 'base' });
+
+/**
+ * Sort leads by a table column ({ field: 'date' | 'name' | 'project', direction: 'asc' | 'desc' })
+ * Ties on name or project fall back to date order
+ */
+export const sortLeads = (leads, sort = DEFAULT_SORT) => {
+  const byDate = sortLeadsByDateTime(leads);
+  const sorted = sort.field === 'date'
+    ? byDate
+    : byDate.sort((a, b) => compareText(
+      sort.field === 'name' ? a.name : a.projectName,
+      sort.field === 'name' ? b.name : b.projectName
+    ));
+  return sort.direction === 'desc' ? sorted.reverse() : sorted;
+};
+
+/**
+ * One page of the leads matching `query` (see toLeadQuery), worked out in the browser
+ * Same shape as fetchLeadsPage, for sheets small enough to page locally
+ */
+export const queryLeadsPage = (leads, query, { page = 1, pageSize, sort = DEFAULT_SORT }) => {
+  const matching = sortLeads(filterLeads(leads, query), sort);
+  const start = (page - 1) * pageSize;
+  return { leads: matching.slice(start, start + pageSize), total: matching.length, page, pageSize };
+};
+
+/**
+ * Whether the storage backend can filter, sort and page leads itself
+ */
+export const canPageLeads = () => Boolean(getStorageAdapter().listPage);
+
+/**
+ * Ask the backend for one page of the leads matching `query` (see toLeadQuery)
+ * Dates go as yyyy-MM-dd, both ends inclusive
+ * Returns { leads, total, page, pageSize, projects }, or null when the backend can't page;
+ * projects is every project the session's leads are for, or null when the backend doesn't say
+ */
+export const fetchLeadsPage = async (query, { page = 1, pageSize, sort = DEFAULT_SORT }) => {
+  try {
+    const adapter = getStorageAdapter();
+    if (!adapter.listPage) return null;
+
+    const result = await adapter.listPage({
+      page,
+      pageSize,
+      sort: sort.field,
+      order: sort.direction,
+      q: query.searchName || undefined,
+      phone: query.searchPhone || undefined,
+      projects: query.projects && query.projects.length > 0 ? query.projects : undefined,
+      from: query.dateRange ? format(query.dateRange.from, 'yyyy-MM-dd') : undefined,
+      to: query.dateRange ? format(query.dateRange.to, 'yyyy-MM-dd') : undefined,
+      timeOfDay: query.timeOfDay && query.timeOfDay !== 'all' ? query.timeOfDay : undefined
+    });
+    if (!result) return null;
+
+    return {
+      leads: result.leads.map(normalizeLead),
+      total: Number(result.total) || 0,
+      page: Number(result.page) || page,
+      pageSize: Number(result.pageSize) || pageSize,
+      projects: Array.isArray(result.projects) ? result.projects.map(String) : null
+    };
+  } catch (error) {
+    console.error('Error fetching leads page:', error);
+    throw error;
+  }
+};
+
+// Leads per getLeadsPage call when collecting every match (the emulator's page size cap)
+const ALL_PAGES_PAGE_SIZE = 200;
+
+/**
+ * Every lead matching `query`, in `sort` order, collected page by page from the backend
+ * For exports when the table is paged on the server; null when the backend can't page
+ */
+export const fetchAllLeadsPages = async (query, sort = DEFAULT_SORT) => {
+  const leads = [];
+  for (let page = 1; ; page++) {
+    const result = await fetchLeadsPage(query, { page, pageSize: ALL_PAGES_PAGE_SIZE, sort });
+    if (!result) return null;
+    leads.push(...result.leads);
+    if (result.leads.length === 0 || leads.length >= result.total) return leads;
+  }
+};
+
+/**
+ * Timestamp when a lead's follow-up is due, or 0 if none is set
+ * Date-only follow-ups are due from the start of that day
+ */
+export const getFollowUpTimestamp = (lead) => {
+  return createSortableTimestamp(lead.followUpDate, lead.followUpTime);
+};
+
+/**
+ * Split leads with a follow-up into overdue (before today), due today and upcoming
+ * Each group is sorted soonest first
+ */
+export const groupFollowUps = (leads, now = new Date()) => {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  const startOfTomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+
+  const groups = { overdue: [], dueToday: [], upcoming: [] };
+
+  leads
+    .filter(lead => getFollowUpTimestamp(lead) > 0)
+    .sort((a, b) => getFollowUpTimestamp(a) - getFollowUpTimestamp(b))
+    .forEach(lead => {
+      const dueAt = getFollowUpTimestamp(lead);
+      if (dueAt < startOfToday) {
+        groups.overdue.push(lead);
+      } else if (dueAt < startOfTomorrow) {
+        groups.dueToday.push(lead);
+      } else {
+        groups.upcoming.push(lead);
+      }
+    });
+
+  return groups;
+};
+
 /**
  * Get unique project names from leads for filter dropdown
  */
 export const getUniqueProjects = (leads) => {
-  const projects = [...new Set(leads.map(lead => lead.projectName).filter(Boolean))];
+  const projects = [...new Set(leads.flatMap(lead => lead.projectInterests || [lead.projectName]).filter(Boolean))];
   return projects.sort();
 };
 
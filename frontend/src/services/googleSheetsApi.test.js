@@ -0,0 +1,93 @@
+import { applyLeadChanges, filterLeads } from '@/services/googleSheetsApi';
+import { EMPTY_FILTERS, toLeadQuery } from '@/lib/leadFilters';
+
+const lead = (id, date, time = '09:00:00', extra = {}) => ({ id, date, time, ...extra });
+
+describe('applyLeadChanges', () => {
+  const leads = [
+    lead('a', '01/01/2025'),
+    lead('b', '02/01/2025'),
+    lead('c', '03/01/2025'),
+  ];
+  const ids = (list) => list.map(item => item.id);
+
+  it('returns the same list when nothing changed', () => {
+    expect(applyLeadChanges(leads, [], [])).toBe(leads);
+  });
+
+  it('drops deleted leads', () => {
+    expect(ids(applyLeadChanges(leads, [], ['b']))).toEqual(['a', 'c']);
+  });
+
+  it('ignores deleted ids it never had', () => {
+    expect(ids(applyLeadChanges(leads, [], ['z']))).toEqual(['a', 'b', 'c']);
+  });
+
+  it('merges new leads in date and time order', () => {
+    const changed = [lead('d', '02/01/2025', '18:00:00'), lead('e', '31/12/2024')];
+    expect(ids(applyLeadChanges(leads, changed, []))).toEqual(['e', 'a', 'b', 'd', 'c']);
+  });
+
+  it('replaces changed leads and moves them when their date changed', () => {
+    const result = applyLeadChanges(leads, [lead('a', '04/01/2025', '09:00:00', { name: 'Moved' })], []);
+
+    expect(ids(result)).toEqual(['b', 'c', 'a']);
+    expect(result[2].name).toBe('Moved');
+  });
+
+  it('applies changes and deletions together', () => {
+    const result = applyLeadChanges(leads, [lead('b', '02/01/2025', '09:00:00', { name: 'Edited' })], ['a']);
+
+    expect(result).toEqual([
+      lead('b', '02/01/2025', '09:00:00', { name: 'Edited' }),
+      lead('c', '03/01/2025'),
+    ]);
+  });
+});
+
+describe('filterLeads', () => {
+  const leads = [
+    lead('a', '14/01/2025', '08:15:00', { name: 'Priya', projectName: 'Alpha', phoneNumber: '+919876543210' }),
+    lead('b', '15/01/2025', '22:40:00', { name: 'Rahul', projectName: 'Beta', phoneNumber: '+971501234567' }),
+    lead('c', '01/12/2024', '13:00:00', {
+      name: 'Anil',
+      projectName: 'Gamma',
+      projectInterests: ['Gamma', 'Alpha'],
+      phoneNumber: '+919000000001'
+    }),
+    lead('d', '', '', { name: 'No date', projectName: 'Alpha', phoneNumber: '' }),
+  ];
+  const now = new Date(2025, 0, 15, 12);
+  const matching = (changes) => ids(filterLeads(leads, toLeadQuery({ ...EMPTY_FILTERS, ...changes }, now)));
+  const ids = (list) => list.map(item => item.id);
+
+  it('keeps everything without filters', () => {
+    expect(matching({})).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('matches any of the chosen projects, including ones the buyer also asked about', () => {
+    expect(matching({ projects: ['Alpha', 'Beta'] })).toEqual(['a', 'b', 'c', 'd']);
+    expect(matching({ projects: ['Beta', 'Gamma'] })).toEqual(['b', 'c']);
+  });
+
+  it('searches phone digits however they were typed', () => {
+    expect(matching({ searchPhone: '098765 43210' })).toEqual(['a']);
+    expect(matching({ searchPhone: '50-123' })).toEqual(['b']);
+  });
+
+  it('filters by date preset, leaving out leads without a date', () => {
+    expect(matching({ datePreset: 'yesterday' })).toEqual(['a']);
+    expect(matching({ datePreset: 'last7' })).toEqual(['a', 'b']);
+    expect(matching({ datePreset: 'custom', customRange: { from: new Date(2024, 11, 1) } })).toEqual(['c']);
+  });
+
+  it('filters by time of day, leaving out leads without a time', () => {
+    expect(matching({ timeOfDay: 'morning' })).toEqual(['a']);
+    expect(matching({ timeOfDay: 'night' })).toEqual(['b']);
+  });
+
+  it('combines filters', () => {
+    expect(matching({ projects: ['Alpha'], datePreset: 'thisMonth', timeOfDay: 'afternoon' })).toEqual([]);
+    expect(matching({ projects: ['Alpha'], searchName: 'pri', datePreset: 'last7' })).toEqual(['a']);
+  });
+});
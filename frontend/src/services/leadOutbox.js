@@ -0,0 +1,270 @@
+import { addLead } from './googleSheetsApi';
+import { leadsStore } from './leadsStore';
+import { withCacheStore, OUTBOX_STORE } from './cacheDatabase';
+import { getAuthToken, decodeAuthToken, isAuthTokenValid, UnauthorizedError } from './authToken';
+
+// Backoff between attempts: 5s, 10s, 20s, ... capped at 5 minutes
+const BASE_DELAY_MS = 5 * 1000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+
+// Statuses worth another try; anything else the backend rejected on its merits
+const RETRYABLE_STATUS = /HTTP error! status: (408|429|5\d\d)\b/;
+
+/**
+ * Whether a failed create should wait in the outbox rather than be reported
+ * No connection (fetch throws a TypeError), an expired session, or a server having a bad moment
+ */
+export const isRetryableError = (error) => {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  return error instanceof TypeError
+    || error instanceof UnauthorizedError
+    || RETRYABLE_STATUS.test(error?.message || '');
+};
+
+export const newClientId = () => {
+  if (window.crypto && window.crypto.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `client-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+const backoffDelay = (attempts) => Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+
+// Queued leads belong to whoever added them; nobody else's session sends them
+const currentUserId = () => {
+  const token = getAuthToken();
+  return isAuthTokenValid(token) ? decodeAuthToken(token).sub : null;
+};
+
+/**
+ * Persist one outbox change; the in-memory queue still works when IndexedDB doesn't
+ */
+const persist = (run) => withCacheStore(OUTBOX_STORE, 'readwrite', run).catch(error => {
+  console.warn('Lead outbox not saved:', error);
+});
+
+/*
+ * Lead creations that couldn't reach the backend, kept in IndexedDB until they do
+ *
+ * Entry: { clientId, ownerId, lead, createdAt, attempts, nextAttemptAt, lastError, failed }
+ *   clientId - idempotency key sent with every attempt, so a create that landed
+ *              but whose answer was lost isn't added twice
+ *   failed   - the backend refused it; it waits for the user to retry or discard it
+ *   sentAs   - set once the backend took it, for the moment before the refreshed leads arrive
+ */
+let state = { entries: [], isFlushing: false };
+let started = false;
+let hydration = null;
+let inflight = null;
+let timer = null;
+const listeners = new Set();
+const syncedListeners = new Set();
+
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  listeners.forEach(listener => listener());
+};
+
+const updateEntry = (clientId, changes) => {
+  const entries = state.entries.map(entry => (entry.clientId === clientId ? { ...entry, ...changes } : entry));
+  setState({ entries });
+  const entry = entries.find(e => e.clientId === clientId);
+  if (entry) persist(store => store.put(entry));
+};
+
+const removeEntry = (clientId) => {
+  setState({ entries: state.entries.filter(entry => entry.clientId !== clientId) });
+  persist(store => store.delete(clientId));
+};
+
+const hydrate = () => {
+  if (!hydration) {
+    hydration = withCacheStore(OUTBOX_STORE, 'readonly', store => store.getAll())
+      .catch(error => {
+        console.warn('Lead outbox unavailable:', error);
+        return [];
+      })
+      .then(records => {
+        // Anything queued before the disk copy arrived is already in memory
+        const queued = new Set(state.entries.map(entry => entry.clientId));
+        // One sent just before a reload is resent; its clientId keeps that from doubling it
+        const restored = records
+          .filter(record => !queued.has(record.clientId))
+          .map(({ sentAs, ...record }) => record);
+        setState({
+          entries: [...restored, ...state.entries].sort((a, b) => a.createdAt - b.createdAt)
+        });
+      });
+  }
+  return hydration;
+};
+
+/**
+ * Wake up for the earliest entry that is waiting out its backoff
+ */
+const scheduleFlush = () => {
+  clearTimeout(timer);
+  timer = null;
+  // Offline waits for the 'online' event; signed out waits for the next flushOutbox()
+  const ownerId = currentUserId();
+  if (!ownerId || navigator.onLine === false) return;
+  const waiting = state.entries.filter(entry =>
+    entry.ownerId === ownerId && !entry.failed && entry.sentAs === undefined
+  );
+  if (waiting.length === 0) return;
+
+  const next = Math.min(...waiting.map(entry => entry.nextAttemptAt));
+  timer = setTimeout(() => {
+    flushOutbox().catch(error => console.error('Error flushing lead outbox:', error));
+  }, Math.max(next - Date.now(), 0));
+};
+
+const sendDueEntries = async () => {
+  await hydrate();
+  const ownerId = currentUserId();
+  const synced = [];
+
+  if (ownerId && navigator.onLine !== false) {
+    const due = state.entries.filter(entry =>
+      entry.ownerId === ownerId && !entry.failed && entry.sentAs === undefined && entry.nextAttemptAt <= Date.now()
+    );
+
+    for (const entry of due) {
+      try {
+        const result = await addLead(entry.lead);
+        // Kept (and shown as pending) until the refreshed leads include it
+        updateEntry(entry.clientId, { sentAs: result.id ?? null, lastError: null });
+        synced.push({ ...entry, result });
+      } catch (error) {
+        const attempts = entry.attempts + 1;
+        if (isRetryableError(error)) {
+          updateEntry(entry.clientId, {
+            attempts,
+            nextAttemptAt: Date.now() + backoffDelay(attempts),
+            lastError: error.message
+          });
+          continue;
+        }
+        updateEntry(entry.clientId, { attempts, failed: true, lastError: error.message });
+      }
+    }
+  }
+
+  if (synced.length > 0) {
+    await leadsStore.revalidate().catch(error => console.error(error));
+    synced.forEach(entry => removeEntry(entry.clientId));
+    syncedListeners.forEach(listener => listener(synced));
+  }
+  return synced;
+};
+
+/**
+ * Send every queued lead that is due; joins the flush already running, if any
+ * Resolves with the entries that reached the backend
+ */
+export const flushOutbox = () => {
+  if (!inflight) {
+    setState({ isFlushing: true });
+    const request = sendDueEntries().finally(() => {
+      if (inflight === request) inflight = null;
+      setState({ isFlushing: false });
+      scheduleFlush();
+    });
+    inflight = request;
+  }
+  return inflight;
+};
+
+/**
+ * Keep a lead whose first attempt failed and send it again once it can
+ * The lead's clientId (assigned here if missing) makes the later attempts safe to repeat
+ */
+export const queueLead = (lead, { ownerId, lastError = null } = {}) => {
+  const clientId = lead.clientId || newClientId();
+  const now = Date.now();
+  const entry = {
+    clientId,
+    ownerId: ownerId ?? currentUserId(),
+    lead: { ...lead, clientId },
+    createdAt: now,
+    attempts: 1,
+    nextAttemptAt: now + backoffDelay(1),
+    lastError,
+    failed: false
+  };
+  setState({ entries: [...state.entries.filter(e => e.clientId !== clientId), entry] });
+  persist(store => store.put(entry));
+  scheduleFlush();
+  return entry;
+};
+
+/**
+ * Try a failed or waiting entry again straight away
+ */
+export const retryQueuedLead = (clientId) => {
+  updateEntry(clientId, { failed: false, nextAttemptAt: Date.now() });
+  return flushOutbox();
+};
+
+/**
+ * Give up on a queued lead without sending it
+ */
+export const discardQueuedLead = (clientId) => {
+  removeEntry(clientId);
+  scheduleFlush();
+};
+
+/**
+ * How many of a user's queued leads haven't reached the backend yet
+ */
+export const countUnsentLeads = async (ownerId) => {
+  await hydrate();
+  return state.entries.filter(entry => entry.ownerId === ownerId && entry.sentAs === undefined).length;
+};
+
+/**
+ * Drop everything a user queued, for when they sign out on purpose
+ * An expired session keeps them instead, to be sent after the same user signs back in
+ */
+export const discardOutboxOf = async (ownerId) => {
+  await hydrate();
+  const theirs = state.entries.filter(entry => entry.ownerId === ownerId);
+  if (theirs.length === 0) return;
+
+  setState({ entries: state.entries.filter(entry => entry.ownerId !== ownerId) });
+  persist(store => theirs.forEach(entry => store.delete(entry.clientId)));
+  scheduleFlush();
+};
+
+export const subscribeOutbox = (listener) => {
+  hydrate();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const getOutboxState = () => state;
+
+/**
+ * Subscribe to queued leads reaching the backend, returns an unsubscribe function
+ */
+export const onOutboxSynced = (listener) => {
+  syncedListeners.add(listener);
+  return () => syncedListeners.delete(listener);
+};
+
+/**
+ * Load the persisted outbox and retry it when the browser comes back online
+ * Safe to call more than once
+ */
+export const startOutbox = () => {
+  if (started) return;
+  started = true;
+  window.addEventListener('online', () => {
+    // Coming back online is reason enough to skip the rest of the backoff
+    state.entries
+      .filter(entry => !entry.failed && entry.nextAttemptAt > Date.now())
+      .forEach(entry => updateEntry(entry.clientId, { nextAttemptAt: Date.now() }));
+    flushOutbox().catch(error => console.error('Error flushing lead outbox:', error));
+  });
+  flushOutbox().catch(error => console.error('Error flushing lead outbox:', error));
+};
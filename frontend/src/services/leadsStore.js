@@ -0,0 +1,139 @@
+import { syncLeads, fetchPublicDirectory } from './googleSheetsApi';
+import { withCacheStore, PAYLOADS_STORE } from './cacheDatabase';
+
+/**
+ * Run one request against the payloads store
+ * The cache is only a speed-up, so a browser without IndexedDB (or in private mode) just goes without
+ */
+const withPayloads = async (mode, run) => {
+  try {
+    return await withCacheStore(PAYLOADS_STORE, mode, run);
+  } catch (error) {
+    console.warn('Lead cache unavailable:', error);
+    return undefined;
+  }
+};
+
+/**
+ * A fetcher's last good result, kept in memory for every page and in IndexedDB across reloads
+ * Stale-while-revalidate: subscribers get the cached payload straight away while revalidate()
+ * fetches a fresh one; concurrent revalidations share a single request
+ *
+ * The fetcher gets the current { data, cursor } and resolves with the next { data, cursor },
+ * so it can ask the backend for only what changed since the cursor
+ *
+ * State: { data, cursor, syncedAt, isHydrating, isValidating, error }
+ *   data        - last good payload, or null before the first one
+ *   cursor      - the fetcher's note of where data was synced up to, if it keeps one
+ *   syncedAt    - when data came from the backend (ms)
+ *   isHydrating - still reading the persisted copy
+ *   error       - the last revalidation's failure, cleared by the next success
+ */
+const createCachedStore = (key, fetcher) => {
+  let state = { data: null, cursor: null, syncedAt: null, isHydrating: true, isValidating: false, error: null };
+  let inflight = null;
+  let hydration = null;
+  // Bumped by clear() so a request from before it can't write its result back
+  let generation = 0;
+  const listeners = new Set();
+
+  const setState = (changes) => {
+    state = { ...state, ...changes };
+    listeners.forEach(listener => listener());
+  };
+
+  const persist = () => {
+    withPayloads('readwrite', store => store.put({ key, data: state.data, cursor: state.cursor, syncedAt: state.syncedAt }));
+  };
+
+  const hydrate = () => {
+    if (!hydration) {
+      const startedIn = generation;
+      hydration = withPayloads('readonly', store => store.get(key)).then(record => {
+        if (startedIn !== generation) return;
+        // A fetch that finished first is newer than anything on disk
+        if (record && state.data === null) {
+          setState({ data: record.data, cursor: record.cursor ?? null, syncedAt: record.syncedAt });
+        }
+        setState({ isHydrating: false });
+      });
+    }
+    return hydration;
+  };
+
+  const subscribe = (listener) => {
+    hydrate();
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const getState = () => state;
+
+  /**
+   * Fetch a fresh payload; joins the request already in flight, if any
+   * Resolves with the new data, rejects with the fetch error (also kept in state.error)
+   */
+  const revalidate = () => {
+    if (!inflight) {
+      const startedIn = generation;
+      setState({ isValidating: true });
+      // Wait for the persisted copy so a delta has something to apply to
+      const request = hydrate()
+        .then(() => fetcher({ data: state.data, cursor: state.cursor }))
+        .then(({ data, cursor = null }) => {
+          if (startedIn === generation) {
+            setState({ data, cursor, syncedAt: Date.now(), isValidating: false, error: null });
+            persist();
+          }
+          return data;
+        })
+        .catch(error => {
+          if (startedIn === generation) {
+            setState({ isValidating: false, error });
+          }
+          throw error;
+        })
+        .finally(() => {
+          if (inflight === request) inflight = null;
+        });
+      inflight = request;
+    }
+    return inflight;
+  };
+
+  /**
+   * Apply a local change (an optimistic edit) to the cached payload
+   */
+  const mutate = (updater) => {
+    if (state.data === null) return;
+    setState({ data: updater(state.data) });
+    persist();
+  };
+
+  const clear = () => {
+    generation++;
+    inflight = null;
+    hydration = Promise.resolve();
+    setState({ data: null, cursor: null, syncedAt: null, isHydrating: false, isValidating: false, error: null });
+    return withPayloads('readwrite', store => store.delete(key));
+  };
+
+  return { subscribe, getState, revalidate, mutate, clear };
+};
+
+// Every lead the signed-in user's session can read (normalized and sorted, as fetchLeads returns them)
+// Refreshed by delta: only what changed since the cursor is downloaded and merged in
+export const leadsStore = createCachedStore('leads', async ({ data, cursor }) => {
+  const { leads, cursor: nextCursor } = await syncLeads(data, cursor);
+  return { data: leads, cursor: nextCursor };
+});
+
+// { settings, leads } for the public directory; safe to keep across sign-ins
+export const publicDirectoryStore = createCachedStore('publicDirectory', async () => ({
+  data: await fetchPublicDirectory()
+}));
+
+/**
+ * Forget the signed-in leads, so the next person on this browser never sees them
+ */
+export const clearLeadsCache = () => leadsStore.clear();
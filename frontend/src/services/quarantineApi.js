@@ -0,0 +1,46 @@
+import { getStorageAdapter } from './storage';
+
+/**
+ * Public enquiries held back by spam screening, newest first (admins only)
+ */
+export const fetchQuarantine = async () => {
+  try {
+    const entries = await getStorageAdapter().listQuarantine();
+    return entries.map(entry => ({
+      id: String(entry.id),
+      receivedAt: entry.receivedAt || '',
+      reason: entry.reason || '',
+      name: entry.name || '',
+      projectName: entry.projectName || '',
+      phoneNumber: entry.phoneNumber ? String(entry.phoneNumber) : '',
+      preferredTime: entry.preferredTime || ''
+    }));
+  } catch (error) {
+    console.error('Error fetching quarantine:', error);
+    throw error;
+  }
+};
+
+/**
+ * Let a quarantined enquiry through as a new, round-robin assigned lead
+ */
+export const releaseQuarantined = async (id) => {
+  try {
+    return await getStorageAdapter().releaseQuarantined(id);
+  } catch (error) {
+    console.error('Error releasing enquiry:', error);
+    throw error;
+  }
+};
+
+/**
+ * Discard a quarantined enquiry for good
+ */
+export const discardQuarantined = async (id) => {
+  try {
+    return await getStorageAdapter().removeQuarantined(id);
+  } catch (error) {
+    console.error('Error discarding enquiry:', error);
+    throw error;
+  }
+};
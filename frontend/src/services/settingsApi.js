@@ -0,0 +1,27 @@
+import { getStorageAdapter } from './storage';
+import { normalizePublicSettings } from '@/lib/publicDirectory';
+
+/**
+ * Fetch the full public directory policy (admins only)
+ */
+export const fetchPublicDirectorySettings = async () => {
+  try {
+    return normalizePublicSettings(await getStorageAdapter().getSettings());
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save changes to the public directory policy, returning the stored result
+ */
+export const savePublicDirectorySettings = async (changes) => {
+  try {
+    const result = await getStorageAdapter().updateSettings(changes);
+    return normalizePublicSettings(result.settings || result);
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    throw error;
+  }
+};
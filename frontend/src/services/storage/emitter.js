@@ -0,0 +1,24 @@
+/**
+ * Minimal change emitter shared by the storage adapters
+ * Listeners receive { type, id, lead } after every successful write
+ */
+export const createEmitter = () => {
+  const listeners = new Set();
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const emit = (event) => {
+    listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (e) {
+        console.error('Lead storage listener failed:', e);
+      }
+    });
+  };
+
+  return { subscribe, emit };
+};
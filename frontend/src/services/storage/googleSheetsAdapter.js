@@ -0,0 +1,361 @@
+import { createEmitter } from './emitter';
+import { getAuthToken, reportUnauthorized } from '../authToken';
+import { HONEYPOT_FIELD } from '@/lib/enquiry';
+
+const GOOGLE_SCRIPT_URL = process.env.REACT_APP_GOOGLE_SCRIPT_URL;
+
+/**
+ * Map app field names to the query params the Apps Script expects
+ * Undefined fields are dropped so partial updates only touch what changed
+ */
+const toSheetParams = (lead) => {
+  return definedParams({
+    name: lead.name,
+    project: lead.projectName,
+    phone: lead.phoneNumber,
+    date: lead.date,  // Date only: DD/MM/YYYY
+    time: lead.time,  // Time only: HH:MM:SS
+    status: lead.status,
+    followUpDate: lead.followUpDate,  // Date only: DD/MM/YYYY
+    followUpTime: lead.followUpTime,  // Time only: HH:MM
+    assignedTo: lead.assignedTo,      // User id, or "auto" for round-robin on create
+    preferredTime: lead.preferredTime, // Callback slot from the enquiry form
+    clientId: lead.clientId           // Idempotency key, so a retried create isn't added twice
+  });
+};
+
+/**
+ * Drop undefined values so they don't turn into "undefined" query params
+ */
+const definedParams = (params) => {
+  return Object.fromEntries(
+    Object.entries(params).filter(([, value]) => value !== undefined)
+  );
+};
+
+/**
+ * GET a public action and return the raw response text
+ * Never sends the session token: query strings end up in browser history and server logs,
+ * so signed-in reads go through postJson
+ */
+const request = async (action, params = {}) => {
+  const query = new URLSearchParams({ action, ...params });
+
+  const response = await fetch(`${GOOGLE_SCRIPT_URL}?${query.toString()}`, {
+    method: 'GET',
+    redirect: 'follow',
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  return response.text();
+};
+
+/**
+ * Form-POST an action so its params stay out of the URL (and server logs)
+ * Form bodies are a CORS "simple request" and show up in the script's e.parameter
+ */
+const postForm = async (action, params = {}) => {
+  const token = getAuthToken();
+  const response = await fetch(GOOGLE_SCRIPT_URL, {
+    method: 'POST',
+    redirect: 'follow',
+    body: new URLSearchParams({ action, ...params, ...(token ? { token } : {}) }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  return response.text();
+};
+
+/**
+ * POST an action as a JSON body, keeping lead details out of URLs, history and logs
+ * Sent as text/plain so it stays a CORS "simple request": the script can't answer
+ * a preflight. It reads the body from e.postData.contents; the 302 it answers with
+ * is followed as a GET to the script's output.
+ */
+const postJson = async (action, payload = {}) => {
+  const token = getAuthToken();
+  const response = await fetch(GOOGLE_SCRIPT_URL, {
+    method: 'POST',
+    redirect: 'follow',
+    headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+    body: JSON.stringify({ action, ...payload, ...(token ? { token } : {}) }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  return response.text();
+};
+
+/**
+ * Write actions may answer with plain text, so a non-JSON body counts as success
+ */
+const parseWriteResponse = (text) => {
+  let data;
+
+  try {
+    data = JSON.parse(text);
+  } catch (parseError) {
+    return { success: true };
+  }
+
+  if (data && data.unauthorized) {
+    throw reportUnauthorized();
+  }
+  if (data && data.error) {
+    throw new Error(data.error);
+  }
+  return data;
+};
+
+/**
+ * Read actions must answer with JSON; rows may come bare or wrapped
+ * in a { <key>: [...] } or { data: [...] } envelope
+ */
+const parseListResponse = (text, key) => {
+  let data;
+
+  try {
+    data = JSON.parse(text);
+  } catch (parseError) {
+    console.error('Failed to parse response:', text);
+    throw new Error('Invalid JSON response');
+  }
+
+  if (data && data.unauthorized) {
+    throw reportUnauthorized();
+  }
+
+  // Handle different response formats
+  if (Array.isArray(data)) {
+    return data;
+  } else if (data[key] && Array.isArray(data[key])) {
+    return data[key];
+  } else if (data.data && Array.isArray(data.data)) {
+    return data.data;
+  } else if (data.error) {
+    throw new Error(data.error);
+  }
+  return [];
+};
+
+/**
+ * Lead storage backed by a Google Apps Script web app (the original backend)
+ */
+export const createGoogleSheetsAdapter = () => {
+  const emitter = createEmitter();
+
+  const list = async () => {
+    return parseListResponse(await postJson('getLeads'), 'leads');
+  };
+
+  // Rows changed since cursor.revision; null from a script deployed before getLeadsSince existed
+  const listSince = async ({ lineage, revision } = {}) => {
+    let data;
+    try {
+      data = parseWriteResponse(await postJson('getLeadsSince', definedParams({
+        lineage,
+        since: revision === undefined ? undefined : String(revision)
+      })));
+    } catch (error) {
+      if (/Unknown action/.test(error.message)) return null;
+      throw error;
+    }
+    if (!data || !data.lineage) return null;
+    return {
+      full: Boolean(data.full),
+      lineage: String(data.lineage),
+      revision: Number(data.revision),
+      leads: data.leads || [],
+      deleted: data.deleted || []
+    };
+  };
+
+  // Filtered, sorted and paged by the script; POSTed since searches carry names and numbers
+  // Null from a script deployed before getLeadsPage existed
+  const listPage = async (query) => {
+    let data;
+    try {
+      data = parseWriteResponse(await postJson('getLeadsPage', definedParams(query)));
+    } catch (error) {
+      if (/Unknown action/.test(error.message)) return null;
+      throw error;
+    }
+    if (!data || !Array.isArray(data.leads)) return null;
+    return data;
+  };
+
+  // Redacted by the script, safe for the public directory
+  const listPublic = async () => {
+    return parseListResponse(await request('getPublicLeads'), 'leads');
+  };
+
+  const create = async (lead) => {
+    const result = parseWriteResponse(await postJson('addLead', toSheetParams(lead)));
+    emitter.emit({ type: 'created', id: result.id, lead });
+    return result;
+  };
+
+  // One round trip for many leads; each gets its own result, so one bad row fails alone
+  const createMany = async (leads) => {
+    const { results = [] } = parseWriteResponse(await postJson('addLeads', { leads: leads.map(toSheetParams) }));
+    results.forEach((result, i) => {
+      if (result.success) emitter.emit({ type: 'created', id: result.id, lead: leads[i] });
+    });
+    return results;
+  };
+
+  const getEnquiryChallenge = async () => {
+    return parseWriteResponse(await request('getEnquiryChallenge'));
+  };
+
+  // Public capture form; POSTed so the enquirer's details stay out of URLs
+  const submitEnquiry = async (enquiry) => {
+    const result = parseWriteResponse(await postForm('submitEnquiry', {
+      ...toSheetParams(enquiry),
+      ...definedParams({
+        consent: String(enquiry.consent),
+        challenge: enquiry.challenge,
+        solution: enquiry.solution,
+        [HONEYPOT_FIELD]: enquiry[HONEYPOT_FIELD]
+      })
+    }));
+    emitter.emit({ type: 'created', lead: enquiry });
+    return result;
+  };
+
+  const update = async (id, changes) => {
+    const result = parseWriteResponse(await postJson('updateLead', { id, ...toSheetParams(changes) }));
+    emitter.emit({ type: 'updated', id, lead: changes });
+    return result;
+  };
+
+  const remove = async (id) => {
+    const result = parseWriteResponse(await postJson('deleteLead', { id }));
+    emitter.emit({ type: 'deleted', id });
+    return result;
+  };
+
+  // The script moves the duplicates' activities over before deleting them
+  const merge = async (id, duplicateIds) => {
+    const result = parseWriteResponse(await postJson('mergeLeads', { id, duplicateIds: duplicateIds.join(',') }));
+    emitter.emit({ type: 'merged', id, duplicateIds });
+    return result;
+  };
+
+  const backfillIds = async () => {
+    const result = parseWriteResponse(await postJson('backfillIds'));
+    emitter.emit({ type: 'backfilled' });
+    return result;
+  };
+
+  // Activities live on a second sheet tab, linked by leadId
+  const listActivities = async (leadId) => {
+    return parseListResponse(await postJson('getActivities', { leadId }), 'activities');
+  };
+
+  const addActivity = async (leadId, activity) => {
+    const result = parseWriteResponse(await postJson('addActivity', definedParams({
+      leadId,
+      type: activity.type,
+      author: activity.author,
+      text: activity.text,
+      outcome: activity.outcome,
+      duration: activity.duration,
+      followUp: activity.followUp
+    })));
+    emitter.emit({ type: 'activity', id: leadId });
+    return result;
+  };
+
+  // Users live on their own sheet tab; passwords only travel in POST bodies
+  const login = async (username, password) => {
+    return parseWriteResponse(await postForm('login', { username, password }));
+  };
+
+  const listUsers = async () => {
+    return parseListResponse(await postJson('getUsers'), 'users');
+  };
+
+  const createUser = async (user) => {
+    return parseWriteResponse(await postForm('addUser', definedParams({
+      name: user.name,
+      username: user.username,
+      role: user.role,
+      password: user.password
+    })));
+  };
+
+  const updateUser = async (id, changes) => {
+    return parseWriteResponse(await postForm('updateUser', definedParams({
+      id,
+      name: changes.name,
+      role: changes.role,
+      active: changes.active === undefined ? undefined : String(changes.active),
+      password: changes.password
+    })));
+  };
+
+  // Enquiries the script held back as likely spam, on their own sheet tab
+  const listQuarantine = async () => {
+    return parseListResponse(await postJson('getQuarantine'), 'quarantine');
+  };
+
+  const releaseQuarantined = async (id) => {
+    const result = parseWriteResponse(await postJson('releaseQuarantined', { id }));
+    emitter.emit({ type: 'created', id: result.id });
+    return result;
+  };
+
+  const removeQuarantined = async (id) => {
+    return parseWriteResponse(await postJson('deleteQuarantined', { id }));
+  };
+
+  // Public directory policy; the public half is what the directory page may see
+  const getPublicSettings = async () => {
+    return parseWriteResponse(await request('getPublicSettings')).settings || {};
+  };
+
+  const getSettings = async () => {
+    return parseWriteResponse(await postJson('getSettings')).settings || {};
+  };
+
+  const updateSettings = async (changes) => {
+    return parseWriteResponse(await postForm('updateSettings', { settings: JSON.stringify(changes) }));
+  };
+
+  return {
+    list,
+    listSince,
+    listPage,
+    listPublic,
+    create,
+    createMany,
+    getEnquiryChallenge,
+    submitEnquiry,
+    listQuarantine,
+    releaseQuarantined,
+    removeQuarantined,
+    update,
+    remove,
+    merge,
+    backfillIds,
+    listActivities,
+    addActivity,
+    login,
+    listUsers,
+    createUser,
+    updateUser,
+    getPublicSettings,
+    getSettings,
+    updateSettings,
+    subscribe: emitter.subscribe
+  };
+};
@@ -0,0 +1,61 @@
+import { createGoogleSheetsAdapter } from '@/services/storage/googleSheetsAdapter';
+import { setAuthToken, clearAuthToken } from '@/services/authToken';
+
+const respond = (body) => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    status: 200,
+    text: () => Promise.resolve(JSON.stringify(body))
+  });
+};
+
+const sent = () => {
+  const [url, init] = global.fetch.mock.calls[0];
+  return { url, method: init.method, body: init.body ? JSON.parse(init.body) : null };
+};
+
+beforeEach(() => {
+  setAuthToken('session-token');
+});
+
+afterEach(() => {
+  clearAuthToken();
+  delete global.fetch;
+});
+
+describe('signed-in reads', () => {
+  it.each([
+    ['list', [], 'getLeads'],
+    ['listUsers', [], 'getUsers'],
+    ['listActivities', ['lead-1'], 'getActivities'],
+    ['listQuarantine', [], 'getQuarantine'],
+    ['getSettings', [], 'getSettings']
+  ])('%s POSTs the token in the body', async (method, args, action) => {
+    respond([]);
+    await createGoogleSheetsAdapter()[method](...args);
+
+    const { url, method: httpMethod, body } = sent();
+    expect(httpMethod).toBe('POST');
+    expect(url).not.toMatch(/token|action/);
+    expect(body).toMatchObject({ action, token: 'session-token' });
+  });
+
+  it('POSTs the listSince cursor', async () => {
+    respond({ full: false, lineage: 'l-1', revision: 3 });
+    await createGoogleSheetsAdapter().listSince({ lineage: 'l-1', revision: 2 });
+
+    expect(sent().body).toMatchObject({ action: 'getLeadsSince', lineage: 'l-1', since: '2', token: 'session-token' });
+  });
+});
+
+describe('public reads', () => {
+  it('GETs without the token', async () => {
+    respond({ settings: {} });
+    await createGoogleSheetsAdapter().getPublicSettings();
+
+    const { url, method } = sent();
+    expect(method).toBe('GET');
+    expect(url).toMatch(/action=getPublicSettings/);
+    expect(url).not.toMatch(/token/);
+  });
+});
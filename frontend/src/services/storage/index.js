@@ -0,0 +1,68 @@
+import { createGoogleSheetsAdapter } from './googleSheetsAdapter';
+import { createRestAdapter } from './restAdapter';
+import { createIndexedDbAdapter } from './indexedDbAdapter';
+
+/**
+ * Every adapter exposes the same async interface:
+ *   list()               -> raw lead records
+ *   listSince(cursor)    -> { full, lineage, revision, leads, deleted }  optional; raw records changed and
+ *                           ids deleted since cursor { lineage, revision }, or every record (full) when the
+ *                           backend can't catch that cursor up; null when the backend can't do deltas
+ *   listPage(query)      -> { leads, total, page, pageSize, projects? }  optional; one page of the raw
+ *                           records the session may see, for { page, pageSize, sort: 'date'|'name'|'project',
+ *                           order: 'asc'|'desc', q, phone, projects, from, to (yyyy-MM-dd), timeOfDay },
+ *                           plus every project across those records; null when the backend can't page
+ *   listPublic()         -> redacted records for the public directory
+ *                           (name, projectName, masked phoneNumber, phoneHidden, date, time)
+ *   create(lead)         -> { success, id? }  a lead.clientId makes a repeated create return the first one
+ *   createMany(leads)    -> [{ success, id?, assignedTo? } | { success: false, error }]  one per lead, in order
+ *   getEnquiryChallenge() -> { challenge, difficulty }  proof of work for the enquiry form
+ *   submitEnquiry(e)     -> { success }  public lead capture; needs e.consent and a solved challenge,
+ *                           blocked enquiries are quarantined but still report success
+ *   listQuarantine()     -> [{ id, receivedAt, reason, name, projectName, phoneNumber, ... }]
+ *   releaseQuarantined(id) -> { success, id }  turns a quarantined enquiry into a lead
+ *   removeQuarantined(id) -> { success }
+ *   update(id, changes)  -> { success }
+ *   remove(id)           -> { success }
+ *   merge(id, dupIds)    -> { success, id, projectInterests }  folds duplicates into lead `id`,
+ *                           moving their activities over and deleting them
+ *   backfillIds()        -> { success, updated }
+ *   listActivities(id)   -> raw activity records for one lead
+ *   addActivity(id, a)   -> { success, activity }
+ *   login(username, pw)  -> { success, token, expiresAt, user }
+ *   listUsers()          -> raw user records (no passwords)
+ *   createUser(user)     -> { success, user }  (user includes a password)
+ *   updateUser(id, c)    -> { success, user }  (c.password resets it)
+ *   getPublicSettings()  -> public directory layout (enabled, columns, headline, description)
+ *   getSettings()        -> full public directory policy (see lib/publicDirectory)
+ *   updateSettings(c)    -> { success, settings }
+ *   subscribe(listener)  -> unsubscribe function
+ *
+ * Remote adapters send the session token from authToken with every signed-in call
+ * and report a rejected token through reportUnauthorized; their backends must enforce roles
+ * themselves (agents only get and change their own leads), the app's role checks are cosmetic
+ */
+const ADAPTERS = {
+  sheets: createGoogleSheetsAdapter,
+  rest: createRestAdapter,
+  indexeddb: createIndexedDbAdapter,
+};
+
+// Picked at build time: REACT_APP_LEAD_STORAGE=sheets | rest | indexeddb
+const LEAD_STORAGE = process.env.REACT_APP_LEAD_STORAGE || 'sheets';
+
+let adapter = null;
+
+/**
+ * Get the configured storage adapter (created once, shared by every page)
+ */
+export const getStorageAdapter = () => {
+  if (!adapter) {
+    const createAdapter = ADAPTERS[LEAD_STORAGE];
+    if (!createAdapter) {
+      throw new Error(`Unknown lead storage backend: ${LEAD_STORAGE}`);
+    }
+    adapter = createAdapter();
+  }
+  return adapter;
+};
@@ -0,0 +1,447 @@
+import { createEmitter } from './emitter';
+import { maskPhone } from '@/lib/phone';
+import { normalizePublicSettings, isPubliclyListed, isPhoneHidden, pickPublicColumns } from '@/lib/publicDirectory';
+import { HONEYPOT_FIELD, hashChallenge, leadingZeroBits } from '@/lib/enquiry';
+import { mergeProjectInterests } from '@/lib/duplicates';
+
+const DB_NAME = 'propz-crm';
+const DB_VERSION = 5;
+const LEADS_STORE = 'leads';
+const ACTIVITIES_STORE = 'activities';
+const USERS_STORE = 'users';
+const SETTINGS_STORE = 'settings';
+const QUARANTINE_STORE = 'quarantine';
+const PUBLIC_SETTINGS_KEY = 'publicDirectory';
+const CHANNEL_NAME = 'propz-crm-leads';
+
+// Fields whose changes are logged as "edit" activities
+const EDIT_TRACKED_FIELDS = ['name', 'projectName', 'phoneNumber', 'date', 'time', 'followUpDate', 'followUpTime', 'assignedTo'];
+
+// Filled in on the kept lead from a duplicate when the kept lead has them blank
+const MERGE_FILL_FIELDS = [...EDIT_TRACKED_FIELDS, 'status', 'source', 'preferredTime', 'consentAt'];
+
+// Seeded into an empty users store so there is always someone who can sign in
+// It has no password until the first sign-in sets one
+const DEFAULT_ADMIN = { name: 'Admin', username: 'admin', role: 'admin', active: true };
+
+const TOKEN_TTL_MS = 8 * 60 * 60 * 1000;
+
+// Enquiry screening, as the Apps Script does it minus the per-IP limit (the browser has no IPs)
+const CHALLENGE_DIFFICULTY = 12;
+const MIN_FILL_MS = 3000;
+const PHONE_LIMIT = { limit: 3, windowMs: 24 * 60 * 60 * 1000 };
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(LEADS_STORE)) {
+      db.createObjectStore(LEADS_STORE, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(ACTIVITIES_STORE)) {
+      const activities = db.createObjectStore(ACTIVITIES_STORE, { keyPath: 'id' });
+      activities.createIndex('leadId', 'leadId');
+    }
+    if (!db.objectStoreNames.contains(USERS_STORE)) {
+      db.createObjectStore(USERS_STORE, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+      db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+    }
+    if (!db.objectStoreNames.contains(QUARANTINE_STORE)) {
+      db.createObjectStore(QUARANTINE_STORE, { keyPath: 'id' });
+    }
+  };
+  return promisify(request);
+};
+
+const generateId = () => {
+  if (window.crypto && window.crypto.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `lead-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Salted SHA-256 of a password, hex encoded
+ */
+const hashPassword = async (password, salt) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${password}`));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const withPasswordHash = async (user, password) => {
+  const salt = generateId();
+  return { ...user, passwordSalt: salt, passwordHash: await hashPassword(password, salt) };
+};
+
+// Strip password fields before handing a user record out
+const publicUser = ({ passwordHash, passwordSalt, ...user }) => user;
+
+/**
+ * Lead storage kept entirely in the browser (IndexedDB)
+ * There is no server here to verify sessions, so tokens are issued unsigned
+ * and only their expiry is enforced (by the app)
+ * Writes are broadcast to other tabs so every open page stays in sync
+ */
+export const createIndexedDbAdapter = () => {
+  const emitter = createEmitter();
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+  // Challenges handed out by this tab and not yet redeemed, challenge -> issued at
+  const openChallenges = new Map();
+  let dbPromise = null;
+
+  if (channel) {
+    channel.onmessage = (event) => emitter.emit(event.data);
+  }
+
+  const withStore = async (storeName, mode, callback) => {
+    if (!dbPromise) {
+      dbPromise = openDatabase();
+    }
+    const db = await dbPromise;
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    return promisify(callback(store));
+  };
+
+  const notify = (event) => {
+    emitter.emit(event);
+    if (channel) {
+      channel.postMessage(event);
+    }
+  };
+
+  const logActivity = async (activity) => {
+    const record = { id: generateId(), timestamp: new Date().toISOString(), author: '', ...activity };
+    await withStore(ACTIVITIES_STORE, 'readwrite', (store) => store.add(record));
+    return record;
+  };
+
+  // Same activity rows the Apps Script writes: "status" for stage moves, "edit" for the rest
+  const logChanges = async (before, after) => {
+    if ((before.status || '') !== (after.status || '')) {
+      await logActivity({ leadId: after.id, type: 'status', from: before.status || '', to: after.status || '' });
+    }
+
+    const changed = EDIT_TRACKED_FIELDS.filter(field => (before[field] ?? '') !== (after[field] ?? ''));
+    if (changed.length > 0) {
+      await logActivity({ leadId: after.id, type: 'edit', fields: changed.join(',') });
+    }
+  };
+
+  const list = () => withStore(LEADS_STORE, 'readonly', (store) => store.getAll());
+
+  const getSettings = async () => {
+    const record = await withStore(SETTINGS_STORE, 'readonly', (store) => store.get(PUBLIC_SETTINGS_KEY));
+    return normalizePublicSettings(record ? record.value : undefined);
+  };
+
+  const getPublicSettings = async () => {
+    const { enabled, columns, headline, description } = await getSettings();
+    return { enabled, columns, headline, description };
+  };
+
+  const updateSettings = async (changes) => {
+    const value = normalizePublicSettings({ ...(await getSettings()), ...changes });
+    await withStore(SETTINGS_STORE, 'readwrite', (store) => store.put({ key: PUBLIC_SETTINGS_KEY, value }));
+    return { success: true, settings: value };
+  };
+
+  // Same filtering and redaction the Apps Script applies
+  const listPublic = async () => {
+    const settings = await getSettings();
+    if (!settings.enabled) return [];
+
+    return (await list())
+      .filter(lead => isPubliclyListed(lead, settings))
+      .map(lead => {
+        const phoneHidden = isPhoneHidden(lead.projectName, settings);
+        return pickPublicColumns({
+          name: lead.name,
+          projectName: lead.projectName,
+          phoneNumber: phoneHidden ? '' : maskPhone(lead.phoneNumber),
+          phoneHidden,
+          date: lead.date,
+          time: lead.time
+        }, settings);
+      });
+  };
+
+  const readUsers = async () => {
+    const users = await withStore(USERS_STORE, 'readonly', (store) => store.getAll());
+    if (users.length > 0) {
+      return users;
+    }
+
+    const admin = { ...DEFAULT_ADMIN, id: generateId() };
+    await withStore(USERS_STORE, 'readwrite', (store) => store.add(admin));
+    return [admin];
+  };
+
+  // Round-robin: the active agent after whoever got the most recent lead
+  const nextRoundRobinAgent = async () => {
+    const agents = (await readUsers()).filter(user => user.role === 'agent' && user.active !== false);
+    if (agents.length === 0) return '';
+
+    const leads = (await list()).sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+    for (let i = leads.length - 1; i >= 0; i--) {
+      const index = agents.findIndex(agent => agent.id === leads[i].assignedTo);
+      if (index !== -1) return agents[(index + 1) % agents.length].id;
+    }
+    return agents[0].id;
+  };
+
+  const create = async (lead) => {
+    // A retried creation from the offline outbox; the first attempt may have landed
+    if (lead.clientId) {
+      const leads = await withStore(LEADS_STORE, 'readonly', (store) => store.getAll());
+      const existing = leads.find(l => l.clientId === lead.clientId);
+      if (existing) {
+        return { success: true, id: existing.id, assignedTo: existing.assignedTo };
+      }
+    }
+    const record = { ...lead, id: generateId(), createdAt: new Date().toISOString() };
+    if (record.assignedTo === 'auto') {
+      record.assignedTo = await nextRoundRobinAgent();
+    }
+    await withStore(LEADS_STORE, 'readwrite', (store) => store.add(record));
+    await logActivity({ leadId: record.id, type: 'created' });
+    notify({ type: 'created', id: record.id, lead: record });
+    return { success: true, id: record.id, assignedTo: record.assignedTo };
+  };
+
+  // No round trips to save locally; one at a time keeps the round-robin in order
+  const createMany = async (leads) => {
+    const results = [];
+    for (const lead of leads) {
+      try {
+        results.push(await create(lead));
+      } catch (error) {
+        results.push({ success: false, error: error.message });
+      }
+    }
+    return results;
+  };
+
+  const getEnquiryChallenge = async () => {
+    const challenge = generateId();
+    openChallenges.set(challenge, Date.now());
+    return { challenge, difficulty: CHALLENGE_DIFFICULTY };
+  };
+
+  const listQuarantine = async () => {
+    const records = await withStore(QUARANTINE_STORE, 'readonly', (store) => store.getAll());
+    return records.sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+  };
+
+  // Leads and quarantined enquiries for this phone number within the limit's window
+  const countRecentForPhone = async (phoneNumber) => {
+    const digits = String(phoneNumber).replace(/\D/g, '');
+    const since = new Date(Date.now() - PHONE_LIMIT.windowMs).toISOString();
+    const records = [
+      ...(await list()).map(lead => ({ phoneNumber: lead.phoneNumber, at: lead.consentAt })),
+      ...(await listQuarantine()).map(entry => ({ phoneNumber: entry.phoneNumber, at: entry.receivedAt }))
+    ];
+    return records.filter(record => record.at >= since && String(record.phoneNumber).replace(/\D/g, '') === digits).length;
+  };
+
+  // Why an enquiry should be quarantined, or null when it looks genuine
+  const screenEnquiry = async (enquiry) => {
+    if (enquiry[HONEYPOT_FIELD]) return 'honeypot';
+
+    const issuedAt = openChallenges.get(enquiry.challenge);
+    openChallenges.delete(enquiry.challenge);
+    if (!issuedAt || leadingZeroBits(await hashChallenge(enquiry.challenge, enquiry.solution)) < CHALLENGE_DIFFICULTY) {
+      return 'challenge';
+    }
+    if (Date.now() - issuedAt < MIN_FILL_MS) return 'too-fast';
+
+    if (await countRecentForPhone(enquiry.phoneNumber) >= PHONE_LIMIT.limit) return 'phone-rate-limit';
+    return null;
+  };
+
+  const submitEnquiry = async ({ consent, challenge, solution, [HONEYPOT_FIELD]: honeypot, ...enquiry }) => {
+    if (!consent) {
+      throw new Error('Consent is required');
+    }
+
+    const consentAt = new Date().toISOString();
+    const reason = await screenEnquiry({ ...enquiry, challenge, solution, [HONEYPOT_FIELD]: honeypot });
+    if (reason) {
+      const entry = { ...enquiry, consentAt, id: generateId(), receivedAt: consentAt, reason };
+      await withStore(QUARANTINE_STORE, 'readwrite', (store) => store.add(entry));
+      return { success: true };
+    }
+
+    await create({ ...enquiry, source: 'enquiry', consentAt, assignedTo: 'auto' });
+    return { success: true };
+  };
+
+  const releaseQuarantined = async (id) => {
+    const entry = await withStore(QUARANTINE_STORE, 'readonly', (store) => store.get(id));
+    if (!entry) {
+      throw new Error(`Quarantined enquiry not found: ${id}`);
+    }
+    const { id: entryId, receivedAt, reason, ...enquiry } = entry;
+    const result = await create({ ...enquiry, source: 'enquiry', assignedTo: 'auto' });
+    await withStore(QUARANTINE_STORE, 'readwrite', (store) => store.delete(id));
+    return result;
+  };
+
+  const removeQuarantined = async (id) => {
+    await withStore(QUARANTINE_STORE, 'readwrite', (store) => store.delete(id));
+    return { success: true };
+  };
+
+  const update = async (id, changes) => {
+    const existing = await withStore(LEADS_STORE, 'readonly', (store) => store.get(id));
+    if (!existing) {
+      throw new Error(`Lead not found: ${id}`);
+    }
+    const record = { ...existing, ...changes, id };
+    await withStore(LEADS_STORE, 'readwrite', (store) => store.put(record));
+    await logChanges(existing, record);
+    notify({ type: 'updated', id, lead: record });
+    return { success: true };
+  };
+
+  const remove = async (id) => {
+    await withStore(LEADS_STORE, 'readwrite', (store) => store.delete(id));
+    notify({ type: 'deleted', id });
+    return { success: true };
+  };
+
+  const merge = async (id, duplicateIds) => {
+    const kept = await withStore(LEADS_STORE, 'readonly', (store) => store.get(id));
+    const duplicates = await Promise.all(
+      duplicateIds.map(duplicateId => withStore(LEADS_STORE, 'readonly', (store) => store.get(duplicateId)))
+    );
+    if (!kept || duplicates.some(duplicate => !duplicate)) {
+      throw new Error('Lead not found');
+    }
+
+    const record = { ...kept, projectInterests: mergeProjectInterests([kept, ...duplicates]) };
+    MERGE_FILL_FIELDS.forEach(field => {
+      const donor = duplicates.find(duplicate => (duplicate[field] ?? '') !== '');
+      if ((record[field] ?? '') === '' && donor) {
+        record[field] = donor[field];
+      }
+    });
+    await withStore(LEADS_STORE, 'readwrite', (store) => store.put(record));
+
+    for (const duplicate of duplicates) {
+      const moved = await listActivities(duplicate.id);
+      for (const activity of moved) {
+        await withStore(ACTIVITIES_STORE, 'readwrite', (store) => store.put({ ...activity, leadId: id }));
+      }
+      await withStore(LEADS_STORE, 'readwrite', (store) => store.delete(duplicate.id));
+    }
+
+    await logActivity({
+      leadId: id,
+      type: 'merged',
+      text: `Merged ${duplicates.map(d => `${d.name || 'Unnamed'} (${d.projectName || 'no project'})`).join(', ')}`,
+      mergedIds: duplicateIds.join(',')
+    });
+    notify({ type: 'merged', id, duplicateIds });
+    return { success: true, id, projectInterests: record.projectInterests };
+  };
+
+  // Records are keyed by id, so there is never anything to backfill
+  const backfillIds = async () => ({ success: true, updated: 0 });
+
+  const listActivities = async (leadId) => {
+    const activities = await withStore(ACTIVITIES_STORE, 'readonly', (store) => store.index('leadId').getAll(leadId));
+    return activities.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  };
+
+  const addActivity = async (leadId, activity) => {
+    const record = await logActivity({ ...activity, leadId });
+    notify({ type: 'activity', id: leadId });
+    return { success: true, activity: record };
+  };
+
+  const login = async (username, password) => {
+    const users = await readUsers();
+    let user = users.find(u => u.username.toLowerCase() === username.toLowerCase());
+    if (!user || user.active === false) {
+      throw new Error('Invalid username or password');
+    }
+
+    if (!user.passwordHash) {
+      user = await withPasswordHash(user, password);
+      await withStore(USERS_STORE, 'readwrite', (store) => store.put(user));
+    } else if (await hashPassword(password, user.passwordSalt) !== user.passwordHash) {
+      throw new Error('Invalid username or password');
+    }
+
+    const expiresAt = Date.now() + TOKEN_TTL_MS;
+    const claims = { sub: user.id, name: user.name, username: user.username, role: user.role, exp: Math.floor(expiresAt / 1000) };
+    return {
+      success: true,
+      token: `${btoa(String.fromCharCode(...new TextEncoder().encode(JSON.stringify(claims))))}.local`,
+      expiresAt: new Date(expiresAt).toISOString(),
+      user: publicUser(user)
+    };
+  };
+
+  const listUsers = async () => (await readUsers()).map(publicUser);
+
+  const createUser = async ({ password, ...user }) => {
+    const users = await readUsers();
+    if (users.some(u => u.username.toLowerCase() === user.username.toLowerCase())) {
+      throw new Error(`Username already taken: ${user.username}`);
+    }
+
+    const record = await withPasswordHash({ role: 'agent', ...user, id: generateId(), active: true }, password);
+    await withStore(USERS_STORE, 'readwrite', (store) => store.add(record));
+    return { success: true, user: publicUser(record) };
+  };
+
+  const updateUser = async (id, { password, ...changes }) => {
+    const existing = await withStore(USERS_STORE, 'readonly', (store) => store.get(id));
+    if (!existing) {
+      throw new Error(`User not found: ${id}`);
+    }
+    let record = { ...existing, ...changes, id };
+    if (password) {
+      record = await withPasswordHash(record, password);
+    }
+    await withStore(USERS_STORE, 'readwrite', (store) => store.put(record));
+    return { success: true, user: publicUser(record) };
+  };
+
+  return {
+    list,
+    listPublic,
+    create,
+    createMany,
+    getEnquiryChallenge,
+    submitEnquiry,
+    listQuarantine,
+    releaseQuarantined,
+    removeQuarantined,
+    update,
+    remove,
+    merge,
+    backfillIds,
+    listActivities,
+    addActivity,
+    login,
+    listUsers,
+    createUser,
+    updateUser,
+    getPublicSettings,
+    getSettings,
+    updateSettings,
+    subscribe: emitter.subscribe
+  };
+};
@@ -0,0 +1,230 @@
+import { createEmitter } from './emitter';
+import { getAuthToken, reportUnauthorized } from '../authToken';
+
+const LEADS_API_URL = process.env.REACT_APP_LEADS_API_URL;
+
+/**
+ * Send a JSON request to the REST backend and return the parsed body
+ * The session token goes in a Bearer Authorization header
+ */
+const request = async (path, { method = 'GET', body } = {}) => {
+  const token = getAuthToken();
+  const headers = {
+    ...(body ? { 'Content-Type': 'application/json' } : {}),
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+  };
+
+  const response = await fetch(`${LEADS_API_URL}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  if (response.status === 401) {
+    throw reportUnauthorized();
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  // 204 No Content on deletes
+  if (response.status === 204) {
+    return { success: true };
+  }
+
+  const data = await response.json();
+  if (data && data.error) {
+    throw new Error(data.error);
+  }
+  return data;
+};
+
+/**
+ * Lead storage backed by a plain REST/JSON service
+ *   GET /leads, GET /leads/changes?since=&lineage=, POST /leads/query, GET /public/leads, POST /leads, POST /leads/batch, PATCH /leads/:id, DELETE /leads/:id,
+ *   GET /public/enquiries/challenge, POST /public/enquiries,
+ *   GET /quarantine, POST /quarantine/:id/release, DELETE /quarantine/:id,
+ *   POST /leads/:id/merge, POST /leads/backfill-ids, GET|POST /leads/:id/activities,
+ *   GET|POST /users, PATCH /users/:id, POST /auth/login,
+ *   GET /public/settings, GET|PATCH /settings
+ */
+export const createRestAdapter = () => {
+  const emitter = createEmitter();
+
+  const list = async () => {
+    const data = await request('/leads');
+    if (Array.isArray(data)) {
+      return data;
+    }
+    return data.leads || data.data || [];
+  };
+
+  // Null when the service has no changes endpoint or answers without a lineage
+  const listSince = async ({ lineage, revision } = {}) => {
+    const query = new URLSearchParams({
+      ...(lineage ? { lineage } : {}),
+      ...(revision !== undefined ? { since: String(revision) } : {})
+    });
+    let data;
+    try {
+      data = await request(`/leads/changes?${query.toString()}`);
+    } catch (error) {
+      if (/status: 404\b/.test(error.message)) return null;
+      throw error;
+    }
+    if (!data || !data.lineage) return null;
+    return {
+      full: Boolean(data.full),
+      lineage: String(data.lineage),
+      revision: Number(data.revision),
+      leads: data.leads || [],
+      deleted: data.deleted || []
+    };
+  };
+
+  // Null when the service has no query endpoint
+  const listPage = async (query) => {
+    try {
+      return await request('/leads/query', { method: 'POST', body: query });
+    } catch (error) {
+      if (/status: 404\b/.test(error.message)) return null;
+      throw error;
+    }
+  };
+
+  const listPublic = async () => {
+    const data = await request('/public/leads');
+    if (Array.isArray(data)) {
+      return data;
+    }
+    return data.leads || data.data || [];
+  };
+
+  const create = async (lead) => {
+    const result = await request('/leads', { method: 'POST', body: lead });
+    emitter.emit({ type: 'created', id: result.id, lead: result });
+    return result;
+  };
+
+  const createMany = async (leads) => {
+    const data = await request('/leads/batch', { method: 'POST', body: { leads } });
+    const results = Array.isArray(data) ? data : data.results || [];
+    results.forEach((result, i) => {
+      if (result.success) emitter.emit({ type: 'created', id: result.id, lead: leads[i] });
+    });
+    return results;
+  };
+
+  const getEnquiryChallenge = () => request('/public/enquiries/challenge');
+
+  const submitEnquiry = async (enquiry) => {
+    const result = await request('/public/enquiries', { method: 'POST', body: enquiry });
+    emitter.emit({ type: 'created', lead: enquiry });
+    return result;
+  };
+
+  const listQuarantine = async () => {
+    const data = await request('/quarantine');
+    return Array.isArray(data) ? data : data.quarantine || [];
+  };
+
+  const releaseQuarantined = async (id) => {
+    const result = await request(`/quarantine/${encodeURIComponent(id)}/release`, { method: 'POST' });
+    emitter.emit({ type: 'created', id: result.id });
+    return result;
+  };
+
+  const removeQuarantined = (id) => request(`/quarantine/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+  const update = async (id, changes) => {
+    const result = await request(`/leads/${encodeURIComponent(id)}`, { method: 'PATCH', body: changes });
+    emitter.emit({ type: 'updated', id, lead: result });
+    return result;
+  };
+
+  const remove = async (id) => {
+    const result = await request(`/leads/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    emitter.emit({ type: 'deleted', id });
+    return result;
+  };
+
+  const merge = async (id, duplicateIds) => {
+    const result = await request(`/leads/${encodeURIComponent(id)}/merge`, { method: 'POST', body: { duplicateIds } });
+    emitter.emit({ type: 'merged', id, duplicateIds });
+    return result;
+  };
+
+  const backfillIds = async () => {
+    const result = await request('/leads/backfill-ids', { method: 'POST' });
+    emitter.emit({ type: 'backfilled' });
+    return result;
+  };
+
+  const listActivities = async (leadId) => {
+    const data = await request(`/leads/${encodeURIComponent(leadId)}/activities`);
+    if (Array.isArray(data)) {
+      return data;
+    }
+    return data.activities || data.data || [];
+  };
+
+  const addActivity = async (leadId, activity) => {
+    const result = await request(`/leads/${encodeURIComponent(leadId)}/activities`, { method: 'POST', body: activity });
+    emitter.emit({ type: 'activity', id: leadId });
+    return result;
+  };
+
+  const login = (username, password) => request('/auth/login', { method: 'POST', body: { username, password } });
+
+  const listUsers = async () => {
+    const data = await request('/users');
+    if (Array.isArray(data)) {
+      return data;
+    }
+    return data.users || data.data || [];
+  };
+
+  const createUser = (user) => request('/users', { method: 'POST', body: user });
+
+  const updateUser = (id, changes) => request(`/users/${encodeURIComponent(id)}`, { method: 'PATCH', body: changes });
+
+  const getPublicSettings = async () => {
+    const data = await request('/public/settings');
+    return data.settings || data;
+  };
+
+  const getSettings = async () => {
+    const data = await request('/settings');
+    return data.settings || data;
+  };
+
+  const updateSettings = (changes) => request('/settings', { method: 'PATCH', body: changes });
+
+  return {
+    list,
+    listSince,
+    listPage,
+    listPublic,
+    create,
+    createMany,
+    getEnquiryChallenge,
+    submitEnquiry,
+    listQuarantine,
+    releaseQuarantined,
+    removeQuarantined,
+    update,
+    remove,
+    merge,
+    backfillIds,
+    listActivities,
+    addActivity,
+    login,
+    listUsers,
+    createUser,
+    updateUser,
+    getPublicSettings,
+    getSettings,
+    updateSettings,
+    subscribe: emitter.subscribe
+  };
+};
@@ -0,0 +1,44 @@
+import { createRestAdapter } from '@/services/storage/restAdapter';
+
+const respond = (body, status = 200) => {
+  global.fetch = jest.fn().mockResolvedValue({
+    status,
+    ok: status >= 200 && status < 300,
+    json: () => Promise.resolve(body)
+  });
+};
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe('listSince', () => {
+  it('asks for the changes after the cursor', async () => {
+    respond({ full: false, lineage: 'l-1', revision: 8, leads: [], deleted: [] });
+    await createRestAdapter().listSince({ lineage: 'l-1', revision: 7 });
+
+    expect(global.fetch.mock.calls[0][0]).toMatch(/\/leads\/changes\?lineage=l-1&since=7$/);
+  });
+
+  it('fills in missing lists and types the cursor', async () => {
+    respond({ lineage: 42, revision: '9', leads: [{ id: 'a' }] });
+
+    expect(await createRestAdapter().listSince({ lineage: '42', revision: 8 })).toEqual({
+      full: false,
+      lineage: '42',
+      revision: 9,
+      leads: [{ id: 'a' }],
+      deleted: []
+    });
+  });
+
+  it('answers null without a lineage', async () => {
+    respond({ full: true, leads: [{ id: 'a' }] });
+    expect(await createRestAdapter().listSince()).toBeNull();
+  });
+
+  it('answers null when the service has no changes endpoint', async () => {
+    respond({}, 404);
+    expect(await createRestAdapter().listSince()).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+import { getStorageAdapter } from './storage';
+import { ROLES } from '@/lib/roles';
+
+// Same minimum the backend enforces
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Normalize user data from API to consistent format
+ * Sheets hand booleans back as strings, so `active` is parsed explicitly
+ */
+const normalizeUser = (user) => {
+  return {
+    id: String(user.id || ''),
+    name: user.name || user.username || '',
+    username: user.username || '',
+    role: ROLES.some(role => role.id === user.role) ? user.role : 'agent',
+    active: String(user.active) !== 'false'
+  };
+};
+
+/**
+ * Verify a username + password with the backend
+ * Returns the signed session token and the signed-in user
+ */
+export const signIn = async (username, password) => {
+  try {
+    const result = await getStorageAdapter().login(username.trim(), password);
+    return { token: result.token, user: normalizeUser(result.user) };
+  } catch (error) {
+    console.error('Error signing in:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch every user account, sorted by name
+ */
+export const fetchUsers = async () => {
+  try {
+    const users = await getStorageAdapter().listUsers();
+    return users
+      .map(normalizeUser)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a user account (name, username, role, password)
+ */
+export const createUser = async (userData) => {
+  try {
+    const result = await getStorageAdapter().createUser({
+      name: userData.name,
+      username: userData.username,
+      role: userData.role,
+      password: userData.password
+    });
+    return { ...result, user: result.user ? normalizeUser(result.user) : null };
+  } catch (error) {
+    console.error('Error creating user:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a user's name, role or active flag, or reset their password
+ */
+export const updateUser = async (id, changes) => {
+  try {
+    return await getStorageAdapter().updateUser(id, changes);
+  } catch (error) {
+    console.error('Error updating user:', error);
+    throw error;
+  }
+};
+
+/**
+ * Look up a user's display name by id
+ */
+export const getUserName = (users, userId) => {
+  const user = users.find(u => u.id === userId);
+  return user ? user.name : '';
+};